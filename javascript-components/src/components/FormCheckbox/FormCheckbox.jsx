@@ -0,0 +1,79 @@
+import React from 'react';
+import { Checkbox } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+
+/**
+ * FormCheckbox - Single checkbox component with Formik integration and Mantine Checkbox
+ *
+ * Features:
+ * - Boolean Formik value, e.g. for "accept terms" (validate it with `oneOf: [true]`)
+ * - Optional indeterminate state
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ * - Full Mantine Checkbox prop support
+ */
+const FormCheckbox = ({
+  name,
+  label,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  className = '',
+  style = {},
+  description,
+  indeterminate = false,
+  ...mantineProps
+}) => {
+  const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+
+  const hasError = meta.touched && meta.error;
+
+  // Create custom style object that includes width override
+  const customStyle = {
+    ...style,
+    ...(width && { width })
+  };
+
+  const handleChange = (event) => {
+    helpers.setValue(event.currentTarget.checked);
+  };
+
+  return (
+    <Checkbox
+      {...mantineProps}
+      name={field.name}
+      checked={Boolean(field.value)}
+      onChange={handleChange}
+      onBlur={field.onBlur}
+      label={label}
+      required={required}
+      disabled={disabled}
+      size={size}
+      className={className}
+      style={customStyle}
+      description={description}
+      indeterminate={indeterminate}
+      error={hasError ? meta.error : undefined}
+    />
+  );
+};
+
+FormCheckbox.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.node,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  indeterminate: PropTypes.bool,
+};
+
+export default FormCheckbox;
@@ -0,0 +1,76 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form, useFormikContext } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import * as yup from 'yup';
+import { vi, describe, it, expect } from 'vitest';
+import FormCheckbox from './FormCheckbox';
+
+// Test wrapper component
+const TestWrapper = ({ children, initialValues = {}, validationSchema }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} validationSchema={validationSchema} onSubmit={vi.fn()}>
+      <Form>{children}</Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const ValuesDisplay = () => {
+  const { values } = useFormikContext();
+  return <div data-testid="form-values">{JSON.stringify(values)}</div>;
+};
+
+const formValues = () => JSON.parse(screen.getByTestId('form-values').textContent);
+
+describe('FormCheckbox', () => {
+  it('stores a boolean value', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ newsletter: false }}>
+        <FormCheckbox name="newsletter" label="Send me the newsletter" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const checkbox = screen.getByRole('checkbox', { name: 'Send me the newsletter' });
+    expect(checkbox).not.toBeChecked();
+
+    await user.click(checkbox);
+    expect(checkbox).toBeChecked();
+    expect(formValues().newsletter).toBe(true);
+
+    await user.click(checkbox);
+    expect(formValues().newsletter).toBe(false);
+  });
+
+  it('shows the error of an unchecked required checkbox after blur', async () => {
+    render(
+      <TestWrapper
+        initialValues={{ terms: false }}
+        validationSchema={yup.object({ terms: yup.boolean().oneOf([true], 'You must accept the terms') })}
+      >
+        <FormCheckbox name="terms" label="I accept the terms" required />
+      </TestWrapper>
+    );
+
+    const checkbox = screen.getByRole('checkbox', { name: 'I accept the terms' });
+    expect(checkbox).toBeRequired();
+
+    fireEvent.blur(checkbox);
+
+    await waitFor(() => {
+      expect(screen.getByText('You must accept the terms')).toBeInTheDocument();
+    });
+  });
+
+  it('renders the indeterminate state', () => {
+    render(
+      <TestWrapper initialValues={{ all: false }}>
+        <FormCheckbox name="all" label="All" indeterminate />
+      </TestWrapper>
+    );
+
+    expect(screen.getByRole('checkbox', { name: 'All' })).toHaveAttribute('data-indeterminate', 'true');
+  });
+});
@@ -0,0 +1,197 @@
+import React, { useCallback, useId } from 'react';
+import { Checkbox, Input } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
+
+// Same gaps as FormRadioGroup
+const SPACING = {
+  xs: '0.5rem',
+  sm: '0.75rem',
+  md: '1rem',
+  lg: '1.25rem',
+  xl: '1.5rem',
+};
+
+/**
+ * FormCheckboxGroup - Checkbox group component with Formik integration and Mantine Checkbox
+ *
+ * Features:
+ * - Formik array values with the option shape of FormRadioGroup
+ * - Horizontal and vertical layout orientations, mirrored for right-to-left locales
+ * - Customizable spacing between checkboxes
+ * - Minimum and maximum number of checked options; once the maximum is reached the
+ *   remaining options are disabled
+ * - Optional "Select all" checkbox, indeterminate while only some options are checked
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ */
+const FormCheckboxGroup = ({
+  name,
+  label,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  className = '',
+  style = {},
+  description,
+  withAsterisk,
+  options: optionsProp,
+  orientation = 'vertical',
+  spacing = 'xs',
+  minChecked = 0,
+  maxChecked,
+  minCheckedMessage,
+  maxCheckedMessage,
+  selectAll = false,
+  selectAllLabel: selectAllLabelProp,
+  ...mantineProps
+}) => {
+  const { t, dir } = useTranslation();
+  const selectAllLabel = selectAllLabelProp ?? t('select.selectAll');
+  const groupId = useId();
+
+  // Field-level validation of the checked count, merged with any schema errors
+  const validateCheckedCount = useCallback((values) => {
+    const count = Array.isArray(values) ? values.length : 0;
+    if (count < minChecked) {
+      return minCheckedMessage || t('checkboxGroup.minChecked', { count: minChecked });
+    }
+    if (maxChecked !== undefined && count > maxChecked) {
+      return maxCheckedMessage || t('checkboxGroup.maxChecked', { count: maxChecked });
+    }
+    return undefined;
+  }, [minChecked, maxChecked, minCheckedMessage, maxCheckedMessage, t]);
+
+  const [field, meta, helpers] = useField({ name, validate: validateCheckedCount });
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const options = optionsProp ?? constraints.options ?? [];
+
+  const hasError = meta.touched && meta.error;
+  const checkedValues = Array.isArray(field.value) ? field.value.map(String) : [];
+
+  // Create custom style object that includes width override
+  const customStyle = {
+    ...style,
+    ...(width && { width })
+  };
+
+  // Transform options to ensure they have string values for consistency
+  const checkboxOptions = options.map(option => ({
+    value: String(option.value),
+    label: option.label,
+    disabled: option.disabled || false
+  }));
+
+  const selectableValues = checkboxOptions
+    .filter(option => !option.disabled)
+    .map(option => option.value);
+  const checkedSelectable = selectableValues.filter(value => checkedValues.includes(value));
+  const allChecked = selectableValues.length > 0 && checkedSelectable.length === selectableValues.length;
+  const limitReached = maxChecked !== undefined && checkedValues.length >= maxChecked;
+
+  // Keep the option order, whatever the order of clicks
+  const handleToggle = (value, checked) => {
+    const next = checked ? [...checkedValues, value] : checkedValues.filter(item => item !== value);
+    helpers.setValue(checkboxOptions.map(option => option.value).filter(item => next.includes(item)));
+  };
+
+  const handleToggleAll = () => {
+    // Disabled options keep their state
+    const lockedValues = checkedValues.filter(value => !selectableValues.includes(value));
+    helpers.setValue(allChecked ? lockedValues : [...lockedValues, ...selectableValues]);
+    helpers.setTouched(true, false);
+  };
+
+  return (
+    <Input.Wrapper
+      {...mantineProps}
+      labelElement="div"
+      label={label}
+      required={required}
+      size={size}
+      className={className}
+      style={customStyle}
+      description={description}
+      withAsterisk={withAsterisk || required}
+      error={hasError ? meta.error : undefined}
+      id={groupId}
+      dir={dir}
+    >
+      <div
+        role="group"
+        aria-labelledby={label ? `${groupId}-label` : undefined}
+        style={{
+          display: 'flex',
+          flexDirection: orientation === 'horizontal' ? 'row' : 'column',
+          gap: SPACING[spacing] ?? spacing,
+          marginTop: label || description ? '0.25rem' : undefined,
+        }}
+      >
+        {selectAll && (
+          <Checkbox
+            label={selectAllLabel}
+            checked={allChecked}
+            indeterminate={checkedSelectable.length > 0 && !allChecked}
+            onChange={handleToggleAll}
+            disabled={disabled || (!allChecked && maxChecked !== undefined && selectableValues.length > maxChecked)}
+            size={size}
+          />
+        )}
+        {checkboxOptions.map((option) => {
+          const checked = checkedValues.includes(option.value);
+          return (
+            <Checkbox
+              key={option.value}
+              name={name}
+              value={option.value}
+              label={option.label}
+              checked={checked}
+              onChange={(event) => handleToggle(option.value, event.currentTarget.checked)}
+              onBlur={() => helpers.setTouched(true)}
+              disabled={disabled || option.disabled || (limitReached && !checked)}
+              size={size}
+            />
+          );
+        })}
+      </div>
+    </Input.Wrapper>
+  );
+};
+
+FormCheckboxGroup.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  withAsterisk: PropTypes.bool,
+  options: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+      label: PropTypes.string.isRequired,
+      disabled: PropTypes.bool,
+    })
+  ),
+  orientation: PropTypes.oneOf(['horizontal', 'vertical']),
+  spacing: PropTypes.oneOfType([
+    PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+    PropTypes.string,
+    PropTypes.number
+  ]),
+  minChecked: PropTypes.number,
+  maxChecked: PropTypes.number,
+  minCheckedMessage: PropTypes.string,
+  maxCheckedMessage: PropTypes.string,
+  selectAll: PropTypes.bool,
+  selectAllLabel: PropTypes.string,
+};
+
+export default FormCheckboxGroup;
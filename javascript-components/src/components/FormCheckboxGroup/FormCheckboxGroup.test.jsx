@@ -0,0 +1,128 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form, useFormikContext } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect } from 'vitest';
+import FormCheckboxGroup from './FormCheckboxGroup';
+import FormComponentsProvider from '../FormComponentsProvider';
+
+// Test wrapper component
+const TestWrapper = ({ children, initialValues = {} }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} onSubmit={vi.fn()}>
+      <Form>{children}</Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const ValuesDisplay = () => {
+  const { values } = useFormikContext();
+  return <div data-testid="form-values">{JSON.stringify(values)}</div>;
+};
+
+const formValues = () => JSON.parse(screen.getByTestId('form-values').textContent);
+
+const interests = [
+  { value: 'sports', label: 'Sports' },
+  { value: 'music', label: 'Music' },
+  { value: 'travel', label: 'Travel' },
+  { value: 'food', label: 'Food', disabled: true },
+];
+
+describe('FormCheckboxGroup', () => {
+  it('stores the checked values in option order', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ interests: [] }}>
+        <FormCheckboxGroup name="interests" label="Interests" options={interests} />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    expect(screen.getByRole('group', { name: 'Interests' })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('checkbox', { name: 'Travel' }));
+    await user.click(screen.getByRole('checkbox', { name: 'Sports' }));
+
+    expect(formValues().interests).toEqual(['sports', 'travel']);
+
+    await user.click(screen.getByRole('checkbox', { name: 'Travel' }));
+
+    expect(formValues().interests).toEqual(['sports']);
+    expect(screen.getByRole('checkbox', { name: 'Food' })).toBeDisabled();
+  });
+
+  it('checks and clears all enabled options with an indeterminate select all', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ interests: ['music'] }}>
+        <FormCheckboxGroup name="interests" label="Interests" options={interests} selectAll />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const selectAll = screen.getByRole('checkbox', { name: 'Select all' });
+    expect(selectAll).not.toBeChecked();
+    expect(selectAll).toHaveAttribute('data-indeterminate', 'true');
+
+    await user.click(selectAll);
+
+    expect(formValues().interests).toEqual(['sports', 'music', 'travel']);
+    expect(selectAll).toBeChecked();
+    expect(selectAll).not.toHaveAttribute('data-indeterminate');
+
+    await user.click(selectAll);
+
+    expect(formValues().interests).toEqual([]);
+  });
+
+  it('disables unchecked options once maxChecked is reached', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ interests: [] }}>
+        <FormCheckboxGroup name="interests" label="Interests" options={interests} maxChecked={2} />
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByRole('checkbox', { name: 'Sports' }));
+    await user.click(screen.getByRole('checkbox', { name: 'Music' }));
+
+    expect(screen.getByRole('checkbox', { name: 'Travel' })).toBeDisabled();
+    expect(screen.getByRole('checkbox', { name: 'Music' })).toBeEnabled();
+  });
+
+  it('validates the minimum number of checked options', async () => {
+    render(
+      <TestWrapper initialValues={{ interests: ['sports'] }}>
+        <FormCheckboxGroup name="interests" label="Interests" options={interests} minChecked={2} />
+      </TestWrapper>
+    );
+
+    fireEvent.blur(screen.getByRole('checkbox', { name: 'Sports' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Select at least 2 options')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Music' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Select at least 2 options')).not.toBeInTheDocument();
+    });
+  });
+
+  it('lays options out horizontally and mirrors them for right-to-left locales', () => {
+    render(
+      <TestWrapper initialValues={{ interests: [] }}>
+        <FormComponentsProvider locale="ar">
+          <FormCheckboxGroup name="interests" label="الاهتمامات" options={interests} orientation="horizontal" spacing="md" />
+        </FormComponentsProvider>
+      </TestWrapper>
+    );
+
+    const group = screen.getByRole('group', { name: 'الاهتمامات' });
+    expect(group).toHaveStyle({ flexDirection: 'row', gap: '1rem' });
+    expect(group.closest('[dir]')).toHaveAttribute('dir', 'rtl');
+  });
+});
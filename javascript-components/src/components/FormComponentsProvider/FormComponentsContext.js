@@ -0,0 +1,5 @@
+import { createContext } from 'react';
+
+// Without a provider, requests and messages use the global configuration from configureApi
+// and configureI18n
+export const FormComponentsContext = createContext({});
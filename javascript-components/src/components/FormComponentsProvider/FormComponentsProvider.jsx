@@ -0,0 +1,72 @@
+import React, { useContext, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FormComponentsContext } from './FormComponentsContext';
+
+/**
+ * FormComponentsProvider - Library-wide configuration for the form components below it
+ *
+ * Features:
+ * - Custom HTTP transport (e.g. axios) for useApiData, the API-backed selects and useFileUpload
+ * - Base URL prefixed to relative API URLs
+ * - Default headers, static or computed per request (e.g. auth tokens)
+ * - Request, response and error interceptors, run after the global ones from configureApi
+ * - Locale and message overrides for the built-in texts, over the global ones from configureI18n
+ * - Locale-aware numbers, file sizes and dates, and right-to-left layout for RTL locales
+ * - Nested providers override the settings of outer ones
+ */
+const FormComponentsProvider = ({
+  transport,
+  baseURL,
+  headers,
+  interceptors,
+  locale,
+  dir,
+  messages,
+  children,
+}) => {
+  const parent = useContext(FormComponentsContext);
+
+  const value = useMemo(() => {
+    const parentApi = parent.api || {};
+    const parentI18n = parent.i18n || {};
+    return {
+      ...parent,
+      api: {
+        ...parentApi,
+        ...(transport && { transport }),
+        ...(baseURL !== undefined && { baseURL }),
+        ...(headers && { headers }),
+        ...(interceptors && { interceptors }),
+      },
+      i18n: {
+        locale: locale || parentI18n.locale,
+        // A new locale brings its own direction unless one is given
+        dir: dir || (locale ? undefined : parentI18n.dir),
+        messages: { ...parentI18n.messages, ...messages },
+      },
+    };
+  }, [parent, transport, baseURL, headers, interceptors, locale, dir, messages]);
+
+  return (
+    <FormComponentsContext.Provider value={value}>
+      {children}
+    </FormComponentsContext.Provider>
+  );
+};
+
+FormComponentsProvider.propTypes = {
+  transport: PropTypes.func,
+  baseURL: PropTypes.string,
+  headers: PropTypes.oneOfType([PropTypes.object, PropTypes.func]),
+  interceptors: PropTypes.shape({
+    request: PropTypes.arrayOf(PropTypes.func),
+    response: PropTypes.arrayOf(PropTypes.func),
+    error: PropTypes.arrayOf(PropTypes.func),
+  }),
+  locale: PropTypes.string,
+  dir: PropTypes.oneOf(['ltr', 'rtl']),
+  messages: PropTypes.objectOf(PropTypes.oneOfType([PropTypes.string, PropTypes.func])),
+  children: PropTypes.node,
+};
+
+export default FormComponentsProvider;
@@ -0,0 +1,195 @@
+import React from 'react';
+import { render, screen, waitFor, fireEvent, renderHook, act } from '@testing-library/react';
+import { Formik, Form } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import FormComponentsProvider from './FormComponentsProvider';
+import FormDynamicSelect from '../FormDynamicSelect';
+import FormSearchableSelect from '../FormSearchableSelect';
+import FormYesNoSelect from '../FormYesNoSelect';
+import { useFileUpload } from '../../hooks/useFileUpload';
+import { useApiConfig } from '../../hooks/useApiConfig';
+import { useTranslation } from '../../hooks/useTranslation';
+
+// Test wrapper component
+const TestWrapper = ({ children, initialValues = {}, ...providerProps }) => (
+  <MantineProvider>
+    <FormComponentsProvider {...providerProps}>
+      <Formik initialValues={initialValues} onSubmit={vi.fn()}>
+        <Form>{children}</Form>
+      </Formik>
+    </FormComponentsProvider>
+  </MantineProvider>
+);
+
+describe('FormComponentsProvider', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = vi.fn(async (request) => {
+      if (request.url.includes('/search')) {
+        return { data: [{ id: 1, name: 'Apple' }], status: 200 };
+      }
+      return { data: [{ id: 'us', name: 'United States' }], status: 200 };
+    });
+  });
+
+  it('exposes the API configuration to hooks', () => {
+    const headers = { 'X-Tenant': 'acme' };
+    const { result } = renderHook(() => useApiConfig(), {
+      wrapper: ({ children }) => (
+        <FormComponentsProvider transport={transport} baseURL="https://api.example.com">
+          <FormComponentsProvider headers={headers}>{children}</FormComponentsProvider>
+        </FormComponentsProvider>
+      ),
+    });
+
+    expect(result.current).toEqual({ transport, baseURL: 'https://api.example.com', headers });
+  });
+
+  it('is used by useApiData in FormDynamicSelect', async () => {
+    render(
+      <TestWrapper
+        initialValues={{ country: '' }}
+        transport={transport}
+        baseURL="https://api.example.com"
+        headers={{ Authorization: 'Bearer token' }}
+      >
+        <FormDynamicSelect name="country" label="Country" apiUrl="/provider/countries" valueKey="id" labelKey="name" />
+      </TestWrapper>
+    );
+
+    await waitFor(() => {
+      expect(transport).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://api.example.com/provider/countries',
+        headers: expect.objectContaining({ Authorization: 'Bearer token' }),
+      }));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByRole('textbox', { name: 'Country' })).not.toBeDisabled();
+    });
+    fireEvent.click(screen.getByRole('textbox', { name: 'Country' }));
+    expect(screen.getByRole('option', { name: 'United States', hidden: true })).toBeInTheDocument();
+  });
+
+  it('is used by FormSearchableSelect searches', async () => {
+    const requestInterceptor = vi.fn((request) => request);
+
+    render(
+      <TestWrapper
+        initialValues={{ fruit: '' }}
+        transport={transport}
+        interceptors={{ request: [requestInterceptor] }}
+      >
+        <FormSearchableSelect
+          name="fruit"
+          label="Fruit"
+          searchApiUrl="/provider/search"
+          valueKey="id"
+          labelKey="name"
+          debounceMs={0}
+        />
+      </TestWrapper>
+    );
+
+    const input = screen.getByRole('textbox', { name: 'Fruit' });
+    fireEvent.click(input);
+    fireEvent.change(input, { target: { value: 'app' } });
+
+    expect(await screen.findByRole('option', { name: 'Apple', hidden: true })).toBeInTheDocument();
+    expect(transport).toHaveBeenCalledWith(expect.objectContaining({ url: '/provider/search?search=app' }));
+    expect(requestInterceptor).toHaveBeenCalled();
+  });
+
+  it('is used by useFileUpload uploads', async () => {
+    const uploadTransport = vi.fn(async () => ({ data: { id: 'f1' }, status: 201 }));
+    const { result } = renderHook(() => useFileUpload({ uploadUrl: '/upload' }), {
+      wrapper: ({ children }) => (
+        <FormComponentsProvider transport={uploadTransport} baseURL="https://files.example.com">
+          {children}
+        </FormComponentsProvider>
+      ),
+    });
+
+    act(() => {
+      result.current.addFiles([new File(['data'], 'report.txt', { type: 'text/plain' })]);
+    });
+
+    let responses;
+    await act(async () => {
+      responses = await result.current.uploadFiles();
+    });
+
+    expect(responses).toEqual([{ id: 'f1' }]);
+    expect(uploadTransport).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'https://files.example.com/upload',
+      method: 'POST',
+    }));
+    expect(result.current.uploading).toBe(false);
+  });
+
+  it('translates built-in texts for its locale', () => {
+    render(
+      <TestWrapper initialValues={{ fruit: '', agree: '' }} locale="es">
+        <FormSearchableSelect name="fruit" label="Fruit" searchApiUrl="/provider/search" minSearchLength={2} />
+        <FormYesNoSelect name="agree" label="Agree" noLabel="Para nada" />
+      </TestWrapper>
+    );
+
+    expect(screen.getByPlaceholderText('Escribe para buscar...')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('textbox', { name: 'Fruit' }));
+    expect(screen.getByText('Escribe al menos 2 caracteres para buscar')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('textbox', { name: 'Agree' }));
+    expect(screen.getByRole('option', { name: 'Sí', hidden: true })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Para nada', hidden: true })).toBeInTheDocument();
+  });
+
+  it('layers message overrides of nested providers', () => {
+    const { result } = renderHook(() => useTranslation(), {
+      wrapper: ({ children }) => (
+        <FormComponentsProvider locale="fr" messages={{ 'yesNo.yes': 'Oui !' }}>
+          <FormComponentsProvider messages={{ 'yesNo.no': 'Non !' }}>{children}</FormComponentsProvider>
+        </FormComponentsProvider>
+      ),
+    });
+
+    expect(result.current.locale).toBe('fr');
+    expect(result.current.t('yesNo.yes')).toBe('Oui !');
+    expect(result.current.t('yesNo.no')).toBe('Non !');
+    expect(result.current.t('select.selectAll')).toBe('Tout sélectionner');
+  });
+
+  it('derives the text direction from the locale', () => {
+    const renderDirection = (wrapper) => renderHook(() => useTranslation().dir, { wrapper }).result.current;
+
+    expect(renderDirection(({ children }) => children)).toBeUndefined();
+    expect(renderDirection(({ children }) => <FormComponentsProvider locale="ar">{children}</FormComponentsProvider>)).toBe('rtl');
+    expect(renderDirection(({ children }) => (
+      <FormComponentsProvider locale="ar">
+        <FormComponentsProvider locale="de">{children}</FormComponentsProvider>
+      </FormComponentsProvider>
+    ))).toBe('ltr');
+    expect(renderDirection(({ children }) => (
+      <FormComponentsProvider locale="de" dir="rtl">{children}</FormComponentsProvider>
+    ))).toBe('rtl');
+  });
+
+  it('translates useFileUpload errors', () => {
+    const { result } = renderHook(() => useFileUpload({ maxFiles: 1 }), {
+      wrapper: ({ children }) => <FormComponentsProvider locale="de">{children}</FormComponentsProvider>,
+    });
+
+    act(() => {
+      result.current.addFiles([
+        new File(['a'], 'a.txt', { type: 'text/plain' }),
+        new File(['b'], 'b.txt', { type: 'text/plain' }),
+      ]);
+    });
+
+    expect(result.current.error.message).toBe(
+      '2 Dateien können nicht hinzugefügt werden. Maximal 1 Datei erlaubt. Aktuell sind 0 Dateien vorhanden.'
+    );
+  });
+});
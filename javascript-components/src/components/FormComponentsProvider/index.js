@@ -0,0 +1,2 @@
+export { default } from './FormComponentsProvider.jsx';
+export { FormComponentsContext } from './FormComponentsContext.js';
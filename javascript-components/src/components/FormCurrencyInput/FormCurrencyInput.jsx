@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { NumberInput } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
+import { getCurrencyFormat, toMinorUnits, fromMinorUnits } from '../../utils/numbers.js';
+
+/**
+ * FormCurrencyInput - Money input component with Formik integration and Mantine NumberInput
+ *
+ * Features:
+ * - Stores integer minor units in Formik (1999 for $19.99, 1999 for ¥1,999), or null when empty
+ * - Currency symbol, separators and decimal places of the currency and locale
+ * - Amounts are converted on their digits, so they never pass through float arithmetic
+ * - `min`/`max` (and schema `minValue`/`maxValue` rules) are in minor units, like the value
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ */
+const FormCurrencyInput = ({
+  name,
+  label,
+  placeholder,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  className = '',
+  style = {},
+  description,
+  withAsterisk,
+  currency = 'USD',
+  locale: localeProp,
+  min: minProp,
+  max: maxProp,
+  allowNegative = false,
+  hideControls = true,
+  ...mantineProps
+}) => {
+  const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const min = minProp ?? constraints.min;
+  const max = maxProp ?? constraints.max;
+  const { locale: contextLocale } = useTranslation();
+  const locale = localeProp ?? contextLocale;
+  const format = useMemo(() => getCurrencyFormat(currency, locale), [currency, locale]);
+  const [inputValue, setInputValue] = useState(fromMinorUnits(field.value, currency) ?? '');
+
+  const hasError = meta.touched && meta.error;
+
+  // Follow values set from outside (resetForm, setFieldValue) unless the input already shows them
+  useEffect(() => {
+    setInputValue(current => (
+      toMinorUnits(current, currency) === (field.value ?? null)
+        ? current
+        : fromMinorUnits(field.value, currency) ?? ''
+    ));
+  }, [field.value, currency]);
+
+  // Create custom style object that includes width override
+  const customStyle = {
+    ...style,
+    ...(width && { width })
+  };
+
+  const handleChange = (value) => {
+    setInputValue(value);
+    helpers.setValue(toMinorUnits(value, currency));
+  };
+
+  return (
+    <NumberInput
+      {...field}
+      {...mantineProps}
+      value={inputValue}
+      onChange={handleChange}
+      label={label}
+      placeholder={placeholder}
+      required={required}
+      disabled={disabled}
+      size={size}
+      className={className}
+      style={customStyle}
+      description={description}
+      withAsterisk={withAsterisk || required}
+      min={min === undefined ? undefined : fromMinorUnits(min, currency)}
+      max={max === undefined ? undefined : fromMinorUnits(max, currency)}
+      prefix={format.prefix}
+      suffix={format.suffix}
+      thousandSeparator={format.thousandSeparator}
+      decimalSeparator={format.decimalSeparator}
+      decimalScale={format.decimalScale}
+      fixedDecimalScale
+      allowDecimal={format.decimalScale > 0}
+      allowNegative={allowNegative}
+      hideControls={hideControls}
+      error={hasError ? meta.error : undefined}
+    />
+  );
+};
+
+FormCurrencyInput.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  withAsterisk: PropTypes.bool,
+  currency: PropTypes.string,
+  locale: PropTypes.string,
+  min: PropTypes.number,
+  max: PropTypes.number,
+  allowNegative: PropTypes.bool,
+  hideControls: PropTypes.bool,
+};
+
+export default FormCurrencyInput;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form, useFormikContext } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect } from 'vitest';
+import FormCurrencyInput from './FormCurrencyInput';
+import FormComponentsProvider from '../FormComponentsProvider';
+
+// Test wrapper component
+const TestWrapper = ({ children, initialValues = {} }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} onSubmit={vi.fn()}>
+      <Form>{children}</Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const ValuesDisplay = () => {
+  const { values } = useFormikContext();
+  return <div data-testid="form-values">{JSON.stringify(values)}</div>;
+};
+
+const formValues = () => JSON.parse(screen.getByTestId('form-values').textContent);
+
+describe('FormCurrencyInput', () => {
+  it('stores amounts as integer cents', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ price: null }}>
+        <FormCurrencyInput name="price" label="Price" currency="USD" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Price');
+    await user.type(input, '1234.56');
+    expect(input).toHaveValue('$1,234.56');
+    expect(formValues().price).toBe(123456);
+
+    await user.clear(input);
+    await user.type(input, '0.29');
+    expect(formValues().price).toBe(29);
+
+    await user.clear(input);
+    expect(formValues().price).toBeNull();
+  });
+
+  it('shows stored cents in the locale format', () => {
+    render(
+      <FormComponentsProvider locale="de">
+        <TestWrapper initialValues={{ price: 123450 }}>
+          <FormCurrencyInput name="price" label="Preis" currency="EUR" />
+        </TestWrapper>
+      </FormComponentsProvider>
+    );
+
+    expect(screen.getByLabelText('Preis')).toHaveValue('1.234,50\u00a0€');
+  });
+
+  it('uses the minor unit of the currency', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ fare: null }}>
+        <FormCurrencyInput name="fare" label="Fare" currency="JPY" locale="ja" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Fare');
+    await user.type(input, '1500.5');
+    expect(input).toHaveValue('￥15,005');
+    expect(formValues().fare).toBe(15005);
+  });
+
+  it('limits the amount with min and max in minor units', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ tip: null }}>
+        <FormCurrencyInput name="tip" label="Tip" currency="USD" max={5000} />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Tip');
+    await user.type(input, '75');
+    await user.tab();
+    expect(input).toHaveValue('$50.00');
+    expect(formValues().tip).toBe(5000);
+  });
+});
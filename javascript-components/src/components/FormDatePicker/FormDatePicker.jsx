@@ -2,6 +2,8 @@ import React from 'react';
 import { DateInput, DatePickerInput } from '@mantine/dates';
 import { useField } from 'formik';
 import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * FormDatePicker component for date selection with validation
@@ -11,7 +13,7 @@ const FormDatePicker = ({
   name,
   label,
   placeholder,
-  required = false,
+  required: requiredProp,
   disabled = false,
   size = 'sm',
   width,
@@ -21,8 +23,8 @@ const FormDatePicker = ({
   description,
   withAsterisk,
   type = 'default',
-  minDate,
-  maxDate,
+  minDate: minDateProp,
+  maxDate: maxDateProp,
   excludeDate,
   locale,
   dateFormat,
@@ -30,6 +32,11 @@ const FormDatePicker = ({
   ...props
 }) => {
   const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { t } = useTranslation();
+  const minDate = minDateProp ?? constraints.minDate;
+  const maxDate = maxDateProp ?? constraints.maxDate;
   
   const hasError = meta.touched && meta.error;
   
@@ -71,7 +78,7 @@ const FormDatePicker = ({
   const commonProps = {
     ...props,
     label,
-    placeholder: placeholder || 'Select date',
+    placeholder: placeholder || t('datePicker.placeholder'),
     required,
     disabled,
     size,
@@ -97,7 +104,7 @@ const FormDatePicker = ({
         <DatePickerInput
           {...commonProps}
           type="range"
-          placeholder={placeholder || 'Select date range'}
+          placeholder={placeholder || t('datePicker.rangePlaceholder')}
         />
       );
     
@@ -106,7 +113,7 @@ const FormDatePicker = ({
         <DatePickerInput
           {...commonProps}
           type="multiple"
-          placeholder={placeholder || 'Select dates'}
+          placeholder={placeholder || t('datePicker.multiplePlaceholder')}
         />
       );
     
@@ -0,0 +1,151 @@
+import React, { useMemo } from 'react';
+import { MultiSelect, Loader, Text } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useApiData } from '../../hooks/useApiData';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
+import { mapToSelectOptions } from '../../utils/api';
+
+/**
+ * FormDynamicMultiSelect - Multi-select dropdown with API-loaded options using Mantine MultiSelect
+ *
+ * Features:
+ * - API data fetching on component mount using useApiData hook
+ * - Formik array values with maximum selection limit
+ * - Loading state management with visual indicators
+ * - Error handling for API failures with retry link
+ * - Configurable value and label keys for API response mapping
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ */
+const FormDynamicMultiSelect = ({
+  name,
+  label,
+  placeholder: placeholderProp,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  height,
+  className = '',
+  style = {},
+  description,
+  withAsterisk,
+  apiUrl,
+  apiHeaders = {},
+  valueKey = 'value',
+  labelKey = 'label',
+  maxValues,
+  clearable = true,
+  searchable = true,
+  nothingFoundMessage: nothingFoundMessageProp,
+  onApiError,
+  ...mantineProps
+}) => {
+  const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { t } = useTranslation();
+  const placeholder = placeholderProp ?? t('select.multiPlaceholder');
+  const nothingFoundMessage = nothingFoundMessageProp ?? t('select.nothingFound');
+
+  const hasError = meta.touched && meta.error;
+  const selectedValues = Array.isArray(field.value) ? field.value.map(String) : [];
+
+  // Use the useApiData hook to fetch options from API
+  const { data: apiData, loading, error: apiError, refetch } = useApiData(apiUrl, {
+    headers: apiHeaders,
+    onError: onApiError,
+  });
+
+  // Transform API data to Mantine MultiSelect format
+  const selectData = useMemo(
+    () => mapToSelectOptions(apiData, valueKey, labelKey),
+    [apiData, valueKey, labelKey]
+  );
+
+  // Create custom style object that includes width and height overrides
+  const customStyle = {
+    ...style,
+    ...(width && { width }),
+    ...(height && { height }),
+  };
+
+  // Show loading state in the select
+  const isLoading = loading && !apiError;
+  const effectiveDisabled = disabled || isLoading;
+  const effectivePlaceholder = isLoading ? t('select.loadingOptions') : placeholder;
+
+  // Determine if we should show an error message
+  const showApiError = apiError && !hasError;
+  const errorMessage = hasError ? meta.error : (showApiError ? t('select.loadFailed', { error: apiError.message }) : undefined);
+
+  return (
+    <>
+      <MultiSelect
+        {...mantineProps}
+        name={name}
+        value={selectedValues}
+        onChange={(values) => helpers.setValue(values)}
+        onBlur={() => helpers.setTouched(true)}
+        data={selectData}
+        label={label}
+        placeholder={effectivePlaceholder}
+        required={required}
+        disabled={effectiveDisabled}
+        size={size}
+        className={className}
+        style={customStyle}
+        description={description}
+        withAsterisk={withAsterisk || required}
+        maxValues={maxValues}
+        clearable={clearable}
+        searchable={searchable}
+        nothingFoundMessage={isLoading ? t('select.loading') : nothingFoundMessage}
+        error={errorMessage}
+        rightSection={isLoading ? <Loader size="xs" /> : undefined}
+      />
+      {showApiError && (
+        <Text size="sm" c="red" mt={4}>
+          {t('select.loadFailedNotice')}
+          <Text
+            component="span"
+            size="sm"
+            c="blue"
+            style={{ cursor: 'pointer', textDecoration: 'underline', marginLeft: 4 }}
+            onClick={refetch}
+          >
+            {t('select.retry')}
+          </Text>
+        </Text>
+      )}
+    </>
+  );
+};
+
+FormDynamicMultiSelect.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  height: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  withAsterisk: PropTypes.bool,
+  apiUrl: PropTypes.string.isRequired,
+  apiHeaders: PropTypes.object,
+  valueKey: PropTypes.string,
+  labelKey: PropTypes.string,
+  maxValues: PropTypes.number,
+  clearable: PropTypes.bool,
+  searchable: PropTypes.bool,
+  nothingFoundMessage: PropTypes.string,
+  onApiError: PropTypes.func,
+};
+
+export default FormDynamicMultiSelect;
@@ -0,0 +1,85 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { Formik, Form } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import FormDynamicMultiSelect from './FormDynamicMultiSelect';
+
+// Mock the useApiData hook
+const mockUseApiData = vi.fn();
+vi.mock('../../hooks/useApiData', () => ({
+  useApiData: () => mockUseApiData(),
+}));
+
+const TestWrapper = ({ children, initialValues = { countries: [] } }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} onSubmit={vi.fn()}>
+      <Form>{children}</Form>
+    </Formik>
+  </MantineProvider>
+);
+
+describe('FormDynamicMultiSelect', () => {
+  const defaultProps = {
+    name: 'countries',
+    label: 'Countries',
+    apiUrl: '/api/countries',
+    valueKey: 'id',
+    labelKey: 'name',
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('renders API options and selected values', async () => {
+    mockUseApiData.mockReturnValue({
+      data: [{ id: 1, name: 'France' }, { id: 2, name: 'Spain' }],
+      loading: false,
+      error: null,
+      refetch: vi.fn(),
+    });
+
+    render(
+      <TestWrapper initialValues={{ countries: ['2'] }}>
+        <FormDynamicMultiSelect {...defaultProps} />
+      </TestWrapper>
+    );
+
+    expect(screen.getByText('Spain', { selector: '.mantine-Pill-label' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('textbox', { name: 'Countries' }));
+    expect(await screen.findByRole('option', { name: 'France' })).toBeInTheDocument();
+  });
+
+  it('shows loading state while options load', () => {
+    mockUseApiData.mockReturnValue({ data: [], loading: true, error: null, refetch: vi.fn() });
+
+    render(
+      <TestWrapper>
+        <FormDynamicMultiSelect {...defaultProps} />
+      </TestWrapper>
+    );
+
+    expect(screen.getByPlaceholderText('Loading options...')).toBeDisabled();
+  });
+
+  it('shows an error with a retry link when loading fails', () => {
+    const refetch = vi.fn();
+    mockUseApiData.mockReturnValue({
+      data: [],
+      loading: false,
+      error: new Error('Network error'),
+      refetch,
+    });
+
+    render(
+      <TestWrapper>
+        <FormDynamicMultiSelect {...defaultProps} />
+      </TestWrapper>
+    );
+
+    expect(screen.getByText('Failed to load options: Network error')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Try again'));
+    expect(refetch).toHaveBeenCalled();
+  });
+});
@@ -1,8 +1,15 @@
-import React, { useMemo } from 'react';
+import React, { useState, useMemo } from 'react';
 import { Select, Loader, Text } from '@mantine/core';
 import { useField } from 'formik';
 import PropTypes from 'prop-types';
 import { useApiData } from '../../hooks/useApiData';
+import { usePaginatedApiData } from '../../hooks/usePaginatedApiData';
+import { useDebounce } from '../../hooks/useDebounce';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
+import { mapToSelectOptions } from '../../utils/api';
+import { DEFAULT_DEBOUNCE_MS } from '../../config';
+import PaginatedSelect from './PaginatedSelect';
 
 /**
  * FormDynamicSelect - Single-select dropdown with API-loaded options using Mantine Select
@@ -14,14 +21,16 @@ import { useApiData } from '../../hooks/useApiData';
  * - Searchable functionality on loaded data (client-side filtering)
  * - Configurable value and label keys for API response mapping
  * - Clear selection capability with icon
+ * - Opt-in paginated mode: pages are requested as the dropdown is scrolled and
+ *   the option list is virtualized, for catalogs too large to load at once
  * - Formik field integration with automatic error display
  * - Custom width override while maintaining Mantine size properties
  */
 const FormDynamicSelect = ({
   name,
   label,
-  placeholder = 'Select an option',
-  required = false,
+  placeholder: placeholderProp,
+  required: requiredProp,
   disabled = false,
   size = 'sm',
   width,
@@ -36,54 +45,50 @@ const FormDynamicSelect = ({
   labelKey = 'label',
   clearable = true,
   searchable = true,
-  nothingFoundMessage = 'No options found',
+  nothingFoundMessage: nothingFoundMessageProp,
   onApiError,
+  paginated = false,
+  pagination = {},
+  itemHeight = 36,
+  maxDropdownHeight = 250,
   ...mantineProps
 }) => {
-  const [field, meta] = useField(name);
+  const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { t } = useTranslation();
+  const placeholder = placeholderProp ?? t('select.placeholder');
+  const nothingFoundMessage = nothingFoundMessageProp ?? t('select.nothingFound');
+  const [searchTerm, setSearchTerm] = useState('');
 
   const hasError = meta.touched && meta.error;
 
-  // Use the useApiData hook to fetch options from API
-  const { data: apiData, loading, error: apiError, refetch } = useApiData(apiUrl, {
+  // Paginated mode sends the search term to the server when `pagination.searchParam` is set
+  const { searchParam: paginationSearchParam, debounceMs = DEFAULT_DEBOUNCE_MS, ...paginationOptions } = pagination;
+  const debouncedSearchTerm = useDebounce(searchTerm, debounceMs);
+  const serverSearch = paginated && Boolean(paginationSearchParam);
+
+  // Use the useApiData hook to fetch options from API (all at once)
+  const singleRequest = useApiData(paginated ? null : apiUrl, {
+    headers: apiHeaders,
+    onError: onApiError,
+  });
+
+  // Use the usePaginatedApiData hook to fetch options page by page
+  const pagedRequest = usePaginatedApiData(paginated ? apiUrl : null, {
+    ...paginationOptions,
+    params: serverSearch ? { [paginationSearchParam]: debouncedSearchTerm } : {},
     headers: apiHeaders,
     onError: onApiError,
   });
 
+  const { data: apiData, loading, error: apiError, refetch } = paginated ? pagedRequest : singleRequest;
+
   // Transform API data to Mantine Select format
-  const selectData = useMemo(() => {
-    if (!apiData || !Array.isArray(apiData)) {
-      return [];
-    }
-
-    return apiData.map((item, index) => {
-      // Handle different data structures
-      let value, label;
-
-      if (typeof item === 'object' && item !== null) {
-        // Use configured keys to extract value and label
-        value = item[valueKey];
-        label = item[labelKey];
-
-        // Fallback if keys don't exist
-        if (value === undefined) {
-          value = item.id || item.value || index;
-        }
-        if (label === undefined) {
-          label = item.name || item.label || item.title || String(value);
-        }
-      } else {
-        // Handle primitive values
-        value = item;
-        label = String(item);
-      }
-
-      return {
-        value: String(value),
-        label: String(label),
-      };
-    });
-  }, [apiData, valueKey, labelKey]);
+  const selectData = useMemo(
+    () => mapToSelectOptions(apiData, valueKey, labelKey),
+    [apiData, valueKey, labelKey]
+  );
 
   // Create custom style object that includes width override
   const customStyle = {
@@ -94,11 +99,68 @@ const FormDynamicSelect = ({
   // Show loading state in the select
   const isLoading = loading && !apiError;
   const effectiveDisabled = disabled || isLoading;
-  const effectivePlaceholder = isLoading ? 'Loading options...' : placeholder;
+  const effectivePlaceholder = isLoading ? t('select.loadingOptions') : placeholder;
 
   // Determine if we should show an error message
   const showApiError = apiError && !hasError;
-  const errorMessage = hasError ? meta.error : (showApiError ? `Failed to load options: ${apiError.message}` : undefined);
+  const errorMessage = hasError ? meta.error : (showApiError ? t('select.loadFailed', { error: apiError.message }) : undefined);
+
+  // Client-side filtering of loaded pages when the server does not search
+  const paginatedData = useMemo(() => {
+    if (!paginated || serverSearch || !searchTerm) return selectData;
+    const term = searchTerm.toLowerCase();
+    return selectData.filter(option => option.label.toLowerCase().includes(term));
+  }, [paginated, serverSearch, searchTerm, selectData]);
+
+  const retryLink = showApiError && (
+    <Text size="sm" c="red" mt={4}>
+      {t('select.loadFailedNotice')}
+      <Text
+        component="span"
+        size="sm"
+        c="blue"
+        style={{ cursor: 'pointer', textDecoration: 'underline', marginLeft: 4 }}
+        onClick={refetch}
+      >
+        {t('select.retry')}
+      </Text>
+    </Text>
+  );
+
+  if (paginated) {
+    return (
+      <>
+        <PaginatedSelect
+          name={name}
+          data={paginatedData}
+          value={field.value ? String(field.value) : null}
+          onChange={(value) => helpers.setValue(value)}
+          onBlur={() => helpers.setTouched(true)}
+          searchValue={searchTerm}
+          onSearchChange={setSearchTerm}
+          loading={loading}
+          hasMore={pagedRequest.hasMore}
+          loadError={apiError}
+          onLoadMore={pagedRequest.loadMore}
+          itemHeight={itemHeight}
+          maxDropdownHeight={maxDropdownHeight}
+          clearable={clearable}
+          nothingFoundMessage={nothingFoundMessage}
+          label={label}
+          placeholder={placeholder}
+          required={required}
+          disabled={disabled}
+          size={size}
+          className={className}
+          style={customStyle}
+          description={description}
+          withAsterisk={withAsterisk || required}
+          error={errorMessage}
+        />
+        {retryLink}
+      </>
+    );
+  }
 
   return (
     <>
@@ -117,24 +179,11 @@ const FormDynamicSelect = ({
         withAsterisk={withAsterisk || required}
         clearable={clearable}
         searchable={searchable}
-        nothingFoundMessage={isLoading ? 'Loading...' : nothingFoundMessage}
+        nothingFoundMessage={isLoading ? t('select.loading') : nothingFoundMessage}
         error={errorMessage}
         rightSection={isLoading ? <Loader size="xs" /> : undefined}
       />
-      {showApiError && (
-        <Text size="sm" c="red" mt={4}>
-          Failed to load options.
-          <Text
-            component="span"
-            size="sm"
-            c="blue"
-            style={{ cursor: 'pointer', textDecoration: 'underline', marginLeft: 4 }}
-            onClick={refetch}
-          >
-            Try again
-          </Text>
-        </Text>
-      )}
+      {retryLink}
     </>
   );
 };
@@ -160,6 +209,21 @@ FormDynamicSelect.propTypes = {
   searchable: PropTypes.bool,
   nothingFoundMessage: PropTypes.string,
   onApiError: PropTypes.func,
+  paginated: PropTypes.bool,
+  pagination: PropTypes.shape({
+    mode: PropTypes.oneOf(['offset', 'cursor']),
+    pageSize: PropTypes.number,
+    offsetParam: PropTypes.string,
+    limitParam: PropTypes.string,
+    cursorParam: PropTypes.string,
+    dataPath: PropTypes.string,
+    nextCursorPath: PropTypes.string,
+    totalPath: PropTypes.string,
+    searchParam: PropTypes.string,
+    debounceMs: PropTypes.number,
+  }),
+  itemHeight: PropTypes.number,
+  maxDropdownHeight: PropTypes.number,
 };
 
 export default FormDynamicSelect;
\ No newline at end of file
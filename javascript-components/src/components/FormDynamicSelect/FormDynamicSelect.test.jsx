@@ -4,6 +4,7 @@ import { Formik, Form } from 'formik';
 import { MantineProvider } from '@mantine/core';
 import { vi, describe, it, expect, beforeEach } from 'vitest';
 import FormDynamicSelect from './FormDynamicSelect';
+import FormComponentsProvider from '../FormComponentsProvider';
 
 // Mock the useApiData hook
 const mockUseApiData = vi.fn();
@@ -11,6 +12,12 @@ vi.mock('../../hooks/useApiData', () => ({
   useApiData: () => mockUseApiData(),
 }));
 
+// Mock the usePaginatedApiData hook
+const mockUsePaginatedApiData = vi.fn();
+vi.mock('../../hooks/usePaginatedApiData', () => ({
+  usePaginatedApiData: (...args) => mockUsePaginatedApiData(...args),
+}));
+
 // Test wrapper component
 const TestWrapper = ({ children, initialValues = {}, onSubmit = vi.fn() }) => (
   <MantineProvider>
@@ -33,8 +40,19 @@ describe('FormDynamicSelect', () => {
     { id: 3, name: 'Option 3' },
   ];
 
+  const paginatedResult = (overrides = {}) => ({
+    data: [],
+    loading: false,
+    error: null,
+    hasMore: false,
+    loadMore: vi.fn(),
+    refetch: vi.fn(),
+    ...overrides,
+  });
+
   beforeEach(() => {
     vi.clearAllMocks();
+    mockUsePaginatedApiData.mockReturnValue(paginatedResult());
   });
 
   describe('Basic Rendering', () => {
@@ -185,6 +203,26 @@ describe('FormDynamicSelect', () => {
       fireEvent.click(retryLink);
       expect(mockRefetch).toHaveBeenCalledTimes(1);
     });
+
+    it('translates the retry notice', () => {
+      mockUseApiData.mockReturnValue({
+        data: [],
+        loading: false,
+        error: new Error('Network error'),
+        refetch: vi.fn(),
+      });
+
+      render(
+        <TestWrapper initialValues={{ testSelect: '' }}>
+          <FormComponentsProvider locale="de">
+            <FormDynamicSelect {...defaultProps} />
+          </FormComponentsProvider>
+        </TestWrapper>
+      );
+
+      expect(screen.getByText('Optionen konnten nicht geladen werden.')).toBeInTheDocument();
+      expect(screen.getByText('Erneut versuchen')).toBeInTheDocument();
+    });
   });
 
   describe('Customization', () => {
@@ -223,4 +261,163 @@ describe('FormDynamicSelect', () => {
       expect(screen.getByRole('textbox').closest('.mantine-Select-root')).toHaveClass('custom-select');
     });
   });
-});
\ No newline at end of file
+
+  describe('Paginated Mode', () => {
+    const manyItems = Array.from({ length: 200 }, (_, i) => ({ id: i + 1, name: `Product ${i + 1}` }));
+
+    beforeEach(() => {
+      mockUseApiData.mockReturnValue({ data: [], loading: false, error: null, refetch: vi.fn() });
+    });
+
+    it('requests pages through usePaginatedApiData instead of useApiData', () => {
+      render(
+        <TestWrapper initialValues={{ testSelect: '' }}>
+          <FormDynamicSelect {...defaultProps} paginated pagination={{ pageSize: 25 }} />
+        </TestWrapper>
+      );
+
+      expect(mockUsePaginatedApiData).toHaveBeenCalledWith(
+        '/api/test-options',
+        expect.objectContaining({ pageSize: 25, params: {} })
+      );
+      expect(screen.getByRole('textbox', { name: 'Test Select' })).toBeInTheDocument();
+    });
+
+    it('renders only the visible window of options', () => {
+      mockUsePaginatedApiData.mockReturnValue(paginatedResult({ data: manyItems, hasMore: true }));
+
+      render(
+        <TestWrapper initialValues={{ testSelect: '' }}>
+          <FormDynamicSelect {...defaultProps} valueKey="id" labelKey="name" paginated />
+        </TestWrapper>
+      );
+
+      fireEvent.click(screen.getByRole('textbox', { name: 'Test Select' }));
+
+      expect(screen.getByRole('option', { name: 'Product 1' })).toBeInTheDocument();
+      expect(screen.queryByRole('option', { name: 'Product 150' })).not.toBeInTheDocument();
+      expect(screen.getAllByRole('option').length).toBeLessThan(20);
+    });
+
+    it('loads the next page when scrolled near the end', () => {
+      const loadMore = vi.fn();
+      mockUsePaginatedApiData.mockReturnValue(paginatedResult({ data: manyItems, hasMore: true, loadMore }));
+
+      render(
+        <TestWrapper initialValues={{ testSelect: '' }}>
+          <FormDynamicSelect {...defaultProps} valueKey="id" labelKey="name" paginated />
+        </TestWrapper>
+      );
+
+      fireEvent.click(screen.getByRole('textbox', { name: 'Test Select' }));
+      const viewport = screen.getByTestId('paginated-select-viewport');
+      Object.defineProperty(viewport, 'clientHeight', { value: 250, configurable: true });
+      Object.defineProperty(viewport, 'scrollHeight', { value: 200 * 36, configurable: true });
+
+      viewport.scrollTop = 36 * 100;
+      fireEvent.scroll(viewport);
+      expect(loadMore).not.toHaveBeenCalled();
+      expect(screen.getByRole('option', { name: 'Product 101' })).toBeInTheDocument();
+
+      viewport.scrollTop = 200 * 36 - 250;
+      fireEvent.scroll(viewport);
+      expect(loadMore).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops requesting pages after a page fails to load', async () => {
+      const { usePaginatedApiData } = await vi.importActual('../../hooks/usePaginatedApiData');
+      mockUsePaginatedApiData.mockImplementation(usePaginatedApiData);
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const originalFetch = globalThis.fetch;
+      const respond = (response) => new Promise(resolve => setTimeout(() => resolve(response), 5));
+      globalThis.fetch = vi.fn((url) => (url.includes('offset=0')
+        ? respond({ ok: true, json: () => Promise.resolve({ data: mockApiData.slice(0, 2), total: 10 }) })
+        : respond({ ok: false, status: 500 })));
+
+      try {
+        render(
+          <TestWrapper initialValues={{ testSelect: '' }}>
+            <FormDynamicSelect {...defaultProps} apiUrl="/api/failing-pages" valueKey="id" labelKey="name" paginated pagination={{ pageSize: 2 }} />
+          </TestWrapper>
+        );
+
+        fireEvent.click(screen.getByRole('textbox', { name: 'Test Select' }));
+
+        await waitFor(() => {
+          expect(screen.getByText('Try again')).toBeInTheDocument();
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+
+        const viewport = screen.getByTestId('paginated-select-viewport');
+        Object.defineProperty(viewport, 'clientHeight', { value: 250, configurable: true });
+        Object.defineProperty(viewport, 'scrollHeight', { value: 72, configurable: true });
+        fireEvent.scroll(viewport);
+        expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+      } finally {
+        globalThis.fetch = originalFetch;
+        consoleError.mockRestore();
+      }
+    });
+
+    it('selects an option and stores its value', async () => {
+      const onSubmit = vi.fn();
+      mockUsePaginatedApiData.mockReturnValue(paginatedResult({ data: mockApiData }));
+
+      render(
+        <TestWrapper initialValues={{ testSelect: '' }} onSubmit={onSubmit}>
+          <FormDynamicSelect {...defaultProps} paginated />
+          <button type="submit">Submit</button>
+        </TestWrapper>
+      );
+
+      const input = screen.getByRole('textbox', { name: 'Test Select' });
+      fireEvent.click(input);
+      fireEvent.click(screen.getByRole('option', { name: 'Option 2' }));
+
+      expect(input).toHaveValue('Option 2');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Submit' }));
+
+      await waitFor(() => {
+        expect(onSubmit).toHaveBeenCalledWith({ testSelect: '2' }, expect.any(Object));
+      });
+    });
+
+    it('filters loaded options on the client by default', () => {
+      mockUsePaginatedApiData.mockReturnValue(paginatedResult({ data: mockApiData }));
+
+      render(
+        <TestWrapper initialValues={{ testSelect: '' }}>
+          <FormDynamicSelect {...defaultProps} paginated />
+        </TestWrapper>
+      );
+
+      const input = screen.getByRole('textbox', { name: 'Test Select' });
+      fireEvent.click(input);
+      fireEvent.change(input, { target: { value: '3' } });
+
+      expect(screen.getByRole('option', { name: 'Option 3' })).toBeInTheDocument();
+      expect(screen.queryByRole('option', { name: 'Option 1' })).not.toBeInTheDocument();
+    });
+
+    it('sends the search term to the server when searchParam is set', async () => {
+      render(
+        <TestWrapper initialValues={{ testSelect: '' }}>
+          <FormDynamicSelect {...defaultProps} paginated pagination={{ searchParam: 'q', debounceMs: 10 }} />
+        </TestWrapper>
+      );
+
+      const input = screen.getByRole('textbox', { name: 'Test Select' });
+      fireEvent.click(input);
+      fireEvent.change(input, { target: { value: 'lap' } });
+
+      await waitFor(() => {
+        expect(mockUsePaginatedApiData).toHaveBeenLastCalledWith(
+          '/api/test-options',
+          expect.objectContaining({ params: { q: 'lap' } })
+        );
+      });
+    });
+  });
+});
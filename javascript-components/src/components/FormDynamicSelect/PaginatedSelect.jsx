@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Combobox, InputBase, Loader, useCombobox } from '@mantine/core';
+import PropTypes from 'prop-types';
+import { useTranslation } from '../../hooks/useTranslation';
+
+/**
+ * PaginatedSelect - Select with a virtualized, infinitely scrolling option list
+ *
+ * Used internally by FormDynamicSelect in paginated mode. Only the options inside
+ * the visible window (plus overscan) are rendered, and `onLoadMore` is called when
+ * the list is scrolled near its end. After a failed page (`loadError`) no further
+ * pages are requested until the caller retries.
+ */
+const PaginatedSelect = ({
+  data,
+  value,
+  onChange,
+  onBlur,
+  searchValue,
+  onSearchChange,
+  loading = false,
+  hasMore = false,
+  loadError = null,
+  onLoadMore,
+  itemHeight = 36,
+  maxDropdownHeight = 250,
+  overscan = 5,
+  clearable = true,
+  nothingFoundMessage: nothingFoundMessageProp,
+  label,
+  placeholder,
+  required,
+  disabled,
+  size,
+  className,
+  style,
+  description,
+  withAsterisk,
+  error,
+  name,
+}) => {
+  const { t } = useTranslation();
+  const nothingFoundMessage = nothingFoundMessageProp ?? t('select.nothingFound');
+
+  const combobox = useCombobox({
+    onDropdownClose: () => {
+      combobox.resetSelectedOption();
+      onSearchChange('');
+    },
+  });
+  const [scrollTop, setScrollTop] = useState(0);
+  const viewportRef = useRef(null);
+  const selectedLabelRef = useRef({});
+
+  const selectedOption = data.find(option => option.value === value);
+  if (selectedOption) {
+    selectedLabelRef.current = { [selectedOption.value]: selectedOption.label };
+  }
+  const selectedLabel = value ? (selectedLabelRef.current[value] ?? value) : '';
+
+  // Compute the window of rendered options from the scroll position
+  const { startIndex, endIndex } = useMemo(() => {
+    const start = Math.max(0, Math.floor(scrollTop / itemHeight) - overscan);
+    const end = Math.min(data.length, Math.ceil((scrollTop + maxDropdownHeight) / itemHeight) + overscan);
+    return { startIndex: start, endIndex: end };
+  }, [scrollTop, itemHeight, maxDropdownHeight, overscan, data.length]);
+
+  const isNearEnd = (element) =>
+    element.scrollTop + element.clientHeight >= element.scrollHeight - itemHeight * 3;
+
+  const handleScroll = (event) => {
+    const element = event.currentTarget;
+    setScrollTop(element.scrollTop);
+    if (hasMore && !loading && !loadError && isNearEnd(element)) {
+      onLoadMore();
+    }
+  };
+
+  // Keep loading while the loaded options do not fill the dropdown
+  useEffect(() => {
+    if (combobox.dropdownOpened && hasMore && !loading && !loadError && data.length * itemHeight < maxDropdownHeight) {
+      onLoadMore();
+    }
+  }, [combobox.dropdownOpened, hasMore, loading, loadError, data.length, itemHeight, maxDropdownHeight, onLoadMore]);
+
+  // Reset the scroll window when the option list is replaced (e.g. a new search)
+  useEffect(() => {
+    if (data.length === 0) {
+      setScrollTop(0);
+      if (viewportRef.current) {
+        viewportRef.current.scrollTop = 0;
+      }
+    }
+  }, [data.length]);
+
+  const handleOptionSubmit = (optionValue) => {
+    onChange(optionValue);
+    combobox.closeDropdown();
+  };
+
+  const visibleOptions = data.slice(startIndex, endIndex).map((option, offset) => (
+    <Combobox.Option
+      key={option.value}
+      value={option.value}
+      active={option.value === value}
+      style={{
+        position: 'absolute',
+        top: (startIndex + offset) * itemHeight,
+        left: 0,
+        right: 0,
+        height: itemHeight,
+        display: 'flex',
+        alignItems: 'center',
+      }}
+    >
+      {option.label}
+    </Combobox.Option>
+  ));
+
+  let rightSection = <Combobox.Chevron />;
+  if (loading) {
+    rightSection = <Loader size="xs" />;
+  } else if (clearable && value && !disabled) {
+    rightSection = (
+      <Combobox.ClearButton
+        onClear={() => {
+          onChange(null);
+          onSearchChange('');
+        }}
+      />
+    );
+  }
+
+  return (
+    <Combobox store={combobox} onOptionSubmit={handleOptionSubmit} size={size}>
+      <Combobox.Target>
+        <InputBase
+          name={name}
+          label={label}
+          placeholder={placeholder}
+          required={required}
+          disabled={disabled}
+          size={size}
+          className={className}
+          style={style}
+          description={description}
+          withAsterisk={withAsterisk}
+          error={error}
+          value={combobox.dropdownOpened ? searchValue : selectedLabel}
+          onChange={(event) => {
+            onSearchChange(event.currentTarget.value);
+            combobox.openDropdown();
+            combobox.updateSelectedOptionIndex();
+          }}
+          onClick={() => combobox.openDropdown()}
+          onFocus={() => combobox.openDropdown()}
+          onBlur={() => {
+            combobox.closeDropdown();
+            if (onBlur) {
+              onBlur();
+            }
+          }}
+          rightSection={rightSection}
+          rightSectionPointerEvents={clearable && value && !loading ? 'all' : 'none'}
+          autoComplete="off"
+        />
+      </Combobox.Target>
+
+      <Combobox.Dropdown>
+        <Combobox.Options>
+          <div
+            ref={viewportRef}
+            onScroll={handleScroll}
+            style={{ maxHeight: maxDropdownHeight, overflowY: 'auto' }}
+            data-testid="paginated-select-viewport"
+          >
+            <div style={{ position: 'relative', height: data.length * itemHeight }}>
+              {visibleOptions}
+            </div>
+          </div>
+          {data.length === 0 && !loading && (
+            <Combobox.Empty>{nothingFoundMessage}</Combobox.Empty>
+          )}
+          {loading && <Combobox.Empty>{t('select.loading')}</Combobox.Empty>}
+        </Combobox.Options>
+      </Combobox.Dropdown>
+    </Combobox>
+  );
+};
+
+PaginatedSelect.propTypes = {
+  data: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  onBlur: PropTypes.func,
+  searchValue: PropTypes.string.isRequired,
+  onSearchChange: PropTypes.func.isRequired,
+  loading: PropTypes.bool,
+  hasMore: PropTypes.bool,
+  loadError: PropTypes.object,
+  onLoadMore: PropTypes.func.isRequired,
+  itemHeight: PropTypes.number,
+  maxDropdownHeight: PropTypes.number,
+  overscan: PropTypes.number,
+  clearable: PropTypes.bool,
+  nothingFoundMessage: PropTypes.node,
+  label: PropTypes.node,
+  placeholder: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.string,
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.node,
+  withAsterisk: PropTypes.bool,
+  error: PropTypes.node,
+  name: PropTypes.string,
+};
+
+export default PaginatedSelect;
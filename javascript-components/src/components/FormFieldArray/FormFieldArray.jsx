@@ -0,0 +1,311 @@
+import React, { useRef, useState, useEffect, useCallback } from 'react';
+import { Button, Group, Text, ActionIcon, Stack, Paper, Box } from '@mantine/core';
+import { IconPlus, IconTrash, IconGripVertical } from '@tabler/icons-react';
+import { FieldArray, useField, useFormikContext } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
+
+/**
+ * FormFieldArray - Repeatable rows of form components built on Formik FieldArray
+ *
+ * Features:
+ * - Renders a row template of existing Form* components for each array item
+ * - Add, remove and reorder rows (drag and drop or arrow keys on the handle)
+ * - Minimum and maximum row counts with validation messages
+ * - Nested field names (e.g. `addresses[2].city`) for touched/error display
+ * - Custom width override while maintaining Mantine size properties
+ *
+ * @example
+ * <FormFieldArray name="addresses" label="Addresses" emptyRow={{ street: '', city: '' }} minRows={1}>
+ *   {(rowName) => (
+ *     <>
+ *       <FormTextInput name={`${rowName}.street`} label="Street" />
+ *       <FormTextInput name={`${rowName}.city`} label="City" />
+ *     </>
+ *   )}
+ * </FormFieldArray>
+ */
+const FormFieldArray = ({
+  name,
+  label,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  height,
+  className = '',
+  style = {},
+  description,
+  withAsterisk,
+  children,
+  emptyRow = '',
+  minRows = 0,
+  maxRows,
+  minRowsMessage,
+  maxRowsMessage,
+  addLabel: addLabelProp,
+  reorderable = true,
+  spacing = 'sm',
+}) => {
+  const { t } = useTranslation();
+  const addLabel = addLabelProp ?? t('fieldArray.add');
+
+  // Field-level validation of the row count, merged with any schema errors
+  const validateRowCount = useCallback((rows) => {
+    const count = Array.isArray(rows) ? rows.length : 0;
+    if (count < minRows) {
+      return minRowsMessage || t('fieldArray.minRows', { count: minRows });
+    }
+    if (maxRows !== undefined && count > maxRows) {
+      return maxRowsMessage || t('fieldArray.maxRows', { count: maxRows });
+    }
+    return undefined;
+  }, [minRows, maxRows, minRowsMessage, maxRowsMessage, t]);
+
+  const [field, meta] = useField({ name, validate: validateRowCount });
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { submitCount } = useFormikContext();
+  const [dragIndex, setDragIndex] = useState(null);
+  const [focusIndex, setFocusIndex] = useState(null);
+  const handleRefs = useRef([]);
+  const [rowIds, setRowIds] = useState([]);
+  const nextRowIdRef = useRef(0);
+
+  const rows = Array.isArray(field.value) ? field.value : [];
+
+  const createRowId = () => `${name}-${nextRowIdRef.current++}`;
+
+  // Rows are keyed by a stable id so inputs keep their state when rows are
+  // removed or moved. The array helpers below keep the ids in step; rows that
+  // arrive from outside (initial values, resetForm, setFieldValue) are keyed
+  // with the ids the effect below assigns to them.
+  const getRowKey = (index) => rowIds[index] ?? `${name}-${nextRowIdRef.current + index - rowIds.length}`;
+
+  useEffect(() => {
+    if (rowIds.length === rows.length) return;
+
+    const ids = rowIds.slice(0, rows.length);
+    while (ids.length < rows.length) {
+      ids.push(`${name}-${nextRowIdRef.current++}`);
+    }
+    setRowIds(ids);
+  }, [name, rows.length, rowIds]);
+
+  // Only array-level errors (strings) belong to this component; row errors
+  // are displayed by the Form* components inside each row. Formik replaces
+  // the row count error with the row error array, so check it again here.
+  const arrayError = typeof meta.error === 'string'
+    ? meta.error
+    : (meta.error ? validateRowCount(rows) : undefined);
+  const hasError = arrayError && (submitCount > 0 || meta.touched === true);
+
+  const canAdd = !disabled && (maxRows === undefined || rows.length < maxRows);
+  const canRemove = !disabled && rows.length > minRows;
+
+  // Keep keyboard focus on the handle of a row after it has been moved
+  useEffect(() => {
+    if (focusIndex !== null && handleRefs.current[focusIndex]) {
+      handleRefs.current[focusIndex].focus();
+      setFocusIndex(null);
+    }
+  }, [focusIndex, field.value]);
+
+  const customStyle = {
+    ...style,
+    ...(width && { width }),
+    ...(height && { height }),
+  };
+
+  const createRow = () => (typeof emptyRow === 'function' ? emptyRow() : emptyRow);
+
+  return (
+    <FieldArray
+      name={name}
+      render={(formikHelpers) => {
+        // Keep the row ids in step with every change made through the helpers
+        const updateRowIds = (update) => {
+          setRowIds(current => {
+            const ids = [...current];
+            update(ids);
+            return ids;
+          });
+        };
+
+        const arrayHelpers = {
+          ...formikHelpers,
+          push: (value) => {
+            const id = createRowId();
+            updateRowIds(ids => ids.push(id));
+            formikHelpers.push(value);
+          },
+          unshift: (value) => {
+            const id = createRowId();
+            updateRowIds(ids => ids.unshift(id));
+            return formikHelpers.unshift(value);
+          },
+          insert: (index, value) => {
+            const id = createRowId();
+            updateRowIds(ids => ids.splice(index, 0, id));
+            formikHelpers.insert(index, value);
+          },
+          remove: (index) => {
+            updateRowIds(ids => ids.splice(index, 1));
+            return formikHelpers.remove(index);
+          },
+          pop: () => {
+            updateRowIds(ids => ids.pop());
+            return formikHelpers.pop();
+          },
+          move: (from, to) => {
+            updateRowIds(ids => ids.splice(to, 0, ...ids.splice(from, 1)));
+            formikHelpers.move(from, to);
+          },
+          swap: (indexA, indexB) => {
+            updateRowIds(ids => {
+              [ids[indexA], ids[indexB]] = [ids[indexB], ids[indexA]];
+            });
+            formikHelpers.swap(indexA, indexB);
+          },
+        };
+
+        const moveRow = (from, to) => {
+          if (to < 0 || to >= rows.length || from === to) return;
+          arrayHelpers.move(from, to);
+        };
+
+        const handleHandleKeyDown = (event, index) => {
+          if (event.key === 'ArrowUp' && index > 0) {
+            event.preventDefault();
+            moveRow(index, index - 1);
+            setFocusIndex(index - 1);
+          } else if (event.key === 'ArrowDown' && index < rows.length - 1) {
+            event.preventDefault();
+            moveRow(index, index + 1);
+            setFocusIndex(index + 1);
+          }
+        };
+
+        const handleDrop = (event, index) => {
+          event.preventDefault();
+          if (dragIndex !== null) {
+            moveRow(dragIndex, index);
+          }
+          setDragIndex(null);
+        };
+
+        return (
+          <Box className={className} style={customStyle}>
+            {label && (
+              <Text size="sm" fw={500} mb="xs">
+                {label}
+                {(withAsterisk || required) && <Text component="span" c="red"> *</Text>}
+              </Text>
+            )}
+
+            <Stack gap={spacing}>
+              {rows.map((row, index) => {
+                const rowName = `${name}[${index}]`;
+                const isReorderable = reorderable && !disabled && rows.length > 1;
+
+                return (
+                  <Paper
+                    key={getRowKey(index)}
+                    p="sm"
+                    withBorder
+                    data-testid={`${name}-row-${index}`}
+                    draggable={isReorderable}
+                    onDragStart={() => setDragIndex(index)}
+                    onDragOver={(event) => event.preventDefault()}
+                    onDrop={(event) => handleDrop(event, index)}
+                    onDragEnd={() => setDragIndex(null)}
+                    style={{ opacity: dragIndex === index ? 0.5 : 1 }}
+                  >
+                    <Group align="flex-start" gap="sm" wrap="nowrap">
+                      {isReorderable && (
+                        <ActionIcon
+                          ref={(el) => { handleRefs.current[index] = el; }}
+                          variant="subtle"
+                          color="gray"
+                          size={size}
+                          style={{ cursor: 'grab' }}
+                          onKeyDown={(event) => handleHandleKeyDown(event, index)}
+                          aria-label={t('fieldArray.reorder', { index: index + 1 })}
+                        >
+                          <IconGripVertical size={16} />
+                        </ActionIcon>
+                      )}
+                      <Box style={{ flex: 1 }}>
+                        {children(rowName, index, arrayHelpers)}
+                      </Box>
+                      <ActionIcon
+                        variant="subtle"
+                        color="red"
+                        size={size}
+                        onClick={() => arrayHelpers.remove(index)}
+                        disabled={!canRemove}
+                        aria-label={t('fieldArray.remove', { index: index + 1 })}
+                      >
+                        <IconTrash size={16} />
+                      </ActionIcon>
+                    </Group>
+                  </Paper>
+                );
+              })}
+
+              <Group>
+                <Button
+                  variant="light"
+                  size={size}
+                  leftSection={<IconPlus size={16} />}
+                  onClick={() => arrayHelpers.push(createRow())}
+                  disabled={!canAdd}
+                >
+                  {addLabel}
+                </Button>
+              </Group>
+            </Stack>
+
+            {hasError && (
+              <Text size="sm" c="red" mt={4}>
+                {arrayError}
+              </Text>
+            )}
+
+            {description && !hasError && (
+              <Text size="sm" c="dimmed" mt={4}>
+                {description}
+              </Text>
+            )}
+          </Box>
+        );
+      }}
+    />
+  );
+};
+
+FormFieldArray.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  height: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  withAsterisk: PropTypes.bool,
+  children: PropTypes.func.isRequired,
+  emptyRow: PropTypes.any,
+  minRows: PropTypes.number,
+  maxRows: PropTypes.number,
+  minRowsMessage: PropTypes.string,
+  maxRowsMessage: PropTypes.string,
+  addLabel: PropTypes.node,
+  reorderable: PropTypes.bool,
+  spacing: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+};
+
+export default FormFieldArray;
@@ -0,0 +1,237 @@
+import { useEffect } from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form, useFormikContext } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi } from 'vitest';
+import * as yup from 'yup';
+import FormFieldArray from './FormFieldArray';
+import FormTextInput from '../FormTextInput';
+
+const TestWrapper = ({ children, initialValues, validationSchema, onSubmit = vi.fn() }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} validationSchema={validationSchema} onSubmit={onSubmit}>
+      <Form>
+        {children}
+        <button type="submit">Submit</button>
+      </Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const renderRow = (rowName, index) => (
+  <FormTextInput name={`${rowName}.city`} label={`City ${index + 1}`} />
+);
+
+describe('FormFieldArray', () => {
+  it('renders a row template for each item', () => {
+    render(
+      <TestWrapper initialValues={{ addresses: [{ city: 'Paris' }, { city: 'Rome' }] }}>
+        <FormFieldArray name="addresses" label="Addresses">
+          {renderRow}
+        </FormFieldArray>
+      </TestWrapper>
+    );
+
+    expect(screen.getByText('Addresses')).toBeInTheDocument();
+    expect(screen.getByLabelText('City 1')).toHaveValue('Paris');
+    expect(screen.getByLabelText('City 2')).toHaveValue('Rome');
+  });
+
+  it('adds and removes rows', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ addresses: [{ city: 'Paris' }] }}>
+        <FormFieldArray name="addresses" emptyRow={{ city: '' }} addLabel="Add address">
+          {renderRow}
+        </FormFieldArray>
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Add address' }));
+    expect(screen.getByLabelText('City 2')).toHaveValue('');
+
+    await user.click(screen.getByRole('button', { name: 'Remove item 1' }));
+    await waitFor(() => {
+      expect(screen.queryByLabelText('City 2')).not.toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('City 1')).toHaveValue('');
+  });
+
+  it('enforces min and max row counts', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phones: [{ city: 'A' }] }}>
+        <FormFieldArray name="phones" emptyRow={{ city: '' }} minRows={1} maxRows={2}>
+          {renderRow}
+        </FormFieldArray>
+      </TestWrapper>
+    );
+
+    expect(screen.getByRole('button', { name: 'Remove item 1' })).toBeDisabled();
+
+    await user.click(screen.getByRole('button', { name: 'Add item' }));
+    expect(screen.getByRole('button', { name: 'Add item' })).toBeDisabled();
+  });
+
+  it('shows a validation message when there are too few rows', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    render(
+      <TestWrapper initialValues={{ addresses: [] }} onSubmit={onSubmit}>
+        <FormFieldArray name="addresses" minRows={1}>
+          {renderRow}
+        </FormFieldArray>
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Minimum 1 item required')).toBeInTheDocument();
+    });
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('displays errors for nested row fields', async () => {
+    const user = userEvent.setup();
+    const validationSchema = yup.object({
+      addresses: yup.array().of(yup.object({ city: yup.string().required('City is required') })),
+    });
+
+    render(
+      <TestWrapper
+        initialValues={{ addresses: [{ city: 'Paris' }, { city: '' }] }}
+        validationSchema={validationSchema}
+      >
+        <FormFieldArray name="addresses">{renderRow}</FormFieldArray>
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('City is required')).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('City 2')).toHaveAttribute('aria-invalid', 'true');
+    expect(screen.getByLabelText('City 1')).toHaveAttribute('aria-invalid', 'false');
+  });
+
+  it('reorders rows with the keyboard and by drag and drop', async () => {
+    render(
+      <TestWrapper initialValues={{ addresses: [{ city: 'Paris' }, { city: 'Rome' }, { city: 'Oslo' }] }}>
+        <FormFieldArray name="addresses">{renderRow}</FormFieldArray>
+      </TestWrapper>
+    );
+
+    fireEvent.keyDown(screen.getByRole('button', { name: /Reorder item 1/ }), { key: 'ArrowDown' });
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('City 1')).toHaveValue('Rome');
+    });
+    expect(screen.getByLabelText('City 2')).toHaveValue('Paris');
+    expect(screen.getByRole('button', { name: /Reorder item 2/ })).toHaveFocus();
+
+    fireEvent.dragStart(screen.getByTestId('addresses-row-2'));
+    fireEvent.dragOver(screen.getByTestId('addresses-row-0'));
+    fireEvent.drop(screen.getByTestId('addresses-row-0'));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('City 1')).toHaveValue('Oslo');
+    });
+    expect(screen.getByLabelText('City 2')).toHaveValue('Rome');
+    expect(screen.getByLabelText('City 3')).toHaveValue('Paris');
+  });
+
+  it('keeps row state with the row when rows are removed or moved', async () => {
+    // Uncontrolled inputs keep their DOM value, so a row keyed by index
+    // would show the removed row's value
+    const renderUncontrolledRow = (rowName, index, { form }) => (
+      <input aria-label={`Note ${index + 1}`} defaultValue={form.values.notes[index].text} />
+    );
+
+    render(
+      <TestWrapper initialValues={{ notes: [{ text: 'first' }, { text: 'second' }, { text: 'third' }] }}>
+        <FormFieldArray name="notes">{renderUncontrolledRow}</FormFieldArray>
+      </TestWrapper>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove item 1' }));
+
+    await waitFor(() => {
+      expect(screen.queryByLabelText('Note 3')).not.toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Note 1')).toHaveValue('second');
+    expect(screen.getByLabelText('Note 2')).toHaveValue('third');
+
+    fireEvent.keyDown(screen.getByRole('button', { name: /Reorder item 2/ }), { key: 'ArrowUp' });
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Note 1')).toHaveValue('third');
+    });
+    expect(screen.getByLabelText('Note 2')).toHaveValue('second');
+  });
+
+  it('shows the row count error alongside row errors', async () => {
+    const user = userEvent.setup();
+    const validationSchema = yup.object({
+      addresses: yup.array().of(yup.object({ city: yup.string().required('City is required') })),
+    });
+
+    render(
+      <TestWrapper initialValues={{ addresses: [{ city: '' }] }} validationSchema={validationSchema}>
+        <FormFieldArray name="addresses" minRows={2}>{renderRow}</FormFieldArray>
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('City is required')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Minimum 2 items required')).toBeInTheDocument();
+  });
+
+  it('keeps rows mounted while ids are assigned to rows loaded from outside', async () => {
+    const onMount = vi.fn();
+    const MountedRow = () => {
+      useEffect(() => {
+        onMount();
+      }, []);
+      return null;
+    };
+    const LoadButton = () => {
+      const { setFieldValue } = useFormikContext();
+      return (
+        <button type="button" onClick={() => setFieldValue('notes', [{}, {}, {}, {}])}>
+          Load
+        </button>
+      );
+    };
+
+    render(
+      <TestWrapper initialValues={{ notes: [{}, {}] }}>
+        <FormFieldArray name="notes">{() => <MountedRow />}</FormFieldArray>
+        <LoadButton />
+      </TestWrapper>
+    );
+
+    await waitFor(() => {
+      expect(onMount).toHaveBeenCalledTimes(2);
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load' }));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('notes-row-3')).toBeInTheDocument();
+    });
+    expect(onMount).toHaveBeenCalledTimes(4);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove item 1' }));
+
+    await waitFor(() => {
+      expect(screen.queryByTestId('notes-row-3')).not.toBeInTheDocument();
+    });
+    expect(onMount).toHaveBeenCalledTimes(4);
+  });
+});
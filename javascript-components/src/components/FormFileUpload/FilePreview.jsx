@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { Box } from '@mantine/core';
+import { IconFile, IconFileTypePdf } from '@tabler/icons-react';
+import PropTypes from 'prop-types';
+import { isImageFile, isPdfFile } from '../../utils/images.js';
+import { useTranslation } from '../../hooks/useTranslation';
+
+const canCreateObjectUrl = () => typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+
+/**
+ * FilePreview - Thumbnail for a file in the FormFileUpload list
+ *
+ * Used internally by FormFileUpload. Images are shown as thumbnails; PDFs and other
+ * files fall back to an icon, since embedding a PDF viewer per row is too heavy for
+ * a small thumbnail. `getPreview(file)` can supply a preview URL instead (e.g. a
+ * first page rendered with pdf.js).
+ */
+const FilePreview = ({ file, size = 40, getPreview }) => {
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const { t } = useTranslation();
+
+  // Create the preview URL for the file and release it when the file changes
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = null;
+    setFailed(false);
+    setPreviewUrl(null);
+
+    if (getPreview) {
+      Promise.resolve(getPreview(file))
+        .then((url) => {
+          if (!cancelled) setPreviewUrl(url || null);
+        })
+        .catch(() => {
+          if (!cancelled) setFailed(true);
+        });
+    } else if (isImageFile(file) && canCreateObjectUrl()) {
+      objectUrl = URL.createObjectURL(file);
+      setPreviewUrl(objectUrl);
+    }
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [file, getPreview]);
+
+  const frameStyle = {
+    width: size,
+    height: size,
+    flexShrink: 0,
+    overflow: 'hidden',
+    borderRadius: 'var(--mantine-radius-sm)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  };
+
+  if (!previewUrl || failed) {
+    const Icon = isPdfFile(file) ? IconFileTypePdf : IconFile;
+    return (
+      <Box style={frameStyle}>
+        <Icon size={Math.min(20, size)} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box style={frameStyle}>
+      <img
+        src={previewUrl}
+        alt={t('fileUpload.preview', { name: file.name })}
+        onError={() => setFailed(true)}
+        style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+      />
+    </Box>
+  );
+};
+
+FilePreview.propTypes = {
+  file: PropTypes.object.isRequired,
+  size: PropTypes.number,
+  getPreview: PropTypes.func,
+};
+
+export default FilePreview;
@@ -1,19 +1,72 @@
-import React, { useRef, useCallback } from 'react';
-import { Button, Group, Text, ActionIcon, Stack, Paper, Box } from '@mantine/core';
-import { IconUpload, IconX, IconFile } from '@tabler/icons-react';
+import React, { useRef, useState, useCallback, useEffect } from 'react';
+import { Button, Group, Text, ActionIcon, Stack, Paper, Box, Progress } from '@mantine/core';
+import { IconUpload, IconX, IconFile, IconPlayerStop, IconRefresh, IconCloudUpload } from '@tabler/icons-react';
 import PropTypes from 'prop-types';
-import { useField } from 'formik';
+import { useField, useFormikContext } from 'formik';
 import { useFileUpload } from '../../hooks/useFileUpload';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
+import { isDragAccepted, getFilesFromDataTransfer, getFilesFromClipboard, formatFileSize } from '../../utils/files.js';
+import { isResizableImage, resizeImage, cropImage } from '../../utils/images.js';
+import FilePreview from './FilePreview';
+import ImageCropDialog from './ImageCropDialog';
+
+const defaultGetFileReference = (response) => response;
+
+const getUploadStatusText = (upload, t) => {
+  switch (upload.status) {
+    case 'queued':
+      return t('fileUpload.queued');
+    case 'uploading':
+      return t('fileUpload.uploading', { progress: upload.progress });
+    case 'done':
+      return t('fileUpload.uploaded');
+    case 'failed':
+      return upload.error ? upload.error.message : t('fileUpload.failed');
+    default:
+      return t('fileUpload.notUploaded');
+  }
+};
+
+const uploadStatusColors = {
+  done: 'green',
+  failed: 'red',
+};
 
 /**
  * FormFileUpload component for file uploads with validation and file list display
  * Integrates with Formik and provides file management functionality
+ *
+ * With `uploadUrl`, each added file is sent to the endpoint with its progress, cancel
+ * and retry controls shown in the file list, and the Formik value holds the server's
+ * file references (`getFileReference(response, file)`) instead of `File` objects.
+ * While files are queued or uploading the field stays invalid, so the form cannot be
+ * submitted without them; `onUploadingChange(uploading)` reports that state.
+ * With `autoUpload={false}`, added files wait for the "Upload" button in the file
+ * list, and the field stays invalid until they have been sent.
+ * Set `chunked` to send large files in resumable chunks (see `uploadFileInChunks`).
+ *
+ * `variant="dropzone"` replaces the button with a drop area that highlights files
+ * being dragged over it, and turns red when their type is not accepted. Dropped
+ * folders are flattened into their files, and files pasted from the clipboard
+ * (e.g. screenshots) are added too. Every file still goes through `addFiles` validation.
+ *
+ * The file list shows thumbnails of images and an icon for other files. With
+ * `imageResize`, images are downscaled and re-encoded in the browser before they
+ * are added, and `cropAspectRatio` asks the user to crop each image first.
+ *
+ * `validateContent` checks `accept` against the bytes of each file rather than its
+ * name, rejecting files whose extension does not match their content, and
+ * `maxTotalSize` limits the combined size of all files.
+ *
+ * File sizes are formatted for the FormComponentsProvider locale, and the file list
+ * is laid out right to left for RTL locales.
  */
 const FormFileUpload = ({
   name,
   label,
   placeholder,
-  required = false,
+  required: requiredProp,
   disabled = false,
   size = 'sm',
   width,
@@ -22,17 +75,62 @@ const FormFileUpload = ({
   style = {},
   description,
   withAsterisk,
-  accept = '',
+  accept: acceptProp,
   multiple = false,
-  maxSize = 10 * 1024 * 1024, // 10MB default
-  maxFiles = 10,
-  uploadButtonText = 'Upload Files',
+  maxSize: maxSizeProp,
+  maxFiles: maxFilesProp,
+  maxTotalSize,
+  validateContent = false,
+  uploadButtonText: uploadButtonTextProp,
+  variant = 'button',
+  dropzoneText: dropzoneTextProp,
+  allowPaste = true,
   showFileList = true,
+  showPreviews = true,
+  previewSize = 40,
+  getPreview,
+  imageResize,
+  cropAspectRatio,
   onFilesChange,
+  uploadUrl,
+  uploadHeaders,
+  uploadFieldName = 'file',
+  autoUpload = true,
+  concurrency = 3,
+  chunked = false,
+  getFileReference = defaultGetFileReference,
+  onUploadSuccess,
+  onUploadError,
+  onUploadingChange,
   ...props
 }) => {
   const fileInputRef = useRef(null);
-  const [field, meta, helpers] = useField(name);
+  const uploadingRef = useRef(false);
+  const hasUnsentRef = useRef(false);
+  const { t, locale, dir } = useTranslation();
+
+  // Pending or unsent uploads keep the field invalid until their references are in the value
+  const validateUploads = useCallback(() => {
+    if (uploadingRef.current) return t('fileUpload.pending');
+    if (hasUnsentRef.current) return t('fileUpload.notSent');
+    return undefined;
+  }, [t]);
+
+  const [field, meta, helpers] = useField({ name, validate: uploadUrl ? validateUploads : undefined });
+  const { validateForm } = useFormikContext();
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const accept = acceptProp ?? constraints.accept ?? '';
+  const maxSize = maxSizeProp ?? constraints.maxSize ?? 10 * 1024 * 1024;
+  const maxFiles = maxFilesProp ?? constraints.maxFiles ?? 10;
+  const uploadButtonText = uploadButtonTextProp ?? t('fileUpload.button');
+  const dropzoneText = dropzoneTextProp ?? t('fileUpload.dropzone');
+  const uploadedResponsesRef = useRef([]);
+  const dragDepthRef = useRef(0);
+  const addFilesRef = useRef(null);
+  const [dragState, setDragState] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [cropRequest, setCropRequest] = useState(null);
   
   const hasError = meta.touched && meta.error;
   
@@ -46,36 +144,157 @@ const FormFileUpload = ({
   // Use the file upload hook for file management
   const {
     files,
+    uploads = [],
+    uploading = false,
+    validating,
     error: fileError,
     addFiles,
     removeFile,
+    uploadFiles,
+    cancelUpload,
+    retryUpload,
     getFileInfo,
     canAddMoreFiles,
     remainingSlots,
+    totalSize,
   } = useFileUpload({
     maxSize,
     maxFiles,
+    maxTotalSize,
     accept,
+    validateContent,
+    uploadUrl,
+    uploadHeaders,
+    fieldName: uploadFieldName,
+    autoUpload,
+    concurrency,
+    chunked,
+    onUploadSuccess,
+    onUploadError,
     onFilesChange: (newFiles) => {
-      // Update Formik field value
-      helpers.setValue(newFiles);
+      // In upload mode the field value holds server references, set once uploads finish
+      if (!uploadUrl) {
+        helpers.setValue(newFiles);
+      }
       if (onFilesChange) {
         onFilesChange(newFiles);
       }
     },
   });
 
+  // Files are prepared asynchronously; add them with the latest addFiles
+  addFilesRef.current = addFiles;
+
+  // Files added with autoUpload off wait for the upload button
+  const unsentCount = uploadUrl && !autoUpload
+    ? uploads.filter(upload => upload.status === 'idle').length
+    : 0;
+  const hasUnsent = unsentCount > 0;
+
+  // Revalidate when uploads start or settle so the form's validity follows them
+  useEffect(() => {
+    if (!uploadUrl || uploadingRef.current === uploading) return;
+
+    uploadingRef.current = uploading;
+    validateForm();
+    if (onUploadingChange) {
+      onUploadingChange(uploading);
+    }
+  }, [uploadUrl, uploading, validateForm, onUploadingChange]);
+
+  useEffect(() => {
+    if (hasUnsentRef.current === hasUnsent) return;
+
+    hasUnsentRef.current = hasUnsent;
+    validateForm();
+  }, [hasUnsent, validateForm]);
+
+  // Failed uploads are reported in the file list and through onUploadError
+  const handleStartUploads = useCallback(() => {
+    uploadFiles().catch(() => {});
+  }, [uploadFiles]);
+
+  // Open the crop dialog for a file; resolves with the crop area, or null when skipped
+  const requestCrop = useCallback((file) => new Promise((resolve) => {
+    setCropRequest({ file, resolve });
+  }), []);
+
+  const handleCropConfirm = useCallback((area) => {
+    cropRequest.resolve(area);
+    setCropRequest(null);
+  }, [cropRequest]);
+
+  const handleCropCancel = useCallback(() => {
+    cropRequest.resolve(null);
+    setCropRequest(null);
+  }, [cropRequest]);
+
+  // Crop and resize incoming images before they reach addFiles; other files pass straight through
+  const addIncomingFiles = useCallback((incomingFiles) => {
+    const fileArray = Array.from(incomingFiles);
+    const processesImages = Boolean(imageResize || cropAspectRatio);
+
+    if (!processesImages || !fileArray.some(isResizableImage)) {
+      addFiles(fileArray);
+      return;
+    }
+
+    setProcessing(true);
+    (async () => {
+      const preparedFiles = [];
+      for (const file of fileArray) {
+        if (!isResizableImage(file)) {
+          preparedFiles.push(file);
+          continue;
+        }
+
+        try {
+          if (cropAspectRatio) {
+            const area = await requestCrop(file);
+            if (area) {
+              preparedFiles.push(await cropImage(file, area, imageResize));
+            }
+          } else {
+            preparedFiles.push(await resizeImage(file, imageResize));
+          }
+        } catch {
+          // Keep the original when the browser cannot decode or encode the image
+          preparedFiles.push(file);
+        }
+      }
+
+      setProcessing(false);
+      if (preparedFiles.length > 0) {
+        addFilesRef.current(preparedFiles);
+      }
+    })();
+  }, [addFiles, imageResize, cropAspectRatio, requestCrop]);
+
+  // Keep the Formik value in sync with the references of finished uploads
+  useEffect(() => {
+    if (!uploadUrl) return;
+
+    const doneUploads = uploads.filter(upload => upload.status === 'done');
+    const previousResponses = uploadedResponsesRef.current;
+    const unchanged = doneUploads.length === previousResponses.length
+      && doneUploads.every((upload, index) => upload.response === previousResponses[index]);
+    if (unchanged) return;
+
+    uploadedResponsesRef.current = doneUploads.map(upload => upload.response);
+    helpers.setValue(doneUploads.map(upload => getFileReference(upload.response, upload.file)));
+  }, [uploads, uploadUrl, getFileReference, helpers]);
+
   // Handle file input change
   const handleFileInputChange = useCallback((event) => {
     const selectedFiles = event.target.files;
     if (selectedFiles && selectedFiles.length > 0) {
-      addFiles(selectedFiles);
+      addIncomingFiles(selectedFiles);
     }
     // Reset input value to allow selecting the same file again
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
-  }, [addFiles]);
+  }, [addIncomingFiles]);
 
   // Handle upload button click
   const handleUploadClick = useCallback(() => {
@@ -84,20 +303,115 @@ const FormFileUpload = ({
     }
   }, []);
 
+  const canDrop = canAddMoreFiles && !disabled;
+
+  // Track drags over the dropzone; the depth counter ignores enter/leave events of child elements
+  const handleDragEnter = useCallback((event) => {
+    event.preventDefault();
+    if (!canDrop) return;
+
+    dragDepthRef.current += 1;
+    setDragState(isDragAccepted(event.dataTransfer, accept) ? 'accept' : 'reject');
+  }, [canDrop, accept]);
+
+  const handleDragOver = useCallback((event) => {
+    event.preventDefault();
+    if (event.dataTransfer) {
+      event.dataTransfer.dropEffect = canDrop && isDragAccepted(event.dataTransfer, accept) ? 'copy' : 'none';
+    }
+  }, [canDrop, accept]);
+
+  const handleDragLeave = useCallback((event) => {
+    event.preventDefault();
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) {
+      setDragState(null);
+    }
+  }, []);
+
+  // Without `multiple` the file picker returns a single file; keep drops and pastes to one as well
+  const limitToSelection = useCallback(
+    (incomingFiles) => (multiple ? incomingFiles : incomingFiles.slice(0, 1)),
+    [multiple]
+  );
+
+  // Rejected drops still go through addFiles so the validation message is shown
+  const handleDrop = useCallback((event) => {
+    event.preventDefault();
+    dragDepthRef.current = 0;
+    setDragState(null);
+    if (!canDrop) return;
+
+    getFilesFromDataTransfer(event.dataTransfer).then((droppedFiles) => {
+      if (droppedFiles.length > 0) {
+        addIncomingFiles(limitToSelection(droppedFiles));
+      }
+    });
+  }, [canDrop, addIncomingFiles, limitToSelection]);
+
+  // Add files pasted while focus is inside the component
+  const handlePaste = useCallback((event) => {
+    if (!allowPaste || !canDrop) return;
+
+    const pastedFiles = getFilesFromClipboard(event.clipboardData);
+    if (pastedFiles.length > 0) {
+      event.preventDefault();
+      addIncomingFiles(limitToSelection(pastedFiles));
+    }
+  }, [allowPaste, canDrop, addIncomingFiles, limitToSelection]);
+
+  const handleDropzoneKeyDown = useCallback((event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      handleUploadClick();
+    }
+  }, [handleUploadClick]);
+
   // Handle file removal
   const handleRemoveFile = useCallback((index) => {
     removeFile(index);
   }, [removeFile]);
 
+  // Render upload progress, status and cancel/retry controls for a file
+  const renderUploadStatus = useCallback((upload, fileName, index) => (
+    <>
+      {(upload.status === 'uploading' || upload.status === 'queued') && (
+        <ActionIcon
+          variant="subtle"
+          color="gray"
+          size="sm"
+          onClick={() => cancelUpload(index)}
+          aria-label={t('fileUpload.cancel', { name: fileName })}
+        >
+          <IconPlayerStop size={16} />
+        </ActionIcon>
+      )}
+      {upload.status === 'failed' && (
+        <ActionIcon
+          variant="subtle"
+          color="blue"
+          size="sm"
+          onClick={() => retryUpload(index)}
+          aria-label={t('fileUpload.retry', { name: fileName })}
+        >
+          <IconRefresh size={16} />
+        </ActionIcon>
+      )}
+    </>
+  ), [cancelUpload, retryUpload, t]);
+
   // Render file list item
   const renderFileItem = useCallback((file, index) => {
     const fileInfo = getFileInfo(file);
+    const upload = uploadUrl ? uploads[index] : null;
     
     return (
       <Paper key={`${file.name}-${index}`} p="sm" withBorder>
         <Group justify="space-between" align="center">
           <Group align="center" gap="sm">
-            <IconFile size={20} />
+            {showPreviews
+              ? <FilePreview file={file} size={previewSize} getPreview={getPreview} />
+              : <IconFile size={20} />}
             <Box>
               <Text size="sm" fw={500} truncate style={{ maxWidth: 200 }}>
                 {fileInfo.name}
@@ -105,24 +419,63 @@ const FormFileUpload = ({
               <Text size="xs" c="dimmed">
                 {fileInfo.formattedSize}
               </Text>
+              {upload && (
+                <Text size="xs" c={uploadStatusColors[upload.status] || 'dimmed'}>
+                  {getUploadStatusText(upload, t)}
+                </Text>
+              )}
             </Box>
           </Group>
-          <ActionIcon
-            variant="subtle"
-            color="red"
-            size="sm"
-            onClick={() => handleRemoveFile(index)}
-            aria-label={`Remove ${fileInfo.name}`}
-          >
-            <IconX size={16} />
-          </ActionIcon>
+          <Group gap={4}>
+            {upload && renderUploadStatus(upload, fileInfo.name, index)}
+            <ActionIcon
+              variant="subtle"
+              color="red"
+              size="sm"
+              onClick={() => handleRemoveFile(index)}
+              aria-label={t('fileUpload.remove', { name: fileInfo.name })}
+            >
+              <IconX size={16} />
+            </ActionIcon>
+          </Group>
         </Group>
+        {upload && upload.status !== 'idle' && (
+          <Progress
+            value={upload.progress}
+            color={uploadStatusColors[upload.status] || 'blue'}
+            size="xs"
+            mt="xs"
+            aria-label={t('fileUpload.progress', { name: fileInfo.name })}
+          />
+        )}
       </Paper>
     );
-  }, [getFileInfo, handleRemoveFile]);
+  }, [getFileInfo, handleRemoveFile, uploadUrl, uploads, renderUploadStatus, showPreviews, previewSize, getPreview, t]);
+
+  let dropzoneBorderColor = 'var(--mantine-color-gray-4)';
+  let dropzoneBackground;
+  if (dragState === 'accept') {
+    dropzoneBorderColor = 'var(--mantine-color-blue-6)';
+    dropzoneBackground = 'var(--mantine-color-blue-light)';
+  } else if (dragState === 'reject') {
+    dropzoneBorderColor = 'var(--mantine-color-red-6)';
+    dropzoneBackground = 'var(--mantine-color-red-light)';
+  }
+
+  const limitText = !canAddMoreFiles
+    ? (
+      <Text size="sm" c="orange">
+        {t('fileUpload.maxFiles', { max: maxFiles })}
+      </Text>
+    )
+    : remainingSlots < maxFiles && (
+      <Text size="sm" c="dimmed">
+        {t('fileUpload.remaining', { count: remainingSlots })}
+      </Text>
+    );
 
   return (
-    <Box className={className} style={customStyle}>
+    <Box className={className} style={customStyle} dir={dir} onPaste={handlePaste}>
       {label && (
         <Text size="sm" fw={500} mb="xs">
           {label}
@@ -141,29 +494,75 @@ const FormFileUpload = ({
       />
       
       <Stack gap="sm">
-        <Group align="center" gap="sm">
-          <Button
-            leftSection={<IconUpload size={16} />}
-            onClick={handleUploadClick}
-            disabled={!canAddMoreFiles || disabled}
-            variant="light"
-            size={size}
-          >
-            {uploadButtonText}
-          </Button>
-          
-          {!canAddMoreFiles && (
-            <Text size="sm" c="orange">
-              Maximum {maxFiles} files allowed
-            </Text>
-          )}
-          
-          {canAddMoreFiles && remainingSlots < maxFiles && (
-            <Text size="sm" c="dimmed">
-              {remainingSlots} more file{remainingSlots !== 1 ? 's' : ''} allowed
-            </Text>
-          )}
-        </Group>
+        {variant === 'dropzone' ? (
+          <>
+            <Paper
+              withBorder
+              p="xl"
+              radius="md"
+              role="button"
+              tabIndex={canDrop ? 0 : -1}
+              aria-disabled={!canDrop}
+              aria-label={dropzoneText}
+              data-drag-state={dragState || undefined}
+              onClick={canDrop ? handleUploadClick : undefined}
+              onKeyDown={canDrop ? handleDropzoneKeyDown : undefined}
+              onDragEnter={handleDragEnter}
+              onDragOver={handleDragOver}
+              onDragLeave={handleDragLeave}
+              onDrop={handleDrop}
+              style={{
+                borderStyle: 'dashed',
+                borderWidth: 2,
+                borderColor: dropzoneBorderColor,
+                backgroundColor: dropzoneBackground,
+                cursor: canDrop ? 'pointer' : 'not-allowed',
+                opacity: canDrop ? 1 : 0.6,
+              }}
+            >
+              <Stack align="center" gap={4}>
+                {dragState === 'reject'
+                  ? <IconX size={32} color="var(--mantine-color-red-6)" />
+                  : <IconCloudUpload size={32} color="var(--mantine-color-dimmed)" />}
+                <Text size={size} fw={500} ta="center">
+                  {dragState === 'reject' ? t('fileUpload.rejected') : dropzoneText}
+                </Text>
+                {accept && (
+                  <Text size="xs" c="dimmed" ta="center">
+                    {t('fileUpload.accepted', { accept })}
+                  </Text>
+                )}
+              </Stack>
+            </Paper>
+            {limitText}
+          </>
+        ) : (
+          <Group align="center" gap="sm">
+            <Button
+              leftSection={<IconUpload size={16} />}
+              onClick={handleUploadClick}
+              disabled={!canAddMoreFiles || disabled}
+              variant="light"
+              size={size}
+            >
+              {uploadButtonText}
+            </Button>
+            
+            {limitText}
+          </Group>
+        )}
+
+        {processing && (
+          <Text size="sm" c="dimmed">
+            {t('fileUpload.processing')}
+          </Text>
+        )}
+
+        {validating && (
+          <Text size="sm" c="dimmed">
+            {t('fileUpload.checking')}
+          </Text>
+        )}
 
         {fileError && (
           <Text size="sm" c="red">
@@ -173,9 +572,27 @@ const FormFileUpload = ({
 
         {showFileList && files.length > 0 && (
           <Stack gap="xs">
-            <Text size="sm" fw={500}>
-              Attached Files ({files.length})
-            </Text>
+            <Group justify="space-between" align="center">
+              <Text size="sm" fw={500}>
+                {t('fileUpload.attached', { count: files.length })}
+              </Text>
+              {hasUnsent && (
+                <Button
+                  leftSection={<IconUpload size={14} />}
+                  onClick={handleStartUploads}
+                  disabled={disabled}
+                  variant="light"
+                  size="xs"
+                >
+                  {t('fileUpload.start', { count: unsentCount })}
+                </Button>
+              )}
+              {maxTotalSize > 0 && totalSize !== undefined && (
+                <Text size="xs" c="dimmed">
+                  {t('fileUpload.totalUsed', { used: formatFileSize(totalSize, locale), max: formatFileSize(maxTotalSize, locale) })}
+                </Text>
+              )}
+            </Group>
             {files.map((file, index) => renderFileItem(file, index))}
           </Stack>
         )}
@@ -192,6 +609,15 @@ const FormFileUpload = ({
           {description}
         </Text>
       )}
+
+      {cropAspectRatio && (
+        <ImageCropDialog
+          file={cropRequest ? cropRequest.file : null}
+          aspectRatio={cropAspectRatio}
+          onConfirm={handleCropConfirm}
+          onCancel={handleCropCancel}
+        />
+      )}
     </Box>
   );
 };
@@ -202,9 +628,34 @@ FormFileUpload.propTypes = {
   multiple: PropTypes.bool,
   maxSize: PropTypes.number,
   maxFiles: PropTypes.number,
+  maxTotalSize: PropTypes.number,
+  validateContent: PropTypes.bool,
   uploadButtonText: PropTypes.string,
+  variant: PropTypes.oneOf(['button', 'dropzone']),
+  dropzoneText: PropTypes.string,
+  allowPaste: PropTypes.bool,
   showFileList: PropTypes.bool,
+  showPreviews: PropTypes.bool,
+  previewSize: PropTypes.number,
+  getPreview: PropTypes.func,
+  imageResize: PropTypes.shape({
+    maxWidth: PropTypes.number,
+    maxHeight: PropTypes.number,
+    quality: PropTypes.number,
+    format: PropTypes.oneOf(['image/jpeg', 'image/png', 'image/webp']),
+  }),
+  cropAspectRatio: PropTypes.number,
   onFilesChange: PropTypes.func,
+  uploadUrl: PropTypes.string,
+  uploadHeaders: PropTypes.object,
+  uploadFieldName: PropTypes.string,
+  autoUpload: PropTypes.bool,
+  concurrency: PropTypes.number,
+  chunked: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
+  getFileReference: PropTypes.func,
+  onUploadSuccess: PropTypes.func,
+  onUploadError: PropTypes.func,
+  onUploadingChange: PropTypes.func,
   label: PropTypes.string,
   placeholder: PropTypes.string,
   required: PropTypes.bool,
@@ -1,9 +1,10 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
-import { Formik, Form } from 'formik';
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react';
+import { Formik, Form, useFormikContext } from 'formik';
 import { MantineProvider } from '@mantine/core';
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import FormFileUpload from './FormFileUpload';
+import FormComponentsProvider from '../FormComponentsProvider';
 
 // Mock the useFileUpload hook
 vi.mock('../../hooks/useFileUpload', () => ({
@@ -30,6 +31,29 @@ const TestWrapper = ({ children, initialValues = {} }) => (
   </MantineProvider>
 );
 
+const ValuesDisplay = () => {
+  const { values } = useFormikContext();
+  return <div data-testid="form-values">{JSON.stringify(values)}</div>;
+};
+
+const mockUploadHook = (overrides = {}) => ({
+  files: [],
+  uploads: [],
+  error: null,
+  addFiles: vi.fn(),
+  removeFile: vi.fn(),
+  cancelUpload: vi.fn(),
+  retryUpload: vi.fn(),
+  getFileInfo: vi.fn((file) => ({
+    name: file.name,
+    size: file.size,
+    formattedSize: '1.5 KB',
+  })),
+  canAddMoreFiles: true,
+  remainingSlots: 10,
+  ...overrides,
+});
+
 describe('FormFileUpload', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -345,4 +369,585 @@ describe('FormFileUpload', () => {
     // The component should render without errors
     expect(screen.getByRole('button', { name: /upload files/i })).toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  it('passes content and total size limits to the hook and shows their state', async () => {
+    const files = [new File(['a'], 'scan.pdf', { type: 'application/pdf' })];
+    const { useFileUpload } = await import('../../hooks/useFileUpload');
+    useFileUpload.mockReturnValue(mockUploadHook({
+      files,
+      validating: true,
+      totalSize: 3 * 1024 * 1024,
+      remainingSlots: 9,
+    }));
+
+    render(
+      <TestWrapper>
+        <FormFileUpload name="files" accept=".pdf" validateContent maxTotalSize={10 * 1024 * 1024} />
+      </TestWrapper>
+    );
+
+    expect(useFileUpload).toHaveBeenCalledWith(expect.objectContaining({
+      validateContent: true,
+      maxTotalSize: 10 * 1024 * 1024,
+    }));
+    expect(screen.getByText('Checking files...')).toBeInTheDocument();
+    expect(screen.getByText('3 MB of 10 MB used')).toBeInTheDocument();
+  });
+
+  it('formats sizes for German and lays out Arabic right to left', async () => {
+    const files = [new File(['a'], 'scan.pdf', { type: 'application/pdf' })];
+    const { useFileUpload } = await import('../../hooks/useFileUpload');
+    useFileUpload.mockReturnValue(mockUploadHook({ files, totalSize: 2.5 * 1024 * 1024 }));
+
+    const { container } = render(
+      <FormComponentsProvider locale="de">
+        <TestWrapper>
+          <FormFileUpload name="files" maxTotalSize={10 * 1024 * 1024} />
+        </TestWrapper>
+      </FormComponentsProvider>
+    );
+
+    expect(screen.getByText('2,5 MB von 10 MB belegt')).toBeInTheDocument();
+    expect(container.querySelector('[dir="ltr"]')).toHaveTextContent('scan.pdf');
+    cleanup();
+
+    const { container: arabic } = render(
+      <FormComponentsProvider locale="ar-EG">
+        <TestWrapper>
+          <FormFileUpload name="files" maxTotalSize={10 * 1024 * 1024} />
+        </TestWrapper>
+      </FormComponentsProvider>
+    );
+
+    expect(screen.getByText('٢٫٥ MB of ١٠ MB used')).toBeInTheDocument();
+    expect(arabic.querySelector('[dir="rtl"]')).toHaveTextContent('scan.pdf');
+  });
+
+  describe('Upload Mode', () => {
+    const report = new File(['report'], 'report.pdf', { type: 'application/pdf' });
+    const photo = new File(['photo'], 'photo.jpg', { type: 'image/jpeg' });
+
+    it('passes the upload options to the hook', async () => {
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook());
+
+      render(
+        <TestWrapper>
+          <FormFileUpload
+            name="files"
+            uploadUrl="/api/files"
+            uploadHeaders={{ 'X-Folder': 'docs' }}
+            uploadFieldName="document"
+            concurrency={2}
+          />
+        </TestWrapper>
+      );
+
+      expect(useFileUpload).toHaveBeenCalledWith(expect.objectContaining({
+        uploadUrl: '/api/files',
+        uploadHeaders: { 'X-Folder': 'docs' },
+        fieldName: 'document',
+        autoUpload: true,
+        concurrency: 2,
+      }));
+    });
+
+    it('shows progress and status for each file', async () => {
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({
+        files: [report, photo],
+        uploads: [
+          { file: report, status: 'uploading', progress: 40, response: null, error: null },
+          { file: photo, status: 'failed', progress: 0, response: null, error: new Error('Upload failed! status: 500') },
+        ],
+      }));
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" uploadUrl="/api/files" />
+        </TestWrapper>
+      );
+
+      expect(screen.getByText('Uploading 40%')).toBeInTheDocument();
+      expect(screen.getByText('Upload failed! status: 500')).toBeInTheDocument();
+      expect(screen.getByRole('progressbar', { name: 'Upload progress of report.pdf' }))
+        .toHaveAttribute('aria-valuenow', '40');
+    });
+
+    it('cancels running uploads and retries failed ones', async () => {
+      const cancelUpload = vi.fn();
+      const retryUpload = vi.fn();
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({
+        files: [report, photo],
+        uploads: [
+          { file: report, status: 'uploading', progress: 10, response: null, error: null },
+          { file: photo, status: 'failed', progress: 0, response: null, error: new Error('Upload cancelled') },
+        ],
+        cancelUpload,
+        retryUpload,
+      }));
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" uploadUrl="/api/files" />
+        </TestWrapper>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Cancel upload of report.pdf' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Retry upload of photo.jpg' }));
+
+      expect(cancelUpload).toHaveBeenCalledWith(0);
+      expect(retryUpload).toHaveBeenCalledWith(1);
+      expect(screen.queryByRole('button', { name: 'Retry upload of report.pdf' })).not.toBeInTheDocument();
+    });
+
+    it('stores the server references of finished uploads as the field value', async () => {
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({
+        files: [report, photo],
+        uploads: [
+          { file: report, status: 'done', progress: 100, response: { id: 'f1', url: '/files/f1' }, error: null },
+          { file: photo, status: 'uploading', progress: 50, response: null, error: null },
+        ],
+      }));
+
+      render(
+        <TestWrapper>
+          <FormFileUpload
+            name="files"
+            uploadUrl="/api/files"
+            getFileReference={(response, file) => ({ id: response.id, name: file.name })}
+          />
+          <ValuesDisplay />
+        </TestWrapper>
+      );
+
+      await waitFor(() => {
+        expect(JSON.parse(screen.getByTestId('form-values').textContent)).toEqual({
+          files: [{ id: 'f1', name: 'report.pdf' }],
+        });
+      });
+      expect(screen.getByText('Uploaded')).toBeInTheDocument();
+    });
+
+    it('keeps the form from submitting while uploads are pending', async () => {
+      const onSubmit = vi.fn();
+      const onUploadingChange = vi.fn();
+      const uploadForm = () => (
+        <MantineProvider>
+          <Formik initialValues={{ files: [] }} onSubmit={onSubmit}>
+            <Form>
+              <FormFileUpload name="files" uploadUrl="/api/files" onUploadingChange={onUploadingChange} />
+              <button type="submit">Save</button>
+            </Form>
+          </Formik>
+        </MantineProvider>
+      );
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({
+        files: [report],
+        uploads: [{ file: report, status: 'uploading', progress: 30, response: null, error: null }],
+        uploading: true,
+      }));
+
+      const { rerender } = render(uploadForm());
+
+      expect(onUploadingChange).toHaveBeenCalledWith(true);
+      fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+      expect(await screen.findByText('Wait until the uploads have finished')).toBeInTheDocument();
+      expect(onSubmit).not.toHaveBeenCalled();
+
+      useFileUpload.mockReturnValue(mockUploadHook({
+        files: [report],
+        uploads: [{ file: report, status: 'done', progress: 100, response: { id: 'f1' }, error: null }],
+        uploading: false,
+      }));
+      rerender(uploadForm());
+
+      await waitFor(() => {
+        expect(screen.queryByText('Wait until the uploads have finished')).not.toBeInTheDocument();
+      });
+      expect(onUploadingChange).toHaveBeenLastCalledWith(false);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+      await waitFor(() => {
+        expect(onSubmit).toHaveBeenCalledWith({ files: [{ id: 'f1' }] }, expect.anything());
+      });
+    });
+  });
+
+  describe('Manual Upload', () => {
+    const report = new File(['report'], 'report.pdf', { type: 'application/pdf' });
+
+    it('uploads files added with autoUpload off from the file list', async () => {
+      const onSubmit = vi.fn();
+      const uploadFiles = vi.fn(() => Promise.resolve([]));
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({
+        files: [report],
+        uploads: [{ file: report, status: 'idle', progress: 0, response: null, error: null }],
+        uploadFiles,
+      }));
+
+      render(
+        <MantineProvider>
+          <Formik initialValues={{ files: [] }} onSubmit={onSubmit}>
+            <Form>
+              <FormFileUpload name="files" uploadUrl="/api/files" autoUpload={false} />
+              <button type="submit">Save</button>
+            </Form>
+          </Formik>
+        </MantineProvider>
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+      expect(await screen.findByText('Upload the selected files before submitting')).toBeInTheDocument();
+      expect(onSubmit).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Upload 1 file' }));
+      expect(uploadFiles).toHaveBeenCalled();
+    });
+
+    it('does not show the upload button when uploads start automatically', async () => {
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({
+        files: [report],
+        uploads: [{ file: report, status: 'queued', progress: 0, response: null, error: null }],
+      }));
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" uploadUrl="/api/files" />
+        </TestWrapper>
+      );
+
+      expect(screen.queryByRole('button', { name: 'Upload 1 file' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Dropzone Mode', () => {
+    const image = new File(['image'], 'photo.png', { type: 'image/png' });
+
+    const dataTransferFor = (files) => ({
+      files,
+      items: files.map(file => ({ kind: 'file', type: file.type })),
+      types: ['Files'],
+    });
+
+    it('renders a dropzone instead of the upload button', async () => {
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook());
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" variant="dropzone" accept="image/*" />
+        </TestWrapper>
+      );
+
+      expect(screen.getByRole('button', { name: 'Drag files here or click to browse' })).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /upload files/i })).not.toBeInTheDocument();
+      expect(screen.getByText('Accepted: image/*')).toBeInTheDocument();
+    });
+
+    it('highlights accepted and rejected drags', async () => {
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook());
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" variant="dropzone" accept="image/*" />
+        </TestWrapper>
+      );
+
+      const dropzone = screen.getByRole('button', { name: 'Drag files here or click to browse' });
+
+      fireEvent.dragEnter(dropzone, { dataTransfer: dataTransferFor([image]) });
+      expect(dropzone).toHaveAttribute('data-drag-state', 'accept');
+
+      fireEvent.dragLeave(dropzone);
+      expect(dropzone).not.toHaveAttribute('data-drag-state');
+
+      const archive = new File(['zip'], 'archive.zip', { type: 'application/zip' });
+      fireEvent.dragEnter(dropzone, { dataTransfer: dataTransferFor([archive]) });
+      expect(dropzone).toHaveAttribute('data-drag-state', 'reject');
+      expect(screen.getByText('These files are not accepted')).toBeInTheDocument();
+    });
+
+    it('adds dropped files through addFiles', async () => {
+      const addFiles = vi.fn();
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ addFiles }));
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" variant="dropzone" />
+        </TestWrapper>
+      );
+
+      const dropzone = screen.getByRole('button', { name: 'Drag files here or click to browse' });
+      fireEvent.drop(dropzone, { dataTransfer: dataTransferFor([image]) });
+
+      await waitFor(() => {
+        expect(addFiles).toHaveBeenCalledWith([image]);
+      });
+      expect(dropzone).not.toHaveAttribute('data-drag-state');
+    });
+
+    it('ignores drops when disabled', async () => {
+      const addFiles = vi.fn();
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ addFiles }));
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" variant="dropzone" disabled />
+        </TestWrapper>
+      );
+
+      const dropzone = screen.getByRole('button', { name: 'Drag files here or click to browse' });
+      fireEvent.drop(dropzone, { dataTransfer: dataTransferFor([image]) });
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(addFiles).not.toHaveBeenCalled();
+      expect(dropzone).toHaveAttribute('aria-disabled', 'true');
+    });
+
+    it('adds pasted images', async () => {
+      const addFiles = vi.fn();
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ addFiles }));
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" variant="dropzone" />
+        </TestWrapper>
+      );
+
+      fireEvent.paste(screen.getByRole('button', { name: 'Drag files here or click to browse' }), {
+        clipboardData: { items: [{ kind: 'file', type: 'image/png', getAsFile: () => image }] },
+      });
+
+      expect(addFiles).toHaveBeenCalledWith([image]);
+    });
+
+    it('keeps only the first dropped or pasted file without multiple', async () => {
+      const addFiles = vi.fn();
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ addFiles }));
+      const second = new File(['second'], 'second.png', { type: 'image/png' });
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" variant="dropzone" multiple={false} />
+        </TestWrapper>
+      );
+
+      const dropzone = screen.getByRole('button', { name: 'Drag files here or click to browse' });
+      fireEvent.drop(dropzone, { dataTransfer: dataTransferFor([image, second]) });
+
+      await waitFor(() => {
+        expect(addFiles).toHaveBeenCalledWith([image]);
+      });
+
+      fireEvent.paste(dropzone, {
+        clipboardData: {
+          items: [
+            { kind: 'file', type: 'image/png', getAsFile: () => second },
+            { kind: 'file', type: 'image/png', getAsFile: () => image },
+          ],
+        },
+      });
+
+      expect(addFiles).toHaveBeenLastCalledWith([second]);
+    });
+
+    it('adds every dropped file with multiple', async () => {
+      const addFiles = vi.fn();
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ addFiles }));
+      const second = new File(['second'], 'second.png', { type: 'image/png' });
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" variant="dropzone" multiple />
+        </TestWrapper>
+      );
+
+      fireEvent.drop(screen.getByRole('button', { name: 'Drag files here or click to browse' }), {
+        dataTransfer: dataTransferFor([image, second]),
+      });
+
+      await waitFor(() => {
+        expect(addFiles).toHaveBeenCalledWith([image, second]);
+      });
+    });
+
+    it('opens the file dialog with the keyboard', async () => {
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook());
+
+      const { container } = render(
+        <TestWrapper>
+          <FormFileUpload name="files" variant="dropzone" />
+        </TestWrapper>
+      );
+
+      const fileInput = container.querySelector('input[type="file"]');
+      const clickSpy = vi.spyOn(fileInput, 'click');
+
+      fireEvent.keyDown(screen.getByRole('button', { name: 'Drag files here or click to browse' }), { key: 'Enter' });
+
+      expect(clickSpy).toHaveBeenCalled();
+    });
+  });
+
+  describe('Previews, Resize and Crop', () => {
+    const originalCreateObjectURL = URL.createObjectURL;
+    const originalRevokeObjectURL = URL.revokeObjectURL;
+    const originalCreateImageBitmap = globalThis.createImageBitmap;
+    let getContextSpy;
+    let toBlobSpy;
+    let drawImage;
+
+    const photo = new File(['raw'], 'IMG_0001.jpg', { type: 'image/jpeg' });
+
+    const selectFiles = (container, files) => {
+      const fileInput = container.querySelector('input[type="file"]');
+      Object.defineProperty(fileInput, 'files', { value: files, configurable: true });
+      fireEvent.change(fileInput);
+    };
+
+    beforeEach(() => {
+      URL.createObjectURL = vi.fn(() => 'blob:preview');
+      URL.revokeObjectURL = vi.fn();
+      globalThis.createImageBitmap = vi.fn(async () => ({ width: 4000, height: 3000, close: vi.fn() }));
+      drawImage = vi.fn();
+      getContextSpy = vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage });
+      toBlobSpy = vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(function toBlob(callback, type) {
+        callback(new Blob(['encoded'], { type }));
+      });
+    });
+
+    afterEach(() => {
+      // Unmount first so previews can release their object URLs
+      cleanup();
+      URL.createObjectURL = originalCreateObjectURL;
+      URL.revokeObjectURL = originalRevokeObjectURL;
+      globalThis.createImageBitmap = originalCreateImageBitmap;
+      getContextSpy.mockRestore();
+      toBlobSpy.mockRestore();
+    });
+
+    it('shows thumbnails for images and an icon for PDFs', async () => {
+      const scan = new File(['%PDF'], 'receipt.pdf', { type: 'application/pdf' });
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ files: [photo, scan] }));
+
+      const { container } = render(
+        <TestWrapper>
+          <FormFileUpload name="files" />
+        </TestWrapper>
+      );
+
+      expect(screen.getByAltText('Preview of IMG_0001.jpg')).toHaveAttribute('src', 'blob:preview');
+      expect(screen.queryByLabelText('Preview of receipt.pdf')).not.toBeInTheDocument();
+      expect(container.querySelector('object')).not.toBeInTheDocument();
+      expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+      expect(URL.createObjectURL).toHaveBeenCalledWith(photo);
+    });
+
+    it('uses getPreview when provided', async () => {
+      const getPreview = vi.fn(async () => 'data:image/png;base64,page1');
+      const scan = new File(['%PDF'], 'receipt.pdf', { type: 'application/pdf' });
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ files: [scan] }));
+
+      render(
+        <TestWrapper>
+          <FormFileUpload name="files" getPreview={getPreview} />
+        </TestWrapper>
+      );
+
+      expect(await screen.findByAltText('Preview of receipt.pdf')).toHaveAttribute('src', 'data:image/png;base64,page1');
+      expect(getPreview).toHaveBeenCalledWith(scan);
+    });
+
+    it('downscales images before adding them', async () => {
+      const addFiles = vi.fn();
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ addFiles }));
+      const notes = new File(['notes'], 'notes.txt', { type: 'text/plain' });
+
+      const { container } = render(
+        <TestWrapper>
+          <FormFileUpload name="files" imageResize={{ maxWidth: 1600, maxHeight: 1600, format: 'image/webp' }} />
+        </TestWrapper>
+      );
+
+      selectFiles(container, [photo, notes]);
+
+      await waitFor(() => {
+        expect(addFiles).toHaveBeenCalledTimes(1);
+      });
+
+      const [added] = addFiles.mock.calls[0];
+      expect(added[0].name).toBe('IMG_0001.webp');
+      expect(added[0].type).toBe('image/webp');
+      expect(added[1]).toBe(notes);
+      expect(drawImage).toHaveBeenCalledWith(expect.any(Object), 0, 0, 4000, 3000, 0, 0, 1600, 1200);
+    });
+
+    it('asks for a crop before adding images', async () => {
+      const addFiles = vi.fn();
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ addFiles }));
+
+      const { container } = render(
+        <TestWrapper>
+          <FormFileUpload name="files" cropAspectRatio={1} imageResize={{ maxWidth: 512 }} />
+        </TestWrapper>
+      );
+
+      selectFiles(container, [photo]);
+
+      const image = await screen.findByAltText('Image to crop: IMG_0001.jpg');
+      Object.defineProperty(image, 'naturalWidth', { value: 4000 });
+      Object.defineProperty(image, 'naturalHeight', { value: 3000 });
+      fireEvent.load(image);
+
+      fireEvent.keyDown(screen.getByTestId('crop-area'), { key: 'ArrowLeft' });
+      fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+
+      await waitFor(() => {
+        expect(addFiles).toHaveBeenCalledTimes(1);
+      });
+      expect(addFiles.mock.calls[0][0][0].type).toBe('image/jpeg');
+      expect(drawImage).toHaveBeenCalledWith(expect.any(Object), 420, 0, 3000, 3000, 0, 0, 512, 512);
+    });
+
+    it('skips images whose crop is cancelled', async () => {
+      const addFiles = vi.fn();
+      const { useFileUpload } = await import('../../hooks/useFileUpload');
+      useFileUpload.mockReturnValue(mockUploadHook({ addFiles }));
+
+      const { container } = render(
+        <TestWrapper>
+          <FormFileUpload name="files" cropAspectRatio={1} />
+        </TestWrapper>
+      );
+
+      selectFiles(container, [photo]);
+      await screen.findByAltText('Image to crop: IMG_0001.jpg');
+      fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+      await waitFor(() => {
+        expect(screen.queryByText('Processing images...')).not.toBeInTheDocument();
+      });
+      expect(addFiles).not.toHaveBeenCalled();
+    });
+  });
+});
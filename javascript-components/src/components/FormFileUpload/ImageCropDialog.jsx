@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Modal, Box, Stack, Group, Button, Slider, Text } from '@mantine/core';
+import PropTypes from 'prop-types';
+import { getCenteredCropArea } from '../../utils/images.js';
+import { useTranslation } from '../../hooks/useTranslation';
+
+const MAX_DISPLAY_WIDTH = 400;
+const MAX_DISPLAY_HEIGHT = 320;
+const MIN_CROP_SCALE = 20;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * ImageCropDialog - Modal for choosing a fixed aspect-ratio crop of an image
+ *
+ * Used internally by FormFileUpload. The crop area starts as the largest centered
+ * area with the aspect ratio; it can be dragged (or moved with the arrow keys) and
+ * resized with the slider. `onConfirm` receives the area in image pixels.
+ */
+const ImageCropDialog = ({
+  file,
+  aspectRatio = 1,
+  onConfirm,
+  onCancel,
+  title: titleProp,
+  confirmLabel: confirmLabelProp,
+  cancelLabel: cancelLabelProp,
+}) => {
+  const { t } = useTranslation();
+  const title = titleProp ?? t('cropDialog.title');
+  const confirmLabel = confirmLabelProp ?? t('cropDialog.apply');
+  const cancelLabel = cancelLabelProp ?? t('cropDialog.cancel');
+  const [imageUrl, setImageUrl] = useState(null);
+  const [imageSize, setImageSize] = useState(null);
+  const [area, setArea] = useState(null);
+  const [cropScale, setCropScale] = useState(100);
+  const dragRef = useRef(null);
+
+  // Load the image to crop and release its URL when the dialog moves on
+  useEffect(() => {
+    setImageSize(null);
+    setArea(null);
+    setCropScale(100);
+
+    if (!file || typeof URL.createObjectURL !== 'function') {
+      setImageUrl(null);
+      return undefined;
+    }
+
+    const url = URL.createObjectURL(file);
+    setImageUrl(url);
+    return () => {
+      URL.revokeObjectURL(url);
+    };
+  }, [file]);
+
+  const displayScale = imageSize
+    ? Math.min(1, MAX_DISPLAY_WIDTH / imageSize.width, MAX_DISPLAY_HEIGHT / imageSize.height)
+    : 1;
+
+  // Keep the crop area inside the image
+  const clampArea = useCallback((nextArea) => ({
+    ...nextArea,
+    x: clamp(nextArea.x, 0, imageSize.width - nextArea.width),
+    y: clamp(nextArea.y, 0, imageSize.height - nextArea.height),
+  }), [imageSize]);
+
+  const handleImageLoad = (event) => {
+    const { naturalWidth: width, naturalHeight: height } = event.currentTarget;
+    setImageSize({ width, height });
+    setArea(getCenteredCropArea(width, height, aspectRatio));
+    setCropScale(100);
+  };
+
+  // Resize around the current center
+  const handleScaleChange = (value) => {
+    setCropScale(value);
+    setArea(prev => {
+      if (!prev) return prev;
+      const centerX = prev.x + prev.width / 2;
+      const centerY = prev.y + prev.height / 2;
+      const scaled = getCenteredCropArea(imageSize.width, imageSize.height, aspectRatio, value / 100);
+      return clampArea({
+        ...scaled,
+        x: centerX - scaled.width / 2,
+        y: centerY - scaled.height / 2,
+      });
+    });
+  };
+
+  const handlePointerDown = (event) => {
+    event.preventDefault();
+    if (event.currentTarget.setPointerCapture) {
+      event.currentTarget.setPointerCapture(event.pointerId);
+    }
+    dragRef.current = { startX: event.clientX, startY: event.clientY, area };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    setArea(clampArea({
+      ...drag.area,
+      x: drag.area.x + (event.clientX - drag.startX) / displayScale,
+      y: drag.area.y + (event.clientY - drag.startY) / displayScale,
+    }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleKeyDown = (event) => {
+    const offsets = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1],
+    };
+    const offset = offsets[event.key];
+    if (!offset || !area) return;
+
+    event.preventDefault();
+    const step = Math.max(1, Math.round(imageSize.width / 50));
+    setArea(clampArea({ ...area, x: area.x + offset[0] * step, y: area.y + offset[1] * step }));
+  };
+
+  const handleConfirm = () => {
+    onConfirm({
+      x: Math.round(area.x),
+      y: Math.round(area.y),
+      width: Math.round(area.width),
+      height: Math.round(area.height),
+    });
+  };
+
+  return (
+    <Modal opened={Boolean(file)} onClose={onCancel} title={title} centered size="auto">
+      <Stack gap="md">
+        <Box
+          style={{
+            position: 'relative',
+            overflow: 'hidden',
+            margin: '0 auto',
+            touchAction: 'none',
+            userSelect: 'none',
+            ...(imageSize && {
+              width: imageSize.width * displayScale,
+              height: imageSize.height * displayScale,
+            }),
+          }}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+        >
+          {imageUrl && (
+            <img
+              src={imageUrl}
+              alt={file ? t('cropDialog.image', { name: file.name }) : ''}
+              onLoad={handleImageLoad}
+              draggable={false}
+              style={{
+                display: 'block',
+                maxWidth: MAX_DISPLAY_WIDTH,
+                maxHeight: MAX_DISPLAY_HEIGHT,
+                ...(imageSize && {
+                  width: imageSize.width * displayScale,
+                  height: imageSize.height * displayScale,
+                }),
+              }}
+            />
+          )}
+          {area && (
+            <div
+              tabIndex={0}
+              aria-label={t('cropDialog.area')}
+              data-testid="crop-area"
+              onPointerDown={handlePointerDown}
+              onKeyDown={handleKeyDown}
+              style={{
+                position: 'absolute',
+                left: area.x * displayScale,
+                top: area.y * displayScale,
+                width: area.width * displayScale,
+                height: area.height * displayScale,
+                border: '2px solid var(--mantine-color-white)',
+                boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)',
+                cursor: 'move',
+              }}
+            />
+          )}
+        </Box>
+
+        <Box>
+          <Text size="sm" mb={4}>
+            {t('cropDialog.size')}
+          </Text>
+          <Slider
+            min={MIN_CROP_SCALE}
+            max={100}
+            value={cropScale}
+            onChange={handleScaleChange}
+            disabled={!area}
+            label={(value) => `${value}%`}
+            thumbLabel={t('cropDialog.size')}
+          />
+        </Box>
+
+        <Group justify="flex-end" gap="sm">
+          <Button variant="default" onClick={onCancel}>
+            {cancelLabel}
+          </Button>
+          <Button onClick={handleConfirm} disabled={!area}>
+            {confirmLabel}
+          </Button>
+        </Group>
+      </Stack>
+    </Modal>
+  );
+};
+
+ImageCropDialog.propTypes = {
+  file: PropTypes.object,
+  aspectRatio: PropTypes.number,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  title: PropTypes.node,
+  confirmLabel: PropTypes.node,
+  cancelLabel: PropTypes.node,
+};
+
+export default ImageCropDialog;
@@ -0,0 +1,147 @@
+import React from 'react';
+import { TextInput, Text } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints.js';
+import { applyMask, detectCardBrand, getMaskPreset } from '../../utils/masks.js';
+
+const PRESET_AUTOCOMPLETE = {
+  phone: 'tel-national',
+  postalCode: 'postal-code',
+  creditCard: 'cc-number',
+};
+
+const PRESET_INPUT_MODE = {
+  phone: 'tel',
+  creditCard: 'numeric',
+};
+
+/**
+ * FormMaskedInput - Text input with an input mask, Formik integration and Mantine TextInput
+ *
+ * Features:
+ * - Custom masks such as `(999) 999-9999` or `AA9 9AA` (`9` digit, `a`/`A` letter,
+ *   `*`/`X` letter or digit; `A` and `X` upper-case what is typed)
+ * - Presets for phone numbers and postal codes per country, payment cards (layout and
+ *   brand badge from the card brand) and IBANs (length from the country)
+ * - Stores the formatted value, or the raw letters and digits with `storeRaw`
+ * - Caret stays after the typed or pasted characters while separators are inserted;
+ *   deleting a separator deletes the character next to it
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ *
+ * Use the `creditCard` and `iban` validation rules to check the checksums.
+ */
+const FormMaskedInput = ({
+  name,
+  label,
+  placeholder,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  className = '',
+  style = {},
+  description,
+  withAsterisk,
+  mask: maskProp,
+  preset,
+  country = 'US',
+  storeRaw = false,
+  showCardBrand = true,
+  autoComplete,
+  rightSection,
+  validate,
+  ...mantineProps
+}) => {
+  const [field, meta, helpers] = useField({ name, validate });
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const mask = maskProp ?? getMaskPreset(preset, country);
+
+  const hasError = meta.touched && meta.error;
+  const current = mask ? applyMask(field.value, mask) : { value: field.value ?? '', raw: field.value ?? '' };
+  const cardBrand = preset === 'creditCard' && showCardBrand ? detectCardBrand(current.raw) : null;
+
+  // Create custom style object that includes width override
+  const customStyle = {
+    ...style,
+    ...(width && { width })
+  };
+
+  const handleChange = (event) => {
+    const input = event.target;
+    if (!mask) {
+      helpers.setValue(input.value);
+      return;
+    }
+
+    let next = applyMask(input.value, mask, input.selectionStart ?? input.value.length);
+
+    // Deleting a separator leaves the raw value unchanged; delete the character next to it instead
+    const inputType = event.nativeEvent?.inputType;
+    if (next.raw === current.raw && inputType?.startsWith('delete') && next.raw) {
+      const rawCaret = applyMask(input.value.slice(0, input.selectionStart ?? 0), mask).raw.length;
+      const index = inputType === 'deleteContentForward' ? rawCaret : rawCaret - 1;
+      if (index >= 0 && index < next.raw.length) {
+        const raw = next.raw.slice(0, index) + next.raw.slice(index + 1);
+        next = applyMask(raw, mask, index);
+      }
+    }
+
+    // Write the masked value before React re-renders, so the caret is not moved to the end
+    input.value = next.value;
+    if (document.activeElement === input) {
+      input.setSelectionRange(next.caret, next.caret);
+    }
+
+    helpers.setValue(storeRaw ? next.raw : next.value);
+  };
+
+  return (
+    <TextInput
+      {...field}
+      {...mantineProps}
+      value={current.value}
+      onChange={handleChange}
+      label={label}
+      placeholder={placeholder}
+      required={required}
+      disabled={disabled}
+      size={size}
+      className={className}
+      style={customStyle}
+      description={description}
+      withAsterisk={withAsterisk || required}
+      autoComplete={autoComplete ?? PRESET_AUTOCOMPLETE[preset]}
+      inputMode={mantineProps.inputMode ?? PRESET_INPUT_MODE[preset]}
+      rightSection={rightSection ?? (cardBrand && <Text size="xs" c="dimmed">{cardBrand.label}</Text>)}
+      rightSectionWidth={cardBrand && !rightSection ? 120 : mantineProps.rightSectionWidth}
+      error={hasError ? meta.error : undefined}
+    />
+  );
+};
+
+FormMaskedInput.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  withAsterisk: PropTypes.bool,
+  mask: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+  preset: PropTypes.oneOf(['phone', 'postalCode', 'creditCard', 'iban']),
+  country: PropTypes.string,
+  storeRaw: PropTypes.bool,
+  showCardBrand: PropTypes.bool,
+  autoComplete: PropTypes.string,
+  rightSection: PropTypes.node,
+  validate: PropTypes.func,
+};
+
+export default FormMaskedInput;
@@ -0,0 +1,157 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form, useFormikContext } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect } from 'vitest';
+import FormMaskedInput from './FormMaskedInput';
+import { createFormValidator } from '../../utils/validation';
+
+// Test wrapper component
+const TestWrapper = ({ children, initialValues = {}, validate }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} validate={validate} onSubmit={vi.fn()}>
+      <Form>{children}</Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const ValuesDisplay = () => {
+  const { values } = useFormikContext();
+  return <div data-testid="form-values">{JSON.stringify(values)}</div>;
+};
+
+const formValues = () => JSON.parse(screen.getByTestId('form-values').textContent);
+
+describe('FormMaskedInput', () => {
+  it('formats typed text with a custom mask', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ postcode: '' }}>
+        <FormMaskedInput name="postcode" label="Postcode" mask="AA9 9AA" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    await user.type(screen.getByLabelText('Postcode'), 'sw1-1aa!');
+
+    expect(screen.getByLabelText('Postcode')).toHaveValue('SW1 1AA');
+    expect(formValues().postcode).toBe('SW1 1AA');
+  });
+
+  it('stores the raw value with storeRaw', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phone: '5551234567' }}>
+        <FormMaskedInput name="phone" label="Phone" preset="phone" storeRaw />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Phone');
+    expect(input).toHaveValue('(555) 123-4567');
+    expect(input).toHaveAttribute('autocomplete', 'tel-national');
+
+    await user.clear(input);
+    await user.type(input, '2025550143');
+
+    expect(input).toHaveValue('(202) 555-0143');
+    expect(formValues().phone).toBe('2025550143');
+  });
+
+  it('uses the phone mask of the country', () => {
+    render(
+      <TestWrapper initialValues={{ phone: '0612345678' }}>
+        <FormMaskedInput name="phone" label="Phone" preset="phone" country="FR" />
+      </TestWrapper>
+    );
+
+    expect(screen.getByLabelText('Phone')).toHaveValue('06 12 34 56 78');
+  });
+
+  it('keeps the caret after inserted and pasted characters', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phone: '(555) 123-4567' }}>
+        <FormMaskedInput name="phone" label="Phone" mask="(999) 999-9999" />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Phone');
+    await user.click(input);
+    input.setSelectionRange(6, 6);
+    await user.keyboard('9');
+
+    expect(input).toHaveValue('(555) 912-3456');
+    expect(input.selectionStart).toBe(7);
+
+    input.setSelectionRange(1, 4);
+    await user.paste('800');
+
+    expect(input).toHaveValue('(800) 912-3456');
+    expect(input.selectionStart).toBe(4);
+  });
+
+  it('deletes the character before a separator on backspace', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phone: '(555) 123-4567' }}>
+        <FormMaskedInput name="phone" label="Phone" mask="(999) 999-9999" />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Phone');
+    await user.click(input);
+    input.setSelectionRange(10, 10);
+    await user.keyboard('{Backspace}');
+
+    expect(input).toHaveValue('(555) 124-567');
+    expect(input.selectionStart).toBe(8);
+  });
+
+  it('formats card numbers by brand and shows the brand', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ card: '' }}>
+        <FormMaskedInput name="card" label="Card number" preset="creditCard" storeRaw />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Card number');
+    await user.type(input, '378282246310005');
+
+    expect(input).toHaveValue('3782 822463 10005');
+    expect(screen.getByText('American Express')).toBeInTheDocument();
+    expect(formValues().card).toBe('378282246310005');
+
+    await user.clear(input);
+    await user.type(input, '4111111111111111');
+
+    expect(input).toHaveValue('4111 1111 1111 1111');
+    expect(screen.getByText('Visa')).toBeInTheDocument();
+  });
+
+  it('validates card numbers and IBANs with the creditCard and iban rules', async () => {
+    render(
+      <TestWrapper
+        initialValues={{ card: '', iban: '' }}
+        validate={createFormValidator({ card: [{ type: 'creditCard' }], iban: [{ type: 'iban' }] })}
+      >
+        <FormMaskedInput name="card" label="Card number" preset="creditCard" />
+        <FormMaskedInput name="iban" label="IBAN" preset="iban" />
+      </TestWrapper>
+    );
+
+    fireEvent.change(screen.getByLabelText('Card number'), { target: { value: '4111111111111112' } });
+    fireEvent.blur(screen.getByLabelText('Card number'));
+    fireEvent.change(screen.getByLabelText('IBAN'), { target: { value: 'de89370400440532013000' } });
+    fireEvent.blur(screen.getByLabelText('IBAN'));
+
+    expect(screen.getByLabelText('IBAN')).toHaveValue('DE89 3704 0044 0532 0130 00');
+    await waitFor(() => {
+      expect(screen.getByText('Please enter a valid card number.')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('Please enter a valid IBAN.')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,162 @@
+import React from 'react';
+import { MultiSelect, Button, Group, Text } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
+
+/**
+ * FormMultiSelect - Multi-select dropdown with static options using Mantine MultiSelect
+ *
+ * Features:
+ * - Static option list with value/label pairs
+ * - Formik array values
+ * - Maximum selection limit
+ * - Optional "Select all" / "Clear all" toggle
+ * - Searchable functionality with client-side filtering
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ */
+const FormMultiSelect = ({
+  name,
+  label,
+  placeholder: placeholderProp,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  height,
+  className = '',
+  style = {},
+  description,
+  withAsterisk,
+  options: optionsProp,
+  maxValues,
+  selectAll = false,
+  selectAllLabel: selectAllLabelProp,
+  clearAllLabel: clearAllLabelProp,
+  clearable = true,
+  searchable = true,
+  nothingFoundMessage: nothingFoundMessageProp,
+  ...mantineProps
+}) => {
+  const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { t } = useTranslation();
+  const placeholder = placeholderProp ?? t('select.multiPlaceholder');
+  const selectAllLabel = selectAllLabelProp ?? t('select.selectAll');
+  const clearAllLabel = clearAllLabelProp ?? t('select.clearAll');
+  const nothingFoundMessage = nothingFoundMessageProp ?? t('select.nothingFound');
+  const options = optionsProp ?? constraints.options ?? [];
+
+  const hasError = meta.touched && meta.error;
+  const selectedValues = Array.isArray(field.value) ? field.value.map(String) : [];
+
+  // Create custom style object that includes width and height overrides
+  const customStyle = {
+    ...style,
+    ...(width && { width }),
+    ...(height && { height }),
+  };
+
+  // Transform options to Mantine MultiSelect format
+  const selectData = options.map(option => ({
+    value: String(option.value),
+    label: option.label,
+    disabled: option.disabled || false
+  }));
+
+  const selectableValues = selectData
+    .filter(option => !option.disabled)
+    .map(option => option.value);
+  const allSelected = selectableValues.length > 0
+    && selectableValues.every(value => selectedValues.includes(value));
+  const exceedsLimit = maxValues !== undefined && selectableValues.length > maxValues;
+
+  const handleChange = (values) => {
+    helpers.setValue(values);
+  };
+
+  const handleToggleAll = () => {
+    helpers.setValue(allSelected ? [] : selectableValues);
+    helpers.setTouched(true, false);
+  };
+
+  return (
+    <>
+      <MultiSelect
+        {...mantineProps}
+        name={name}
+        value={selectedValues}
+        onChange={handleChange}
+        onBlur={() => helpers.setTouched(true)}
+        data={selectData}
+        label={label}
+        placeholder={placeholder}
+        required={required}
+        disabled={disabled}
+        size={size}
+        className={className}
+        style={customStyle}
+        description={description}
+        withAsterisk={withAsterisk || required}
+        maxValues={maxValues}
+        clearable={clearable}
+        searchable={searchable}
+        nothingFoundMessage={nothingFoundMessage}
+        error={hasError ? meta.error : undefined}
+      />
+      {(selectAll || maxValues !== undefined) && (
+        <Group justify="space-between" mt={4}>
+          {selectAll ? (
+            <Button
+              variant="subtle"
+              size="compact-xs"
+              onClick={handleToggleAll}
+              disabled={disabled || (!allSelected && exceedsLimit)}
+            >
+              {allSelected ? clearAllLabel : selectAllLabel}
+            </Button>
+          ) : <span />}
+          {maxValues !== undefined && (
+            <Text size="xs" c="dimmed">
+              {t('select.selectedCount', { count: selectedValues.length, max: maxValues })}
+            </Text>
+          )}
+        </Group>
+      )}
+    </>
+  );
+};
+
+FormMultiSelect.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  height: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  withAsterisk: PropTypes.bool,
+  options: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+      label: PropTypes.string.isRequired,
+      disabled: PropTypes.bool,
+    })
+  ),
+  maxValues: PropTypes.number,
+  selectAll: PropTypes.bool,
+  selectAllLabel: PropTypes.string,
+  clearAllLabel: PropTypes.string,
+  clearable: PropTypes.bool,
+  searchable: PropTypes.bool,
+  nothingFoundMessage: PropTypes.string,
+};
+
+export default FormMultiSelect;
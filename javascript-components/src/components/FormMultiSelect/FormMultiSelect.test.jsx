@@ -0,0 +1,91 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi } from 'vitest';
+import FormMultiSelect from './FormMultiSelect';
+
+const TestWrapper = ({ children, initialValues = { interests: [] }, onSubmit = vi.fn() }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} onSubmit={onSubmit}>
+      <Form>
+        {children}
+        <button type="submit">Submit</button>
+      </Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const mockOptions = [
+  { value: 'music', label: 'Music' },
+  { value: 'sports', label: 'Sports' },
+  { value: 'travel', label: 'Travel' },
+  { value: 'archived', label: 'Archived', disabled: true },
+];
+
+describe('FormMultiSelect', () => {
+  it('renders selected values as pills', () => {
+    render(
+      <TestWrapper initialValues={{ interests: ['music', 'travel'] }}>
+        <FormMultiSelect name="interests" label="Interests" options={mockOptions} />
+      </TestWrapper>
+    );
+
+    expect(screen.getByRole('textbox', { name: 'Interests' })).toBeInTheDocument();
+    expect(screen.getByText('Music', { selector: '.mantine-Pill-label' })).toBeInTheDocument();
+    expect(screen.getByText('Travel', { selector: '.mantine-Pill-label' })).toBeInTheDocument();
+  });
+
+  it('stores selections as an array in Formik', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    render(
+      <TestWrapper onSubmit={onSubmit}>
+        <FormMultiSelect name="interests" label="Interests" options={mockOptions} />
+      </TestWrapper>
+    );
+
+    fireEvent.click(screen.getByRole('textbox', { name: 'Interests' }));
+    fireEvent.click(screen.getByRole('option', { name: 'Sports' }));
+    fireEvent.click(screen.getByRole('option', { name: 'Music' }));
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(onSubmit).toHaveBeenCalled();
+    });
+    expect(onSubmit.mock.calls[0][0].interests).toEqual(['sports', 'music']);
+  });
+
+  it('selects and clears all enabled options', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    render(
+      <TestWrapper onSubmit={onSubmit}>
+        <FormMultiSelect name="interests" label="Interests" options={mockOptions} selectAll />
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Select all' }));
+    expect(screen.getByRole('button', { name: 'Clear all' })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+    await waitFor(() => {
+      expect(onSubmit).toHaveBeenCalled();
+    });
+    expect(onSubmit.mock.calls[0][0].interests).toEqual(['music', 'sports', 'travel']);
+
+    await user.click(screen.getByRole('button', { name: 'Clear all' }));
+    expect(screen.getByRole('button', { name: 'Select all' })).toBeInTheDocument();
+  });
+
+  it('shows the selection count and disables select all above the limit', () => {
+    render(
+      <TestWrapper initialValues={{ interests: ['music'] }}>
+        <FormMultiSelect name="interests" label="Interests" options={mockOptions} maxValues={2} selectAll />
+      </TestWrapper>
+    );
+
+    expect(screen.getByText('1/2 selected')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Select all' })).toBeDisabled();
+  });
+});
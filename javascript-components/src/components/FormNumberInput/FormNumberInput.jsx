@@ -0,0 +1,130 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { NumberInput } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
+import { getNumberSeparators } from '../../utils/numbers.js';
+
+// NumberInput reports partially typed values ('-', '1.') as strings
+const parseNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !/^-?(\d+\.?\d*|\.\d+)$/.test(value.trim())) return null;
+  return Number(value);
+};
+
+/**
+ * FormNumberInput - Numeric input component with Formik integration and Mantine NumberInput
+ *
+ * Features:
+ * - Stores real numbers in Formik, or null when the input is empty
+ * - Min/max (clamped on blur), step with increment controls and a fixed precision
+ * - Thousand and decimal separators of the FormComponentsProvider locale
+ * - Partially typed values ('-', '1.') stay in the input until they form a number
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ */
+const FormNumberInput = ({
+  name,
+  label,
+  placeholder,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  className = '',
+  style = {},
+  description,
+  withAsterisk,
+  min: minProp,
+  max: maxProp,
+  step = 1,
+  precision,
+  fixedPrecision = false,
+  thousandSeparator = false,
+  decimalSeparator,
+  allowNegative = true,
+  hideControls = false,
+  ...mantineProps
+}) => {
+  const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const min = minProp ?? constraints.min;
+  const max = maxProp ?? constraints.max;
+  const { locale } = useTranslation();
+  const separators = useMemo(() => getNumberSeparators(locale), [locale]);
+  const [inputValue, setInputValue] = useState(field.value ?? '');
+
+  const hasError = meta.touched && meta.error;
+
+  // Follow values set from outside (resetForm, setFieldValue) unless the input already shows them
+  useEffect(() => {
+    setInputValue(current => (parseNumber(current) === (field.value ?? null) ? current : field.value ?? ''));
+  }, [field.value]);
+
+  // Create custom style object that includes width override
+  const customStyle = {
+    ...style,
+    ...(width && { width })
+  };
+
+  const handleChange = (value) => {
+    setInputValue(value);
+    helpers.setValue(parseNumber(value));
+  };
+
+  return (
+    <NumberInput
+      {...field}
+      {...mantineProps}
+      value={inputValue}
+      onChange={handleChange}
+      label={label}
+      placeholder={placeholder}
+      required={required}
+      disabled={disabled}
+      size={size}
+      className={className}
+      style={customStyle}
+      description={description}
+      withAsterisk={withAsterisk || required}
+      min={min}
+      max={max}
+      step={step}
+      decimalScale={precision}
+      fixedDecimalScale={fixedPrecision && precision !== undefined}
+      allowDecimal={precision !== 0}
+      thousandSeparator={thousandSeparator === true ? separators.thousandSeparator : thousandSeparator || undefined}
+      decimalSeparator={decimalSeparator ?? separators.decimalSeparator}
+      allowNegative={allowNegative}
+      hideControls={hideControls}
+      error={hasError ? meta.error : undefined}
+    />
+  );
+};
+
+FormNumberInput.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  withAsterisk: PropTypes.bool,
+  min: PropTypes.number,
+  max: PropTypes.number,
+  step: PropTypes.number,
+  precision: PropTypes.number,
+  fixedPrecision: PropTypes.bool,
+  thousandSeparator: PropTypes.oneOfType([PropTypes.bool, PropTypes.string]),
+  decimalSeparator: PropTypes.string,
+  allowNegative: PropTypes.bool,
+  hideControls: PropTypes.bool,
+};
+
+export default FormNumberInput;
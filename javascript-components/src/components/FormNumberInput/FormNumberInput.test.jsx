@@ -0,0 +1,163 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form, useFormikContext } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect } from 'vitest';
+import FormNumberInput from './FormNumberInput';
+import FormComponentsProvider from '../FormComponentsProvider';
+import FormSchemaProvider from '../FormSchemaProvider';
+
+// Test wrapper component
+const TestWrapper = ({ children, initialValues = {}, validate }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} validate={validate} onSubmit={vi.fn()}>
+      <Form>{children}</Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const ValuesDisplay = () => {
+  const { values } = useFormikContext();
+  return <div data-testid="form-values">{JSON.stringify(values)}</div>;
+};
+
+const ResetButton = ({ values }) => {
+  const { resetForm } = useFormikContext();
+  return <button type="button" onClick={() => resetForm({ values })}>Reset</button>;
+};
+
+const formValues = () => JSON.parse(screen.getByTestId('form-values').textContent);
+
+describe('FormNumberInput', () => {
+  it('stores numbers, and null when cleared', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ quantity: null }}>
+        <FormNumberInput name="quantity" label="Quantity" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Quantity');
+    await user.type(input, '42');
+    expect(formValues().quantity).toBe(42);
+
+    await user.clear(input);
+    expect(formValues().quantity).toBeNull();
+  });
+
+  it('keeps partially typed numbers in the input', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ temperature: null }}>
+        <FormNumberInput name="temperature" label="Temperature" precision={2} />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Temperature');
+    await user.type(input, '-');
+    expect(input).toHaveValue('-');
+    expect(formValues().temperature).toBeNull();
+
+    await user.type(input, '1.');
+    expect(input).toHaveValue('-1.');
+    expect(formValues().temperature).toBe(-1);
+
+    await user.type(input, '257');
+    expect(input).toHaveValue('-1.25');
+    expect(formValues().temperature).toBe(-1.25);
+  });
+
+  it('formats thousands with the locale separators', async () => {
+    const user = userEvent.setup();
+    render(
+      <FormComponentsProvider locale="de">
+        <TestWrapper initialValues={{ population: 1234567.5 }}>
+          <FormNumberInput name="population" label="Population" thousandSeparator />
+          <ValuesDisplay />
+        </TestWrapper>
+      </FormComponentsProvider>
+    );
+
+    const input = screen.getByLabelText('Population');
+    expect(input).toHaveValue('1.234.567,5');
+
+    await user.clear(input);
+    await user.type(input, '2500,75');
+    expect(input).toHaveValue('2.500,75');
+    expect(formValues().population).toBe(2500.75);
+  });
+
+  it('clamps to min and max on blur and steps with the arrow keys', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ guests: 2 }}>
+        <FormNumberInput name="guests" label="Guests" min={1} max={10} step={2} />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const input = screen.getByLabelText('Guests');
+    fireEvent.keyDown(input, { key: 'ArrowUp' });
+    expect(formValues().guests).toBe(4);
+
+    await user.clear(input);
+    await user.type(input, '25');
+    await user.tab();
+    expect(input).toHaveValue('10');
+    expect(formValues().guests).toBe(10);
+  });
+
+  it('follows values set by the form', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ amount: 5 }}>
+        <FormNumberInput name="amount" label="Amount" />
+        <ResetButton values={{ amount: 12 }} />
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByText('Reset'));
+    expect(screen.getByLabelText('Amount')).toHaveValue('12');
+  });
+
+  it('reads min and required from the schema', async () => {
+    const user = userEvent.setup();
+    render(
+      <FormSchemaProvider schema={{ age: [{ type: 'required' }, { type: 'minValue', value: 18 }] }}>
+        <TestWrapper initialValues={{ age: null }}>
+          <FormNumberInput name="age" label="Age" />
+          <ValuesDisplay />
+        </TestWrapper>
+      </FormSchemaProvider>
+    );
+
+    const input = screen.getByLabelText(/Age/);
+    expect(input).toBeRequired();
+
+    await user.type(input, '5');
+    await user.tab();
+    expect(formValues().age).toBe(18);
+  });
+
+  it('shows validation errors after blur', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper
+        initialValues={{ seats: null }}
+        validate={values => (values.seats % 2 === 1 ? { seats: 'Seats come in pairs' } : {})}
+      >
+        <FormNumberInput name="seats" label="Seats" />
+      </TestWrapper>
+    );
+
+    await user.type(screen.getByLabelText('Seats'), '3');
+    await user.tab();
+
+    await waitFor(() => {
+      expect(screen.getByText('Seats come in pairs')).toBeInTheDocument();
+    });
+  });
+});
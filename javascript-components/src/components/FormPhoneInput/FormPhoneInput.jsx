@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useMemo, useId } from 'react';
+import { Input, Group, Select, TextInput } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints.js';
+import { useTranslation } from '../../hooks/useTranslation.js';
+import { applyMask } from '../../utils/masks.js';
+import {
+  PHONE_COUNTRIES,
+  getPhoneCountry,
+  getCountryName,
+  parsePhoneNumber,
+  formatNationalNumber,
+  toE164,
+} from '../../utils/phone.js';
+
+const isInternational = (text) => /^\s*(\+|00)/.test(text);
+
+// E.164 value of what the input shows, or '' while there is no national number.
+// Numbers of calling codes without bundled metadata are stored once well-formed.
+const toFieldValue = (text, country) => {
+  const parsed = parsePhoneNumber(text, country);
+  if (!parsed) return toE164(text) ?? '';
+  return parsed.nationalNumber ? parsed.e164 : '';
+};
+
+// Input state for a field value; numbers of another calling code switch the country
+const fromFieldValue = (value, country) => {
+  const parsed = parsePhoneNumber(value, country);
+  return parsed
+    ? { country: parsed.country, text: formatNationalNumber(parsed.nationalNumber, parsed.country) }
+    : { country, text: toE164(value) ?? '' };
+};
+
+// Countries without bundled metadata fall back to the first offered country
+const resolveCountry = (code, countries) => (
+  getPhoneCountry(code)?.code
+  ?? getPhoneCountry(countries?.find(getPhoneCountry))?.code
+  ?? PHONE_COUNTRIES[0].code
+);
+
+// Group national digits as typed, keeping a typed trunk prefix ('07911 123456')
+const formatTyped = (text, country, caret) => {
+  const metadata = getPhoneCountry(country);
+  if (!metadata) return { value: text, caret };
+
+  const { trunkPrefix, pattern, format } = metadata;
+  const digits = text.replace(/\D/g, '');
+  const hasTrunkPrefix = trunkPrefix && digits.startsWith(trunkPrefix) && !pattern.test(digits);
+  return applyMask(text, `${hasTrunkPrefix ? '9'.repeat(trunkPrefix.length) : ''}${format}`, caret);
+};
+
+/**
+ * FormPhoneInput - International phone number input with a country picker, Formik
+ * integration and Mantine Select/TextInput
+ *
+ * Features:
+ * - Searchable country select with localized country names and calling codes
+ * - Stores the number in E.164 (`+447911123456`), or '' when empty
+ * - National numbers are grouped as the country writes them while typing; a number
+ *   typed or pasted with its calling code (`+33 6 12 ...`) selects the country
+ * - Bundled numbering metadata, so no network requests; use the `phone` validation
+ *   rule or `validatePhone` to check the number
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ */
+const FormPhoneInput = ({
+  name,
+  label,
+  placeholder,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  className = '',
+  style = {},
+  description,
+  withAsterisk,
+  defaultCountry = 'US',
+  countries,
+  countryLabel: countryLabelProp,
+  countrySelectWidth = 180,
+  nothingFoundMessage: nothingFoundMessageProp,
+  validate,
+  ...mantineProps
+}) => {
+  const [field, meta, helpers] = useField({ name, validate });
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { t, locale } = useTranslation();
+  const countryLabel = countryLabelProp ?? t('phone.country');
+  const nothingFoundMessage = nothingFoundMessageProp ?? t('select.nothingFound');
+  const inputId = useId();
+  const [input, setInput] = useState(() => fromFieldValue(field.value, resolveCountry(defaultCountry, countries)));
+
+  const hasError = meta.touched && meta.error;
+
+  // Follow values set from outside (resetForm, setFieldValue) unless the input already shows them
+  useEffect(() => {
+    setInput(current => (
+      toFieldValue(current.text, current.country) === (field.value ?? '')
+        ? current
+        : fromFieldValue(field.value, current.country)
+    ));
+  }, [field.value]);
+
+  const countryOptions = useMemo(() => (
+    PHONE_COUNTRIES
+      .filter(country => !countries || countries.includes(country.code))
+      .map(country => ({
+        value: country.code,
+        label: `${getCountryName(country.code, locale)} (+${country.dialCode})`,
+      }))
+      .sort((a, b) => a.label.localeCompare(b.label, locale))
+  ), [countries, locale]);
+
+  // Create custom style object that includes width override
+  const customStyle = {
+    ...style,
+    ...(width && { width })
+  };
+
+  const handleCountryChange = (country) => {
+    if (!country) return;
+    setInput(current => ({ ...current, country }));
+    helpers.setValue(toFieldValue(input.text, country));
+  };
+
+  const handleNumberChange = (event) => {
+    const element = event.target;
+    let next = { country: input.country, text: element.value };
+
+    if (isInternational(element.value)) {
+      // Keep the typed calling code until it identifies a country and a number follows it
+      const parsed = parsePhoneNumber(element.value, input.country);
+      if (parsed?.nationalNumber) {
+        next = { country: parsed.country, text: formatNationalNumber(parsed.nationalNumber, parsed.country) };
+      }
+    } else {
+      const formatted = formatTyped(element.value, input.country, element.selectionStart ?? element.value.length);
+      next.text = formatted.value;
+
+      // Write the grouped value before React re-renders, so the caret is not moved to the end
+      element.value = formatted.value;
+      if (document.activeElement === element) {
+        element.setSelectionRange(formatted.caret, formatted.caret);
+      }
+    }
+
+    setInput(next);
+    helpers.setValue(toFieldValue(next.text, next.country));
+  };
+
+  return (
+    <Input.Wrapper
+      id={inputId}
+      label={label}
+      required={required}
+      size={size}
+      className={className}
+      style={customStyle}
+      description={description}
+      withAsterisk={withAsterisk || required}
+      error={hasError ? meta.error : undefined}
+    >
+      <Group gap="xs" wrap="nowrap" align="flex-start">
+        <Select
+          data={countryOptions}
+          value={input.country}
+          onChange={handleCountryChange}
+          aria-label={countryLabel}
+          disabled={disabled}
+          size={size}
+          w={countrySelectWidth}
+          searchable
+          allowDeselect={false}
+          nothingFoundMessage={nothingFoundMessage}
+          error={Boolean(hasError)}
+        />
+        <TextInput
+          {...mantineProps}
+          id={inputId}
+          name={field.name}
+          value={input.text}
+          onChange={handleNumberChange}
+          onBlur={field.onBlur}
+          placeholder={placeholder}
+          required={required}
+          disabled={disabled}
+          size={size}
+          type="tel"
+          autoComplete="tel-national"
+          style={{ flex: 1 }}
+          error={Boolean(hasError)}
+          aria-describedby={hasError ? `${inputId}-error` : undefined}
+        />
+      </Group>
+    </Input.Wrapper>
+  );
+};
+
+FormPhoneInput.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  withAsterisk: PropTypes.bool,
+  defaultCountry: PropTypes.string,
+  countries: PropTypes.arrayOf(PropTypes.string),
+  countryLabel: PropTypes.string,
+  countrySelectWidth: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  nothingFoundMessage: PropTypes.string,
+  validate: PropTypes.func,
+};
+
+export default FormPhoneInput;
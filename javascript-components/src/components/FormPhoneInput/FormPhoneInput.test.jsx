@@ -0,0 +1,171 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form, useFormikContext } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect } from 'vitest';
+import FormPhoneInput from './FormPhoneInput';
+import FormComponentsProvider from '../FormComponentsProvider';
+import { createFormValidator } from '../../utils/validation';
+
+// Test wrapper component
+const TestWrapper = ({ children, initialValues = {}, validate }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} validate={validate} onSubmit={vi.fn()}>
+      <Form>{children}</Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const ValuesDisplay = () => {
+  const { values } = useFormikContext();
+  return <div data-testid="form-values">{JSON.stringify(values)}</div>;
+};
+
+const ResetButton = ({ values }) => {
+  const { resetForm } = useFormikContext();
+  return <button type="button" onClick={() => resetForm({ values })}>Reset</button>;
+};
+
+const formValues = () => JSON.parse(screen.getByTestId('form-values').textContent);
+
+describe('FormPhoneInput', () => {
+  it('stores national numbers in E.164', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phone: '' }}>
+        <FormPhoneInput name="phone" label="Phone" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    await user.type(screen.getByLabelText('Phone'), '4155550123');
+
+    expect(screen.getByLabelText('Phone')).toHaveValue('(415) 555-0123');
+    expect(screen.getByRole('textbox', { name: 'Country code' })).toHaveValue('United States (+1)');
+    expect(formValues().phone).toBe('+14155550123');
+  });
+
+  it('keeps a typed trunk prefix and drops it from the value', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phone: '' }}>
+        <FormPhoneInput name="phone" label="Phone" defaultCountry="GB" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    await user.type(screen.getByLabelText('Phone'), '07911123456');
+
+    expect(screen.getByLabelText('Phone')).toHaveValue('07911 123456');
+    expect(formValues().phone).toBe('+447911123456');
+  });
+
+  it('falls back to a bundled country for an unknown defaultCountry', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phone: '' }}>
+        <FormPhoneInput name="phone" label="Phone" defaultCountry="RU" countries={['RU', 'GB', 'FR']} />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    expect(screen.getByRole('textbox', { name: 'Country code' })).toHaveValue('United Kingdom (+44)');
+
+    await user.type(screen.getByLabelText('Phone'), '07911123456');
+
+    expect(formValues().phone).toBe('+447911123456');
+  });
+
+  it('selects the country of a number pasted with its calling code', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phone: '' }}>
+        <FormPhoneInput name="phone" label="Phone" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByLabelText('Phone'));
+    await user.paste('+33 6 12 34 56 78');
+
+    expect(screen.getByRole('textbox', { name: 'Country code' })).toHaveValue('France (+33)');
+    expect(screen.getByLabelText('Phone')).toHaveValue('6 12 34 56 78');
+    expect(formValues().phone).toBe('+33612345678');
+  });
+
+  it('stores numbers of calling codes without bundled metadata as typed', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phone: '' }}>
+        <FormPhoneInput name="phone" label="Phone" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByLabelText('Phone'));
+    await user.paste('+7 495 123-45-67');
+
+    expect(screen.getByLabelText('Phone')).toHaveValue('+7 495 123-45-67');
+    expect(formValues().phone).toBe('+74951234567');
+  });
+
+  it('changes the calling code when another country is picked', async () => {
+    render(
+      <TestWrapper initialValues={{ phone: '+14165550123' }}>
+        <FormPhoneInput name="phone" label="Phone" countries={['US', 'CA', 'MX']} />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    fireEvent.click(screen.getByRole('textbox', { name: 'Country code' }));
+    expect(screen.queryByRole('option', { name: /France/, hidden: true })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('option', { name: 'Mexico (+52)', hidden: true }));
+
+    expect(screen.getByLabelText('Phone')).toHaveValue('(416) 555-0123');
+    expect(formValues().phone).toBe('+524165550123');
+  });
+
+  it('follows values set from outside', () => {
+    render(
+      <TestWrapper initialValues={{ phone: '' }}>
+        <FormPhoneInput name="phone" label="Phone" />
+        <ResetButton values={{ phone: '+442079460958' }} />
+      </TestWrapper>
+    );
+
+    fireEvent.click(screen.getByText('Reset'));
+
+    expect(screen.getByRole('textbox', { name: 'Country code' })).toHaveValue('United Kingdom (+44)');
+    expect(screen.getByLabelText('Phone')).toHaveValue('2079 460958');
+  });
+
+  it('shows errors of the phone rule after blur', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ phone: '' }} validate={createFormValidator({ phone: [{ type: 'phone' }] })}>
+        <FormPhoneInput name="phone" label="Phone" />
+      </TestWrapper>
+    );
+
+    await user.type(screen.getByLabelText('Phone'), '41555');
+    await user.tab();
+
+    await waitFor(() => {
+      expect(screen.getByText('Please enter a valid phone number.')).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Phone')).toHaveAttribute('aria-invalid', 'true');
+  });
+
+  it('names countries in the provider locale', () => {
+    render(
+      <TestWrapper initialValues={{ phone: '+4930123456' }}>
+        <FormComponentsProvider locale="de">
+          <FormPhoneInput name="phone" label="Telefon" />
+        </FormComponentsProvider>
+      </TestWrapper>
+    );
+
+    expect(screen.getByRole('textbox', { name: 'Landesvorwahl' })).toHaveValue('Deutschland (+49)');
+  });
+});
@@ -2,13 +2,15 @@ import React from 'react';
 import { Radio } from '@mantine/core';
 import { useField } from 'formik';
 import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * FormRadioGroup - Radio button group component with Formik integration and Mantine Radio.Group
  * 
  * Features:
  * - Flexible option configuration with value/label pairs
- * - Horizontal and vertical layout orientations
+ * - Horizontal and vertical layout orientations, mirrored for right-to-left locales
  * - Customizable spacing between radio options
  * - Formik field integration with automatic error display
  * - Custom width override while maintaining Mantine size properties
@@ -17,7 +19,7 @@ import PropTypes from 'prop-types';
 const FormRadioGroup = ({
   name,
   label,
-  required = false,
+  required: requiredProp,
   disabled = false,
   size = 'sm',
   width,
@@ -26,12 +28,16 @@ const FormRadioGroup = ({
   style = {},
   description,
   withAsterisk,
-  options = [],
+  options: optionsProp,
   orientation = 'vertical',
   spacing = 'xs',
   ...mantineProps
 }) => {
   const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const options = optionsProp ?? constraints.options ?? [];
+  const { dir } = useTranslation();
   
   const hasError = meta.touched && meta.error;
   
@@ -67,6 +73,7 @@ const FormRadioGroup = ({
       description={description}
       withAsterisk={withAsterisk || required}
       error={hasError ? meta.error : undefined}
+      dir={dir}
     >
       <div
         style={{
@@ -112,7 +119,7 @@ FormRadioGroup.propTypes = {
       label: PropTypes.string.isRequired,
       disabled: PropTypes.bool,
     })
-  ).isRequired,
+  ),
   orientation: PropTypes.oneOf(['horizontal', 'vertical']),
   spacing: PropTypes.oneOfType([
     PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
@@ -6,6 +6,7 @@ import { MantineProvider } from '@mantine/core';
 import * as yup from 'yup';
 import { vi, describe, it, expect, beforeEach } from 'vitest';
 import FormRadioGroup from './FormRadioGroup';
+import FormComponentsProvider from '../FormComponentsProvider';
 
 // Test wrapper component
 const TestWrapper = ({ children, initialValues = {}, validationSchema, onSubmit = vi.fn() }) => (
@@ -197,4 +198,30 @@ describe('FormRadioGroup', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('Right-to-left Locales', () => {
+    it('mirrors the group for Arabic', () => {
+      render(
+        <FormComponentsProvider locale="ar">
+          <TestWrapper initialValues={{ testRadio: '' }}>
+            <FormRadioGroup name="testRadio" label="Test Radio Group" options={defaultOptions} orientation="horizontal" />
+          </TestWrapper>
+        </FormComponentsProvider>
+      );
+
+      expect(screen.getByRole('radiogroup').closest('[dir]')).toHaveAttribute('dir', 'rtl');
+    });
+
+    it('stays left to right for German', () => {
+      render(
+        <FormComponentsProvider locale="de">
+          <TestWrapper initialValues={{ testRadio: '' }}>
+            <FormRadioGroup name="testRadio" label="Test Radio Group" options={defaultOptions} orientation="horizontal" />
+          </TestWrapper>
+        </FormComponentsProvider>
+      );
+
+      expect(screen.getByRole('radiogroup').closest('[dir]')).toHaveAttribute('dir', 'ltr');
+    });
+  });
+});
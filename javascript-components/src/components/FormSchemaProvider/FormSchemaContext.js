@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Without a provider, components only use the constraints passed to them as props
+export const FormSchemaContext = createContext({});
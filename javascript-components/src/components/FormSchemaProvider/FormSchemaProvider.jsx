@@ -0,0 +1,32 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FormSchemaContext } from './FormSchemaContext';
+import { schemaToRules } from '../../utils/schemaAdapters.js';
+
+/**
+ * FormSchemaProvider - Shares a form's validation schema with the form components below it
+ *
+ * Features:
+ * - Accepts a Yup object schema, a Zod object schema or rule lists keyed by field name
+ * - Components read their constraints from it: `required` (and the asterisk), `maxLength`,
+ *   `minDate`/`maxDate`, file `accept`/`maxSize`/`maxFiles` and select options from `oneOf`
+ * - Props passed to a component still win over the schema
+ *
+ * The provider only describes the fields; pass the same schema to Formik to validate them.
+ */
+const FormSchemaProvider = ({ schema, children }) => {
+  const value = useMemo(() => ({ rules: schemaToRules(schema) }), [schema]);
+
+  return (
+    <FormSchemaContext.Provider value={value}>
+      {children}
+    </FormSchemaContext.Provider>
+  );
+};
+
+FormSchemaProvider.propTypes = {
+  schema: PropTypes.object,
+  children: PropTypes.node,
+};
+
+export default FormSchemaProvider;
@@ -0,0 +1,157 @@
+import React from 'react';
+import { render, screen, fireEvent, renderHook } from '@testing-library/react';
+import { Formik, Form } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect } from 'vitest';
+import * as yup from 'yup';
+import FormSchemaProvider from './FormSchemaProvider';
+import FormTextInput from '../FormTextInput';
+import FormTextArea from '../FormTextArea';
+import FormStaticSelect from '../FormStaticSelect';
+import FormFileUpload from '../FormFileUpload';
+import FormFieldArray from '../FormFieldArray';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+
+const registrationSchema = yup.object({
+  firstName: yup.string().required('First name is required'),
+  bio: yup.string().max(500, 'Bio must be less than 500 characters'),
+  country: yup.string().oneOf(['US', 'CA']).required(),
+  birthDate: yup.date().min(new Date(1900, 0, 1)).max(new Date(2010, 11, 31)),
+  address: yup.object({
+    city: yup.string().required().max(80),
+  }),
+});
+
+// Test wrapper component
+const TestWrapper = ({ children, schema, initialValues = {} }) => (
+  <MantineProvider>
+    <FormSchemaProvider schema={schema}>
+      <Formik initialValues={initialValues} onSubmit={vi.fn()}>
+        <Form>{children}</Form>
+      </Formik>
+    </FormSchemaProvider>
+  </MantineProvider>
+);
+
+describe('FormSchemaProvider', () => {
+  it('derives field constraints from a Yup schema', () => {
+    const { result } = renderHook(() => ({
+      bio: useFieldConstraints('bio'),
+      country: useFieldConstraints('country'),
+      birthDate: useFieldConstraints('birthDate'),
+      city: useFieldConstraints('address.city'),
+    }), {
+      wrapper: ({ children }) => <FormSchemaProvider schema={registrationSchema}>{children}</FormSchemaProvider>,
+    });
+
+    expect(result.current.bio).toMatchObject({ required: undefined, maxLength: 500 });
+    expect(result.current.country).toMatchObject({
+      required: true,
+      options: [{ value: 'US', label: 'US' }, { value: 'CA', label: 'CA' }],
+    });
+    expect(result.current.birthDate).toMatchObject({
+      minDate: new Date(1900, 0, 1),
+      maxDate: new Date(2010, 11, 31),
+    });
+    expect(result.current.city).toMatchObject({ required: true, maxLength: 80 });
+  });
+
+  it('applies item rules to the rows of an array field', () => {
+    render(
+      <TestWrapper
+        schema={yup.object({
+          contacts: yup.array().of(yup.object({
+            email: yup.string().required().max(40),
+            tags: yup.array().of(yup.string().max(10)),
+          })),
+        })}
+        initialValues={{ contacts: [{ email: '', tags: [''] }, { email: '', tags: [] }] }}
+      >
+        <FormFieldArray name="contacts" label="Contacts" emptyRow={{ email: '', tags: [] }}>
+          {(rowName, index) => (
+            <>
+              <FormTextInput name={`${rowName}.email`} label={`Email ${index + 1}`} />
+              {index === 0 && <FormTextInput name={`${rowName}.tags[0]`} label="First tag" />}
+            </>
+          )}
+        </FormFieldArray>
+      </TestWrapper>
+    );
+
+    expect(screen.getByLabelText(/Email 1/)).toBeRequired();
+    expect(screen.getByLabelText(/Email 2/)).toHaveAttribute('maxLength', '40');
+    expect(screen.getByLabelText('First tag')).toHaveAttribute('maxLength', '10');
+  });
+
+  it('returns no constraints outside a provider', () => {
+    const { result } = renderHook(() => useFieldConstraints('bio'));
+
+    expect(Object.values(result.current).every(value => value === undefined)).toBe(true);
+  });
+
+  it('sets required and maxLength on text fields', () => {
+    render(
+      <TestWrapper schema={registrationSchema} initialValues={{ firstName: '', bio: '' }}>
+        <FormTextInput name="firstName" label="First Name" />
+        <FormTextArea name="bio" label="Bio" />
+      </TestWrapper>
+    );
+
+    expect(screen.getByLabelText(/First Name/)).toBeRequired();
+    expect(screen.getByLabelText(/Bio/)).not.toBeRequired();
+    expect(screen.getByLabelText(/Bio/)).toHaveAttribute('maxLength', '500');
+  });
+
+  it('lets props override the schema', () => {
+    render(
+      <TestWrapper schema={registrationSchema} initialValues={{ firstName: '', bio: '' }}>
+        <FormTextInput name="firstName" label="First Name" required={false} />
+        <FormTextArea name="bio" label="Bio" maxLength={200} />
+      </TestWrapper>
+    );
+
+    expect(screen.getByLabelText('First Name')).not.toBeRequired();
+    expect(screen.getByLabelText('Bio')).toHaveAttribute('maxLength', '200');
+  });
+
+  it('builds select options from oneOf', () => {
+    render(
+      <TestWrapper schema={registrationSchema} initialValues={{ country: '' }}>
+        <FormStaticSelect name="country" label="Country" />
+      </TestWrapper>
+    );
+
+    fireEvent.click(screen.getByRole('textbox', { name: /Country/ }));
+
+    expect(screen.getByRole('option', { name: 'US', hidden: true })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'CA', hidden: true })).toBeInTheDocument();
+  });
+
+  it('reads file constraints from rule lists', () => {
+    const { container } = render(
+      <TestWrapper
+        schema={{
+          documents: [
+            { type: 'required' },
+            { type: 'fileType', value: ['application/pdf', 'image/png'] },
+            { type: 'fileSize', value: 2 * 1024 * 1024 },
+            { type: 'maxFiles', value: 3 },
+          ],
+        }}
+        initialValues={{ documents: [] }}
+      >
+        <FormFileUpload name="documents" label="Documents" multiple />
+      </TestWrapper>
+    );
+
+    const input = container.querySelector('input[type="file"]');
+    expect(input).toHaveAttribute('accept', 'application/pdf,image/png');
+    expect(screen.getByText('*')).toBeInTheDocument();
+
+    const scan = new File(['scan'], 'scan.pdf', { type: 'application/pdf' });
+    Object.defineProperty(scan, 'size', { value: 3 * 1024 * 1024 });
+    fireEvent.change(input, { target: { files: [scan] } });
+
+    expect(screen.getByText(/Maximum size is 2 MB/)).toBeInTheDocument();
+  });
+});
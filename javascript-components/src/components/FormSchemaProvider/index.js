@@ -0,0 +1,2 @@
+export { default } from './FormSchemaProvider.jsx';
+export { FormSchemaContext } from './FormSchemaContext.js';
@@ -0,0 +1,190 @@
+import React, { useState, useMemo } from 'react';
+import { MultiSelect, Loader } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useSearchOptions } from '../../hooks/useSearchOptions';
+import { useTranslation } from '../../hooks/useTranslation';
+import { DEFAULT_DEBOUNCE_MS } from '../../config';
+
+/**
+ * FormSearchableMultiSelect - Server-side searchable multi-select with debounced API calls
+ *
+ * Features:
+ * - Server-side search with debounced API calls (default 300ms)
+ * - Formik array values with maximum selection limit
+ * - Keeps labels of selected values even when they are not in the current results
+ * - Loading indicators and error handling for search API
+ * - Configurable minimum search length and API parameters
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ */
+const FormSearchableMultiSelect = ({
+  name,
+  label,
+  placeholder: placeholderProp,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  height,
+  className = '',
+  style = {},
+  description,
+  withAsterisk,
+  searchApiUrl,
+  searchParam = 'search',
+  debounceMs = DEFAULT_DEBOUNCE_MS,
+  apiHeaders = {},
+  valueKey = 'value',
+  labelKey = 'label',
+  minSearchLength = 1,
+  maxValues,
+  initialOptions = [],
+  nothingFoundMessage: nothingFoundMessageProp,
+  onApiError,
+  ...mantineProps
+}) => {
+  const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { t } = useTranslation();
+  const placeholder = placeholderProp ?? t('select.searchPlaceholder');
+  const nothingFoundMessage = nothingFoundMessageProp ?? t('select.nothingFound');
+  const [searchTerm, setSearchTerm] = useState('');
+  const { options, loading, error, hasSearched } = useSearchOptions(searchApiUrl, searchTerm, {
+    searchParam,
+    debounceMs,
+    headers: apiHeaders,
+    valueKey,
+    labelKey,
+    minSearchLength,
+    onApiError,
+  });
+
+  // Labels of selected values, kept independently of the current search results
+  const [selectedOptions, setSelectedOptions] = useState(() =>
+    initialOptions.reduce((acc, option) => ({
+      ...acc,
+      [String(option.value)]: { value: String(option.value), label: option.label },
+    }), {})
+  );
+
+  const hasError = meta.touched && meta.error;
+  const selectedValues = useMemo(
+    () => (Array.isArray(field.value) ? field.value.map(String) : []),
+    [field.value]
+  );
+
+  // Merge current results with selected options so pills keep their labels
+  const selectData = useMemo(() => {
+    const resultValues = new Set(options.map(option => option.value));
+    const retained = selectedValues
+      .filter(value => !resultValues.has(value))
+      .map(value => selectedOptions[value] || { value, label: value });
+    return [...options, ...retained];
+  }, [options, selectedValues, selectedOptions]);
+
+  // Only show the current search results in the dropdown
+  const filterResults = useMemo(() => {
+    const resultValues = new Set(options.map(option => option.value));
+    return ({ options: items }) => items.filter(item => resultValues.has(item.value));
+  }, [options]);
+
+  const handleChange = (values) => {
+    setSelectedOptions(prev => {
+      const next = { ...prev };
+      values.forEach(value => {
+        const option = options.find(item => item.value === value);
+        if (option) {
+          next[value] = option;
+        }
+      });
+      return next;
+    });
+    helpers.setValue(values);
+  };
+
+  // Create custom style object that includes width and height overrides
+  const customStyle = {
+    ...style,
+    ...(width && { width }),
+    ...(height && { height }),
+  };
+
+  // Determine error message to show
+  const showApiError = error && !hasError;
+  const errorMessage = hasError ? meta.error : (showApiError ? t('select.searchFailedWithError', { error: error.message }) : undefined);
+
+  // Determine what to show in dropdown
+  const effectiveNothingFoundMessage = useMemo(() => {
+    if (loading) return t('select.searching');
+    if (!hasSearched && searchTerm.length < minSearchLength) {
+      return t('select.minSearchLength', { count: minSearchLength });
+    }
+    if (error) return t('select.searchFailed');
+    return nothingFoundMessage;
+  }, [loading, hasSearched, searchTerm.length, minSearchLength, error, nothingFoundMessage, t]);
+
+  return (
+    <MultiSelect
+      name={name}
+      value={selectedValues}
+      onChange={handleChange}
+      onBlur={() => helpers.setTouched(true)}
+      onSearchChange={setSearchTerm}
+      searchValue={searchTerm}
+      data={selectData}
+      filter={filterResults}
+      label={label}
+      placeholder={placeholder}
+      required={required}
+      disabled={disabled}
+      size={size}
+      className={className}
+      style={customStyle}
+      description={description}
+      withAsterisk={withAsterisk || required}
+      maxValues={maxValues}
+      searchable
+      clearable
+      nothingFoundMessage={effectiveNothingFoundMessage}
+      error={errorMessage}
+      rightSection={loading ? <Loader size="xs" /> : undefined}
+      {...mantineProps}
+    />
+  );
+};
+
+FormSearchableMultiSelect.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  placeholder: PropTypes.string,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  height: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  withAsterisk: PropTypes.bool,
+  searchApiUrl: PropTypes.string.isRequired,
+  searchParam: PropTypes.string,
+  debounceMs: PropTypes.number,
+  apiHeaders: PropTypes.object,
+  valueKey: PropTypes.string,
+  labelKey: PropTypes.string,
+  minSearchLength: PropTypes.number,
+  maxValues: PropTypes.number,
+  initialOptions: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+      label: PropTypes.string.isRequired,
+    })
+  ),
+  nothingFoundMessage: PropTypes.string,
+  onApiError: PropTypes.func,
+};
+
+export default FormSearchableMultiSelect;
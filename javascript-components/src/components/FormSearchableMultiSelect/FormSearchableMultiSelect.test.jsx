@@ -0,0 +1,181 @@
+import { render, screen, waitFor, fireEvent, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import FormSearchableMultiSelect from './FormSearchableMultiSelect';
+
+const mockSearchData = vi.fn();
+
+vi.mock('../../hooks/useDebounce', () => ({
+  useDebounce: (value) => value,
+}));
+
+vi.mock('../../utils/api', async (importOriginal) => ({
+  ...(await importOriginal()),
+  searchData: (...args) => mockSearchData(...args),
+}));
+
+// Floating UI hides the dropdown in jsdom once positioning settles (no layout),
+// so options rendered after async search results are queried with `hidden`
+const findResult = (name) => screen.findByRole('option', { name, hidden: true });
+const queryResult = (name) => screen.queryByRole('option', { name, hidden: true });
+
+const TestWrapper = ({ children, initialValues = { skills: [] }, onSubmit = vi.fn() }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} onSubmit={onSubmit}>
+      <Form>
+        {children}
+        <button type="submit">Submit</button>
+      </Form>
+    </Formik>
+  </MantineProvider>
+);
+
+describe('FormSearchableMultiSelect', () => {
+  const defaultProps = {
+    name: 'skills',
+    label: 'Skills',
+    searchApiUrl: 'http://localhost/api/skills',
+    valueKey: 'id',
+    labelKey: 'name',
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSearchData.mockImplementation(async (url, term) =>
+      [
+        { id: 1, name: 'React' },
+        { id: 2, name: 'Redux' },
+        { id: 3, name: 'Vue' },
+      ].filter(item => item.name.toLowerCase().includes(term.toLowerCase()))
+    );
+  });
+
+  it('searches the server as the user types', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper>
+        <FormSearchableMultiSelect {...defaultProps} />
+      </TestWrapper>
+    );
+
+    const input = screen.getByRole('textbox', { name: 'Skills' });
+    await user.type(input, 're');
+
+    await waitFor(() => {
+      expect(mockSearchData).toHaveBeenCalledWith('http://localhost/api/skills', 're', {
+        headers: {},
+        searchParam: 'search',
+        signal: expect.any(AbortSignal),
+      });
+    });
+    expect(await findResult('React')).toBeInTheDocument();
+    expect(await findResult('Redux')).toBeInTheDocument();
+  });
+
+  it('keeps labels of selected values that are not in the current results', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    render(
+      <TestWrapper onSubmit={onSubmit}>
+        <FormSearchableMultiSelect {...defaultProps} />
+      </TestWrapper>
+    );
+
+    const input = screen.getByRole('textbox', { name: 'Skills' });
+    await user.type(input, 'react');
+    fireEvent.click(await findResult('React'));
+
+    await user.type(input, 'vue');
+    fireEvent.click(await findResult('Vue'));
+
+    expect(screen.getByText('React', { selector: '.mantine-Pill-label' })).toBeInTheDocument();
+    expect(screen.getByText('Vue', { selector: '.mantine-Pill-label' })).toBeInTheDocument();
+    expect(queryResult('React')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+    await waitFor(() => {
+      expect(onSubmit).toHaveBeenCalled();
+    });
+    expect(onSubmit.mock.calls[0][0].skills).toEqual(['1', '3']);
+  });
+
+  it('uses initial options to label pre-selected values', () => {
+    render(
+      <TestWrapper initialValues={{ skills: ['2'] }}>
+        <FormSearchableMultiSelect {...defaultProps} initialOptions={[{ value: 2, label: 'Redux' }]} />
+      </TestWrapper>
+    );
+
+    expect(screen.getByText('Redux', { selector: '.mantine-Pill-label' })).toBeInTheDocument();
+  });
+
+  it('shows the minimum search length message', () => {
+    render(
+      <TestWrapper>
+        <FormSearchableMultiSelect {...defaultProps} minSearchLength={2} />
+      </TestWrapper>
+    );
+
+    fireEvent.click(screen.getByRole('textbox', { name: 'Skills' }));
+    expect(screen.getByText('Type at least 2 characters to search')).toBeInTheDocument();
+  });
+
+  it('aborts the previous search and ignores its late response', async () => {
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise(res => {
+        resolve = res;
+      });
+      return { promise, resolve };
+    };
+    const first = deferred();
+    const second = deferred();
+    mockSearchData
+      .mockReturnValueOnce(first.promise)
+      .mockReturnValueOnce(second.promise);
+
+    render(
+      <TestWrapper>
+        <FormSearchableMultiSelect {...defaultProps} />
+      </TestWrapper>
+    );
+
+    const input = screen.getByRole('textbox', { name: 'Skills' });
+    fireEvent.click(input);
+    fireEvent.change(input, { target: { value: 're' } });
+    fireEvent.change(input, { target: { value: 'red' } });
+
+    await waitFor(() => {
+      expect(mockSearchData).toHaveBeenCalledTimes(2);
+    });
+    expect(mockSearchData.mock.calls[0][2].signal.aborted).toBe(true);
+    expect(mockSearchData.mock.calls[1][2].signal.aborted).toBe(false);
+
+    await act(async () => {
+      second.resolve([{ id: 2, name: 'Redux' }]);
+    });
+    await act(async () => {
+      first.resolve([{ id: 1, name: 'React' }]);
+    });
+
+    expect(queryResult('Redux')).toBeInTheDocument();
+    expect(queryResult('React')).not.toBeInTheDocument();
+  });
+
+  it('shows a failed search once, as the field error', async () => {
+    mockSearchData.mockRejectedValue(new Error('Network down'));
+
+    render(
+      <TestWrapper>
+        <FormSearchableMultiSelect {...defaultProps} />
+      </TestWrapper>
+    );
+
+    fireEvent.change(screen.getByRole('textbox', { name: 'Skills' }), { target: { value: 're' } });
+
+    expect(await screen.findByText('Search failed: Network down')).toBeInTheDocument();
+    expect(screen.getAllByText('Search failed: Network down')).toHaveLength(1);
+  });
+});
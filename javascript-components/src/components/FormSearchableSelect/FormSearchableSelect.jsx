@@ -1,9 +1,13 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { Select, Loader, Text } from '@mantine/core';
 import { useField } from 'formik';
 import PropTypes from 'prop-types';
-import { useDebounce } from '../../hooks/useDebounce';
-import { searchData } from '../../utils/api';
+import { useApiConfig } from '../../hooks/useApiConfig';
+import { useSearchOptions } from '../../hooks/useSearchOptions';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
+import { fetchData, extractResponseData, mapToSelectOptions } from '../../utils/api';
+import { DEFAULT_DEBOUNCE_MS } from '../../config';
 
 /**
  * FormSearchableSelect - Server-side searchable dropdown with debounced API calls
@@ -11,16 +15,19 @@ import { searchData } from '../../utils/api';
  * Features:
  * - Server-side searchable dropdown with debounced API calls (default 300ms)
  * - Dynamic option loading based on search parameters
+ * - In-flight searches are aborted when the term changes and out-of-order responses are discarded
+ * - LRU cache of recent search terms so revisiting a term does not hit the server
  * - Loading indicators and error handling for search API
  * - Configurable minimum search length and API parameters
+ * - Label hydration for pre-selected values via `resolveValueUrl` or `fetchSelectedOption`
  * - Formik field integration with automatic error display
  * - Custom width override while maintaining Mantine size properties
  */
 const FormSearchableSelect = ({
   name,
   label,
-  placeholder = 'Type to search...',
-  required = false,
+  placeholder: placeholderProp,
+  required: requiredProp,
   disabled = false,
   size = 'sm',
   width,
@@ -31,99 +38,125 @@ const FormSearchableSelect = ({
   withAsterisk,
   searchApiUrl,
   searchParam = 'search',
-  debounceMs = 300,
+  debounceMs = DEFAULT_DEBOUNCE_MS,
   apiHeaders = {},
   valueKey = 'value',
   labelKey = 'label',
   minSearchLength = 1,
-  nothingFoundMessage = 'No options found',
+  cacheSize = 50,
+  nothingFoundMessage: nothingFoundMessageProp,
   onApiError,
+  resolveValueUrl,
+  fetchSelectedOption,
   ...mantineProps
 }) => {
   const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { t } = useTranslation();
+  const placeholder = placeholderProp ?? t('select.searchPlaceholder');
+  const nothingFoundMessage = nothingFoundMessageProp ?? t('select.nothingFound');
+  const apiConfig = useApiConfig();
   const [searchTerm, setSearchTerm] = useState('');
-  const [options, setOptions] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [hasSearched, setHasSearched] = useState(false);
+  const [selectedOption, setSelectedOption] = useState(null);
+  const [resolving, setResolving] = useState(false);
+  const { options, loading, error, hasSearched } = useSearchOptions(searchApiUrl, searchTerm, {
+    searchParam,
+    debounceMs,
+    headers: apiHeaders,
+    valueKey,
+    labelKey,
+    minSearchLength,
+    cacheSize,
+    onApiError,
+  });
+
+  // Resolved options keyed by value, so re-selecting a known value needs no request
+  const resolvedOptionsRef = useRef({});
+
+  // Latest request settings and results, read when a label is resolved so new
+  // header objects or callbacks on every render do not restart the request
+  const resolveContextRef = useRef(null);
+  resolveContextRef.current = { apiConfig, apiHeaders, onApiError, options };
   
   const hasError = meta.touched && meta.error;
-  const debouncedSearchTerm = useDebounce(searchTerm, debounceMs);
+  const currentValue = field.value === undefined || field.value === null || field.value === ''
+    ? null
+    : String(field.value);
 
-  // Effect to handle debounced search
+  // Effect to resolve the label of a value that is not in the current results
   useEffect(() => {
-    const performSearch = async () => {
-      // Don't search if term is too short or empty
-      if (!debouncedSearchTerm || debouncedSearchTerm.length < minSearchLength) {
-        setOptions([]);
-        setHasSearched(false);
-        return;
-      }
+    if (!currentValue) {
+      setSelectedOption(null);
+      return undefined;
+    }
 
-      setLoading(true);
-      setError(null);
+    const cached = resolvedOptionsRef.current[currentValue];
+    if (cached) {
+      setSelectedOption(cached);
+      return undefined;
+    }
+
+    const { apiConfig, apiHeaders, options } = resolveContextRef.current;
+    const known = options.find(option => option.value === currentValue);
+    if (known || (!resolveValueUrl && !fetchSelectedOption)) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const resolveOption = async () => {
+      setResolving(true);
 
       try {
-        const response = await searchData(searchApiUrl, debouncedSearchTerm, {
-          headers: apiHeaders,
-          searchParam,
-        });
-
-        // Transform API data to Mantine Select format
-        let apiData = response;
-        
-        // If response has a data property (common API pattern), use that
-        if (response && typeof response === 'object' && 'data' in response) {
-          apiData = response.data;
+        let response;
+        if (fetchSelectedOption) {
+          response = await fetchSelectedOption(currentValue);
+        } else {
+          const url = typeof resolveValueUrl === 'function'
+            ? resolveValueUrl(currentValue)
+            : resolveValueUrl.replace(/\{value\}|:value/g, encodeURIComponent(currentValue));
+          response = await fetchData(url, { headers: apiHeaders, apiConfig });
+        }
+
+        // Ignore the response if the value changed while it was loading
+        if (cancelled) return;
+
+        const resolved = mapToSelectOptions(extractResponseData(response), valueKey, labelKey);
+        const option = resolved.find(item => item.value === currentValue) || resolved[0];
+
+        if (option) {
+          const hydrated = { value: currentValue, label: option.label };
+          resolvedOptionsRef.current[currentValue] = hydrated;
+          setSelectedOption(hydrated);
         }
-        
-        // Ensure we have an array
-        const dataArray = Array.isArray(apiData) ? apiData : [apiData];
-        
-        const selectData = dataArray.map((item, index) => {
-          let value, label;
-          
-          if (typeof item === 'object' && item !== null) {
-            // Use configured keys to extract value and label
-            value = item[valueKey];
-            label = item[labelKey];
-            
-            // Fallback if keys don't exist
-            if (value === undefined) {
-              value = item.id || item.value || index;
-            }
-            if (label === undefined) {
-              label = item.name || item.label || item.title || String(value);
-            }
-          } else {
-            // Handle primitive values
-            value = item;
-            label = String(item);
-          }
-
-          return {
-            value: String(value),
-            label: String(label),
-          };
-        });
-
-        setOptions(selectData);
-        setHasSearched(true);
       } catch (err) {
-        setError(err);
-        setOptions([]);
-        setHasSearched(true);
-        
-        if (onApiError) {
+        const { onApiError } = resolveContextRef.current;
+        if (!cancelled && onApiError) {
           onApiError(err);
         }
       } finally {
-        setLoading(false);
+        if (!cancelled) {
+          setResolving(false);
+        }
       }
     };
 
-    performSearch();
-  }, [debouncedSearchTerm, searchApiUrl, searchParam, valueKey, labelKey, minSearchLength]);
+    resolveOption();
+
+    return () => {
+      cancelled = true;
+      setResolving(false);
+    };
+  }, [currentValue, resolveValueUrl, fetchSelectedOption, valueKey, labelKey]);
+
+  // Keep the selected option in the data so its label shows without a search
+  const selectData = useMemo(() => {
+    if (!selectedOption || options.some(option => option.value === selectedOption.value)) {
+      return options;
+    }
+    return [...options, selectedOption];
+  }, [options, selectedOption]);
 
   // Handle search input change
   const handleSearchChange = (value) => {
@@ -132,6 +165,10 @@ const FormSearchableSelect = ({
 
   // Handle selection change
   const handleChange = (value) => {
+    const option = options.find(item => item.value === value);
+    if (option) {
+      resolvedOptionsRef.current[value] = option;
+    }
     helpers.setValue(value);
   };
 
@@ -141,35 +178,32 @@ const FormSearchableSelect = ({
     ...(width && { width })
   };
 
-  // Determine effective disabled state
-  const effectiveDisabled = disabled || loading;
-
   // Determine error message to show
   const showApiError = error && !hasError;
-  const errorMessage = hasError ? meta.error : (showApiError ? `Search failed: ${error.message}` : undefined);
+  const errorMessage = hasError ? meta.error : (showApiError ? t('select.searchFailedWithError', { error: error.message }) : undefined);
 
   // Determine what to show in dropdown
   const effectiveNothingFoundMessage = useMemo(() => {
-    if (loading) return 'Searching...';
+    if (loading) return t('select.searching');
     if (!hasSearched && searchTerm.length < minSearchLength) {
-      return `Type at least ${minSearchLength} character${minSearchLength > 1 ? 's' : ''} to search`;
+      return t('select.minSearchLength', { count: minSearchLength });
     }
-    if (error) return 'Search failed';
+    if (error) return t('select.searchFailed');
     return nothingFoundMessage;
-  }, [loading, hasSearched, searchTerm.length, minSearchLength, error, nothingFoundMessage]);
+  }, [loading, hasSearched, searchTerm.length, minSearchLength, error, nothingFoundMessage, t]);
 
   return (
     <>
       <Select
-        value={field.value || null}
+        value={currentValue}
         onChange={handleChange}
         onSearchChange={handleSearchChange}
         searchValue={searchTerm}
-        data={Array.isArray(options) ? options : []}
+        data={selectData}
         label={label}
         placeholder={placeholder}
         required={required}
-        disabled={effectiveDisabled}
+        disabled={disabled}
         size={size}
         className={className}
         style={customStyle}
@@ -179,12 +213,12 @@ const FormSearchableSelect = ({
         clearable
         nothingFoundMessage={effectiveNothingFoundMessage}
         error={errorMessage}
-        rightSection={loading ? <Loader size="xs" /> : undefined}
+        rightSection={loading || resolving ? <Loader size="xs" /> : undefined}
         {...mantineProps}
       />
       {showApiError && (
         <Text size="sm" c="red" mt={4}>
-          Search failed: {error.message}
+          {t('select.searchFailedWithError', { error: error.message })}
         </Text>
       )}
     </>
@@ -211,8 +245,11 @@ FormSearchableSelect.propTypes = {
   valueKey: PropTypes.string,
   labelKey: PropTypes.string,
   minSearchLength: PropTypes.number,
+  cacheSize: PropTypes.number,
   nothingFoundMessage: PropTypes.string,
   onApiError: PropTypes.func,
+  resolveValueUrl: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+  fetchSelectedOption: PropTypes.func,
 };
 
 export default FormSearchableSelect;
\ No newline at end of file
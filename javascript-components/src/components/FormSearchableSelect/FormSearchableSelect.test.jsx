@@ -9,13 +9,16 @@ import FormSearchableSelect from './FormSearchableSelect';
 // Mock the hooks and utilities
 const mockUseDebounce = vi.fn();
 const mockSearchData = vi.fn();
+const mockFetchData = vi.fn();
 
 vi.mock('../../hooks/useDebounce', () => ({
   useDebounce: (value, delay) => mockUseDebounce(value, delay),
 }));
 
-vi.mock('../../utils/api', () => ({
+vi.mock('../../utils/api', async (importOriginal) => ({
+  ...(await importOriginal()),
   searchData: (...args) => mockSearchData(...args),
+  fetchData: (...args) => mockFetchData(...args),
 }));
 
 // Test wrapper component
@@ -114,6 +117,7 @@ describe('FormSearchableSelect', () => {
           {
             headers: {},
             searchParam: 'search',
+            signal: expect.any(AbortSignal),
           }
         );
       });
@@ -206,7 +210,7 @@ describe('FormSearchableSelect', () => {
   });
 
   describe('Loading State', () => {
-    it('shows loading indicator during search', async () => {
+    it('keeps the input enabled while searching', async () => {
       let resolveSearch;
       const searchPromise = new Promise(resolve => {
         resolveSearch = resolve;
@@ -220,10 +224,11 @@ describe('FormSearchableSelect', () => {
         </TestWrapper>
       );
 
-      // Should show loading state
+      // Should show loading state without disabling the input
       await waitFor(() => {
-        expect(screen.getByRole('textbox')).toBeDisabled();
+        expect(document.querySelector('.mantine-Loader-root')).toBeInTheDocument();
       });
+      expect(screen.getByRole('textbox')).not.toBeDisabled();
 
       // Resolve the search
       act(() => {
@@ -231,7 +236,7 @@ describe('FormSearchableSelect', () => {
       });
 
       await waitFor(() => {
-        expect(screen.getByRole('textbox')).not.toBeDisabled();
+        expect(document.querySelector('.mantine-Loader-root')).not.toBeInTheDocument();
       });
     });
 
@@ -444,4 +449,226 @@ describe('FormSearchableSelect', () => {
       // This test structure shows how the component would display the error
     });
   });
-});
\ No newline at end of file
+
+  describe('Label Hydration', () => {
+    it('shows the label of a pre-selected value fetched from resolveValueUrl', async () => {
+      mockFetchData.mockResolvedValue({ id: 42, name: 'Mango' });
+
+      render(
+        <TestWrapper initialValues={{ testSearchSelect: '42' }}>
+          <FormSearchableSelect
+            {...defaultProps}
+            valueKey="id"
+            labelKey="name"
+            resolveValueUrl="/api/fruits/{value}"
+          />
+        </TestWrapper>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByRole('textbox')).toHaveValue('Mango');
+      });
+
+      expect(mockFetchData).toHaveBeenCalledWith('/api/fruits/42', { headers: {} });
+    });
+
+    it('uses fetchSelectedOption when provided', async () => {
+      const fetchSelectedOption = vi.fn().mockResolvedValue({ value: '7', label: 'Kiwi' });
+
+      render(
+        <TestWrapper initialValues={{ testSearchSelect: 7 }}>
+          <FormSearchableSelect {...defaultProps} fetchSelectedOption={fetchSelectedOption} />
+        </TestWrapper>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByRole('textbox')).toHaveValue('Kiwi');
+      });
+
+      expect(fetchSelectedOption).toHaveBeenCalledWith('7');
+      expect(mockFetchData).not.toHaveBeenCalled();
+    });
+
+    it('resolves again when the value changes externally and caches results', async () => {
+      mockSearchData.mockResolvedValue([]);
+      const fetchSelectedOption = vi.fn((value) =>
+        Promise.resolve({ value, label: value === '1' ? 'Apple' : 'Banana' })
+      );
+      let setFieldValue;
+
+      render(
+        <MantineProvider>
+          <Formik initialValues={{ testSearchSelect: '1' }} onSubmit={vi.fn()}>
+            {(formik) => {
+              setFieldValue = formik.setFieldValue;
+              return (
+                <Form>
+                  <FormSearchableSelect {...defaultProps} fetchSelectedOption={fetchSelectedOption} />
+                </Form>
+              );
+            }}
+          </Formik>
+        </MantineProvider>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByRole('textbox')).toHaveValue('Apple');
+      });
+
+      await act(async () => {
+        setFieldValue('testSearchSelect', '2');
+      });
+
+      await waitFor(() => {
+        expect(screen.getByRole('textbox')).toHaveValue('Banana');
+      });
+
+      await act(async () => {
+        setFieldValue('testSearchSelect', '1');
+      });
+
+      expect(screen.getByRole('textbox')).toHaveValue('Apple');
+      expect(fetchSelectedOption).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports resolve failures through onApiError', async () => {
+      const onApiError = vi.fn();
+      const resolveError = new Error('Not found');
+      mockFetchData.mockRejectedValue(resolveError);
+
+      render(
+        <TestWrapper initialValues={{ testSearchSelect: '99' }}>
+          <FormSearchableSelect
+            {...defaultProps}
+            resolveValueUrl={(value) => `/api/fruits?id=${value}`}
+            onApiError={onApiError}
+          />
+        </TestWrapper>
+      );
+
+      await waitFor(() => {
+        expect(onApiError).toHaveBeenCalledWith(resolveError);
+      });
+
+      expect(mockFetchData).toHaveBeenCalledWith('/api/fruits?id=99', { headers: {} });
+    });
+
+    it('keeps a pending resolve when the parent re-renders and reports to the latest onApiError', async () => {
+      let rejectResolve;
+      mockFetchData.mockReturnValue(new Promise((resolve, reject) => {
+        rejectResolve = reject;
+      }));
+      const firstOnApiError = vi.fn();
+      const latestOnApiError = vi.fn();
+      const renderSelect = (onApiError) => (
+        <TestWrapper initialValues={{ testSearchSelect: '99' }}>
+          <FormSearchableSelect
+            {...defaultProps}
+            resolveValueUrl="/api/fruits/{value}"
+            apiHeaders={{ Authorization: 'Bearer token' }}
+            onApiError={onApiError}
+          />
+        </TestWrapper>
+      );
+
+      const { rerender } = render(renderSelect(firstOnApiError));
+      rerender(renderSelect(latestOnApiError));
+
+      const resolveError = new Error('Not found');
+      await act(async () => {
+        rejectResolve(resolveError);
+      });
+
+      expect(mockFetchData).toHaveBeenCalledTimes(1);
+      expect(firstOnApiError).not.toHaveBeenCalled();
+      expect(latestOnApiError).toHaveBeenCalledWith(resolveError);
+    });
+  });
+
+  describe('Cancellation and Caching', () => {
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise(res => {
+        resolve = res;
+      });
+      return { promise, resolve };
+    };
+
+    it('aborts the previous search and ignores its late response', async () => {
+      const first = deferred();
+      const second = deferred();
+      mockSearchData
+        .mockReturnValueOnce(first.promise)
+        .mockReturnValueOnce(second.promise);
+
+      render(
+        <TestWrapper initialValues={{ testSearchSelect: '' }}>
+          <FormSearchableSelect {...defaultProps} valueKey="id" labelKey="name" />
+        </TestWrapper>
+      );
+
+      const input = screen.getByRole('textbox');
+      fireEvent.click(input);
+      fireEvent.change(input, { target: { value: 'ab' } });
+      fireEvent.change(input, { target: { value: 'abc' } });
+
+      await waitFor(() => {
+        expect(mockSearchData).toHaveBeenCalledTimes(2);
+      });
+      expect(mockSearchData.mock.calls[0][2].signal.aborted).toBe(true);
+      expect(mockSearchData.mock.calls[1][2].signal.aborted).toBe(false);
+
+      await act(async () => {
+        second.resolve([{ id: 3, name: 'abc latest' }]);
+      });
+      await act(async () => {
+        first.resolve([{ id: 1, name: 'abc stale' }]);
+      });
+
+      expect(screen.getByRole('option', { name: 'abc latest', hidden: true })).toBeInTheDocument();
+      expect(screen.queryByRole('option', { name: 'abc stale', hidden: true })).not.toBeInTheDocument();
+    });
+
+    it('reuses cached results when returning to a previous term', async () => {
+      mockSearchData
+        .mockResolvedValueOnce([{ id: 1, name: 'Apple' }])
+        .mockResolvedValueOnce([{ id: 2, name: 'Apricot' }]);
+
+      render(
+        <TestWrapper initialValues={{ testSearchSelect: '' }}>
+          <FormSearchableSelect {...defaultProps} valueKey="id" labelKey="name" />
+        </TestWrapper>
+      );
+
+      const input = screen.getByRole('textbox');
+      fireEvent.click(input);
+      fireEvent.change(input, { target: { value: 'ap' } });
+      expect(await screen.findByRole('option', { name: 'Apple', hidden: true })).toBeInTheDocument();
+
+      fireEvent.change(input, { target: { value: 'apr' } });
+      expect(await screen.findByRole('option', { name: 'Apricot', hidden: true })).toBeInTheDocument();
+
+      fireEvent.change(input, { target: { value: 'ap' } });
+      expect(await screen.findByRole('option', { name: 'Apple', hidden: true })).toBeInTheDocument();
+      expect(mockSearchData).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not cache when cacheSize is 0', async () => {
+      render(
+        <TestWrapper initialValues={{ testSearchSelect: '' }}>
+          <FormSearchableSelect {...defaultProps} cacheSize={0} />
+        </TestWrapper>
+      );
+
+      const input = screen.getByRole('textbox');
+      fireEvent.change(input, { target: { value: 'ap' } });
+      await waitFor(() => expect(mockSearchData).toHaveBeenCalledTimes(1));
+
+      fireEvent.change(input, { target: { value: 'apr' } });
+      await waitFor(() => expect(mockSearchData).toHaveBeenCalledTimes(2));
+
+      fireEvent.change(input, { target: { value: 'ap' } });
+      await waitFor(() => expect(mockSearchData).toHaveBeenCalledTimes(3));
+    });
+  });
+});
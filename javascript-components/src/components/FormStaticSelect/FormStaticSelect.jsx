@@ -2,6 +2,8 @@ import React from 'react';
 import { Select } from '@mantine/core';
 import { useField } from 'formik';
 import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * FormStaticSelect - Single-select dropdown with static options using Mantine Select
@@ -17,8 +19,8 @@ import PropTypes from 'prop-types';
 const FormStaticSelect = ({
   name,
   label,
-  placeholder = 'Select an option',
-  required = false,
+  placeholder: placeholderProp,
+  required: requiredProp,
   disabled = false,
   size = 'sm',
   width,
@@ -27,13 +29,19 @@ const FormStaticSelect = ({
   style = {},
   description,
   withAsterisk,
-  options = [],
+  options: optionsProp,
   clearable = true,
   searchable = true,
-  nothingFoundMessage = 'No options found',
+  nothingFoundMessage: nothingFoundMessageProp,
   ...mantineProps
 }) => {
   const [field, meta] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { t } = useTranslation();
+  const placeholder = placeholderProp ?? t('select.placeholder');
+  const nothingFoundMessage = nothingFoundMessageProp ?? t('select.nothingFound');
+  const options = optionsProp ?? constraints.options ?? [];
   
   const hasError = meta.touched && meta.error;
   
@@ -91,7 +99,7 @@ FormStaticSelect.propTypes = {
       label: PropTypes.string.isRequired,
       disabled: PropTypes.bool,
     })
-  ).isRequired,
+  ),
   clearable: PropTypes.bool,
   searchable: PropTypes.bool,
   nothingFoundMessage: PropTypes.string,
@@ -0,0 +1,85 @@
+import React from 'react';
+import { Switch } from '@mantine/core';
+import { useField } from 'formik';
+import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+
+/**
+ * FormSwitch - Toggle switch component with Formik integration and Mantine Switch
+ *
+ * Features:
+ * - Boolean Formik value for on/off settings
+ * - Optional labels inside the track (`onLabel`, `offLabel`) and label position
+ * - Formik field integration with automatic error display
+ * - Custom width override while maintaining Mantine size properties
+ * - Full Mantine Switch prop support
+ */
+const FormSwitch = ({
+  name,
+  label,
+  required: requiredProp,
+  disabled = false,
+  size = 'sm',
+  width,
+  className = '',
+  style = {},
+  description,
+  onLabel,
+  offLabel,
+  labelPosition = 'right',
+  ...mantineProps
+}) => {
+  const [field, meta, helpers] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+
+  const hasError = meta.touched && meta.error;
+
+  // Create custom style object that includes width override
+  const customStyle = {
+    ...style,
+    ...(width && { width })
+  };
+
+  const handleChange = (event) => {
+    helpers.setValue(event.currentTarget.checked);
+  };
+
+  return (
+    <Switch
+      {...mantineProps}
+      name={field.name}
+      checked={Boolean(field.value)}
+      onChange={handleChange}
+      onBlur={field.onBlur}
+      label={label}
+      required={required}
+      disabled={disabled}
+      size={size}
+      className={className}
+      style={customStyle}
+      description={description}
+      onLabel={onLabel}
+      offLabel={offLabel}
+      labelPosition={labelPosition}
+      error={hasError ? meta.error : undefined}
+    />
+  );
+};
+
+FormSwitch.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.node,
+  required: PropTypes.bool,
+  disabled: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  description: PropTypes.string,
+  onLabel: PropTypes.node,
+  offLabel: PropTypes.node,
+  labelPosition: PropTypes.oneOf(['left', 'right']),
+};
+
+export default FormSwitch;
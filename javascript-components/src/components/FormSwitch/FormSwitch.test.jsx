@@ -0,0 +1,51 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form, useFormikContext } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect } from 'vitest';
+import FormSwitch from './FormSwitch';
+
+// Test wrapper component
+const TestWrapper = ({ children, initialValues = {} }) => (
+  <MantineProvider>
+    <Formik initialValues={initialValues} onSubmit={vi.fn()}>
+      <Form>{children}</Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const ValuesDisplay = () => {
+  const { values } = useFormikContext();
+  return <div data-testid="form-values">{JSON.stringify(values)}</div>;
+};
+
+describe('FormSwitch', () => {
+  it('toggles a boolean value', async () => {
+    const user = userEvent.setup();
+    render(
+      <TestWrapper initialValues={{ notifications: true }}>
+        <FormSwitch name="notifications" label="Email notifications" onLabel="ON" offLabel="OFF" />
+        <ValuesDisplay />
+      </TestWrapper>
+    );
+
+    const toggle = screen.getByRole('switch', { name: 'Email notifications' });
+    expect(toggle).toBeChecked();
+
+    await user.click(toggle);
+
+    expect(toggle).not.toBeChecked();
+    expect(JSON.parse(screen.getByTestId('form-values').textContent).notifications).toBe(false);
+  });
+
+  it('can be disabled', () => {
+    render(
+      <TestWrapper initialValues={{ notifications: false }}>
+        <FormSwitch name="notifications" label="Email notifications" disabled />
+      </TestWrapper>
+    );
+
+    expect(screen.getByRole('switch', { name: 'Email notifications' })).toBeDisabled();
+  });
+});
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Textarea } from '@mantine/core';
 import { useField } from 'formik';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
 
 /**
  * FormTextArea - Textarea component with Formik integration and Mantine Textarea
@@ -16,7 +17,7 @@ const FormTextArea = ({
   name,
   label,
   placeholder,
-  required = false,
+  required: requiredProp,
   disabled = false,
   size = 'sm',
   width,
@@ -28,12 +29,15 @@ const FormTextArea = ({
   rows = 4,
   maxRows,
   minRows,
-  maxLength,
+  maxLength: maxLengthProp,
   autosize = false,
   resize = 'vertical',
   ...mantineProps
 }) => {
   const [field, meta] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const maxLength = maxLengthProp ?? constraints.maxLength;
   
   const hasError = meta.touched && meta.error;
   
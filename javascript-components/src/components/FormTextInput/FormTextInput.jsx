@@ -1,6 +1,9 @@
 import React from 'react';
-import { TextInput } from '@mantine/core';
+import { TextInput, Loader } from '@mantine/core';
 import { useField } from 'formik';
+import { useValidationPending } from '../../hooks/useValidationPending.js';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints.js';
+import { useTranslation } from '../../hooks/useTranslation.js';
 
 /**
  * FormTextInput - Text input component with Formik integration and Mantine TextInput
@@ -10,13 +13,15 @@ import { useField } from 'formik';
  * - Support for various input types (text, email, password, number, tel, url)
  * - Custom width override while maintaining Mantine size properties
  * - Left and right section support for icons and additional elements
+ * - Field-level `validate`, including async validators from `createValidator`,
+ *   with a spinner in the right section while a check is pending
  * - Full Mantine TextInput prop support
  */
 const FormTextInput = ({
   name,
   label,
   placeholder,
-  required = false,
+  required: requiredProp,
   disabled = false,
   size = 'sm',
   width,
@@ -26,15 +31,23 @@ const FormTextInput = ({
   description,
   withAsterisk,
   type = 'text',
-  maxLength,
+  maxLength: maxLengthProp,
   minLength,
   pattern,
   autoComplete,
   leftSection,
   rightSection,
+  validate,
+  validating,
   ...mantineProps
 }) => {
-  const [field, meta] = useField(name);
+  const [field, meta] = useField({ name, validate });
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const maxLength = maxLengthProp ?? constraints.maxLength;
+  const validationPending = useValidationPending(validate);
+  const isValidating = validating || validationPending;
+  const { t } = useTranslation();
   
   const hasError = meta.touched && meta.error;
   
@@ -63,7 +76,8 @@ const FormTextInput = ({
       pattern={pattern}
       autoComplete={autoComplete}
       leftSection={leftSection}
-      rightSection={rightSection}
+      rightSection={isValidating ? <Loader size="xs" aria-label={t('form.validating')} /> : rightSection}
+      aria-busy={isValidating || undefined}
       error={hasError ? meta.error : undefined}
     />
   );
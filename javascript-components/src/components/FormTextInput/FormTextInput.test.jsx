@@ -4,6 +4,7 @@ import { Formik, Form } from 'formik';
 import { MantineProvider } from '@mantine/core';
 import * as yup from 'yup';
 import FormTextInput from './FormTextInput';
+import { createValidator } from '../../utils/validation';
 
 const TestWrapper = ({ children, initialValues = { testField: '' }, validationSchema, onSubmit = () => {} }) => (
   <MantineProvider>
@@ -240,4 +241,77 @@ describe('FormTextInput', () => {
       expect(screen.getByText('Invalid email format')).toBeInTheDocument();
     });
   });
-});
\ No newline at end of file
+
+  describe('async validation', () => {
+    // Check whose result is decided by the test
+    const createDeferredCheck = () => {
+      const pending = [];
+      const check = vi.fn(() => new Promise(resolve => pending.push(resolve)));
+      return { check, resolveAll: (result) => pending.forEach(resolve => resolve(result)) };
+    };
+
+    it('shows a spinner while the check is pending and then the error', async () => {
+      const { check, resolveAll } = createDeferredCheck();
+      const validate = createValidator([{ type: 'async', validator: check, debounce: 0 }]);
+
+      render(
+        <TestWrapper initialValues={{ username: '' }}>
+          <FormTextInput name="username" label="Username" validate={validate} />
+        </TestWrapper>
+      );
+
+      const input = screen.getByLabelText('Username');
+      fireEvent.change(input, { target: { value: 'admin' } });
+      fireEvent.blur(input);
+
+      expect(await screen.findByLabelText('Validating')).toBeInTheDocument();
+      expect(input).toHaveAttribute('aria-busy', 'true');
+
+      await waitFor(() => {
+        expect(check).toHaveBeenCalledWith('admin', expect.any(Object));
+      });
+      resolveAll('This username is taken');
+
+      expect(await screen.findByText('This username is taken.')).toBeInTheDocument();
+      expect(screen.queryByLabelText('Validating')).not.toBeInTheDocument();
+    });
+
+    it('waits for pending checks before submitting', async () => {
+      const { check, resolveAll } = createDeferredCheck();
+      const validate = createValidator([{ type: 'async', validator: check, debounce: 0 }]);
+      const onSubmit = vi.fn();
+
+      render(
+        <TestWrapper initialValues={{ username: '' }} onSubmit={onSubmit}>
+          <FormTextInput name="username" label="Username" validate={validate} />
+          <button type="submit">Submit</button>
+        </TestWrapper>
+      );
+
+      fireEvent.change(screen.getByLabelText('Username'), { target: { value: 'alice' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Submit' }));
+
+      await waitFor(() => {
+        expect(check).toHaveBeenCalled();
+      });
+      expect(onSubmit).not.toHaveBeenCalled();
+
+      resolveAll(undefined);
+
+      await waitFor(() => {
+        expect(onSubmit).toHaveBeenCalledWith({ username: 'alice' }, expect.any(Object));
+      });
+      expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    it('shows the spinner when validating is set', () => {
+      render(
+        <TestWrapper>
+          <FormTextInput name="testField" label="Checked Field" validating />
+        </TestWrapper>
+      );
+
+      expect(screen.getByLabelText('Validating')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,21 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * FormStep - A single step of a FormWizard
+ *
+ * Renders its children when active. Step metadata (label, fields, conditions)
+ * is read by the parent FormWizard.
+ */
+const FormStep = ({ children }) => <>{children}</>;
+
+FormStep.propTypes = {
+  label: PropTypes.node,
+  description: PropTypes.node,
+  fields: PropTypes.arrayOf(PropTypes.string),
+  when: PropTypes.func,
+  skippable: PropTypes.bool,
+  children: PropTypes.node,
+};
+
+export default FormStep;
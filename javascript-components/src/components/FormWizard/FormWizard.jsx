@@ -0,0 +1,244 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { Stepper, Button, Group, Box } from '@mantine/core';
+import { useFormikContext, getIn, setIn } from 'formik';
+import PropTypes from 'prop-types';
+import { useTranslation } from '../../hooks/useTranslation';
+
+/**
+ * FormWizard - Multi-step container for a Formik form using Mantine Stepper
+ *
+ * Features:
+ * - Splits a form into FormStep children shown one at a time
+ * - Validates only the fields belonging to the current step before advancing
+ * - Back, next and skip navigation with a Stepper progress indicator
+ * - Conditional steps via FormStep `when`, evaluated against current values
+ * - Submits from the last step after validating the fields of every visible step
+ *   that was not skipped; pressing Enter in a field of an earlier step advances
+ *   instead of submitting
+ *
+ * Must be rendered inside a Formik form. With `onSubmit` the wizard submits the
+ * values itself, so errors on fields of hidden and skipped steps do not block it.
+ * Without it the surrounding Formik form is submitted, and Formik validates the
+ * whole schema.
+ *
+ * @example
+ * <FormWizard>
+ *   <FormStep label="Account" fields={['email', 'password']}>...</FormStep>
+ *   <FormStep label="Company" fields={['company']} when={(values) => values.hasCompany === 'yes'}>...</FormStep>
+ * </FormWizard>
+ */
+const FormWizard = ({
+  children,
+  initialStep = 0,
+  onStepChange,
+  onSubmit,
+  backLabel: backLabelProp,
+  nextLabel: nextLabelProp,
+  skipLabel: skipLabelProp,
+  submitLabel: submitLabelProp,
+  allowStepClick = true,
+  size = 'sm',
+  orientation = 'horizontal',
+  className = '',
+  style = {},
+  ...mantineProps
+}) => {
+  const formik = useFormikContext();
+  const {
+    values,
+    touched,
+    isSubmitting,
+    validateForm,
+    setTouched,
+    setSubmitting,
+    submitForm,
+  } = formik;
+
+  // Collect step definitions, keeping their position among all steps
+  const steps = useMemo(() => {
+    return React.Children.toArray(children)
+      .filter(child => React.isValidElement(child))
+      .map((child, index) => ({ index, element: child, ...child.props }));
+  }, [children]);
+
+  const isStepVisible = (step) => !step.when || step.when(values);
+  const visibleSteps = steps.filter(isStepVisible);
+
+  const [activeIndex, setActiveIndex] = useState(initialStep);
+
+  // Indexes of steps left with Skip; they are validated again once completed with Next
+  const skippedStepsRef = useRef(new Set());
+  const { t } = useTranslation();
+  const backLabel = backLabelProp ?? t('wizard.back');
+  const nextLabel = nextLabelProp ?? t('wizard.next');
+  const skipLabel = skipLabelProp ?? t('wizard.skip');
+  const submitLabel = submitLabelProp ?? t('form.submit');
+
+  // Fall back to the nearest visible step when the active one becomes hidden
+  const activeStep = visibleSteps.find(step => step.index >= activeIndex)
+    || visibleSteps[visibleSteps.length - 1];
+  const activePosition = visibleSteps.indexOf(activeStep);
+  const isFirstStep = activePosition <= 0;
+  const isLastStep = activePosition === visibleSteps.length - 1;
+
+  const goToStep = (step) => {
+    if (!step) return;
+    setActiveIndex(step.index);
+    if (onStepChange) {
+      onStepChange(step.index);
+    }
+  };
+
+  // Validate the whole form, but only report and block on these steps' fields;
+  // resolves to the first step with errors, or undefined
+  const validateSteps = async (stepsToValidate) => {
+    const fields = stepsToValidate.flatMap(step => step.fields || []);
+    if (fields.length === 0) return undefined;
+
+    const errors = await validateForm();
+    const stepTouched = fields.reduce((acc, field) => setIn(acc, field, true), touched);
+    setTouched(stepTouched, false);
+
+    return stepsToValidate.find(step => (step.fields || []).some(field => getIn(errors, field)));
+  };
+
+  const handleNext = async () => {
+    const invalidStep = await validateSteps([activeStep]);
+    if (!invalidStep) {
+      skippedStepsRef.current.delete(activeStep.index);
+      goToStep(visibleSteps[activePosition + 1]);
+    }
+  };
+
+  // Submit only when every visible, not skipped step is valid, otherwise show the
+  // first invalid one
+  const handleSubmit = async () => {
+    const stepsToValidate = visibleSteps.filter(step => !skippedStepsRef.current.has(step.index));
+    const invalidStep = await validateSteps(stepsToValidate);
+    if (invalidStep) {
+      if (invalidStep !== activeStep) {
+        goToStep(invalidStep);
+      }
+      return;
+    }
+
+    if (!onSubmit) {
+      submitForm();
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await onSubmit(values, formik);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Route submits of the surrounding form (Enter in a field, submit buttons) through
+  // the wizard before Formik sees them
+  const containerRef = useRef(null);
+  const submitRef = useRef(null);
+  submitRef.current = isLastStep ? handleSubmit : handleNext;
+  const hasActiveStep = Boolean(activeStep);
+
+  useEffect(() => {
+    const form = containerRef.current?.closest('form');
+    if (!form) return undefined;
+
+    const handleFormSubmit = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      submitRef.current();
+    };
+    form.addEventListener('submit', handleFormSubmit);
+    return () => form.removeEventListener('submit', handleFormSubmit);
+  }, [hasActiveStep]);
+
+  const handleBack = () => {
+    goToStep(visibleSteps[activePosition - 1]);
+  };
+
+  const handleSkip = () => {
+    skippedStepsRef.current.add(activeStep.index);
+    goToStep(visibleSteps[activePosition + 1]);
+  };
+
+  // Only completed (earlier) steps can be selected from the indicator
+  const handleStepClick = (position) => {
+    if (allowStepClick && position < activePosition) {
+      goToStep(visibleSteps[position]);
+    }
+  };
+
+  if (!activeStep) return null;
+
+  return (
+    <Box ref={containerRef} className={className} style={style}>
+      <Stepper
+        {...mantineProps}
+        active={activePosition}
+        onStepClick={handleStepClick}
+        allowNextStepsSelect={false}
+        size={size}
+        orientation={orientation}
+      >
+        {visibleSteps.map(step => (
+          <Stepper.Step
+            key={step.index}
+            label={step.label}
+            description={step.description}
+            allowStepSelect={allowStepClick && step.index < activeStep.index}
+          >
+            {step.element}
+          </Stepper.Step>
+        ))}
+      </Stepper>
+
+      <Group justify="space-between" mt="xl">
+        <Button
+          variant="default"
+          onClick={handleBack}
+          disabled={isFirstStep}
+          size={size}
+        >
+          {backLabel}
+        </Button>
+        <Group gap="sm">
+          {activeStep.skippable && !isLastStep && (
+            <Button variant="subtle" onClick={handleSkip} size={size}>
+              {skipLabel}
+            </Button>
+          )}
+          {isLastStep ? (
+            <Button onClick={handleSubmit} loading={isSubmitting} size={size}>
+              {submitLabel}
+            </Button>
+          ) : (
+            <Button onClick={handleNext} size={size}>
+              {nextLabel}
+            </Button>
+          )}
+        </Group>
+      </Group>
+    </Box>
+  );
+};
+
+FormWizard.propTypes = {
+  children: PropTypes.node.isRequired,
+  initialStep: PropTypes.number,
+  onStepChange: PropTypes.func,
+  onSubmit: PropTypes.func,
+  backLabel: PropTypes.node,
+  nextLabel: PropTypes.node,
+  skipLabel: PropTypes.node,
+  submitLabel: PropTypes.node,
+  allowStepClick: PropTypes.bool,
+  size: PropTypes.oneOf(['xs', 'sm', 'md', 'lg', 'xl']),
+  orientation: PropTypes.oneOf(['horizontal', 'vertical']),
+  className: PropTypes.string,
+  style: PropTypes.object,
+};
+
+export default FormWizard;
@@ -0,0 +1,218 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Formik, Form } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi } from 'vitest';
+import * as yup from 'yup';
+import FormWizard from './FormWizard';
+import FormStep from './FormStep';
+import FormTextInput from '../FormTextInput';
+
+const validationSchema = yup.object({
+  email: yup.string().required('Email is required'),
+  company: yup.string().when('hasCompany', {
+    is: 'yes',
+    then: (schema) => schema.required('Company is required'),
+  }),
+  city: yup.string().required('City is required'),
+});
+
+const TestWrapper = ({ children, initialValues, onSubmit = vi.fn(), schema = validationSchema }) => (
+  <MantineProvider>
+    <Formik
+      initialValues={{ email: '', hasCompany: 'no', company: '', city: '', ...initialValues }}
+      validationSchema={schema}
+      onSubmit={onSubmit}
+    >
+      <Form>{children}</Form>
+    </Formik>
+  </MantineProvider>
+);
+
+const renderWizard = ({ initialValues, onSubmit, onStepChange } = {}) =>
+  render(
+    <TestWrapper initialValues={initialValues} onSubmit={onSubmit}>
+      <FormWizard onStepChange={onStepChange}>
+        <FormStep label="Account" fields={['email']}>
+          <FormTextInput name="email" label="Email" />
+        </FormStep>
+        <FormStep label="Company" fields={['company']} when={(values) => values.hasCompany === 'yes'}>
+          <FormTextInput name="company" label="Company" />
+        </FormStep>
+        <FormStep label="Extras" skippable>
+          <FormTextInput name="nickname" label="Nickname" />
+        </FormStep>
+        <FormStep label="Address" fields={['city']}>
+          <FormTextInput name="city" label="City" />
+        </FormStep>
+      </FormWizard>
+    </TestWrapper>
+  );
+
+describe('FormWizard', () => {
+  it('renders only the first step initially', () => {
+    renderWizard();
+
+    expect(screen.getByLabelText('Email')).toBeInTheDocument();
+    expect(screen.queryByLabelText('City')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Back' })).toBeDisabled();
+  });
+
+  it('blocks advancing while the current step has errors', async () => {
+    const user = userEvent.setup();
+    renderWizard();
+
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Email is required')).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Email')).toBeInTheDocument();
+  });
+
+  it('ignores errors from fields of later steps', async () => {
+    const user = userEvent.setup();
+    const onStepChange = vi.fn();
+    renderWizard({ onStepChange });
+
+    await user.type(screen.getByLabelText('Email'), 'jane@example.com');
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Nickname')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('City is required')).not.toBeInTheDocument();
+    expect(onStepChange).toHaveBeenCalledWith(2);
+  });
+
+  it('includes conditional steps when their condition is met', async () => {
+    const user = userEvent.setup();
+    renderWizard({ initialValues: { hasCompany: 'yes', email: 'jane@example.com' } });
+
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Company')).toBeInTheDocument();
+    });
+  });
+
+  it('supports skipping, going back and submitting from the last step', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    renderWizard({ initialValues: { email: 'jane@example.com' }, onSubmit });
+
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Skip' })).toBeInTheDocument();
+    });
+    await user.click(screen.getByRole('button', { name: 'Skip' }));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('City')).toBeInTheDocument();
+    });
+    expect(screen.queryByRole('button', { name: 'Skip' })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Back' }));
+    expect(screen.getByLabelText('Nickname')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Skip' }));
+
+    await user.type(screen.getByLabelText('City'), 'Paris');
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(onSubmit).toHaveBeenCalled();
+    });
+    expect(onSubmit.mock.calls[0][0]).toMatchObject({ email: 'jane@example.com', city: 'Paris' });
+  });
+
+  it('advances instead of submitting when Enter is pressed on an earlier step', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    renderWizard({ onSubmit });
+
+    await user.type(screen.getByLabelText('Email'), '{Enter}');
+
+    await waitFor(() => {
+      expect(screen.getByText('Email is required')).toBeInTheDocument();
+    });
+
+    await user.type(screen.getByLabelText('Email'), 'jane@example.com{Enter}');
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Nickname')).toBeInTheDocument();
+    });
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('validates the fields of every visible step before submitting', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    render(
+      <TestWrapper initialValues={{ city: 'Paris' }} onSubmit={onSubmit}>
+        <FormWizard initialStep={3}>
+          <FormStep label="Account" fields={['email']}>
+            <FormTextInput name="email" label="Email" />
+          </FormStep>
+          <FormStep label="Company" fields={['company']} when={(values) => values.hasCompany === 'yes'}>
+            <FormTextInput name="company" label="Company" />
+          </FormStep>
+          <FormStep label="Extras" skippable>
+            <FormTextInput name="nickname" label="Nickname" />
+          </FormStep>
+          <FormStep label="Address" fields={['city']}>
+            <FormTextInput name="city" label="City" />
+          </FormStep>
+        </FormWizard>
+      </TestWrapper>
+    );
+
+    await user.type(screen.getByLabelText('City'), '{Enter}');
+
+    await waitFor(() => {
+      expect(screen.getByText('Email is required')).toBeInTheDocument();
+    });
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('does not let errors on fields of skipped and hidden steps block onSubmit', async () => {
+    const user = userEvent.setup();
+    const formikSubmit = vi.fn();
+    const onSubmit = vi.fn();
+    const strictSchema = validationSchema.shape({
+      company: yup.string().required('Company is required'),
+      nickname: yup.string().required('Nickname is required'),
+    });
+    render(
+      <TestWrapper
+        initialValues={{ email: 'jane@example.com', nickname: '' }}
+        onSubmit={formikSubmit}
+        schema={strictSchema}
+      >
+        <FormWizard initialStep={2} onSubmit={onSubmit}>
+          <FormStep label="Account" fields={['email']}>
+            <FormTextInput name="email" label="Email" />
+          </FormStep>
+          <FormStep label="Company" fields={['company']} when={(values) => values.hasCompany === 'yes'}>
+            <FormTextInput name="company" label="Company" />
+          </FormStep>
+          <FormStep label="Extras" fields={['nickname']} skippable>
+            <FormTextInput name="nickname" label="Nickname" />
+          </FormStep>
+          <FormStep label="Address" fields={['city']}>
+            <FormTextInput name="city" label="City" />
+          </FormStep>
+        </FormWizard>
+      </TestWrapper>
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Skip' }));
+    await user.type(screen.getByLabelText('City'), 'Paris');
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(onSubmit).toHaveBeenCalled();
+    });
+    expect(onSubmit.mock.calls[0][0]).toMatchObject({ email: 'jane@example.com', city: 'Paris' });
+    expect(formikSubmit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,2 @@
+export { default } from './FormWizard.jsx';
+export { default as FormStep } from './FormStep.jsx';
@@ -2,6 +2,8 @@ import React from 'react';
 import { Select } from '@mantine/core';
 import { useField } from 'formik';
 import PropTypes from 'prop-types';
+import { useFieldConstraints } from '../../hooks/useFieldConstraints';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * FormYesNoSelect - Yes/No dropdown component with Formik integration and Mantine Select
@@ -16,8 +18,8 @@ import PropTypes from 'prop-types';
 const FormYesNoSelect = ({
   name,
   label,
-  placeholder = 'Select an option',
-  required = false,
+  placeholder: placeholderProp,
+  required: requiredProp,
   disabled = false,
   size = 'sm',
   width,
@@ -26,13 +28,19 @@ const FormYesNoSelect = ({
   style = {},
   description,
   withAsterisk,
-  yesLabel = 'Yes',
-  noLabel = 'No',
+  yesLabel: yesLabelProp,
+  noLabel: noLabelProp,
   clearable = true,
   searchable = false,
   ...mantineProps
 }) => {
   const [field, meta] = useField(name);
+  const constraints = useFieldConstraints(name);
+  const required = requiredProp ?? constraints.required ?? false;
+  const { t } = useTranslation();
+  const placeholder = placeholderProp ?? t('select.placeholder');
+  const yesLabel = yesLabelProp ?? t('yesNo.yes');
+  const noLabel = noLabelProp ?? t('yesNo.no');
   
   const hasError = meta.touched && meta.error;
   
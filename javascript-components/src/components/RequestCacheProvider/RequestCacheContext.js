@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Without a provider, consumers use the shared store with per-call defaults
+export const RequestCacheContext = createContext({});
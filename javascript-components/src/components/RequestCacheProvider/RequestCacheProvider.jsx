@@ -0,0 +1,45 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { requestCache } from '../../utils/requestCache';
+import { RequestCacheContext } from './RequestCacheContext';
+
+/**
+ * RequestCacheProvider - Configures the request cache used by useApiData and the API-backed selects
+ *
+ * Features:
+ * - Default stale time for every useApiData call below the provider
+ * - Stale-while-revalidate: cached data is shown immediately while it is refetched
+ * - Shares the module-level store by default, or an isolated store from createRequestCache
+ * - useRequestCache() exposes invalidate/clear for use after mutations
+ */
+const RequestCacheProvider = ({
+  staleTime = 0,
+  staleWhileRevalidate = true,
+  store = requestCache,
+  children,
+}) => {
+  const value = useMemo(
+    () => ({ store, staleTime, staleWhileRevalidate }),
+    [store, staleTime, staleWhileRevalidate]
+  );
+
+  return (
+    <RequestCacheContext.Provider value={value}>
+      {children}
+    </RequestCacheContext.Provider>
+  );
+};
+
+RequestCacheProvider.propTypes = {
+  staleTime: PropTypes.number,
+  staleWhileRevalidate: PropTypes.bool,
+  store: PropTypes.shape({
+    fetch: PropTypes.func.isRequired,
+    get: PropTypes.func.isRequired,
+    invalidate: PropTypes.func.isRequired,
+    subscribe: PropTypes.func.isRequired,
+  }),
+  children: PropTypes.node,
+};
+
+export default RequestCacheProvider;
@@ -0,0 +1,171 @@
+import React from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { Formik, Form } from 'formik';
+import { MantineProvider } from '@mantine/core';
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
+import RequestCacheProvider from './RequestCacheProvider';
+import FormDynamicSelect from '../FormDynamicSelect';
+import { useRequestCache } from '../../hooks/useRequestCache';
+import { createRequestCache } from '../../utils/requestCache';
+import { configureApi, resetApiConfig, fetchData } from '../../utils/api';
+
+const countries = [
+  { id: 'us', name: 'United States' },
+  { id: 'ca', name: 'Canada' },
+];
+
+const jsonResponse = (data) => Promise.resolve({ ok: true, json: () => Promise.resolve(data) });
+
+// Test wrapper component
+const TestWrapper = ({ children, store, ...providerProps }) => (
+  <MantineProvider>
+    <RequestCacheProvider store={store} {...providerProps}>
+      <Formik initialValues={{ billing: '', shipping: '' }} onSubmit={vi.fn()}>
+        <Form>{children}</Form>
+      </Formik>
+    </RequestCacheProvider>
+  </MantineProvider>
+);
+
+const CountrySelect = ({ name = 'billing', label = 'Billing country' }) => (
+  <FormDynamicSelect name={name} label={label} apiUrl="/api/countries" valueKey="id" labelKey="name" />
+);
+
+const InvalidateButton = () => {
+  const { invalidate } = useRequestCache();
+  return <button type="button" onClick={() => invalidate('/api/countries')}>Reload countries</button>;
+};
+
+describe('RequestCacheProvider', () => {
+  const originalFetch = globalThis.fetch;
+  let store;
+
+  beforeEach(() => {
+    store = createRequestCache();
+    globalThis.fetch = vi.fn(() => jsonResponse(countries));
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('shares one request between selects with the same apiUrl', async () => {
+    render(
+      <TestWrapper store={store}>
+        <CountrySelect />
+        <CountrySelect name="shipping" label="Shipping country" />
+      </TestWrapper>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByRole('textbox', { name: 'Shipping country' })).not.toBeDisabled();
+    });
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+
+    fireEvent.click(screen.getByRole('textbox', { name: 'Billing country' }));
+    expect(screen.getAllByRole('option', { name: 'Canada', hidden: true }).length).toBeGreaterThan(0);
+  });
+
+  it('serves fresh cached data without a request', async () => {
+    const { unmount } = render(
+      <TestWrapper store={store} staleTime={60000}>
+        <CountrySelect />
+      </TestWrapper>
+    );
+
+    await waitFor(() => {
+      expect(store.get('/api/countries')?.hasData).toBe(true);
+    });
+    unmount();
+
+    render(
+      <TestWrapper store={store} staleTime={60000}>
+        <CountrySelect />
+      </TestWrapper>
+    );
+
+    expect(screen.getByRole('textbox', { name: 'Billing country' })).not.toBeDisabled();
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows stale data immediately while revalidating', async () => {
+    store.set('/api/countries', [{ id: 'mx', name: 'Mexico' }]);
+
+    render(
+      <TestWrapper store={store}>
+        <CountrySelect />
+      </TestWrapper>
+    );
+
+    const input = screen.getByRole('textbox', { name: 'Billing country' });
+    expect(input).not.toBeDisabled();
+    fireEvent.click(input);
+    expect(screen.getByRole('option', { name: 'Mexico', hidden: true })).toBeInTheDocument();
+
+    expect(await screen.findByRole('option', { name: 'Canada', hidden: true })).toBeInTheDocument();
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('refetches mounted consumers when a key is invalidated', async () => {
+    render(
+      <TestWrapper store={store} staleTime={60000}>
+        <CountrySelect />
+        <InvalidateButton />
+      </TestWrapper>
+    );
+
+    await waitFor(() => {
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    globalThis.fetch.mockImplementation(() => jsonResponse([...countries, { id: 'mx', name: 'Mexico' }]));
+    fireEvent.click(screen.getByRole('button', { name: 'Reload countries' }));
+
+    await waitFor(() => {
+      expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    fireEvent.click(screen.getByRole('textbox', { name: 'Billing country' }));
+    expect(await screen.findByRole('option', { name: 'Mexico', hidden: true })).toBeInTheDocument();
+  });
+  describe('with a base URL', () => {
+    beforeEach(() => {
+      configureApi({ baseURL: 'https://api.example.com' });
+    });
+
+    afterEach(() => {
+      resetApiConfig();
+    });
+
+    it('shares cached responses, updates and invalidation with direct fetchData calls', async () => {
+      render(
+        <TestWrapper store={store} staleTime={60000}>
+          <CountrySelect />
+          <InvalidateButton />
+        </TestWrapper>
+      );
+
+      await waitFor(() => {
+        expect(store.get('https://api.example.com/api/countries')?.hasData).toBe(true);
+      });
+      expect(globalThis.fetch).toHaveBeenCalledWith('https://api.example.com/api/countries', expect.any(Object));
+
+      // Served from the entry the hook filled
+      await fetchData('/api/countries', { cacheStore: store, staleTime: 60000 });
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+
+      // A direct refetch updates the mounted select
+      globalThis.fetch.mockImplementation(() => jsonResponse([...countries, { id: 'mx', name: 'Mexico' }]));
+      await fetchData('/api/countries', { cacheStore: store });
+      fireEvent.click(screen.getByRole('textbox', { name: 'Billing country' }));
+      expect(await screen.findByRole('option', { name: 'Mexico', hidden: true })).toBeInTheDocument();
+
+      // Invalidating the URL as requested refetches the select
+      fireEvent.click(screen.getByRole('button', { name: 'Reload countries' }));
+      await waitFor(() => {
+        expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+      });
+    });
+  });
+});
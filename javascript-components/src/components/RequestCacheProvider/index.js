@@ -0,0 +1,2 @@
+export { default } from './RequestCacheProvider.jsx';
+export { RequestCacheContext } from './RequestCacheContext.js';
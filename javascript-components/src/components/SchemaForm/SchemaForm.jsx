@@ -0,0 +1,296 @@
+import React, { useMemo, useState, useEffect } from 'react';
+import { Button, Group, Stack } from '@mantine/core';
+import { Formik, Form, getIn, setIn } from 'formik';
+import PropTypes from 'prop-types';
+import FormTextInput from '../FormTextInput';
+import FormTextArea from '../FormTextArea';
+import FormYesNoSelect from '../FormYesNoSelect';
+import FormStaticSelect from '../FormStaticSelect';
+import FormDynamicSelect from '../FormDynamicSelect';
+import FormSearchableSelect from '../FormSearchableSelect';
+import FormFileUpload from '../FormFileUpload';
+import FormRadioGroup from '../FormRadioGroup';
+import FormDatePicker from '../FormDatePicker';
+import { createValidator } from '../../utils/validation';
+import { useTranslation } from '../../hooks/useTranslation';
+
+// Field type -> component and the props the type implies. `acceptsValidating`
+// marks components that show the pending state of async rules.
+const FIELD_TYPES = {
+  text: { component: FormTextInput, acceptsValidating: true },
+  email: { component: FormTextInput, props: { type: 'email' }, acceptsValidating: true },
+  password: { component: FormTextInput, props: { type: 'password' }, acceptsValidating: true },
+  number: { component: FormTextInput, props: { type: 'number' }, acceptsValidating: true },
+  tel: { component: FormTextInput, props: { type: 'tel' }, acceptsValidating: true },
+  url: { component: FormTextInput, props: { type: 'url' }, acceptsValidating: true },
+  textarea: { component: FormTextArea },
+  yesNo: { component: FormYesNoSelect },
+  select: { component: FormStaticSelect },
+  dynamicSelect: { component: FormDynamicSelect },
+  searchableSelect: { component: FormSearchableSelect },
+  file: { component: FormFileUpload, emptyValue: [] },
+  radio: { component: FormRadioGroup },
+  date: { component: FormDatePicker, emptyValue: null },
+};
+
+// Keys of a field definition that are consumed by SchemaForm itself
+// rather than forwarded to the rendered component
+const SCHEMA_KEYS = ['type', 'rules', 'initialValue', 'hidden', 'props'];
+
+// Resolve the empty value for a field, honouring date range/multiple modes
+const getEmptyValue = (field, fieldType) => {
+  if (field.type === 'date' && (field.props?.type === 'range' || field.props?.type === 'multiple')) {
+    return field.props.type === 'range' ? [null, null] : [];
+  }
+  return fieldType && 'emptyValue' in fieldType ? fieldType.emptyValue : '';
+};
+
+// Set each error message of `extraErrors` at its own path, so an error on
+// `address.city` leaves the other errors under `address` in place
+const mergeErrors = (errors, extraErrors, path = '') => {
+  if (!extraErrors || typeof extraErrors !== 'object') {
+    return extraErrors && path ? setIn(errors, path, extraErrors) : errors;
+  }
+  return Object.keys(extraErrors).reduce(
+    (merged, key) => mergeErrors(merged, extraErrors[key], path ? `${path}.${key}` : key),
+    errors
+  );
+};
+
+const isPromise = (value) => Boolean(value) && typeof value.then === 'function';
+
+// Stable defaults, so the memoized schema is not rebuilt on every render
+const NO_FIELDS = [];
+const NO_VALUES = {};
+const NO_FIELD_TYPES = {};
+
+/**
+ * SchemaForm - Renders a complete Formik form from a declarative field schema
+ *
+ * Features:
+ * - Maps each field's `type` to the matching Form* component
+ * - Builds initial values from field defaults, overridable per form
+ * - Builds a Formik `validate` function from `createValidator` rule lists of the visible
+ *   fields; fields with `async` rules show a pending spinner and submission waits for their checks
+ * - A custom `validate` (sync or async) adds its errors on top of the rule errors
+ * - Validation messages follow the FormComponentsProvider locale
+ * - Supports nested field names (e.g. `address.city`)
+ * - Custom field types through the `fieldTypes` prop
+ *
+ * `fields`, `fieldTypes` and `initialValues` are compiled when they change, which also
+ * restarts the debounce of async rules, so keep them stable: define them outside the
+ * component or memoize them.
+ *
+ * @example
+ * <SchemaForm
+ *   fields={[
+ *     { type: 'text', name: 'firstName', label: 'First Name', rules: [{ type: 'required' }] },
+ *     { type: 'select', name: 'country', label: 'Country', options: countries },
+ *   ]}
+ *   onSubmit={(values) => save(values)}
+ * />
+ */
+const SchemaForm = ({
+  fields = NO_FIELDS,
+  initialValues = NO_VALUES,
+  onSubmit,
+  validate,
+  fieldTypes = NO_FIELD_TYPES,
+  submitLabel: submitLabelProp,
+  showSubmit = true,
+  spacing = 'md',
+  className = '',
+  style = {},
+  children,
+  ...formikProps
+}) => {
+  const { t, i18nConfig } = useTranslation();
+  const submitLabel = submitLabelProp ?? t('form.submit');
+
+  const types = useMemo(() => ({ ...FIELD_TYPES, ...fieldTypes }), [fieldTypes]);
+
+  const visibleFields = useMemo(() => fields.filter(field => !field.hidden), [fields]);
+
+  // Check the schema's field types once per schema rather than on every render
+  useEffect(() => {
+    fields
+      .filter(field => !types[field.type])
+      .forEach((field) => {
+        console.warn(`SchemaForm: unknown field type "${field.type}" for field "${field.name}"`);
+      });
+  }, [fields, types]);
+
+  // Merge schema defaults with caller-provided initial values
+  const schemaInitialValues = useMemo(() => {
+    return fields.reduce((values, field) => {
+      const provided = getIn(initialValues, field.name);
+      if (provided !== undefined) {
+        return setIn(values, field.name, provided);
+      }
+      const value = field.initialValue !== undefined
+        ? field.initialValue
+        : getEmptyValue(field, types[field.type]);
+      return setIn(values, field.name, value);
+    }, initialValues);
+  }, [fields, initialValues, types]);
+
+  // Compile rule lists once per schema and locale; hidden fields are not validated
+  const fieldValidators = useMemo(() => {
+    return visibleFields
+      .filter(field => Array.isArray(field.rules) && field.rules.length > 0)
+      .map(field => ({
+        name: field.name,
+        validator: createValidator(field.rules, { i18n: i18nConfig }),
+        isAsync: field.rules.some(rule => rule.type === 'async'),
+      }));
+  }, [visibleFields, i18nConfig]);
+
+  // Names of fields whose async checks are still running
+  const [pendingFields, setPendingFields] = useState({});
+
+  useEffect(() => {
+    const unsubscribers = fieldValidators
+      .filter(({ isAsync }) => isAsync)
+      .map(({ name, validator }) => validator.subscribe((pending) => {
+        setPendingFields(prev => ({ ...prev, [name]: pending }));
+      }));
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [fieldValidators]);
+
+  const handleValidate = (values) => {
+    let errors = {};
+    const asyncChecks = [];
+
+    fieldValidators.forEach(({ name, validator }) => {
+      const error = validator(getIn(values, name), values);
+      if (isPromise(error)) {
+        asyncChecks.push(error.then(asyncError => ({ name, error: asyncError })));
+      } else if (error) {
+        errors = setIn(errors, name, error);
+      }
+    });
+
+    // Custom errors are applied last and may come from an async `validate`
+    const customErrors = validate ? validate(values) : undefined;
+
+    if (asyncChecks.length === 0 && !isPromise(customErrors)) {
+      return mergeErrors(errors, customErrors);
+    }
+
+    // Formik waits for the promise, so submission is blocked until the checks finish
+    return Promise.all([Promise.all(asyncChecks), customErrors]).then(([results, resolvedCustomErrors]) => {
+      const fieldErrors = results.reduce(
+        (allErrors, { name, error }) => (error ? setIn(allErrors, name, error) : allErrors),
+        errors
+      );
+      return mergeErrors(fieldErrors, resolvedCustomErrors);
+    });
+  };
+
+  const asyncFieldNames = useMemo(
+    () => new Set(fieldValidators.filter(({ isAsync }) => isAsync).map(({ name }) => name)),
+    [fieldValidators]
+  );
+
+  const renderField = (field) => {
+    const fieldType = types[field.type];
+
+    // Unknown types are reported when the schema changes
+    if (!fieldType) return null;
+
+    const Component = fieldType.component;
+    const passThrough = Object.keys(field)
+      .filter(key => !SCHEMA_KEYS.includes(key))
+      .reduce((props, key) => ({ ...props, [key]: field[key] }), {});
+    const isRequired = field.required ?? (field.rules || []).some(rule => rule.type === 'required');
+    const showsPending = fieldType.acceptsValidating && asyncFieldNames.has(field.name);
+
+    return (
+      <Component
+        key={field.name}
+        {...fieldType.props}
+        {...passThrough}
+        {...field.props}
+        {...(showsPending && { validating: Boolean(pendingFields[field.name]) })}
+        required={isRequired}
+      />
+    );
+  };
+
+  return (
+    <Formik
+      {...formikProps}
+      initialValues={schemaInitialValues}
+      validate={handleValidate}
+      onSubmit={onSubmit}
+    >
+      {(formik) => (
+        <Form className={className} style={style} noValidate>
+          <Stack gap={spacing}>
+            {visibleFields.map(renderField)}
+            {typeof children === 'function' ? children(formik) : children}
+            {showSubmit && (
+              <Group justify="flex-end">
+                <Button type="submit" loading={formik.isSubmitting}>
+                  {submitLabel}
+                </Button>
+              </Group>
+            )}
+          </Stack>
+        </Form>
+      )}
+    </Formik>
+  );
+};
+
+SchemaForm.propTypes = {
+  fields: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      label: PropTypes.string,
+      options: PropTypes.arrayOf(
+        PropTypes.shape({
+          value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+          label: PropTypes.string.isRequired,
+          disabled: PropTypes.bool,
+        })
+      ),
+      rules: PropTypes.arrayOf(
+        PropTypes.shape({
+          type: PropTypes.string.isRequired,
+          value: PropTypes.any,
+          message: PropTypes.string,
+          validator: PropTypes.func,
+          debounce: PropTypes.number,
+          field: PropTypes.string,
+          fields: PropTypes.arrayOf(PropTypes.string),
+        })
+      ),
+      initialValue: PropTypes.any,
+      hidden: PropTypes.bool,
+      props: PropTypes.object,
+    })
+  ).isRequired,
+  initialValues: PropTypes.object,
+  onSubmit: PropTypes.func.isRequired,
+  validate: PropTypes.func,
+  fieldTypes: PropTypes.objectOf(
+    PropTypes.shape({
+      component: PropTypes.elementType.isRequired,
+      props: PropTypes.object,
+      emptyValue: PropTypes.any,
+    })
+  ),
+  submitLabel: PropTypes.node,
+  showSubmit: PropTypes.bool,
+  spacing: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  className: PropTypes.string,
+  style: PropTypes.object,
+  children: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
+};
+
+export default SchemaForm;
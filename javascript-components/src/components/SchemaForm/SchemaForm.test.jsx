@@ -0,0 +1,342 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MantineProvider } from '@mantine/core';
+import { vi } from 'vitest';
+import SchemaForm from './SchemaForm';
+import FormComponentsProvider from '../FormComponentsProvider';
+import { createValidator } from '../../utils/validation';
+
+vi.mock('../../utils/validation', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, createValidator: vi.fn(actual.createValidator) };
+});
+
+const renderForm = (props) =>
+  render(
+    <MantineProvider>
+      <SchemaForm onSubmit={vi.fn()} {...props} />
+    </MantineProvider>
+  );
+
+const fields = [
+  {
+    type: 'text',
+    name: 'firstName',
+    label: 'First Name',
+    rules: [{ type: 'required', message: 'First name is required' }],
+  },
+  {
+    type: 'email',
+    name: 'email',
+    label: 'Email',
+    rules: [{ type: 'email' }],
+  },
+  {
+    type: 'select',
+    name: 'country',
+    label: 'Country',
+    options: [
+      { value: 'us', label: 'United States' },
+      { value: 'ca', label: 'Canada' },
+    ],
+  },
+  { type: 'textarea', name: 'bio', label: 'Bio' },
+];
+
+describe('SchemaForm', () => {
+  it('renders a component for each field in the schema', () => {
+    renderForm({ fields });
+
+    expect(screen.getByRole('textbox', { name: /First Name/ })).toBeInTheDocument();
+    expect(screen.getByRole('textbox', { name: 'Email' })).toHaveAttribute('type', 'email');
+    expect(screen.getByRole('textbox', { name: 'Country' })).toBeInTheDocument();
+    expect(screen.getByRole('textbox', { name: 'Bio' }).tagName).toBe('TEXTAREA');
+    expect(screen.getByRole('button', { name: 'Submit' })).toBeInTheDocument();
+  });
+
+  it('marks fields with a required rule as required', () => {
+    renderForm({ fields });
+
+    expect(screen.getByRole('textbox', { name: /First Name/ })).toBeRequired();
+    expect(screen.getByRole('textbox', { name: 'Email' })).not.toBeRequired();
+  });
+
+  it('merges field defaults with provided initial values', () => {
+    renderForm({
+      fields: [
+        { type: 'text', name: 'firstName', label: 'First Name', initialValue: 'Jane' },
+        { type: 'text', name: 'address.city', label: 'City' },
+      ],
+      initialValues: { address: { city: 'Paris' } },
+    });
+
+    expect(screen.getByRole('textbox', { name: 'First Name' })).toHaveValue('Jane');
+    expect(screen.getByRole('textbox', { name: 'City' })).toHaveValue('Paris');
+  });
+
+  it('validates fields using their rules on submit', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    renderForm({ fields, onSubmit });
+
+    await user.type(screen.getByRole('textbox', { name: 'Email' }), 'not-an-email');
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('First name is required.')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Please enter a valid email address.')).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('translates validation messages with the provider locale', async () => {
+    const user = userEvent.setup();
+    render(
+      <MantineProvider>
+        <FormComponentsProvider locale="de">
+          <SchemaForm fields={fields} onSubmit={vi.fn()} />
+        </FormComponentsProvider>
+      </MantineProvider>
+    );
+
+    await user.type(screen.getByRole('textbox', { name: 'Email' }), 'not-an-email');
+    await user.click(screen.getByRole('button', { name: 'Absenden' }));
+
+    expect(await screen.findByText('Bitte gib eine gültige E-Mail-Adresse ein.')).toBeInTheDocument();
+  });
+
+  it('formats dates, numbers and field lists in messages with the provider locale', async () => {
+    const user = userEvent.setup();
+    render(
+      <MantineProvider>
+        <FormComponentsProvider locale="de">
+          <SchemaForm
+            fields={[
+              { type: 'text', name: 'start', label: 'Start', initialValue: '2029-01-01', rules: [{ type: 'minDate', value: new Date(2030, 0, 15) }] },
+              { type: 'text', name: 'amount', label: 'Betrag', initialValue: '5', rules: [{ type: 'minValue', value: 1500 }] },
+              { type: 'text', name: 'email', label: 'E-Mail', rules: [{ type: 'oneOfRequired', fields: ['phone', 'fax'] }] },
+            ]}
+            onSubmit={vi.fn()}
+          />
+        </FormComponentsProvider>
+      </MantineProvider>
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Absenden' }));
+
+    expect(await screen.findByText('Das Datum muss nach dem 15.1.2030 liegen.')).toBeInTheDocument();
+    expect(screen.getByText('Muss mindestens 1.500 sein.')).toBeInTheDocument();
+    expect(screen.getByText('Fülle dieses Feld oder Phone oder Fax aus.')).toBeInTheDocument();
+  });
+
+  it('validates cross-field rules against the other values', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    renderForm({
+      fields: [
+        { type: 'password', name: 'password', label: 'Password' },
+        {
+          type: 'password',
+          name: 'confirmPassword',
+          label: 'Confirm Password',
+          rules: [{ type: 'equalsField', field: 'password', message: 'Passwords do not match' }],
+        },
+      ],
+      onSubmit,
+    });
+
+    await user.type(screen.getByLabelText('Password'), 'secret-1');
+    await user.type(screen.getByLabelText('Confirm Password'), 'secret-2');
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    expect(await screen.findByText('Passwords do not match.')).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('checks async rules before submitting', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    const checks = [];
+    const isAvailable = vi.fn(() => new Promise(resolve => checks.push(resolve)));
+    renderForm({
+      fields: [
+        {
+          type: 'text',
+          name: 'username',
+          label: 'Username',
+          rules: [{ type: 'async', validator: isAvailable, message: 'Username is taken', debounce: 0 }],
+        },
+      ],
+      onSubmit,
+      validateOnChange: false,
+    });
+
+    await user.type(screen.getByRole('textbox', { name: 'Username' }), 'admin');
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    expect(await screen.findByLabelText('Validating')).toBeInTheDocument();
+    checks.forEach(resolve => resolve(false));
+
+    expect(await screen.findByText('Username is taken.')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Validating')).not.toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('passes the pending state only to field types that accept it', () => {
+    const receivedProps = {};
+    const recordProps = (type) => (props) => {
+      receivedProps[type] = props;
+      return <div>{props.label}</div>;
+    };
+    const asyncRules = [{ type: 'async', validator: () => true }];
+
+    renderForm({
+      fields: [
+        { type: 'plain', name: 'plain', label: 'Plain', rules: asyncRules },
+        { type: 'pending', name: 'pending', label: 'Pending', rules: asyncRules },
+      ],
+      fieldTypes: {
+        plain: { component: recordProps('plain') },
+        pending: { component: recordProps('pending'), acceptsValidating: true },
+      },
+    });
+
+    expect(receivedProps.plain).not.toHaveProperty('validating');
+    expect(receivedProps.pending).toHaveProperty('validating', false);
+  });
+
+  it('submits values including nested field names', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    renderForm({
+      fields: [
+        { type: 'text', name: 'firstName', label: 'First Name', rules: [{ type: 'required' }] },
+        { type: 'text', name: 'address.city', label: 'City' },
+      ],
+      onSubmit,
+    });
+
+    await user.type(screen.getByRole('textbox', { name: /First Name/ }), 'Jane');
+    await user.type(screen.getByRole('textbox', { name: 'City' }), 'Paris');
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(onSubmit).toHaveBeenCalled();
+    });
+    expect(onSubmit.mock.calls[0][0]).toEqual({ firstName: 'Jane', address: { city: 'Paris' } });
+  });
+
+  it('merges custom validate errors per field with the rule errors', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    renderForm({
+      fields: [
+        { type: 'text', name: 'address.street', label: 'Street', rules: [{ type: 'required', message: 'Street is required' }] },
+        { type: 'text', name: 'address.city', label: 'City' },
+      ],
+      validate: (values) => (values.address.city ? {} : { address: { city: 'City is required' } }),
+      onSubmit,
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    expect(await screen.findByText('City is required')).toBeInTheDocument();
+    expect(screen.getByText('Street is required.')).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('waits for an async custom validate before submitting', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    const validate = vi.fn(async (values) => (
+      values.username === 'admin' ? { username: 'Username is reserved' } : {}
+    ));
+    renderForm({
+      fields: [{ type: 'text', name: 'username', label: 'Username' }],
+      validate,
+      onSubmit,
+    });
+
+    await user.type(screen.getByRole('textbox', { name: 'Username' }), 'admin');
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    expect(await screen.findByText('Username is reserved')).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+
+    await user.clear(screen.getByRole('textbox', { name: 'Username' }));
+    await user.type(screen.getByRole('textbox', { name: 'Username' }), 'jane');
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(onSubmit).toHaveBeenCalled();
+    });
+  });
+
+  it('does not validate hidden fields', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    renderForm({
+      fields: [
+        { type: 'text', name: 'name', label: 'Name' },
+        { type: 'text', name: 'company', label: 'Company', hidden: true, rules: [{ type: 'required' }] },
+      ],
+      onSubmit,
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Submit' }));
+
+    await waitFor(() => {
+      expect(onSubmit).toHaveBeenCalled();
+    });
+  });
+
+  it('keeps the compiled schema when the parent re-renders', () => {
+    const schema = [{ type: 'text', name: 'username', label: 'Username', rules: [{ type: 'required' }] }];
+    const form = (label) => (
+      <MantineProvider>
+        <SchemaForm fields={schema} onSubmit={vi.fn()} submitLabel={label} />
+      </MantineProvider>
+    );
+    createValidator.mockClear();
+
+    const { rerender } = render(form('Save'));
+    rerender(form('Save now'));
+
+    expect(screen.getByRole('button', { name: 'Save now' })).toBeInTheDocument();
+    expect(createValidator).toHaveBeenCalledTimes(1);
+  });
+
+  it('warns about unknown field types once per schema', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const schema = [{ type: 'rating', name: 'rating', label: 'Rating' }];
+    const form = (label) => (
+      <MantineProvider>
+        <SchemaForm fields={schema} onSubmit={vi.fn()} submitLabel={label} />
+      </MantineProvider>
+    );
+
+    const { rerender } = render(form('Save'));
+    rerender(form('Save now'));
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith('SchemaForm: unknown field type "rating" for field "rating"');
+    warn.mockRestore();
+  });
+
+  it('skips hidden fields and supports custom field types', () => {
+    const CustomField = ({ label }) => <div>{label} custom</div>;
+
+    renderForm({
+      fields: [
+        { type: 'text', name: 'secret', label: 'Secret', hidden: true },
+        { type: 'rating', name: 'rating', label: 'Rating' },
+      ],
+      fieldTypes: { rating: { component: CustomField, emptyValue: 0 } },
+      showSubmit: false,
+    });
+
+    expect(screen.queryByRole('textbox', { name: 'Secret' })).not.toBeInTheDocument();
+    expect(screen.getByText('Rating custom')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Submit' })).not.toBeInTheDocument();
+  });
+});
@@ -19,15 +19,47 @@ export { default as FormSearchableSelect } from './FormSearchableSelect/index.js
 export { default as FormFileUpload } from './FormFileUpload/index.js';
 export { default as FormRadioGroup } from './FormRadioGroup/index.js';
 export { default as FormDatePicker } from './FormDatePicker/index.js';
+export { default as SchemaForm } from './SchemaForm/index.js';
+export { default as FormWizard, FormStep } from './FormWizard/index.js';
+export { default as FormFieldArray } from './FormFieldArray/index.js';
+export { default as FormMultiSelect } from './FormMultiSelect/index.js';
+export { default as FormDynamicMultiSelect } from './FormDynamicMultiSelect/index.js';
+export { default as FormSearchableMultiSelect } from './FormSearchableMultiSelect/index.js';
+export { default as RequestCacheProvider } from './RequestCacheProvider/index.js';
+export { default as FormComponentsProvider } from './FormComponentsProvider/index.js';
+export { default as FormSchemaProvider } from './FormSchemaProvider/index.js';
+export { default as FormNumberInput } from './FormNumberInput/index.js';
+export { default as FormCurrencyInput } from './FormCurrencyInput/index.js';
+export { default as FormMaskedInput } from './FormMaskedInput/index.js';
+export { default as FormPhoneInput } from './FormPhoneInput/index.js';
+export { default as FormCheckbox } from './FormCheckbox/index.js';
+export { default as FormCheckboxGroup } from './FormCheckboxGroup/index.js';
+export { default as FormSwitch } from './FormSwitch/index.js';
 
 // Custom Hooks - Utility hooks for enhanced functionality
 export { useDebounce } from '../hooks/useDebounce.js';
 export { useApiData } from '../hooks/useApiData.js';
+export { usePaginatedApiData } from '../hooks/usePaginatedApiData.js';
+export { useRequestCache } from '../hooks/useRequestCache.js';
+export { useApiConfig } from '../hooks/useApiConfig.js';
 export { useFileUpload } from '../hooks/useFileUpload.js';
+export { useValidationPending } from '../hooks/useValidationPending.js';
+export { useFieldConstraints } from '../hooks/useFieldConstraints.js';
+export { useTranslation } from '../hooks/useTranslation.js';
 
 // Utilities - Helper functions and validation utilities
 export * from '../utils/validation.js';
 export * from '../utils/api.js';
+export * from '../utils/cache.js';
+export * from '../utils/requestCache.js';
+export * from '../utils/chunkedUpload.js';
+export * from '../utils/files.js';
+export * from '../utils/images.js';
+export * from '../utils/schemaAdapters.js';
+export * from '../utils/i18n.js';
+export * from '../utils/numbers.js';
+export * from '../utils/masks.js';
+export * from '../utils/phone.js';
 
 // Library metadata
 export const LIBRARY_VERSION = '1.0.0';
@@ -43,9 +75,31 @@ import FormSearchableSelect from './FormSearchableSelect/index.js';
 import FormFileUpload from './FormFileUpload/index.js';
 import FormRadioGroup from './FormRadioGroup/index.js';
 import FormDatePicker from './FormDatePicker/index.js';
+import SchemaForm from './SchemaForm/index.js';
+import FormWizard, { FormStep } from './FormWizard/index.js';
+import FormFieldArray from './FormFieldArray/index.js';
+import FormMultiSelect from './FormMultiSelect/index.js';
+import FormDynamicMultiSelect from './FormDynamicMultiSelect/index.js';
+import FormSearchableMultiSelect from './FormSearchableMultiSelect/index.js';
+import RequestCacheProvider from './RequestCacheProvider/index.js';
+import FormComponentsProvider from './FormComponentsProvider/index.js';
+import FormSchemaProvider from './FormSchemaProvider/index.js';
+import FormNumberInput from './FormNumberInput/index.js';
+import FormCurrencyInput from './FormCurrencyInput/index.js';
+import FormMaskedInput from './FormMaskedInput/index.js';
+import FormPhoneInput from './FormPhoneInput/index.js';
+import FormCheckbox from './FormCheckbox/index.js';
+import FormCheckboxGroup from './FormCheckboxGroup/index.js';
+import FormSwitch from './FormSwitch/index.js';
 import { useDebounce } from '../hooks/useDebounce.js';
 import { useApiData } from '../hooks/useApiData.js';
+import { usePaginatedApiData } from '../hooks/usePaginatedApiData.js';
+import { useRequestCache } from '../hooks/useRequestCache.js';
+import { useApiConfig } from '../hooks/useApiConfig.js';
 import { useFileUpload } from '../hooks/useFileUpload.js';
+import { useValidationPending } from '../hooks/useValidationPending.js';
+import { useFieldConstraints } from '../hooks/useFieldConstraints.js';
+import { useTranslation } from '../hooks/useTranslation.js';
 
 // Component groups for easier imports
 export const FormComponents = {
@@ -58,10 +112,33 @@ export const FormComponents = {
   FormFileUpload,
   FormRadioGroup,
   FormDatePicker,
+  SchemaForm,
+  FormWizard,
+  FormStep,
+  FormFieldArray,
+  FormMultiSelect,
+  FormDynamicMultiSelect,
+  FormSearchableMultiSelect,
+  RequestCacheProvider,
+  FormComponentsProvider,
+  FormSchemaProvider,
+  FormNumberInput,
+  FormCurrencyInput,
+  FormMaskedInput,
+  FormPhoneInput,
+  FormCheckbox,
+  FormCheckboxGroup,
+  FormSwitch,
 };
 
 export const FormHooks = {
   useDebounce,
   useApiData,
+  usePaginatedApiData,
+  useRequestCache,
+  useApiConfig,
   useFileUpload,
+  useValidationPending,
+  useFieldConstraints,
+  useTranslation,
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
 // Shared configuration for the component library
 
+import { translate } from '../utils/i18n.js';
+
 export const DEFAULT_DEBOUNCE_MS = 300;
 export const DEFAULT_API_TIMEOUT = 5000;
 export const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
@@ -18,11 +20,12 @@ export const API_ENDPOINTS = {
   // Placeholder for API endpoints configuration
 };
 
+// Default validation messages in the configured locale (see configureI18n)
 export const VALIDATION_MESSAGES = {
-  required: 'This field is required',
-  email: 'Please enter a valid email address',
-  minLength: (min) => `Minimum ${min} characters required`,
-  maxLength: (max) => `Maximum ${max} characters allowed`,
-  fileSize: (max) => `File size must be less than ${max}MB`,
-  fileType: 'Invalid file type',
-};
\ No newline at end of file
+  get required() { return translate('validation.required'); },
+  get email() { return translate('validation.email'); },
+  minLength: (min) => translate('validation.minLength', { min }),
+  maxLength: (max) => translate('validation.maxLength', { max }),
+  fileSize: (max) => translate('validation.fileSize', { maxSize: max }),
+  get fileType() { return translate('validation.invalidFileType'); },
+};
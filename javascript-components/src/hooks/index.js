@@ -1,4 +1,11 @@
 // Hooks exports
 export { useDebounce } from './useDebounce';
 export { useApiData } from './useApiData';
-export { useFileUpload } from './useFileUpload';
\ No newline at end of file
+export { usePaginatedApiData } from './usePaginatedApiData';
+export { useSearchOptions } from './useSearchOptions';
+export { useRequestCache } from './useRequestCache';
+export { useApiConfig } from './useApiConfig';
+export { useFileUpload } from './useFileUpload';
+export { useValidationPending } from './useValidationPending';
+export { useFieldConstraints } from './useFieldConstraints';
+export { useTranslation } from './useTranslation';
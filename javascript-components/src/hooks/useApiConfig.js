@@ -0,0 +1,16 @@
+import { useContext } from 'react';
+import { FormComponentsContext } from '../components/FormComponentsProvider/FormComponentsContext.js';
+
+/**
+ * useApiConfig hook for reading the API configuration of the nearest FormComponentsProvider
+ *
+ * The result is passed as `apiConfig` to fetchData, searchData and uploadFile so
+ * requests use the provider's transport, base URL, headers and interceptors.
+ *
+ * @returns {Object|undefined} The provider's API configuration, or undefined outside a provider
+ *
+ * @example
+ * const apiConfig = useApiConfig();
+ * const countries = await fetchData('/api/countries', { apiConfig });
+ */
+export const useApiConfig = () => useContext(FormComponentsContext).api;
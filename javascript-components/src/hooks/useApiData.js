@@ -1,8 +1,21 @@
-import { useState, useEffect, useRef } from 'react';
-import { fetchData } from '../utils/api.js';
+import { useState, useEffect, useRef, useContext } from 'react';
+import { fetchData, getCacheKey, extractResponseData } from '../utils/api.js';
+import { requestCache } from '../utils/requestCache.js';
+import { RequestCacheContext } from '../components/RequestCacheProvider/RequestCacheContext.js';
+import { useApiConfig } from './useApiConfig.js';
+
+// Cached records for a request key, or null when nothing was fetched for it yet
+const readCachedData = (store, requestKey) => {
+  const cached = requestKey ? store.get(requestKey) : undefined;
+  return cached && cached.hasData ? extractResponseData(cached.data) : null;
+};
 
 /**
  * useApiData hook for fetching and managing API data with loading states, error handling, and retry mechanisms
+ *
+ * Requests go through the shared request cache, so hooks using the same URL and headers
+ * share one request and its response. Defaults for the cache options come from the
+ * nearest RequestCacheProvider.
  * 
  * @param {string} url - The API endpoint URL
  * @param {Object} options - Configuration options
@@ -12,7 +25,10 @@ import { fetchData } from '../utils/api.js';
  * @param {boolean} options.immediate - Whether to fetch data immediately on mount (default: true)
  * @param {Function} options.onError - Callback function called when an error occurs
  * @param {Function} options.onSuccess - Callback function called when data is successfully fetched
- * @returns {Object} Object containing data, loading state, error, and refetch function
+ * @param {number} options.staleTime - How long cached data is used without refetching, in ms (default: 0)
+ * @param {boolean} options.staleWhileRevalidate - Show cached data immediately while refetching (default: true)
+ * @param {string} options.cacheKey - Overrides the cache key derived from URL and headers
+ * @returns {Object} Object containing data, loading state, isValidating, error, and refetch function
  * 
  * @example
  * const { data, loading, error, refetch } = useApiData('/api/users', {
@@ -29,11 +45,23 @@ export const useApiData = (url, options = {}) => {
     immediate = true,
     onError,
     onSuccess,
+    staleTime,
+    staleWhileRevalidate,
+    cacheKey,
     ...fetchOptions
   } = options;
 
-  const [data, setData] = useState([]);
+  const cacheConfig = useContext(RequestCacheContext);
+  const apiConfig = useApiConfig();
+  const store = cacheConfig.store || requestCache;
+  const requestKey = url ? (cacheKey || getCacheKey(url, headers, apiConfig)) : null;
+  const effectiveStaleTime = staleTime ?? cacheConfig.staleTime;
+  const useStaleData = staleWhileRevalidate ?? cacheConfig.staleWhileRevalidate ?? true;
+
+  // Start from cached data when stale-while-revalidate allows it
+  const [data, setData] = useState(() => (useStaleData && readCachedData(store, requestKey)) || []);
   const [loading, setLoading] = useState(false);
+  const [isValidating, setIsValidating] = useState(false);
   const [error, setError] = useState(null);
   
   // Use refs to track current request and prevent state updates on unmounted components
@@ -41,12 +69,16 @@ export const useApiData = (url, options = {}) => {
   const isMountedRef = useRef(true);
   const retryTimeoutRef = useRef(null);
   const optionsRef = useRef(options);
+  const fetchRef = useRef(null);
+  const cachePolicyRef = useRef(null);
 
   // Update options ref when options change
   optionsRef.current = options;
+  cachePolicyRef.current = { staleTime: effectiveStaleTime, useStaleData };
 
-  // Fetch function with retry logic
-  const fetchWithRetry = async (attemptNumber = 0) => {
+  // Fetch function with retry logic. Background fetches revalidate data that is
+  // already shown, so they set isValidating instead of loading.
+  const fetchWithRetry = async (attemptNumber = 0, { background = false, force = false } = {}) => {
     if (!url || !isMountedRef.current) return;
 
     const currentOptions = optionsRef.current;
@@ -56,6 +88,9 @@ export const useApiData = (url, options = {}) => {
       retryDelay: currentRetryDelay = 1000,
       onError: currentOnError,
       onSuccess: currentOnSuccess,
+      staleTime: currentStaleTime,
+      staleWhileRevalidate: _staleWhileRevalidate,
+      cacheKey: currentCacheKey,
       ...currentFetchOptions
     } = currentOptions;
 
@@ -73,7 +108,11 @@ export const useApiData = (url, options = {}) => {
       abortControllerRef.current = new AbortController();
 
       if (isMountedRef.current) {
-        setLoading(true);
+        if (background) {
+          setIsValidating(true);
+        } else {
+          setLoading(true);
+        }
         setError(null);
       }
 
@@ -81,22 +120,18 @@ export const useApiData = (url, options = {}) => {
         ...currentFetchOptions,
         headers: currentHeaders,
         signal: abortControllerRef.current.signal,
+        staleTime: force ? 0 : (currentStaleTime ?? cacheConfig.staleTime),
+        cacheKey: currentCacheKey,
+        cacheStore: cacheConfig.store,
+        apiConfig,
       });
 
       if (isMountedRef.current) {
-        // Handle different response formats
-        let responseData = response;
-        
-        // If response has a data property (common API pattern), use that
-        if (response && typeof response === 'object' && 'data' in response) {
-          responseData = response.data;
-        }
-        
-        // Ensure we always have an array
-        const finalData = Array.isArray(responseData) ? responseData : [responseData];
+        const finalData = extractResponseData(response);
         
         setData(finalData);
         setLoading(false);
+        setIsValidating(false);
         setError(null);
 
         // Call success callback if provided
@@ -123,6 +158,7 @@ export const useApiData = (url, options = {}) => {
         } else {
           // All retries exhausted, set error state
           setLoading(false);
+          setIsValidating(false);
           setError(err);
 
           // Call error callback if provided
@@ -134,15 +170,30 @@ export const useApiData = (url, options = {}) => {
     }
   };
 
-  // Refetch function that can be called manually
+  fetchRef.current = fetchWithRetry;
+
+  // Refetch function that can be called manually; always bypasses fresh cached data
   const refetch = () => {
-    fetchWithRetry(0);
+    fetchWithRetry(0, { force: true });
   };
 
   // Effect to fetch data on mount or when URL changes
   useEffect(() => {
     if (immediate && url) {
-      fetchWithRetry(0);
+      const cachedData = readCachedData(store, requestKey);
+      const { staleTime: currentStaleTime, useStaleData: showStaleData } = cachePolicyRef.current;
+
+      if (cachedData && store.isFresh(requestKey, currentStaleTime ?? 0)) {
+        // Fresh cached data needs no request
+        setData(cachedData);
+        setError(null);
+      } else if (cachedData && showStaleData) {
+        // Show stale data right away and refetch in the background
+        setData(cachedData);
+        fetchRef.current(0, { background: true });
+      } else {
+        fetchRef.current(0);
+      }
     }
 
     // Cleanup function
@@ -154,7 +205,24 @@ export const useApiData = (url, options = {}) => {
         clearTimeout(retryTimeoutRef.current);
       }
     };
-  }, [url, immediate]);
+  }, [url, immediate, requestKey, store]);
+
+  // Effect to follow the shared cache: data fetched by other consumers is picked up,
+  // and invalidated entries are refetched
+  useEffect(() => {
+    if (!requestKey) return undefined;
+
+    return store.subscribe(requestKey, (event) => {
+      if (!isMountedRef.current) return;
+
+      if (event.type === 'update') {
+        setData(extractResponseData(event.data));
+        setError(null);
+      } else if (event.type === 'invalidate' && immediate && fetchRef.current) {
+        fetchRef.current(0, { background: true });
+      }
+    });
+  }, [store, requestKey, immediate]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -172,6 +240,7 @@ export const useApiData = (url, options = {}) => {
   return {
     data,
     loading,
+    isValidating,
     error,
     refetch,
   };
@@ -3,7 +3,8 @@ import { useApiData } from './useApiData';
 import * as apiUtils from '../utils/api.js';
 
 // Mock the API utilities
-vi.mock('../utils/api', () => ({
+vi.mock('../utils/api', async (importOriginal) => ({
+  ...(await importOriginal()),
   fetchData: vi.fn(),
 }));
 
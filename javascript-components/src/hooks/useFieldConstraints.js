@@ -0,0 +1,67 @@
+import { useContext, useMemo } from 'react';
+import { FormSchemaContext } from '../components/FormSchemaProvider/FormSchemaContext.js';
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+// Map a field's rules to the props components accept; constraints without a rule stay undefined
+const getConstraints = (rules) => {
+  const findRule = (type) => rules.find(rule => rule.type === type);
+  const maxLength = findRule('maxLength');
+  const minValue = findRule('minValue');
+  const maxValue = findRule('maxValue');
+  const minDate = findRule('minDate');
+  const maxDate = findRule('maxDate');
+  const fileType = findRule('fileType');
+  const fileSize = findRule('fileSize');
+  const maxFiles = findRule('maxFiles');
+  const oneOf = findRule('oneOf');
+
+  return {
+    required: findRule('required') ? true : undefined,
+    maxLength: maxLength?.value,
+    min: minValue?.value,
+    max: maxValue?.value,
+    minDate: minDate && toDate(minDate.value),
+    maxDate: maxDate && toDate(maxDate.value),
+    accept: fileType && [].concat(fileType.value).join(','),
+    maxSize: fileSize?.value,
+    maxFiles: maxFiles?.value,
+    options: oneOf && oneOf.value.map(value => ({ value, label: String(value) })),
+  };
+};
+
+// Walk a field path through the rule schema; a row index ('contacts.0.email' or
+// 'contacts[0].email') steps into the array's `items` rule
+const findFieldRules = (rules, name) => {
+  if (!rules) return undefined;
+  if (rules[name] !== undefined) return rules[name];
+
+  return name.replace(/\[(\d+)\]/g, '.$1').split('.').reduce((current, key) => {
+    if (Array.isArray(current)) {
+      return /^\d+$/.test(key) ? current.find(rule => rule.type === 'items')?.value : undefined;
+    }
+    return current?.[key];
+  }, rules);
+};
+
+/**
+ * useFieldConstraints hook for reading a field's constraints from the nearest FormSchemaProvider
+ *
+ * Form components use it so `required`, `maxLength`, `min`/`max`, `minDate`/`maxDate`, `accept`,
+ * `maxSize`, `maxFiles` and `options` follow the form's validation schema. Each value is
+ * undefined when the schema does not set it, or outside a provider.
+ *
+ * @param {string} name - Field name or path (e.g. 'address.city' or 'contacts.0.email')
+ * @returns {Object} The field's constraints
+ *
+ * @example
+ * const { required, maxLength } = useFieldConstraints('bio');
+ */
+export const useFieldConstraints = (name) => {
+  const { rules } = useContext(FormSchemaContext);
+
+  return useMemo(() => {
+    const fieldRules = findFieldRules(rules, name);
+    return getConstraints(Array.isArray(fieldRules) ? fieldRules : []);
+  }, [rules, name]);
+};
@@ -1,4 +1,16 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { uploadFile } from '../utils/api.js';
+import { uploadFileInChunks } from '../utils/chunkedUpload.js';
+import { isFileTypeAccepted, checkFileContent, formatFileSize } from '../utils/files.js';
+import { useApiConfig } from './useApiConfig.js';
+import { useTranslation } from './useTranslation.js';
+
+const initialUploadState = {
+  status: 'idle',
+  progress: 0,
+  response: null,
+  error: null,
+};
 
 /**
  * useFileUpload hook for managing file uploads, validation, and removal
@@ -6,10 +18,27 @@ import { useState, useCallback } from 'react';
  * @param {Object} options - Configuration options
  * @param {number} options.maxSize - Maximum file size in bytes (default: 10MB)
  * @param {number} options.maxFiles - Maximum number of files allowed (default: 10)
+ * @param {number} options.maxTotalSize - Maximum combined size of all files in bytes
  * @param {string} options.accept - Accepted file types (MIME types or extensions)
+ * @param {boolean} options.validateContent - Check `accept` against each file's first bytes instead
+ *   of its name and declared type, and reject files whose extension does not match their content
+ *   (default: false)
  * @param {Function} options.onError - Callback function called when validation fails
  * @param {Function} options.onFilesChange - Callback function called when files change
- * @returns {Object} Object containing files, uploading state, error, and file management functions
+ * @param {string} options.uploadUrl - Endpoint each file is posted to
+ * @param {Object} options.uploadHeaders - Additional headers for upload requests
+ * @param {string} options.fieldName - Form field name for the uploaded file (default: 'file')
+ * @param {boolean} options.autoUpload - Queue files for upload as soon as they are added (default: true)
+ * @param {number} options.concurrency - Maximum number of files uploading at once (default: 3)
+ * @param {boolean|Object} options.chunked - Upload in resumable chunks; `true` or the options of
+ *   `uploadFileInChunks` (protocol, chunkSize, endpoints, retries, ...)
+ * @param {Function} options.onUploadSuccess - Callback function called with `(response, file)` when a file is uploaded
+ * @param {Function} options.onUploadError - Callback function called with `(error, file)` when an upload fails
+ * @returns {Object} Object containing files, per-file uploads, uploading and validating state, error,
+ *   totalSize, file management functions and the upload controls uploadFiles, cancelUpload and retryUpload
+ *
+ * Each entry of `uploads` is `{ file, status, progress, response, error }`, where status is
+ * 'idle', 'queued', 'uploading', 'done' or 'failed' and progress is a percentage.
  * 
  * @example
  * const { files, uploading, error, addFiles, removeFile, clearFiles } = useFileUpload({
@@ -19,53 +48,70 @@ import { useState, useCallback } from 'react';
  *   onError: (error) => console.error('File validation error:', error),
  *   onFilesChange: (files) => console.log('Files changed:', files)
  * });
+ *
+ * With `validateContent`, files are added once their headers have been read, so `addFiles`
+ * completes asynchronously and `validating` is true in the meantime.
+ *
+ * @example
+ * // Enforce accept on the actual content and cap the combined size at 50MB
+ * const { files, validating, totalSize } = useFileUpload({
+ *   accept: 'image/png,image/jpeg,application/pdf',
+ *   validateContent: true,
+ *   maxTotalSize: 50 * 1024 * 1024,
+ * });
+ *
+ * @example
+ * // Upload each file as it is added, two at a time
+ * const { uploads, cancelUpload, retryUpload } = useFileUpload({
+ *   uploadUrl: '/api/files',
+ *   concurrency: 2,
+ * });
+ *
+ * @example
+ * // Upload large files in 8MB chunks over tus, resuming after network drops
+ * const { uploads } = useFileUpload({
+ *   uploadUrl: 'https://tus.example.com/files/',
+ *   chunked: { protocol: 'tus', chunkSize: 8 * 1024 * 1024 },
+ * });
  */
 export const useFileUpload = (options = {}) => {
   const {
     maxSize = 10 * 1024 * 1024, // 10MB default
     maxFiles = 10,
+    maxTotalSize,
     accept = '',
+    validateContent = false,
     onError,
     onFilesChange,
+    uploadUrl,
+    autoUpload = true,
+    concurrency = 3,
   } = options;
 
   const [files, setFiles] = useState([]);
-  const [uploading, setUploading] = useState(false);
+  const [uploadStates, setUploadStates] = useState(() => new Map());
   const [error, setError] = useState(null);
+  const [validating, setValidating] = useState(false);
 
-  // Helper function to validate file type
-  const isValidFileType = useCallback((file) => {
-    if (!accept) return true;
+  // Upload states are read and written through a ref so the queue never waits for a render
+  const uploadStatesRef = useRef(uploadStates);
+  const controllersRef = useRef(new Map());
+  const uploadWaitersRef = useRef([]);
+  const processQueueRef = useRef(() => {});
+  const optionsRef = useRef(options);
+  const apiConfigRef = useRef(null);
+  const pendingChecksRef = useRef(0);
+  // Files are written through a ref as well, so content checks that finish before the
+  // next render are limited by the files added in the meantime
+  const filesRef = useRef(files);
 
-    const acceptedTypes = accept.split(',').map(type => type.trim());
-    
-    return acceptedTypes.some(acceptedType => {
-      // Handle MIME types (e.g., 'image/*', 'application/pdf')
-      if (acceptedType.includes('/')) {
-        if (acceptedType.endsWith('/*')) {
-          const baseType = acceptedType.split('/')[0];
-          return file.type.startsWith(baseType + '/');
-        }
-        return file.type === acceptedType;
-      }
-      
-      // Handle file extensions (e.g., '.pdf', '.jpg')
-      if (acceptedType.startsWith('.')) {
-        return file.name.toLowerCase().endsWith(acceptedType.toLowerCase());
-      }
-      
-      return false;
-    });
-  }, [accept]);
-
-  // Helper function to format file size for error messages
-  const formatFileSize = useCallback((bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  }, []);
+  // Keep the latest request options for uploads already scheduled
+  optionsRef.current = options;
+  apiConfigRef.current = useApiConfig();
+  const { t, locale } = useTranslation();
+
+  // Helper function to validate file type
+  const isValidFileType = useCallback((file) => isFileTypeAccepted(file, accept), [accept]);
 
   // Validate a single file
   const validateFile = useCallback((file) => {
@@ -73,16 +119,188 @@ export const useFileUpload = (options = {}) => {
 
     // Check file size
     if (file.size > maxSize) {
-      errors.push(`File "${file.name}" is too large. Maximum size is ${formatFileSize(maxSize)}.`);
+      errors.push(t('fileUpload.tooLarge', { name: file.name, maxSize: formatFileSize(maxSize, locale) }));
     }
 
-    // Check file type
-    if (!isValidFileType(file)) {
-      errors.push(`File "${file.name}" has an invalid type. Accepted types: ${accept || 'any'}.`);
+    // Check file type; with content validation it is checked on the file's bytes instead
+    if (!validateContent && !isValidFileType(file)) {
+      errors.push(t('fileUpload.invalidType', { name: file.name, accept: accept || t('fileUpload.anyType') }));
     }
 
     return errors;
-  }, [maxSize, accept, isValidFileType, formatFileSize]);
+  }, [maxSize, accept, validateContent, isValidFileType, t, locale]);
+
+  // Check a file's content against its name and the accepted types
+  const validateFileContent = useCallback(async (file) => {
+    let result;
+    try {
+      result = await checkFileContent(file, accept);
+    } catch {
+      return [t('fileUpload.unreadable', { name: file.name })];
+    }
+
+    const { detected, claimed, accepted, nameMatches } = result;
+    if (!nameMatches) {
+      return [detected
+        ? t('fileUpload.contentMismatch', { name: file.name, type: detected.label })
+        : t('fileUpload.invalidContent', { name: file.name, type: claimed.label })];
+    }
+    if (!accepted) {
+      return [t('fileUpload.invalidType', { name: file.name, accept: accept || t('fileUpload.anyType') })];
+    }
+    return [];
+  }, [accept, t]);
+
+  const commitUploadStates = useCallback((next) => {
+    uploadStatesRef.current = next;
+    setUploadStates(next);
+  }, []);
+
+  const commitFiles = useCallback((next) => {
+    filesRef.current = next;
+    setFiles(next);
+    if (onFilesChange) {
+      onFilesChange(next);
+    }
+  }, [onFilesChange]);
+
+  // Merge a patch into a file's upload state; ignored once the file is removed
+  const updateUploadState = useCallback((file, patch) => {
+    const prev = uploadStatesRef.current;
+    if (!prev.has(file)) return;
+
+    const next = new Map(prev);
+    next.set(file, { ...prev.get(file), ...patch });
+    commitUploadStates(next);
+  }, [commitUploadStates]);
+
+  // Set the state of several files at once
+  const setFileStates = useCallback((entries) => {
+    const next = new Map(uploadStatesRef.current);
+    entries.forEach(([file, state]) => next.set(file, state));
+    commitUploadStates(next);
+  }, [commitUploadStates]);
+
+  // Abort a running upload; returns whether there was one
+  const abortUpload = useCallback((file) => {
+    const controller = controllersRef.current.get(file);
+    if (!controller) return false;
+
+    controller.abort();
+    controllersRef.current.delete(file);
+    return true;
+  }, []);
+
+  // Send one file, tracking its progress and outcome
+  const startUpload = useCallback((file) => {
+    const {
+      uploadHeaders = {},
+      fieldName = 'file',
+      chunked,
+      onUploadSuccess,
+      onUploadError,
+    } = optionsRef.current;
+    const controller = new AbortController();
+    controllersRef.current.set(file, controller);
+    updateUploadState(file, { status: 'uploading', progress: 0, error: null });
+
+    const requestOptions = {
+      headers: uploadHeaders,
+      apiConfig: apiConfigRef.current,
+      signal: controller.signal,
+      onUploadProgress: ({ loaded, total }) => {
+        if (total) {
+          updateUploadState(file, { progress: Math.round((loaded / total) * 100) });
+        }
+      },
+    };
+
+    // Chunked uploads resume from what the server already has when retried
+    const upload = chunked
+      ? uploadFileInChunks(uploadUrl, file, { ...(chunked === true ? {} : chunked), ...requestOptions })
+      : uploadFile(uploadUrl, file, { ...requestOptions, fieldName });
+
+    upload.then(
+      (response) => {
+        controllersRef.current.delete(file);
+        updateUploadState(file, { status: 'done', progress: 100, response });
+        if (onUploadSuccess) {
+          onUploadSuccess(response, file);
+        }
+        processQueueRef.current();
+      },
+      (err) => {
+        if (controllersRef.current.get(file) === controller) {
+          controllersRef.current.delete(file);
+        }
+
+        if (err.name === 'AbortError') {
+          updateUploadState(file, { status: 'failed', error: new Error(t('fileUpload.cancelled')) });
+        } else {
+          updateUploadState(file, { status: 'failed', error: err });
+          if (onUploadError) {
+            onUploadError(err, file);
+          }
+        }
+        processQueueRef.current();
+      }
+    );
+  }, [uploadUrl, updateUploadState, t]);
+
+  // Start queued uploads while there are free slots, and settle uploadFiles once the queue drains
+  const processQueue = useCallback(() => {
+    const states = [...uploadStatesRef.current];
+    const active = states.filter(([, state]) => state.status === 'uploading').length;
+    const queued = states.filter(([, state]) => state.status === 'queued').map(([file]) => file);
+
+    queued.slice(0, Math.max(0, concurrency - active)).forEach(startUpload);
+
+    if (active === 0 && queued.length === 0 && uploadWaitersRef.current.length > 0) {
+      const waiters = uploadWaitersRef.current;
+      uploadWaitersRef.current = [];
+
+      const failed = states.find(([, state]) => state.status === 'failed');
+      const responses = states
+        .filter(([, state]) => state.status === 'done')
+        .map(([, state]) => state.response);
+
+      waiters.forEach(({ resolve, reject }) => (failed ? reject(failed[1].error) : resolve(responses)));
+    }
+  }, [concurrency, startUpload]);
+
+  processQueueRef.current = processQueue;
+
+  // Report validation errors and add the files that passed
+  const commitValidFiles = useCallback((validFiles, validationErrors) => {
+    // Handle validation errors
+    if (validationErrors.length > 0) {
+      const errorMsg = validationErrors.join(' ');
+      setError(new Error(errorMsg));
+      if (onError) {
+        onError(new Error(errorMsg));
+      }
+      
+      // If no valid files, return early
+      if (validFiles.length === 0) {
+        return;
+      }
+    }
+
+    // Add valid files
+    if (validFiles.length > 0) {
+      if (uploadUrl) {
+        setFileStates(validFiles.map(file => [
+          file,
+          { ...initialUploadState, status: autoUpload ? 'queued' : 'idle' },
+        ]));
+        if (autoUpload) {
+          processQueue();
+        }
+      }
+
+      commitFiles([...filesRef.current, ...validFiles]);
+    }
+  }, [onError, uploadUrl, autoUpload, setFileStates, processQueue, commitFiles]);
 
   // Add files with validation
   const addFiles = useCallback((newFiles) => {
@@ -94,19 +312,27 @@ export const useFileUpload = (options = {}) => {
     setError(null);
     
     // Check total file count
-    const totalFiles = files.length + fileArray.length;
-    if (totalFiles > maxFiles) {
-      const errorMsg = `Cannot add ${fileArray.length} file(s). Maximum ${maxFiles} files allowed. Currently have ${files.length} file(s).`;
+    const exceedsMaxFiles = () => {
+      const current = filesRef.current.length;
+      if (current + fileArray.length <= maxFiles) return false;
+
+      const errorMsg = t('fileUpload.tooMany', { count: fileArray.length, max: maxFiles, current });
       setError(new Error(errorMsg));
       if (onError) {
         onError(new Error(errorMsg));
       }
-      return;
-    }
+      return true;
+    };
+
+    if (exceedsMaxFiles()) return;
+
+    const isDuplicate = (file) => filesRef.current.some(existingFile =>
+      existingFile.name === file.name && existingFile.size === file.size
+    );
 
     // Validate each file
     const validationErrors = [];
-    const validFiles = [];
+    const candidateFiles = [];
 
     fileArray.forEach(file => {
       const fileErrors = validateFile(file);
@@ -114,78 +340,136 @@ export const useFileUpload = (options = {}) => {
         validationErrors.push(...fileErrors);
       } else {
         // Check for duplicate files (by name and size)
-        const isDuplicate = files.some(existingFile => 
-          existingFile.name === file.name && existingFile.size === file.size
-        );
-        
-        if (isDuplicate) {
-          validationErrors.push(`File "${file.name}" is already added.`);
+        if (isDuplicate(file)) {
+          validationErrors.push(t('fileUpload.duplicate', { name: file.name }));
         } else {
-          validFiles.push(file);
+          candidateFiles.push(file);
         }
       }
     });
 
-    // Handle validation errors
-    if (validationErrors.length > 0) {
-      const errorMsg = validationErrors.join(' ');
-      setError(new Error(errorMsg));
-      if (onError) {
-        onError(new Error(errorMsg));
-      }
-      
-      // If no valid files, return early
-      if (validFiles.length === 0) {
-        return;
-      }
-    }
+    // Check the combined size, keeping files in order until the limit is reached
+    const applyTotalSizeLimit = (checkedFiles) => {
+      if (!maxTotalSize) return checkedFiles;
 
-    // Add valid files
-    if (validFiles.length > 0) {
-      setFiles(prevFiles => {
-        const newFileList = [...prevFiles, ...validFiles];
-        
-        // Call onChange callback
-        if (onFilesChange) {
-          onFilesChange(newFileList);
+      let total = filesRef.current.reduce((sum, file) => sum + file.size, 0);
+      return checkedFiles.filter(file => {
+        if (total + file.size > maxTotalSize) {
+          validationErrors.push(t('fileUpload.totalSizeExceeded', { name: file.name, maxTotalSize: formatFileSize(maxTotalSize, locale) }));
+          return false;
         }
-        
-        return newFileList;
+        total += file.size;
+        return true;
       });
+    };
+
+    if (!validateContent || candidateFiles.length === 0) {
+      commitValidFiles(applyTotalSizeLimit(candidateFiles), validationErrors);
+      return;
     }
-  }, [files, maxFiles, validateFile, onError, onFilesChange]);
+
+    // Read the headers of the remaining files before adding them
+    pendingChecksRef.current += 1;
+    setValidating(true);
+    Promise.all(candidateFiles.map(validateFileContent)).then((contentErrors) => {
+      pendingChecksRef.current -= 1;
+      setValidating(pendingChecksRef.current > 0);
+
+      // Files may have been added while the content was read; check the limits again
+      if (exceedsMaxFiles()) return;
+
+      const checkedFiles = candidateFiles.filter((file, index) => {
+        validationErrors.push(...contentErrors[index]);
+        if (contentErrors[index].length > 0) return false;
+        if (isDuplicate(file)) {
+          validationErrors.push(t('fileUpload.duplicate', { name: file.name }));
+          return false;
+        }
+        return true;
+      });
+      commitValidFiles(applyTotalSizeLimit(checkedFiles), validationErrors);
+    });
+  }, [maxFiles, maxTotalSize, validateContent, validateFile, validateFileContent, onError, commitValidFiles, t, locale]);
 
   // Remove file by index
   const removeFile = useCallback((index) => {
-    if (index < 0 || index >= files.length) return;
+    const currentFiles = filesRef.current;
+    if (index < 0 || index >= currentFiles.length) return;
 
-    setFiles(prevFiles => {
-      const newFileList = prevFiles.filter((_, i) => i !== index);
-      
-      // Clear error if removing files resolves the issue
-      if (error && newFileList.length < maxFiles) {
-        setError(null);
-      }
-      
-      // Call onChange callback
-      if (onFilesChange) {
-        onFilesChange(newFileList);
-      }
-      
-      return newFileList;
-    });
-  }, [files.length, error, maxFiles, onFilesChange]);
+    const file = currentFiles[index];
+    abortUpload(file);
+    if (uploadStatesRef.current.has(file)) {
+      const next = new Map(uploadStatesRef.current);
+      next.delete(file);
+      commitUploadStates(next);
+      processQueue();
+    }
+
+    const newFileList = currentFiles.filter((_, i) => i !== index);
+
+    // Clear error if removing files resolves the issue
+    if (error && newFileList.length < maxFiles) {
+      setError(null);
+    }
+
+    commitFiles(newFileList);
+  }, [error, maxFiles, abortUpload, commitUploadStates, processQueue, commitFiles]);
 
   // Clear all files
   const clearFiles = useCallback(() => {
-    setFiles([]);
+    controllersRef.current.forEach(controller => controller.abort());
+    controllersRef.current.clear();
+    commitUploadStates(new Map());
+    commitFiles([]);
     setError(null);
-    
-    // Call onChange callback
-    if (onFilesChange) {
-      onFilesChange([]);
+  }, [commitUploadStates, commitFiles]);
+
+  // Queue every file that has not been uploaded yet and wait for the queue to drain.
+  // Resolves with the server responses, or rejects with the first upload error.
+  const uploadFiles = useCallback(() => {
+    // Read the ref so files added in the same tick are uploaded too
+    const currentFiles = filesRef.current;
+    if (!uploadUrl || currentFiles.length === 0) return Promise.resolve([]);
+
+    return new Promise((resolve, reject) => {
+      uploadWaitersRef.current.push({ resolve, reject });
+
+      const pending = currentFiles.filter(file => {
+        const status = uploadStatesRef.current.get(file)?.status;
+        return !status || status === 'idle' || status === 'failed';
+      });
+      setFileStates(pending.map(file => [file, { ...initialUploadState, status: 'queued' }]));
+      processQueue();
+    });
+  }, [uploadUrl, setFileStates, processQueue]);
+
+  // Abort a file's upload, or take it out of the queue, and mark it as failed
+  const cancelUpload = useCallback((index) => {
+    const file = files[index];
+    if (!file || abortUpload(file)) return;
+
+    if (uploadStatesRef.current.get(file)?.status === 'queued') {
+      updateUploadState(file, { status: 'failed', error: new Error(t('fileUpload.cancelled')) });
+      processQueue();
     }
-  }, [onFilesChange]);
+  }, [files, abortUpload, updateUploadState, processQueue, t]);
+
+  // Put a failed upload back in the queue
+  const retryUpload = useCallback((index) => {
+    const file = files[index];
+    if (!file || uploadStatesRef.current.get(file)?.status !== 'failed') return;
+
+    setFileStates([[file, { ...initialUploadState, status: 'queued' }]]);
+    processQueue();
+  }, [files, setFileStates, processQueue]);
+
+  // Abort uploads still running on unmount
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      controllers.forEach(controller => controller.abort());
+    };
+  }, []);
 
   // Get file info for display
   const getFileInfo = useCallback((file) => {
@@ -193,10 +477,10 @@ export const useFileUpload = (options = {}) => {
       name: file.name,
       size: file.size,
       type: file.type,
-      formattedSize: formatFileSize(file.size),
+      formattedSize: formatFileSize(file.size, locale),
       lastModified: file.lastModified,
     };
-  }, [formatFileSize]);
+  }, [locale]);
 
   // Check if more files can be added
   const canAddMoreFiles = files.length < maxFiles;
@@ -204,18 +488,37 @@ export const useFileUpload = (options = {}) => {
   // Get remaining file slots
   const remainingSlots = maxFiles - files.length;
 
+  // Combined size of the selected files
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+  // Per-file upload state, in file order
+  const uploads = useMemo(() => files.map(file => ({
+    file,
+    ...initialUploadState,
+    ...uploadStates.get(file),
+  })), [files, uploadStates]);
+
+  const uploading = uploads.some(upload => upload.status === 'queued' || upload.status === 'uploading');
+
   return {
     files,
+    uploads,
     uploading,
+    validating,
     error,
     addFiles,
     removeFile,
     clearFiles,
+    uploadFiles,
+    cancelUpload,
+    retryUpload,
     getFileInfo,
     canAddMoreFiles,
     remainingSlots,
+    totalSize,
     maxSize,
     maxFiles,
+    maxTotalSize,
     accept,
   };
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
-import { renderHook, act } from '@testing-library/react';
+import { renderHook, act, waitFor } from '@testing-library/react';
 import { useFileUpload } from './useFileUpload';
+import { configureApi, resetApiConfig } from '../utils/api.js';
 
 // Helper function to create mock files
 const createMockFile = (name, size, type = 'text/plain') => {
@@ -8,6 +9,18 @@ const createMockFile = (name, size, type = 'text/plain') => {
   return file;
 };
 
+// Transport whose requests stay pending until the test settles them
+const createControlledTransport = () => {
+  const requests = [];
+  const transport = vi.fn((request) => new Promise((resolve, reject) => {
+    request.signal.addEventListener('abort', () => {
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+    });
+    requests.push({ request, resolve, reject });
+  }));
+  return { transport, requests };
+};
+
 describe('useFileUpload', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -328,4 +341,351 @@ describe('useFileUpload', () => {
     expect(result.current.files[0]).toBe(file1);
     expect(result.current.files[1]).toBe(file2);
   });
-});
\ No newline at end of file
+
+  it('should enforce maxTotalSize across all files', () => {
+    const onError = vi.fn();
+    const { result } = renderHook(() => useFileUpload({ maxTotalSize: 5000, onError }));
+
+    act(() => {
+      result.current.addFiles([createMockFile('a.txt', 2000)]);
+    });
+
+    act(() => {
+      result.current.addFiles([
+        createMockFile('b.txt', 2000),
+        createMockFile('c.txt', 2000),
+        createMockFile('d.txt', 1000),
+      ]);
+    });
+
+    expect(result.current.files.map(file => file.name)).toEqual(['a.txt', 'b.txt', 'd.txt']);
+    expect(result.current.totalSize).toBe(5000);
+    expect(result.current.error.message).toBe('File "c.txt" would exceed the total size limit of 4.88 KB.');
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  describe('Content Validation', () => {
+    const PNG_HEADER = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    const createContentFile = (name, type, content) => new File([content], name, { type });
+
+    it('should accept files whose content matches accept', async () => {
+      const { result } = renderHook(() => useFileUpload({ accept: 'image/png', validateContent: true }));
+      const image = createContentFile('logo.png', 'image/png', new Uint8Array(PNG_HEADER));
+
+      act(() => {
+        result.current.addFiles([image]);
+      });
+
+      expect(result.current.validating).toBe(true);
+      await waitFor(() => {
+        expect(result.current.files).toEqual([image]);
+      });
+      expect(result.current.validating).toBe(false);
+      expect(result.current.error).toBe(null);
+    });
+
+    it('should reject files whose extension does not match their content', async () => {
+      const { result } = renderHook(() => useFileUpload({ accept: 'image/*', validateContent: true }));
+
+      act(() => {
+        result.current.addFiles([createContentFile('invoice.png', 'image/png', '%PDF-1.7')]);
+      });
+
+      await waitFor(() => {
+        expect(result.current.error).not.toBe(null);
+      });
+      expect(result.current.error.message).toBe('File "invoice.png" is a PDF document, which does not match its file extension.');
+      expect(result.current.files).toEqual([]);
+    });
+
+    it('should reject files claiming a format their content does not have', async () => {
+      const { result } = renderHook(() => useFileUpload({ accept: 'image/png', validateContent: true }));
+
+      act(() => {
+        result.current.addFiles([createContentFile('avatar', 'image/png', 'MZ\x90\x00')]);
+      });
+
+      await waitFor(() => {
+        expect(result.current.error).not.toBe(null);
+      });
+      expect(result.current.error.message).toBe('File "avatar" is not a valid PNG image.');
+    });
+
+    it('should enforce accept on the detected content', async () => {
+      const { result } = renderHook(() => useFileUpload({ accept: '.pdf', validateContent: true }));
+      const pdf = createContentFile('contract', '', '%PDF-1.4');
+      const image = createContentFile('photo', '', new Uint8Array(PNG_HEADER));
+
+      act(() => {
+        result.current.addFiles([pdf, image]);
+      });
+
+      await waitFor(() => {
+        expect(result.current.files).toEqual([pdf]);
+      });
+      expect(result.current.error.message).toBe('File "photo" has an invalid type. Accepted types: .pdf.');
+    });
+
+    it('should apply maxFiles to files dropped while earlier ones are checked', async () => {
+      const { result } = renderHook(() => useFileUpload({ accept: 'image/png', validateContent: true, maxFiles: 1 }));
+      const first = createContentFile('first.png', 'image/png', new Uint8Array(PNG_HEADER));
+      const second = createContentFile('second.png', 'image/png', new Uint8Array(PNG_HEADER));
+
+      act(() => {
+        result.current.addFiles([first]);
+        result.current.addFiles([second]);
+      });
+
+      await waitFor(() => {
+        expect(result.current.validating).toBe(false);
+      });
+      expect(result.current.files).toEqual([first]);
+      expect(result.current.error.message).toBe('Cannot add 1 file. Maximum 1 file allowed. Currently have 1 file.');
+    });
+
+    it('should apply maxTotalSize to files dropped while earlier ones are checked', async () => {
+      const { result } = renderHook(() => useFileUpload({ accept: 'image/png', validateContent: true, maxTotalSize: 12 }));
+      const first = createContentFile('first.png', 'image/png', new Uint8Array(PNG_HEADER));
+      const second = createContentFile('second.png', 'image/png', new Uint8Array(PNG_HEADER));
+
+      act(() => {
+        result.current.addFiles([first]);
+        result.current.addFiles([second]);
+      });
+
+      await waitFor(() => {
+        expect(result.current.validating).toBe(false);
+      });
+      expect(result.current.files).toEqual([first]);
+      expect(result.current.error.message).toMatch(/second\.png/);
+    });
+  });
+
+  describe('Upload Mode', () => {
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+      consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      resetApiConfig();
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should upload added files with progress when autoUpload is enabled', async () => {
+      const { transport, requests } = createControlledTransport();
+      configureApi({ transport });
+      const onUploadSuccess = vi.fn();
+      const file = createMockFile('report.pdf', 1000, 'application/pdf');
+
+      const { result } = renderHook(() => useFileUpload({
+        uploadUrl: '/upload',
+        autoUpload: true,
+        onUploadSuccess,
+      }));
+
+      act(() => {
+        result.current.addFiles([file]);
+      });
+
+      expect(result.current.uploads[0].status).toBe('uploading');
+      expect(result.current.uploading).toBe(true);
+
+      act(() => {
+        requests[0].request.onUploadProgress({ loaded: 250, total: 1000 });
+      });
+
+      expect(result.current.uploads[0].progress).toBe(25);
+
+      await act(async () => {
+        requests[0].resolve({ data: { id: 'f1' }, status: 201 });
+      });
+
+      expect(result.current.uploads[0]).toMatchObject({ status: 'done', progress: 100, response: { id: 'f1' } });
+      expect(result.current.uploading).toBe(false);
+      expect(onUploadSuccess).toHaveBeenCalledWith({ id: 'f1' }, file);
+    });
+
+    it('should upload added files by default', () => {
+      const { transport } = createControlledTransport();
+      configureApi({ transport });
+
+      const { result } = renderHook(() => useFileUpload({ uploadUrl: '/upload' }));
+
+      act(() => {
+        result.current.addFiles([createMockFile('report.pdf', 1000)]);
+      });
+
+      expect(result.current.uploads[0].status).not.toBe('idle');
+    });
+
+    it('should not upload until uploadFiles is called when autoUpload is disabled', () => {
+      const { transport } = createControlledTransport();
+      configureApi({ transport });
+
+      const { result } = renderHook(() => useFileUpload({ uploadUrl: '/upload', autoUpload: false }));
+
+      act(() => {
+        result.current.addFiles([createMockFile('report.pdf', 1000)]);
+      });
+
+      expect(result.current.uploads[0].status).toBe('idle');
+      expect(transport).not.toHaveBeenCalled();
+    });
+
+    it('should upload files added in the same tick as uploadFiles', async () => {
+      const { transport, requests } = createControlledTransport();
+      configureApi({ transport });
+
+      const { result } = renderHook(() => useFileUpload({ uploadUrl: '/upload', autoUpload: false }));
+
+      act(() => {
+        result.current.addFiles([createMockFile('report.pdf', 1000)]);
+        // Settles with the unmount abort when the test ends
+        result.current.uploadFiles().catch(() => {});
+      });
+
+      await waitFor(() => {
+        expect(requests).toHaveLength(1);
+      });
+      expect(result.current.uploads[0].status).toBe('uploading');
+    });
+
+    it('should limit the number of concurrent uploads', async () => {
+      const { transport, requests } = createControlledTransport();
+      configureApi({ transport });
+
+      const { result } = renderHook(() => useFileUpload({
+        uploadUrl: '/upload',
+        autoUpload: true,
+        concurrency: 2,
+      }));
+
+      act(() => {
+        result.current.addFiles([
+          createMockFile('a.txt', 10),
+          createMockFile('b.txt', 20),
+          createMockFile('c.txt', 30),
+        ]);
+      });
+
+      expect(transport).toHaveBeenCalledTimes(2);
+      expect(result.current.uploads.map(upload => upload.status)).toEqual(['uploading', 'uploading', 'queued']);
+
+      await act(async () => {
+        requests[0].resolve({ data: { id: 'a' }, status: 201 });
+      });
+
+      expect(transport).toHaveBeenCalledTimes(3);
+      expect(result.current.uploads.map(upload => upload.status)).toEqual(['done', 'uploading', 'uploading']);
+    });
+
+    it('should cancel an upload and retry it', async () => {
+      const { transport, requests } = createControlledTransport();
+      configureApi({ transport });
+
+      const { result } = renderHook(() => useFileUpload({ uploadUrl: '/upload', autoUpload: true }));
+
+      act(() => {
+        result.current.addFiles([createMockFile('report.pdf', 1000)]);
+      });
+
+      await act(async () => {
+        result.current.cancelUpload(0);
+      });
+
+      expect(requests[0].request.signal.aborted).toBe(true);
+      expect(result.current.uploads[0].status).toBe('failed');
+      expect(result.current.uploads[0].error.message).toBe('Upload cancelled');
+
+      act(() => {
+        result.current.retryUpload(0);
+      });
+
+      expect(transport).toHaveBeenCalledTimes(2);
+
+      await act(async () => {
+        requests[1].resolve({ data: { id: 'f1' }, status: 201 });
+      });
+
+      expect(result.current.uploads[0].status).toBe('done');
+    });
+
+    it('should mark failed uploads and report the error', async () => {
+      const transport = vi.fn(async () => {
+        const error = new Error('HTTP error! status: 500');
+        error.status = 500;
+        throw error;
+      });
+      configureApi({ transport });
+      const onUploadError = vi.fn();
+
+      const { result } = renderHook(() => useFileUpload({
+        uploadUrl: '/upload',
+        autoUpload: true,
+        onUploadError,
+      }));
+
+      act(() => {
+        result.current.addFiles([createMockFile('report.pdf', 1000)]);
+      });
+
+      await waitFor(() => {
+        expect(result.current.uploads[0].status).toBe('failed');
+      });
+
+      expect(result.current.uploads[0].error.message).toBe('Upload failed! status: 500');
+      expect(onUploadError).toHaveBeenCalledWith(expect.any(Error), expect.any(File));
+    });
+
+    it('should upload in chunks when chunked is set', async () => {
+      const received = [];
+      const transport = vi.fn(async (request) => {
+        if (request.method === 'POST') {
+          return { status: 201, data: null, headers: new Headers({ Location: '/files/t1' }) };
+        }
+        received.push(request.headers['Upload-Offset']);
+        const offset = Number(request.headers['Upload-Offset']) + request.body.size;
+        return { status: 204, data: null, headers: new Headers({ 'Upload-Offset': String(offset) }) };
+      });
+      configureApi({ transport });
+      const file = new File(['0123456789'], 'video.mp4', { type: 'video/mp4' });
+
+      const { result } = renderHook(() => useFileUpload({
+        uploadUrl: '/files',
+        autoUpload: true,
+        chunked: { protocol: 'tus', chunkSize: 4, resume: false },
+      }));
+
+      act(() => {
+        result.current.addFiles([file]);
+      });
+
+      await waitFor(() => {
+        expect(result.current.uploads[0].status).toBe('done');
+      });
+
+      expect(received).toEqual(['0', '4', '8']);
+      expect(result.current.uploads[0].response).toEqual({ url: '/files/t1' });
+    });
+
+    it('should abort the upload of a removed file', () => {
+      const { transport, requests } = createControlledTransport();
+      configureApi({ transport });
+
+      const { result } = renderHook(() => useFileUpload({ uploadUrl: '/upload', autoUpload: true }));
+
+      act(() => {
+        result.current.addFiles([createMockFile('report.pdf', 1000)]);
+      });
+
+      act(() => {
+        result.current.removeFile(0);
+      });
+
+      expect(requests[0].request.signal.aborted).toBe(true);
+      expect(result.current.uploads).toEqual([]);
+    });
+  });
+});
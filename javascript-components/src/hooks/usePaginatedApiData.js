@@ -0,0 +1,193 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { fetchData, buildUrl, getValueAtPath } from '../utils/api.js';
+import { useApiConfig } from './useApiConfig.js';
+
+/**
+ * usePaginatedApiData hook for loading large API collections one page at a time
+ *
+ * Supports offset/limit pagination and cursor pagination. Pages are appended to
+ * `data` as `loadMore` is called; changing the URL or `params` starts over from
+ * the first page.
+ *
+ * @param {string} url - The API endpoint URL
+ * @param {Object} options - Configuration options
+ * @param {string} options.mode - 'offset' or 'cursor' (default: 'offset')
+ * @param {number} options.pageSize - Number of records requested per page (default: 50)
+ * @param {string} options.offsetParam - Query parameter for the offset (default: 'offset')
+ * @param {string} options.limitParam - Query parameter for the page size (default: 'limit')
+ * @param {string} options.cursorParam - Query parameter for the cursor (default: 'cursor')
+ * @param {string} options.dataPath - Path to the records in the response (default: 'data')
+ * @param {string} options.nextCursorPath - Path to the next cursor in the response (default: 'nextCursor')
+ * @param {string} options.totalPath - Path to the total record count in the response (default: 'total')
+ * @param {Object} options.params - Additional query parameters sent with every page
+ * @param {Object} options.headers - Additional headers for the request
+ * @param {boolean} options.immediate - Whether to load the first page on mount (default: true)
+ * @param {Function} options.onError - Callback function called when a page fails to load
+ * @param {Function} options.onSuccess - Callback function called with each loaded page
+ * @returns {Object} Object containing data, loading state, error, hasMore, loadMore and refetch
+ *
+ * @example
+ * const { data, loading, hasMore, loadMore } = usePaginatedApiData('/api/products', {
+ *   pageSize: 100,
+ *   dataPath: 'results',
+ *   totalPath: 'meta.total',
+ * });
+ */
+export const usePaginatedApiData = (url, options = {}) => {
+  const { params = {}, immediate = true } = options;
+
+  const [data, setData] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
+
+  const abortControllerRef = useRef(null);
+  const isMountedRef = useRef(true);
+  const loadingRef = useRef(false);
+  const hasMoreRef = useRef(true);
+  const offsetRef = useRef(0);
+  const cursorRef = useRef(null);
+  const optionsRef = useRef(options);
+  const apiConfigRef = useRef(null);
+
+  // Update options ref when options change
+  optionsRef.current = options;
+  apiConfigRef.current = useApiConfig();
+
+  // Serialize params so a new object literal on every render does not reset paging
+  const paramsKey = JSON.stringify(params);
+
+  const loadPage = useCallback(async (reset = false) => {
+    if (!url || !isMountedRef.current) return;
+    if (!reset && (loadingRef.current || !hasMoreRef.current)) return;
+
+    const {
+      mode = 'offset',
+      pageSize = 50,
+      offsetParam = 'offset',
+      limitParam = 'limit',
+      cursorParam = 'cursor',
+      dataPath = 'data',
+      nextCursorPath = 'nextCursor',
+      totalPath = 'total',
+      params: currentParams = {},
+      headers = {},
+      onError,
+      onSuccess,
+    } = optionsRef.current;
+
+    // Cancel any existing request
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    abortControllerRef.current = new AbortController();
+
+    if (reset) {
+      offsetRef.current = 0;
+      cursorRef.current = null;
+      hasMoreRef.current = true;
+      setData([]);
+      setHasMore(true);
+    }
+
+    const pageParams = mode === 'cursor'
+      ? { [limitParam]: pageSize, [cursorParam]: cursorRef.current }
+      : { [limitParam]: pageSize, [offsetParam]: offsetRef.current };
+
+    loadingRef.current = true;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetchData(buildUrl(url, { ...currentParams, ...pageParams }), {
+        headers,
+        signal: abortControllerRef.current.signal,
+        apiConfig: apiConfigRef.current,
+      });
+
+      if (!isMountedRef.current) return;
+
+      const records = Array.isArray(response) ? response : getValueAtPath(response, dataPath);
+      const pageData = Array.isArray(records) ? records : [];
+
+      let more;
+      if (mode === 'cursor') {
+        const nextCursor = getValueAtPath(response, nextCursorPath);
+        cursorRef.current = nextCursor ?? null;
+        more = nextCursor !== undefined && nextCursor !== null && nextCursor !== '';
+      } else {
+        offsetRef.current += pageData.length;
+        const total = Array.isArray(response) ? undefined : getValueAtPath(response, totalPath);
+        more = typeof total === 'number'
+          ? offsetRef.current < total
+          : pageData.length === pageSize;
+      }
+
+      hasMoreRef.current = more;
+      loadingRef.current = false;
+      setData(prev => [...prev, ...pageData]);
+      setHasMore(more);
+      setLoading(false);
+
+      if (onSuccess) {
+        onSuccess(pageData, response);
+      }
+    } catch (err) {
+      // Don't handle aborted requests as errors
+      if (err.name === 'AbortError') {
+        return;
+      }
+
+      if (isMountedRef.current) {
+        loadingRef.current = false;
+        setLoading(false);
+        setError(err);
+
+        if (onError) {
+          onError(err);
+        }
+      }
+    }
+  }, [url]);
+
+  // Load the next page, ignored while a page is loading or when no pages remain
+  const loadMore = useCallback(() => {
+    loadPage(false);
+  }, [loadPage]);
+
+  // Discard loaded pages and start over from the first page
+  const refetch = useCallback(() => {
+    loadPage(true);
+  }, [loadPage]);
+
+  // Track mount state; declared first so it is set before the initial load
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  // Effect to load the first page on mount or when URL/params change
+  useEffect(() => {
+    if (immediate && url) {
+      loadPage(true);
+    }
+
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+      loadingRef.current = false;
+    };
+  }, [url, paramsKey, immediate, loadPage]);
+
+  return {
+    data,
+    loading,
+    error,
+    hasMore,
+    loadMore,
+    refetch,
+  };
+};
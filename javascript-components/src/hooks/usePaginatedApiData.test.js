@@ -0,0 +1,140 @@
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { usePaginatedApiData } from './usePaginatedApiData';
+import * as apiUtils from '../utils/api.js';
+
+// Mock fetchData but keep the URL and path helpers
+vi.mock('../utils/api', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchData: vi.fn(),
+}));
+
+const makePage = (start, count) =>
+  Array.from({ length: count }, (_, i) => ({ id: start + i, name: `Item ${start + i}` }));
+
+describe('usePaginatedApiData', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should not fetch when no URL is provided', () => {
+    const { result } = renderHook(() => usePaginatedApiData(null));
+
+    expect(result.current.data).toEqual([]);
+    expect(result.current.loading).toBe(false);
+    expect(apiUtils.fetchData).not.toHaveBeenCalled();
+  });
+
+  it('should load the first page with offset and limit parameters', async () => {
+    apiUtils.fetchData.mockResolvedValueOnce({ data: makePage(0, 2), total: 5 });
+
+    const { result } = renderHook(() => usePaginatedApiData('/api/items', { pageSize: 2 }));
+
+    await waitFor(() => {
+      expect(result.current.data).toHaveLength(2);
+    });
+
+    expect(result.current.hasMore).toBe(true);
+    expect(apiUtils.fetchData).toHaveBeenCalledWith('/api/items?limit=2&offset=0', {
+      headers: {},
+      signal: expect.any(AbortSignal),
+    });
+  });
+
+  it('should append pages on loadMore and stop at the total', async () => {
+    apiUtils.fetchData
+      .mockResolvedValueOnce({ data: makePage(0, 2), total: 3 })
+      .mockResolvedValueOnce({ data: makePage(2, 1), total: 3 });
+
+    const { result } = renderHook(() => usePaginatedApiData('/api/items', { pageSize: 2 }));
+
+    await waitFor(() => {
+      expect(result.current.data).toHaveLength(2);
+    });
+
+    act(() => {
+      result.current.loadMore();
+    });
+
+    await waitFor(() => {
+      expect(result.current.data).toHaveLength(3);
+    });
+
+    expect(result.current.hasMore).toBe(false);
+    expect(apiUtils.fetchData).toHaveBeenLastCalledWith('/api/items?limit=2&offset=2', expect.any(Object));
+
+    act(() => {
+      result.current.loadMore();
+    });
+
+    expect(apiUtils.fetchData).toHaveBeenCalledTimes(2);
+  });
+
+  it('should follow the next cursor in cursor mode', async () => {
+    apiUtils.fetchData
+      .mockResolvedValueOnce({ results: makePage(0, 2), meta: { next: 'abc' } })
+      .mockResolvedValueOnce({ results: makePage(2, 2), meta: { next: null } });
+
+    const { result } = renderHook(() => usePaginatedApiData('/api/items', {
+      mode: 'cursor',
+      pageSize: 2,
+      dataPath: 'results',
+      nextCursorPath: 'meta.next',
+    }));
+
+    await waitFor(() => {
+      expect(result.current.data).toHaveLength(2);
+    });
+
+    expect(apiUtils.fetchData).toHaveBeenCalledWith('/api/items?limit=2', expect.any(Object));
+
+    act(() => {
+      result.current.loadMore();
+    });
+
+    await waitFor(() => {
+      expect(result.current.data).toHaveLength(4);
+    });
+
+    expect(apiUtils.fetchData).toHaveBeenLastCalledWith('/api/items?limit=2&cursor=abc', expect.any(Object));
+    expect(result.current.hasMore).toBe(false);
+  });
+
+  it('should restart from the first page when params change', async () => {
+    apiUtils.fetchData
+      .mockResolvedValueOnce({ data: makePage(0, 2), total: 10 })
+      .mockResolvedValueOnce({ data: makePage(100, 1), total: 1 });
+
+    const { result, rerender } = renderHook(
+      ({ search }) => usePaginatedApiData('/api/items', { pageSize: 2, params: { q: search } }),
+      { initialProps: { search: '' } }
+    );
+
+    await waitFor(() => {
+      expect(result.current.data).toHaveLength(2);
+    });
+
+    rerender({ search: 'foo' });
+
+    await waitFor(() => {
+      expect(result.current.data).toEqual(makePage(100, 1));
+    });
+
+    expect(apiUtils.fetchData).toHaveBeenLastCalledWith('/api/items?q=foo&limit=2&offset=0', expect.any(Object));
+  });
+
+  it('should set error state and call onError when a page fails', async () => {
+    const mockError = new Error('Page failed');
+    const onError = vi.fn();
+    apiUtils.fetchData.mockRejectedValueOnce(mockError);
+
+    const { result } = renderHook(() => usePaginatedApiData('/api/items', { onError }));
+
+    await waitFor(() => {
+      expect(result.current.error).toBe(mockError);
+    });
+
+    expect(result.current.loading).toBe(false);
+    expect(onError).toHaveBeenCalledWith(mockError);
+  });
+});
@@ -0,0 +1,32 @@
+import { useContext, useMemo } from 'react';
+import { requestCache } from '../utils/requestCache.js';
+import { RequestCacheContext } from '../components/RequestCacheProvider/RequestCacheContext.js';
+
+/**
+ * useRequestCache hook for reading the request cache configuration and invalidating entries
+ *
+ * Returns the store of the nearest RequestCacheProvider, or the shared module-level
+ * store when there is none.
+ *
+ * @returns {Object} Object containing store, staleTime, staleWhileRevalidate, invalidate(match) and clear()
+ *
+ * @example
+ * const { invalidate } = useRequestCache();
+ * await saveCountry(values);
+ * invalidate('/api/countries');
+ */
+export const useRequestCache = () => {
+  const config = useContext(RequestCacheContext);
+
+  return useMemo(() => {
+    const store = config.store || requestCache;
+    return {
+      staleTime: 0,
+      staleWhileRevalidate: true,
+      ...config,
+      store,
+      invalidate: (match) => store.invalidate(match),
+      clear: () => store.clear(),
+    };
+  }, [config]);
+};
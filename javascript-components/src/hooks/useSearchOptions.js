@@ -0,0 +1,153 @@
+import { useState, useEffect, useRef } from 'react';
+import { searchData, extractResponseData, mapToSelectOptions } from '../utils/api.js';
+import { createLRUCache } from '../utils/cache.js';
+import { DEFAULT_DEBOUNCE_MS } from '../config/index.js';
+import { useApiConfig } from './useApiConfig.js';
+import { useDebounce } from './useDebounce.js';
+
+/**
+ * useSearchOptions hook for loading select options from a search API as the user types
+ *
+ * The term is debounced; in-flight searches are aborted when it changes and responses
+ * that arrive after a newer search started are discarded. Headers and `onApiError`
+ * are read when a search starts, so new object or function literals on every render
+ * do not trigger new searches.
+ *
+ * @param {string} url - The search API endpoint URL
+ * @param {string} searchTerm - The current search input
+ * @param {Object} options - Configuration options
+ * @param {string} options.searchParam - Query parameter for the term (default: 'search')
+ * @param {number} options.debounceMs - Delay before searching in milliseconds (default: 300)
+ * @param {Object} options.headers - Additional headers for the request
+ * @param {string} options.valueKey - Key of the option value in the results (default: 'value')
+ * @param {string} options.labelKey - Key of the option label in the results (default: 'label')
+ * @param {number} options.minSearchLength - Shortest term that is searched (default: 1)
+ * @param {number} options.cacheSize - Number of recent terms whose options are kept; 0 disables the cache (default: 0)
+ * @param {Function} options.onApiError - Callback function called when a search fails
+ * @returns {Object} Object containing options, loading state, error and hasSearched
+ *
+ * @example
+ * const [searchTerm, setSearchTerm] = useState('');
+ * const { options, loading } = useSearchOptions('/api/users', searchTerm, {
+ *   valueKey: 'id',
+ *   labelKey: 'name',
+ *   cacheSize: 50,
+ * });
+ */
+export const useSearchOptions = (url, searchTerm, options = {}) => {
+  const {
+    searchParam = 'search',
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    valueKey = 'value',
+    labelKey = 'label',
+    minSearchLength = 1,
+    cacheSize = 0,
+  } = options;
+
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [hasSearched, setHasSearched] = useState(false);
+
+  // Search bookkeeping: latest request id, its abort controller and the results cache
+  const requestIdRef = useRef(0);
+  const abortControllerRef = useRef(null);
+  const searchCacheRef = useRef(null);
+  if (searchCacheRef.current === null && cacheSize > 0) {
+    searchCacheRef.current = createLRUCache(cacheSize);
+  }
+
+  const optionsRef = useRef(options);
+  const apiConfigRef = useRef(null);
+
+  // Update options ref when options change
+  optionsRef.current = options;
+  apiConfigRef.current = useApiConfig();
+
+  const debouncedSearchTerm = useDebounce(searchTerm, debounceMs);
+
+  useEffect(() => {
+    const requestId = ++requestIdRef.current;
+    const isLatest = () => requestId === requestIdRef.current;
+
+    // Cancel the previous search; its results are no longer wanted
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+
+    // Don't search if term is too short or empty
+    if (!url || !debouncedSearchTerm || debouncedSearchTerm.length < minSearchLength) {
+      setResults([]);
+      setHasSearched(false);
+      setLoading(false);
+      return undefined;
+    }
+
+    const searchCache = searchCacheRef.current;
+    const cacheKey = JSON.stringify([url, searchParam, valueKey, labelKey, debouncedSearchTerm]);
+    const cachedOptions = searchCache && searchCache.get(cacheKey);
+    if (cachedOptions) {
+      setResults(cachedOptions);
+      setHasSearched(true);
+      setError(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    const performSearch = async () => {
+      const { headers = {} } = optionsRef.current;
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await searchData(url, debouncedSearchTerm, {
+          headers,
+          searchParam,
+          signal: abortController.signal,
+          apiConfig: apiConfigRef.current,
+        });
+
+        // Discard responses that arrive after a newer search was started
+        if (!isLatest()) return;
+
+        // Transform API data to Mantine Select format
+        const selectData = mapToSelectOptions(extractResponseData(response), valueKey, labelKey);
+
+        if (searchCache) {
+          searchCache.set(cacheKey, selectData);
+        }
+        setResults(selectData);
+        setHasSearched(true);
+      } catch (err) {
+        // Aborted and superseded searches are not errors
+        if (err.name === 'AbortError' || !isLatest()) return;
+
+        setError(err);
+        setResults([]);
+        setHasSearched(true);
+
+        const { onApiError } = optionsRef.current;
+        if (onApiError) {
+          onApiError(err);
+        }
+      } finally {
+        if (isLatest()) {
+          setLoading(false);
+        }
+      }
+    };
+
+    performSearch();
+
+    return () => {
+      abortController.abort();
+    };
+  }, [debouncedSearchTerm, url, searchParam, valueKey, labelKey, minSearchLength]);
+
+  return { options: results, loading, error, hasSearched };
+};
@@ -0,0 +1,106 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import { vi, describe, it, expect, beforeEach } from 'vitest';
+import { useSearchOptions } from './useSearchOptions';
+import * as apiUtils from '../utils/api.js';
+
+vi.mock('./useDebounce.js', () => ({
+  useDebounce: (value) => value,
+}));
+
+// Mock searchData but keep the response helpers
+vi.mock('../utils/api', async (importOriginal) => ({
+  ...(await importOriginal()),
+  searchData: vi.fn(),
+}));
+
+const users = [{ id: 1, name: 'Ada' }, { id: 2, name: 'Alan' }];
+
+describe('useSearchOptions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    apiUtils.searchData.mockResolvedValue({ data: users });
+  });
+
+  it('should not search terms shorter than minSearchLength', () => {
+    const { result } = renderHook(() => useSearchOptions('/api/users', 'a', { minSearchLength: 2 }));
+
+    expect(result.current.options).toEqual([]);
+    expect(result.current.hasSearched).toBe(false);
+    expect(apiUtils.searchData).not.toHaveBeenCalled();
+  });
+
+  it('should map the results to select options', async () => {
+    const { result } = renderHook(() => useSearchOptions('/api/users', 'a', { valueKey: 'id', labelKey: 'name' }));
+
+    await waitFor(() => {
+      expect(result.current.hasSearched).toBe(true);
+    });
+
+    expect(result.current.options).toEqual([
+      { value: '1', label: 'Ada' },
+      { value: '2', label: 'Alan' },
+    ]);
+    expect(apiUtils.searchData).toHaveBeenCalledWith('/api/users', 'a', expect.objectContaining({
+      searchParam: 'search',
+      signal: expect.any(AbortSignal),
+    }));
+  });
+
+  it('should not search again when headers and callbacks are new on every render', async () => {
+    const { result, rerender } = renderHook(
+      ({ token }) => useSearchOptions('/api/users', 'a', {
+        headers: { Authorization: token },
+        onApiError: () => {},
+      }),
+      { initialProps: { token: 'one' } }
+    );
+
+    await waitFor(() => {
+      expect(result.current.hasSearched).toBe(true);
+    });
+    rerender({ token: 'two' });
+
+    expect(apiUtils.searchData).toHaveBeenCalledTimes(1);
+  });
+
+  it('should call the latest onApiError when a search fails', async () => {
+    const error = new Error('Search failed');
+    apiUtils.searchData.mockRejectedValueOnce(error);
+    const first = vi.fn();
+    const latest = vi.fn();
+
+    const { result, rerender } = renderHook(
+      ({ onApiError }) => useSearchOptions('/api/users', 'a', { onApiError }),
+      { initialProps: { onApiError: first } }
+    );
+    rerender({ onApiError: latest });
+
+    await waitFor(() => {
+      expect(result.current.error).toBe(error);
+    });
+    expect(first).not.toHaveBeenCalled();
+    expect(latest).toHaveBeenCalledWith(error);
+  });
+
+  it('should reuse cached options when a term is searched again', async () => {
+    const { result, rerender } = renderHook(
+      ({ term }) => useSearchOptions('/api/users', term, { cacheSize: 10 }),
+      { initialProps: { term: 'a' } }
+    );
+
+    await waitFor(() => {
+      expect(result.current.hasSearched).toBe(true);
+    });
+    rerender({ term: 'al' });
+    await waitFor(() => {
+      expect(apiUtils.searchData).toHaveBeenCalledTimes(2);
+    });
+    rerender({ term: 'a' });
+
+    await waitFor(() => {
+      expect(result.current.loading).toBe(false);
+    });
+    expect(apiUtils.searchData).toHaveBeenCalledTimes(2);
+    expect(result.current.options).toHaveLength(2);
+  });
+});
@@ -0,0 +1,43 @@
+import { useContext, useMemo } from 'react';
+import { FormComponentsContext } from '../components/FormComponentsProvider/FormComponentsContext.js';
+import { translate, getI18nConfig, getLocaleDirection, DEFAULT_LOCALE } from '../utils/i18n.js';
+
+/**
+ * useTranslation hook for the built-in messages of the form components
+ *
+ * Uses the locale, text direction and messages of the nearest FormComponentsProvider,
+ * layered over the global configuration from configureI18n. `dir` follows the locale
+ * ('rtl' for Arabic or Hebrew) and is undefined when no locale or direction is set, so
+ * components keep the direction of the page. `i18nConfig` is the resulting
+ * `{ locale, messages }`, for validators built with `createValidator` or
+ * `createFormValidator` inside the provider.
+ *
+ * @returns {Object} `{ t, locale, dir, i18nConfig }` where `t(key, values)` returns the translated message
+ *
+ * @example
+ * const { t, locale } = useTranslation();
+ * t('select.minSearchLength', { count: 3 }); // 'Type at least 3 characters to search'
+ *
+ * @example
+ * const { i18nConfig } = useTranslation();
+ * const validate = useMemo(() => createFormValidator(rules, { i18n: i18nConfig }), [i18nConfig]);
+ */
+export const useTranslation = () => {
+  const { i18n } = useContext(FormComponentsContext);
+  const globalConfig = getI18nConfig();
+
+  return useMemo(() => {
+    const locale = i18n?.locale || globalConfig.locale;
+    const config = {
+      locale: locale || DEFAULT_LOCALE,
+      messages: { ...globalConfig.messages, ...i18n?.messages },
+    };
+
+    return {
+      locale: config.locale,
+      dir: i18n?.dir || globalConfig.dir || (locale ? getLocaleDirection(locale) : undefined),
+      t: (key, values) => translate(key, values, config),
+      i18nConfig: config,
+    };
+  }, [i18n, globalConfig]);
+};
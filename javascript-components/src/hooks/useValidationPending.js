@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * useValidationPending hook for tracking whether an async validator is still checking a value
+ *
+ * Works with validators from `createValidator` or `createAsyncValidator`; any other
+ * value (a plain function, undefined) is never pending.
+ *
+ * @param {Function} validator - Validator exposing `isPending()` and `subscribe(listener)`
+ * @returns {boolean} Whether a check is pending
+ *
+ * @example
+ * const validateUsername = useMemo(() => createValidator(rules), [rules]);
+ * const checking = useValidationPending(validateUsername);
+ */
+export const useValidationPending = (validator) => {
+  const canSubscribe = Boolean(validator) && typeof validator.subscribe === 'function';
+  const [pending, setPending] = useState(() => canSubscribe && validator.isPending());
+
+  useEffect(() => {
+    if (!canSubscribe) {
+      setPending(false);
+      return undefined;
+    }
+
+    setPending(validator.isPending());
+    return validator.subscribe(setPending);
+  }, [validator, canSubscribe]);
+
+  return pending;
+};
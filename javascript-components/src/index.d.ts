@@ -34,6 +34,8 @@ export interface FormTextInputProps extends BaseFormComponentProps {
   autoComplete?: string;
   leftSection?: React.ReactNode;
   rightSection?: React.ReactNode;
+  validate?: FieldValidator;
+  validating?: boolean;
 }
 
 // Textarea specific props
@@ -63,7 +65,7 @@ export interface FormYesNoSelectProps extends BaseFormComponentProps {
 
 // Static select props
 export interface FormStaticSelectProps extends BaseFormComponentProps {
-  options: SelectOption[];
+  options?: SelectOption[];
   clearable?: boolean;
   searchable?: boolean;
   nothingFoundMessage?: string;
@@ -78,6 +80,13 @@ export interface FormDynamicSelectProps extends BaseFormComponentProps {
   clearable?: boolean;
   searchable?: boolean;
   onApiError?: (error: Error) => void;
+  paginated?: boolean;
+  pagination?: PaginationOptions & {
+    searchParam?: string;
+    debounceMs?: number;
+  };
+  itemHeight?: number;
+  maxDropdownHeight?: number;
 }
 
 // Searchable select props
@@ -89,7 +98,10 @@ export interface FormSearchableSelectProps extends BaseFormComponentProps {
   valueKey?: string;
   labelKey?: string;
   minSearchLength?: number;
+  cacheSize?: number;
   onApiError?: (error: Error) => void;
+  resolveValueUrl?: string | ((value: string) => string);
+  fetchSelectedOption?: (value: string) => Promise<any>;
 }
 
 // File upload props
@@ -98,14 +110,34 @@ export interface FormFileUploadProps extends BaseFormComponentProps {
   multiple?: boolean;
   maxSize?: number;
   maxFiles?: number;
+  maxTotalSize?: number;
+  validateContent?: boolean;
   onFilesChange?: (files: File[]) => void;
   uploadButtonText?: string;
+  variant?: 'button' | 'dropzone';
+  dropzoneText?: string;
+  allowPaste?: boolean;
   showFileList?: boolean;
+  showPreviews?: boolean;
+  previewSize?: number;
+  getPreview?: (file: File) => string | null | Promise<string | null>;
+  imageResize?: ImageResizeOptions;
+  cropAspectRatio?: number;
+  uploadUrl?: string;
+  uploadHeaders?: Record<string, string>;
+  uploadFieldName?: string;
+  autoUpload?: boolean;
+  concurrency?: number;
+  chunked?: boolean | ChunkedUploadOptions;
+  getFileReference?: (response: any, file: File) => any;
+  onUploadSuccess?: (response: any, file: File) => void;
+  onUploadError?: (error: Error, file: File) => void;
+  onUploadingChange?: (uploading: boolean) => void;
 }
 
 // Radio group props
 export interface FormRadioGroupProps extends BaseFormComponentProps {
-  options: SelectOption[];
+  options?: SelectOption[];
   orientation?: 'horizontal' | 'vertical';
   spacing?: string | number;
 }
@@ -121,6 +153,236 @@ export interface FormDatePickerProps extends BaseFormComponentProps {
   clearable?: boolean;
 }
 
+// Number input props; the field value is a number or null
+export interface FormNumberInputProps extends BaseFormComponentProps {
+  min?: number;
+  max?: number;
+  step?: number;
+  precision?: number;
+  fixedPrecision?: boolean;
+  thousandSeparator?: boolean | string;
+  decimalSeparator?: string;
+  allowNegative?: boolean;
+  hideControls?: boolean;
+}
+
+// Currency input props; the field value is an integer amount in minor units (cents) or null
+export interface FormCurrencyInputProps extends BaseFormComponentProps {
+  currency?: string;
+  locale?: string;
+  min?: number;
+  max?: number;
+  allowNegative?: boolean;
+  hideControls?: boolean;
+}
+
+// Masked input props
+export type MaskDefinition = string | ((input: string) => string);
+export type MaskPreset = 'phone' | 'postalCode' | 'creditCard' | 'iban';
+
+export interface FormMaskedInputProps extends BaseFormComponentProps {
+  mask?: MaskDefinition;
+  preset?: MaskPreset;
+  country?: string;
+  storeRaw?: boolean;
+  showCardBrand?: boolean;
+  autoComplete?: string;
+  rightSection?: React.ReactNode;
+  validate?: FieldValidator;
+}
+
+// Phone input props; the field value is an E.164 number ('+447911123456') or ''
+export interface FormPhoneInputProps extends BaseFormComponentProps {
+  defaultCountry?: string;
+  countries?: string[];
+  countryLabel?: string;
+  countrySelectWidth?: string | number;
+  nothingFoundMessage?: string;
+  validate?: FieldValidator;
+}
+
+// Single checkbox props; the field value is a boolean
+export interface FormCheckboxProps extends Omit<BaseFormComponentProps, 'label' | 'placeholder'> {
+  label?: React.ReactNode;
+  indeterminate?: boolean;
+}
+
+// Checkbox group props; the field value is an array of the checked option values
+export interface FormCheckboxGroupProps extends Omit<BaseFormComponentProps, 'placeholder'> {
+  options?: SelectOption[];
+  orientation?: 'horizontal' | 'vertical';
+  spacing?: string | number;
+  minChecked?: number;
+  maxChecked?: number;
+  minCheckedMessage?: string;
+  maxCheckedMessage?: string;
+  selectAll?: boolean;
+  selectAllLabel?: string;
+}
+
+// Switch props; the field value is a boolean
+export interface FormSwitchProps extends Omit<BaseFormComponentProps, 'label' | 'placeholder'> {
+  label?: React.ReactNode;
+  onLabel?: React.ReactNode;
+  offLabel?: React.ReactNode;
+  labelPosition?: 'left' | 'right';
+}
+
+export interface PhoneCountry {
+  code: string;
+  dialCode: string;
+  trunkPrefix?: string;
+  pattern: RegExp;
+  format: string;
+}
+
+export interface ParsedPhoneNumber {
+  country: string;
+  dialCode: string;
+  nationalNumber: string;
+  e164: string;
+  valid: boolean;
+}
+
+export interface MaskResult {
+  value: string;
+  raw: string;
+  caret: number;
+  complete: boolean;
+}
+
+export interface CardBrand {
+  type: 'amex' | 'diners' | 'jcb' | 'visa' | 'mastercard' | 'discover' | 'unionpay' | 'maestro';
+  label: string;
+  pattern: RegExp;
+  lengths: number[];
+  mask?: string;
+}
+
+export interface CurrencyFormat {
+  prefix: string;
+  suffix: string;
+  decimalSeparator: string;
+  thousandSeparator: string;
+  decimalScale: number;
+}
+
+// Schema form field definition
+export interface SchemaFormField {
+  type: string;
+  name: string;
+  label?: string;
+  options?: SelectOption[];
+  rules?: ValidationRule[];
+  initialValue?: any;
+  hidden?: boolean;
+  props?: Record<string, any>;
+  [key: string]: any;
+}
+
+// Custom field type registration for SchemaForm
+export interface SchemaFormFieldType {
+  component: React.ComponentType<any>;
+  props?: Record<string, any>;
+  emptyValue?: any;
+  acceptsValidating?: boolean;
+}
+
+// Schema form props
+export interface SchemaFormProps {
+  fields: SchemaFormField[];
+  initialValues?: Record<string, any>;
+  onSubmit: (values: Record<string, any>, helpers: any) => void | Promise<any>;
+  validate?: (values: Record<string, any>) => Record<string, any> | Promise<Record<string, any>>;
+  fieldTypes?: Record<string, SchemaFormFieldType>;
+  submitLabel?: React.ReactNode;
+  showSubmit?: boolean;
+  spacing?: string | number;
+  className?: string;
+  style?: React.CSSProperties;
+  children?: React.ReactNode | ((formik: any) => React.ReactNode);
+}
+
+// Wizard step props
+export interface FormStepProps {
+  label?: React.ReactNode;
+  description?: React.ReactNode;
+  fields?: string[];
+  when?: (values: Record<string, any>) => boolean;
+  skippable?: boolean;
+  children?: React.ReactNode;
+}
+
+// Wizard container props
+export interface FormWizardProps {
+  children: React.ReactNode;
+  initialStep?: number;
+  onStepChange?: (stepIndex: number) => void;
+  onSubmit?: (values: Record<string, any>, formik: any) => void | Promise<any>;
+  backLabel?: React.ReactNode;
+  nextLabel?: React.ReactNode;
+  skipLabel?: React.ReactNode;
+  submitLabel?: React.ReactNode;
+  allowStepClick?: boolean;
+  size?: 'xs' | 'sm' | 'md' | 'lg' | 'xl';
+  orientation?: 'horizontal' | 'vertical';
+  className?: string;
+  style?: React.CSSProperties;
+}
+
+// Field array props
+export interface FormFieldArrayProps extends Omit<BaseFormComponentProps, 'placeholder'> {
+  children: (rowName: string, index: number, arrayHelpers: any) => React.ReactNode;
+  emptyRow?: any | (() => any);
+  minRows?: number;
+  maxRows?: number;
+  minRowsMessage?: string;
+  maxRowsMessage?: string;
+  addLabel?: React.ReactNode;
+  reorderable?: boolean;
+  spacing?: string | number;
+}
+
+// Static multi-select props
+export interface FormMultiSelectProps extends BaseFormComponentProps {
+  options?: SelectOption[];
+  maxValues?: number;
+  selectAll?: boolean;
+  selectAllLabel?: string;
+  clearAllLabel?: string;
+  clearable?: boolean;
+  searchable?: boolean;
+  nothingFoundMessage?: string;
+}
+
+// Dynamic multi-select props
+export interface FormDynamicMultiSelectProps extends BaseFormComponentProps {
+  apiUrl: string;
+  apiHeaders?: Record<string, string>;
+  valueKey?: string;
+  labelKey?: string;
+  maxValues?: number;
+  clearable?: boolean;
+  searchable?: boolean;
+  nothingFoundMessage?: string;
+  onApiError?: (error: Error) => void;
+}
+
+// Searchable multi-select props
+export interface FormSearchableMultiSelectProps extends BaseFormComponentProps {
+  searchApiUrl: string;
+  searchParam?: string;
+  debounceMs?: number;
+  apiHeaders?: Record<string, string>;
+  valueKey?: string;
+  labelKey?: string;
+  minSearchLength?: number;
+  maxValues?: number;
+  initialOptions?: SelectOption[];
+  nothingFoundMessage?: string;
+  onApiError?: (error: Error) => void;
+}
+
 // API response interface
 export interface ApiResponse<T> {
   data: T[];
@@ -130,27 +392,289 @@ export interface ApiResponse<T> {
 }
 
 // Validation rule interface
+export type BuiltInRuleType =
+  | 'required' | 'email' | 'minLength' | 'maxLength' | 'pattern' | 'number' | 'minValue' | 'maxValue' | 'oneOf'
+  | 'fileSize' | 'fileType' | 'maxFiles' | 'minDate' | 'maxDate' | 'custom' | 'async'
+  | 'equalsField' | 'requiredIf' | 'afterField' | 'beforeField' | 'oneOfRequired' | 'phone' | 'creditCard' | 'iban' | 'items';
+
 export interface ValidationRule {
-  type: 'required' | 'minLength' | 'maxLength' | 'pattern' | 'custom';
+  // Built-in types, or any type added with registerValidator
+  type: BuiltInRuleType | (string & {});
   value?: any;
-  message: string;
+  message?: string;
+  validator?: ((value: any, values?: Record<string, any>) => string | undefined) | AsyncCheck;
+  debounce?: number;
+  field?: string;
+  fields?: string[];
+  [option: string]: any;
+}
+
+export type ValidatorFactory = (rule: ValidationRule) => CrossFieldValidator;
+
+export interface FormRuleSchema {
+  [field: string]: ValidationRule[] | FormRuleSchema;
+}
+
+export type AsyncCheck = (
+  value: any,
+  context: { signal: AbortSignal }
+) => Promise<string | boolean | undefined | void>;
+
+export interface FieldValidator {
+  (value: any, values?: Record<string, any>): string | undefined | Promise<string | undefined>;
+  isPending?: () => boolean;
+  subscribe?: (listener: (pending: boolean) => void) => () => void;
+}
+
+export type CrossFieldValidator = (value: any, values?: Record<string, any>) => string | undefined;
+
+export interface AsyncValidator extends FieldValidator {
+  (value: any): Promise<string | undefined>;
+  isPending: () => boolean;
+  subscribe: (listener: (pending: boolean) => void) => () => void;
+  cancel: (result?: string) => void;
 }
 
 // Hook return types
+export interface UseApiDataOptions<T> {
+  headers?: Record<string, string>;
+  retryAttempts?: number;
+  retryDelay?: number;
+  immediate?: boolean;
+  onError?: (error: Error) => void;
+  onSuccess?: (data: T[], response: any) => void;
+  staleTime?: number;
+  staleWhileRevalidate?: boolean;
+  cacheKey?: string;
+}
+
 export interface UseApiDataReturn<T> {
   data: T[];
   loading: boolean;
+  isValidating: boolean;
   error: Error | null;
   refetch: () => void;
 }
 
+// API client types
+export interface ApiRequest {
+  url: string;
+  method?: string;
+  headers?: Record<string, string>;
+  body?: any;
+  signal?: AbortSignal;
+  onUploadProgress?: (progress: UploadProgress) => void;
+  [key: string]: any;
+}
+
+export interface UploadProgress {
+  loaded: number;
+  total?: number;
+}
+
+export type ChunkedUploadEndpoint = string | ((params: { url: string; uploadId?: string; index?: number }) => string);
+
+export interface UploadSessionStorage {
+  getItem: (key: string) => string | null;
+  setItem: (key: string, value: string) => void;
+  removeItem: (key: string) => void;
+}
+
+export interface ChunkedUploadOptions {
+  protocol?: 'chunked' | 'tus';
+  chunkSize?: number;
+  endpoints?: {
+    init?: ChunkedUploadEndpoint;
+    chunk?: ChunkedUploadEndpoint;
+    status?: ChunkedUploadEndpoint;
+    commit?: ChunkedUploadEndpoint;
+  };
+  headers?: Record<string, string>;
+  retries?: number;
+  retryDelay?: number;
+  resume?: boolean;
+  storage?: UploadSessionStorage | null;
+}
+
+export interface DetectedFileType {
+  label: string;
+  mimeTypes: string[];
+  extensions: string[];
+}
+
+// Image helper types
+export interface ImageResizeOptions {
+  maxWidth?: number;
+  maxHeight?: number;
+  quality?: number;
+  format?: 'image/jpeg' | 'image/png' | 'image/webp';
+}
+
+export interface CropArea {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface TransportResponse<T = any> {
+  data: T;
+  status: number;
+  headers?: any;
+}
+
+export type ApiTransport = (request: ApiRequest) => Promise<TransportResponse>;
+
+export interface ApiInterceptors {
+  request?: Array<(request: ApiRequest) => ApiRequest | void | Promise<ApiRequest | void>>;
+  response?: Array<(response: TransportResponse, request: ApiRequest) => TransportResponse | void | Promise<TransportResponse | void>>;
+  error?: Array<(
+    error: Error & { status?: number },
+    request: ApiRequest,
+    retry: (request: ApiRequest) => Promise<TransportResponse>
+  ) => TransportResponse | void | Promise<TransportResponse | void>>;
+}
+
+export interface ApiConfig {
+  transport?: ApiTransport;
+  baseURL?: string;
+  headers?: Record<string, string> | (() => Record<string, string>);
+  interceptors?: ApiInterceptors;
+}
+
+// Messages are ICU-style patterns or functions of the values and locale
+export type I18nMessage = string | ((values: Record<string, any>, locale: string) => string);
+export type I18nMessages = Record<string, I18nMessage>;
+
+export type TextDirection = 'ltr' | 'rtl';
+
+export interface I18nConfig {
+  locale?: string;
+  dir?: TextDirection;
+  messages?: I18nMessages;
+}
+
+export interface FormComponentsProviderProps extends ApiConfig, I18nConfig {
+  children?: React.ReactNode;
+}
+
+export interface FormSchemaProviderProps {
+  // Yup object schema, Zod object schema or rule lists keyed by field name
+  schema?: any;
+  children?: React.ReactNode;
+}
+
+export interface FieldConstraints {
+  required?: boolean;
+  maxLength?: number;
+  min?: number;
+  max?: number;
+  minDate?: Date;
+  maxDate?: Date;
+  accept?: string;
+  maxSize?: number;
+  maxFiles?: number;
+  options?: SelectOption[];
+}
+
+// Request cache types
+export type RequestCacheMatch = string | RegExp | ((key: string) => boolean);
+
+export interface RequestCacheEntry<T = any> {
+  data: T | undefined;
+  hasData: boolean;
+  error: Error | null;
+  updatedAt: number;
+  isFetching: boolean;
+}
+
+export interface RequestCacheEvent<T = any> {
+  type: 'update' | 'error' | 'invalidate';
+  data?: T;
+  error?: Error;
+}
+
+export interface RequestCacheStore {
+  fetch<T = any>(
+    key: string,
+    fetcher: (signal: AbortSignal) => Promise<T>,
+    options?: { staleTime?: number; signal?: AbortSignal; url?: string | string[] }
+  ): Promise<T>;
+  get<T = any>(key: string): RequestCacheEntry<T> | undefined;
+  set<T = any>(key: string, data: T): void;
+  isFresh(key: string, staleTime?: number): boolean;
+  invalidate(match?: RequestCacheMatch): number;
+  subscribe(key: string, listener: (event: RequestCacheEvent) => void): () => void;
+  remove(key: string): boolean;
+  clear(): void;
+}
+
+export interface RequestCacheProviderProps {
+  staleTime?: number;
+  staleWhileRevalidate?: boolean;
+  store?: RequestCacheStore;
+  children?: React.ReactNode;
+}
+
+export interface UseRequestCacheReturn {
+  store: RequestCacheStore;
+  staleTime: number;
+  staleWhileRevalidate: boolean;
+  invalidate: (match?: RequestCacheMatch) => number;
+  clear: () => void;
+}
+
+export interface PaginationOptions {
+  mode?: 'offset' | 'cursor';
+  pageSize?: number;
+  offsetParam?: string;
+  limitParam?: string;
+  cursorParam?: string;
+  dataPath?: string;
+  nextCursorPath?: string;
+  totalPath?: string;
+}
+
+export interface UsePaginatedApiDataOptions<T> extends PaginationOptions {
+  params?: Record<string, any>;
+  headers?: Record<string, string>;
+  immediate?: boolean;
+  onError?: (error: Error) => void;
+  onSuccess?: (page: T[], response: any) => void;
+}
+
+export interface UsePaginatedApiDataReturn<T> {
+  data: T[];
+  loading: boolean;
+  error: Error | null;
+  hasMore: boolean;
+  loadMore: () => void;
+  refetch: () => void;
+}
+
+export type FileUploadStatus = 'idle' | 'queued' | 'uploading' | 'done' | 'failed';
+
+export interface FileUploadState {
+  file: File;
+  status: FileUploadStatus;
+  progress: number;
+  response: any;
+  error: Error | null;
+}
+
 export interface UseFileUploadReturn {
   files: File[];
+  uploads: FileUploadState[];
   uploading: boolean;
+  validating: boolean;
   error: Error | null;
+  totalSize: number;
   addFiles: (files: File[] | FileList) => void;
   removeFile: (index: number) => void;
   clearFiles: () => void;
+  uploadFiles: () => Promise<any[]>;
+  cancelUpload: (index: number) => void;
+  retryUpload: (index: number) => void;
 }
 
 // Component declarations
@@ -163,14 +687,52 @@ export declare const FormSearchableSelect: React.FC<FormSearchableSelectProps>;
 export declare const FormFileUpload: React.FC<FormFileUploadProps>;
 export declare const FormRadioGroup: React.FC<FormRadioGroupProps>;
 export declare const FormDatePicker: React.FC<FormDatePickerProps>;
+export declare const SchemaForm: React.FC<SchemaFormProps>;
+export declare const FormWizard: React.FC<FormWizardProps>;
+export declare const FormStep: React.FC<FormStepProps>;
+export declare const FormFieldArray: React.FC<FormFieldArrayProps>;
+export declare const FormMultiSelect: React.FC<FormMultiSelectProps>;
+export declare const FormDynamicMultiSelect: React.FC<FormDynamicMultiSelectProps>;
+export declare const FormSearchableMultiSelect: React.FC<FormSearchableMultiSelectProps>;
+export declare const RequestCacheProvider: React.FC<RequestCacheProviderProps>;
+export declare const FormComponentsProvider: React.FC<FormComponentsProviderProps>;
+export declare const FormSchemaProvider: React.FC<FormSchemaProviderProps>;
+export declare const FormNumberInput: React.FC<FormNumberInputProps>;
+export declare const FormCurrencyInput: React.FC<FormCurrencyInputProps>;
+export declare const FormMaskedInput: React.FC<FormMaskedInputProps>;
+export declare const FormPhoneInput: React.FC<FormPhoneInputProps>;
+export declare const FormCheckbox: React.FC<FormCheckboxProps>;
+export declare const FormCheckboxGroup: React.FC<FormCheckboxGroupProps>;
+export declare const FormSwitch: React.FC<FormSwitchProps>;
 
 // Hook declarations
-export declare function useDebounce<T>(value: T, delay: number): T;
-export declare function useApiData<T>(url: string, headers?: Record<string, string>): UseApiDataReturn<T>;
+export declare function useDebounce<T>(value: T, delay?: number): T;
+export declare function useValidationPending(validator?: FieldValidator | null): boolean;
+export declare function useFieldConstraints(name: string): FieldConstraints;
+export declare function useTranslation(): {
+  t: (key: string, values?: Record<string, any>) => string;
+  locale: string;
+  dir?: TextDirection;
+  i18nConfig: I18nConfig;
+};
+export declare function useApiData<T>(url: string | null, options?: UseApiDataOptions<T>): UseApiDataReturn<T>;
+export declare function useRequestCache(): UseRequestCacheReturn;
+export declare function useApiConfig(): ApiConfig | undefined;
+export declare function usePaginatedApiData<T>(url: string | null, options?: UsePaginatedApiDataOptions<T>): UsePaginatedApiDataReturn<T>;
 export declare function useFileUpload(options?: {
   maxSize?: number;
   maxFiles?: number;
+  maxTotalSize?: number;
   accept?: string;
+  validateContent?: boolean;
+  uploadUrl?: string;
+  uploadHeaders?: Record<string, string>;
+  fieldName?: string;
+  autoUpload?: boolean;
+  concurrency?: number;
+  chunked?: boolean | ChunkedUploadOptions;
+  onUploadSuccess?: (response: any, file: File) => void;
+  onUploadError?: (error: Error, file: File) => void;
 }): UseFileUploadReturn;
 
 // Utility function declarations
@@ -179,9 +741,196 @@ export declare function validateEmail(value: string): string | undefined;
 export declare function validateMinLength(value: string, minLength: number): string | undefined;
 export declare function validateMaxLength(value: string, maxLength: number): string | undefined;
 export declare function validatePattern(value: string, pattern: RegExp): string | undefined;
+export declare function createValidator(rules: ValidationRule[], options?: { i18n?: I18nConfig }): FieldValidator & {
+  isPending: () => boolean;
+  subscribe: (listener: (pending: boolean) => void) => () => void;
+};
+export declare function registerValidator(type: string, factory: ValidatorFactory, options?: { override?: boolean }): void;
+export declare function unregisterValidator(type: string): void;
+export declare function hasValidator(type: string): boolean;
+export declare function createFormValidator(
+  schema: FormRuleSchema,
+  options?: { i18n?: I18nConfig }
+): (values: Record<string, any>) => Record<string, any> | Promise<Record<string, any>>;
+export declare function validateEqualsField(field: string, message?: string): CrossFieldValidator;
+export declare function validateRequiredIf(
+  field: string,
+  condition?: any | any[] | ((otherValue: any, values: Record<string, any>) => boolean),
+  message?: string
+): CrossFieldValidator;
+export declare function validateAfterField(field: string, message?: string): CrossFieldValidator;
+export declare function validateBeforeField(field: string, message?: string): CrossFieldValidator;
+export declare function validateOneOfRequired(fields: string[], message?: string): CrossFieldValidator;
+export declare function validateOneOf(allowedValues: any[], message?: string): (value: any) => string | undefined;
+export declare function validatePhone(value: string, message?: string, defaultCountry?: string): string | undefined;
+export declare function validateCreditCard(value: string, message?: string): string | undefined;
+export declare function validateIban(value: string, message?: string): string | undefined;
+
+// Schema adapters; pass your own `yup` or `z` namespace
+export type SchemaValueType = 'string' | 'number' | 'date' | 'mixed';
+export declare function rulesToYup(rules: ValidationRule[], yup: any, options?: { type?: SchemaValueType }): any;
+export declare function formRulesToYup(schema: FormRuleSchema, yup: any): any;
+export declare function yupToRules(schema: any, path?: string): FormRuleSchema | ValidationRule[];
+export declare function rulesToZod(rules: ValidationRule[], z: any, options?: { type?: SchemaValueType }): any;
+export declare function formRulesToZod(schema: FormRuleSchema, z: any): any;
+export declare function zodToRules(schema: any): FormRuleSchema | ValidationRule[];
+export declare function schemaToRules(schema: any): FormRuleSchema;
+export declare function createAsyncValidator(
+  validator: AsyncCheck,
+  options?: { debounce?: number; message?: string; i18n?: I18nConfig }
+): AsyncValidator;
+
+// I18n utility declarations
+export declare const DEFAULT_LOCALE: string;
+export declare const locales: Record<'en' | 'es' | 'fr' | 'de', Record<string, string>>;
+export declare function formatMessage(message: string, values?: Record<string, any>, locale?: string): string;
+export declare function formatNumber(value: number, locale?: string, options?: Intl.NumberFormatOptions): string;
+export declare function formatDate(value: Date | string | number, locale?: string, options?: Intl.DateTimeFormatOptions): string;
+export declare function getLocaleDirection(locale?: string): TextDirection;
+export declare function translate(key: string, values?: Record<string, any>, config?: I18nConfig): string;
+export declare function configureI18n(config?: I18nConfig): I18nConfig;
+export declare function resetI18nConfig(): void;
+export declare function getI18nConfig(): I18nConfig;
+export declare function withI18nConfig<T>(config: I18nConfig | null | undefined, callback: () => T): T;
+export declare function registerLocale(locale: string, messages: I18nMessages): void;
+
+// Number utility declarations
+export declare function getNumberSeparators(locale?: string): { decimalSeparator: string; thousandSeparator: string };
+export declare function getCurrencyDigits(currency: string): number;
+export declare function getCurrencyFormat(currency: string, locale?: string): CurrencyFormat;
+export declare function toMinorUnits(amount: number | string | null | undefined, currency: string): number | null;
+export declare function fromMinorUnits(minor: number | null | undefined, currency: string): number | null;
+export declare function formatCurrency(minor: number, currency: string, locale?: string): string;
+
+// Mask utility declarations
+export declare const PHONE_MASKS: Record<string, string>;
+export declare const POSTAL_CODE_MASKS: Record<string, string>;
+export declare const CARD_BRANDS: CardBrand[];
+export declare const IBAN_LENGTHS: Record<string, number>;
+export declare function applyMask(input: string | null | undefined, mask: MaskDefinition, caret?: number): MaskResult;
+export declare function unmaskValue(value: string, mask: MaskDefinition): string;
+export declare function detectCardBrand(number: string): CardBrand | null;
+export declare function isValidLuhn(number: string): boolean;
+export declare function isValidCardNumber(number: string): boolean;
+export declare function getCardMask(number: string): string;
+export declare function getIbanMask(iban: string): string;
+export declare function isValidIban(iban: string): boolean;
+export declare function getMaskPreset(preset: MaskPreset, country?: string): MaskDefinition | undefined;
+
+// Phone utility declarations
+export declare const PHONE_COUNTRIES: PhoneCountry[];
+export declare function getPhoneCountry(code: string): PhoneCountry | undefined;
+export declare function getCountryName(code: string, locale?: string): string;
+export declare function parsePhoneNumber(value: string, defaultCountry?: string): ParsedPhoneNumber | null;
+export declare function isValidPhoneNumber(value: string, defaultCountry?: string): boolean;
+export declare function toE164(value: string, defaultCountry?: string): string | null;
+export declare function formatNationalNumber(nationalNumber: string, country: string): string;
+export declare function formatPhoneNumber(
+  value: string,
+  format?: 'international' | 'national' | 'e164',
+  defaultCountry?: string
+): string;
 
 // API utility declarations
 export declare function apiRequest<T>(url: string, options?: RequestInit): Promise<ApiResponse<T>>;
+export declare function configureApi(config?: ApiConfig): ApiConfig;
+export declare function resetApiConfig(): void;
+export declare function getApiConfig(): ApiConfig;
+export declare const fetchTransport: ApiTransport;
+export declare const xhrTransport: ApiTransport;
+export declare const defaultTransport: ApiTransport;
+export declare function resolveUrl(url: string, baseURL?: string): string;
+export declare function getRequestUrl(url: string, apiConfig?: ApiConfig): string;
+export declare function getCacheKey(url: string, headers?: Record<string, string>, apiConfig?: ApiConfig): string;
+export declare function sendRequest(request: ApiRequest, apiConfig?: ApiConfig): Promise<TransportResponse>;
+export declare function searchData<T = any>(
+  url: string,
+  searchTerm: string,
+  options?: { searchParam?: string; headers?: Record<string, string>; signal?: AbortSignal; apiConfig?: ApiConfig }
+): Promise<T>;
+export declare function uploadFile<T = any>(
+  url: string,
+  file: File,
+  options?: {
+    fieldName?: string;
+    headers?: Record<string, string>;
+    signal?: AbortSignal;
+    onUploadProgress?: (progress: UploadProgress) => void;
+    apiConfig?: ApiConfig;
+  }
+): Promise<T>;
+export declare function isFileTypeAccepted(file: { name?: string; type?: string }, accept?: string): boolean;
+export declare function isDragAccepted(dataTransfer: DataTransfer | null, accept?: string): boolean;
+export declare function getFilesFromDataTransfer(dataTransfer: DataTransfer | null): Promise<File[]>;
+export declare function getFilesFromClipboard(clipboardData: DataTransfer | null): File[];
+export declare function formatFileSize(bytes: number, locale?: string): string;
+export declare function detectFileType(file: Blob): Promise<DetectedFileType | null>;
+export declare function checkFileContent(file: File, accept?: string): Promise<{
+  detected: DetectedFileType | null;
+  claimed: DetectedFileType | null;
+  accepted: boolean;
+  nameMatches: boolean;
+}>;
+export declare function isImageFile(file: File | null | undefined): boolean;
+export declare function isPdfFile(file: File | null | undefined): boolean;
+export declare function isResizableImage(file: File | null | undefined): boolean;
+export declare function computeResizeDimensions(
+  width: number,
+  height: number,
+  limits?: { maxWidth?: number; maxHeight?: number }
+): { width: number; height: number };
+export declare function getCenteredCropArea(width: number, height: number, aspectRatio: number, scale?: number): CropArea;
+export declare function loadImage(file: Blob): Promise<ImageBitmap | HTMLImageElement>;
+export declare function resizeImage(file: File, options?: ImageResizeOptions): Promise<File>;
+export declare function cropImage(file: File, area: CropArea, options?: ImageResizeOptions): Promise<File>;
+export declare const TUS_VERSION: string;
+export declare function getUploadFingerprint(url: string, file: File, protocol?: 'chunked' | 'tus'): string;
+export declare function uploadFileInChunks<T = any>(
+  url: string,
+  file: File,
+  options?: ChunkedUploadOptions & {
+    signal?: AbortSignal;
+    onUploadProgress?: (progress: UploadProgress) => void;
+    apiConfig?: ApiConfig;
+  }
+): Promise<T>;
+export declare function fetchData<T = any>(
+  url: string,
+  options?: Omit<RequestInit, 'cache'> & {
+    cache?: boolean;
+    staleTime?: number;
+    cacheKey?: string;
+    cacheStore?: RequestCacheStore;
+    apiConfig?: ApiConfig;
+  }
+): Promise<T>;
+export declare function extractResponseData<T = any>(response: T[] | { data: T[] } | T): T[];
+export declare function mapToSelectOptions(items: any[], valueKey?: string, labelKey?: string): SelectOption[];
+export declare function buildUrl(url: string, params?: Record<string, any>): string;
+export declare function getValueAtPath(object: any, path: string): any;
+
+// Request cache declarations
+export declare function getRequestKey(url: string, headers?: Record<string, string>): string;
+export declare function createRequestCache(options?: { maxEntries?: number }): RequestCacheStore;
+export declare const requestCache: RequestCacheStore;
+export declare function invalidateRequests(match?: RequestCacheMatch): number;
+export declare function clearRequestCache(): void;
+
+// Cache utility declarations
+export interface LRUCache<K = string, V = any> {
+  get(key: K): V | undefined;
+  set(key: K, value: V): void;
+  has(key: K): boolean;
+  delete(key: K): boolean;
+  clear(): void;
+  forEach(callback: (value: V, key: K) => void): void;
+  readonly size: number;
+}
+
+export declare function createLRUCache<K = string, V = any>(
+  maxSize?: number,
+  options?: { canEvict?: (value: V, key: K) => boolean }
+): LRUCache<K, V>;
 
 // Library metadata
 export declare const LIBRARY_VERSION: string;
@@ -198,12 +947,35 @@ export declare const FormComponents: {
   FormFileUpload: React.FC<FormFileUploadProps>;
   FormRadioGroup: React.FC<FormRadioGroupProps>;
   FormDatePicker: React.FC<FormDatePickerProps>;
+  SchemaForm: React.FC<SchemaFormProps>;
+  FormWizard: React.FC<FormWizardProps>;
+  FormStep: React.FC<FormStepProps>;
+  FormFieldArray: React.FC<FormFieldArrayProps>;
+  FormMultiSelect: React.FC<FormMultiSelectProps>;
+  FormDynamicMultiSelect: React.FC<FormDynamicMultiSelectProps>;
+  FormSearchableMultiSelect: React.FC<FormSearchableMultiSelectProps>;
+  RequestCacheProvider: React.FC<RequestCacheProviderProps>;
+  FormComponentsProvider: React.FC<FormComponentsProviderProps>;
+  FormSchemaProvider: React.FC<FormSchemaProviderProps>;
+  FormNumberInput: React.FC<FormNumberInputProps>;
+  FormCurrencyInput: React.FC<FormCurrencyInputProps>;
+  FormMaskedInput: React.FC<FormMaskedInputProps>;
+  FormPhoneInput: React.FC<FormPhoneInputProps>;
+  FormCheckbox: React.FC<FormCheckboxProps>;
+  FormCheckboxGroup: React.FC<FormCheckboxGroupProps>;
+  FormSwitch: React.FC<FormSwitchProps>;
 };
 
 export declare const FormHooks: {
   useDebounce: typeof useDebounce;
   useApiData: typeof useApiData;
+  usePaginatedApiData: typeof usePaginatedApiData;
+  useRequestCache: typeof useRequestCache;
+  useApiConfig: typeof useApiConfig;
   useFileUpload: typeof useFileUpload;
+  useValidationPending: typeof useValidationPending;
+  useFieldConstraints: typeof useFieldConstraints;
+  useTranslation: typeof useTranslation;
 };
 
 // Library information interface
@@ -15,11 +15,31 @@ export * from './components/index.js';
 // Re-export hooks directly for convenience
 export { useDebounce } from './hooks/useDebounce.js';
 export { useApiData } from './hooks/useApiData.js';
+export { usePaginatedApiData } from './hooks/usePaginatedApiData.js';
+export { useSearchOptions } from './hooks/useSearchOptions.js';
+export { useRequestCache } from './hooks/useRequestCache.js';
+export { useApiConfig } from './hooks/useApiConfig.js';
 export { useFileUpload } from './hooks/useFileUpload.js';
+export { useValidationPending } from './hooks/useValidationPending.js';
+export { useFieldConstraints } from './hooks/useFieldConstraints.js';
+export { useTranslation } from './hooks/useTranslation.js';
 
 // Re-export utilities
 export * from './utils/validation.js';
 export * from './utils/api.js';
+export * from './utils/cache.js';
+export * from './utils/requestCache.js';
+export * from './utils/chunkedUpload.js';
+export * from './utils/files.js';
+export * from './utils/images.js';
+export * from './utils/schemaAdapters.js';
+export * from './utils/i18n.js';
+export * from './utils/numbers.js';
+export * from './utils/masks.js';
+export * from './utils/phone.js';
+
+// Message catalogs
+export { locales } from './locales/index.js';
 
 // Library information
 export const LIBRARY_INFO = {
@@ -0,0 +1,120 @@
+// German messages
+const de = {
+  // Validation
+  'validation.required': 'Dieses Feld ist erforderlich',
+  'validation.email': 'Bitte gib eine gültige E-Mail-Adresse ein',
+  'validation.minLength': 'Muss mindestens {min, number} Zeichen lang sein',
+  'validation.maxLength': 'Darf höchstens {max, number} Zeichen lang sein',
+  'validation.pattern': 'Ungültiges Format',
+  'validation.number': 'Muss eine gültige Zahl sein',
+  'validation.minValue': 'Muss mindestens {min, number} sein',
+  'validation.maxValue': 'Darf höchstens {max, number} sein',
+  'validation.oneOf': 'Muss einer der folgenden Werte sein: {values}',
+  'validation.fileSize': 'Die Datei muss kleiner als {maxSize, number} MB sein',
+  'validation.fileType': 'Nur {types}-Dateien sind erlaubt',
+  'validation.invalidFileType': 'Ungültiger Dateityp',
+  'validation.maxFiles': '{max, plural, one {Maximal # Datei erlaubt} other {Maximal # Dateien erlaubt}}',
+  'validation.invalidDate': 'Ungültiges Datum',
+  'validation.minDate': 'Das Datum muss nach dem {date, date} liegen',
+  'validation.maxDate': 'Das Datum muss vor dem {date, date} liegen',
+  'validation.creditCard': 'Bitte gib eine gültige Kartennummer ein',
+  'validation.iban': 'Bitte gib eine gültige IBAN ein',
+  'validation.phone': 'Bitte gib eine gültige Telefonnummer ein',
+  'validation.equalsField': 'Muss mit {field} übereinstimmen',
+  'validation.afterField': 'Muss nach {field} liegen',
+  'validation.beforeField': 'Muss vor {field} liegen',
+  'validation.oneOfRequired': 'Fülle dieses Feld oder {fields} aus',
+  'validation.invalidValue': 'Ungültiger Wert',
+  'validation.checkFailed': 'Dieser Wert konnte nicht geprüft werden',
+
+  // File upload
+  'fileUpload.tooLarge': 'Die Datei „{name}“ ist zu groß. Die maximale Größe beträgt {maxSize}.',
+  'fileUpload.invalidType': 'Die Datei „{name}“ hat einen ungültigen Typ. Erlaubte Typen: {accept}.',
+  'fileUpload.anyType': 'alle',
+  'fileUpload.unreadable': 'Die Datei „{name}“ konnte nicht gelesen werden.',
+  'fileUpload.contentMismatch': 'Die Datei „{name}“ ist vom Typ {type}, der nicht zu ihrer Dateiendung passt.',
+  'fileUpload.invalidContent': 'Die Datei „{name}“ ist kein gültiger Typ {type}.',
+  'fileUpload.tooMany': '{count, plural, one {# Datei kann} other {# Dateien können}} nicht hinzugefügt werden. {max, plural, one {Maximal # Datei erlaubt} other {Maximal # Dateien erlaubt}}. Aktuell {current, plural, one {ist # Datei} other {sind # Dateien}} vorhanden.',
+  'fileUpload.duplicate': 'Die Datei „{name}“ wurde bereits hinzugefügt.',
+  'fileUpload.totalSizeExceeded': 'Die Datei „{name}“ würde die Gesamtgröße von {maxTotalSize} überschreiten.',
+  'fileUpload.button': 'Dateien hochladen',
+  'fileUpload.dropzone': 'Dateien hierher ziehen oder zum Auswählen klicken',
+  'fileUpload.rejected': 'Diese Dateien werden nicht akzeptiert',
+  'fileUpload.accepted': 'Erlaubt: {accept}',
+  'fileUpload.maxFiles': '{max, plural, one {Maximal # Datei erlaubt} other {Maximal # Dateien erlaubt}}',
+  'fileUpload.remaining': '{count, plural, one {# weitere Datei erlaubt} other {# weitere Dateien erlaubt}}',
+  'fileUpload.processing': 'Bilder werden verarbeitet...',
+  'fileUpload.checking': 'Dateien werden geprüft...',
+  'fileUpload.attached': 'Angehängte Dateien ({count})',
+  'fileUpload.totalUsed': '{used} von {max} belegt',
+  'fileUpload.remove': '{name} entfernen',
+  'fileUpload.cancel': 'Hochladen von {name} abbrechen',
+  'fileUpload.retry': 'Hochladen von {name} wiederholen',
+  'fileUpload.progress': 'Upload-Fortschritt von {name}',
+  'fileUpload.preview': 'Vorschau von {name}',
+  'fileUpload.queued': 'In der Warteschlange',
+  'fileUpload.uploading': 'Wird hochgeladen {progress} %',
+  'fileUpload.uploaded': 'Hochgeladen',
+  'fileUpload.failed': 'Hochladen fehlgeschlagen',
+  'fileUpload.cancelled': 'Hochladen abgebrochen',
+  'fileUpload.pending': 'Warte, bis alle Dateien hochgeladen sind',
+  'fileUpload.notSent': 'Lade die ausgewählten Dateien vor dem Absenden hoch',
+  'fileUpload.start': '{count, plural, one {# Datei} other {# Dateien}} hochladen',
+  'fileUpload.notUploaded': 'Nicht hochgeladen',
+
+  // Image crop dialog
+  'cropDialog.title': 'Bild zuschneiden',
+  'cropDialog.apply': 'Übernehmen',
+  'cropDialog.cancel': 'Abbrechen',
+  'cropDialog.size': 'Zuschnittgröße',
+  'cropDialog.area': 'Zuschnittbereich, ziehen oder mit den Pfeiltasten verschieben',
+  'cropDialog.image': 'Zuzuschneidendes Bild: {name}',
+
+  // Selects
+  'select.placeholder': 'Option auswählen',
+  'select.multiPlaceholder': 'Optionen auswählen',
+  'select.searchPlaceholder': 'Tippen zum Suchen...',
+  'select.nothingFound': 'Keine Optionen gefunden',
+  'select.loading': 'Wird geladen...',
+  'select.loadingOptions': 'Optionen werden geladen...',
+  'select.loadFailed': 'Optionen konnten nicht geladen werden: {error}',
+  'select.loadFailedNotice': 'Optionen konnten nicht geladen werden.',
+  'select.retry': 'Erneut versuchen',
+  'select.searching': 'Suche läuft...',
+  'select.searchFailed': 'Suche fehlgeschlagen',
+  'select.searchFailedWithError': 'Suche fehlgeschlagen: {error}',
+  'select.minSearchLength': 'Mindestens {count} Zeichen eingeben, um zu suchen',
+  'select.selectAll': 'Alle auswählen',
+  'select.clearAll': 'Alle abwählen',
+  'select.selectedCount': '{count}/{max} ausgewählt',
+  'yesNo.yes': 'Ja',
+  'yesNo.no': 'Nein',
+
+  // Date picker
+  'datePicker.placeholder': 'Datum auswählen',
+  'datePicker.rangePlaceholder': 'Zeitraum auswählen',
+  'datePicker.multiplePlaceholder': 'Daten auswählen',
+
+  // Phone input
+  'phone.country': 'Landesvorwahl',
+
+  // Checkbox group
+  'checkboxGroup.minChecked': '{count, plural, one {Wähle mindestens # Option} other {Wähle mindestens # Optionen}}',
+  'checkboxGroup.maxChecked': '{count, plural, one {Wähle höchstens # Option} other {Wähle höchstens # Optionen}}',
+
+  // Field array
+  'fieldArray.add': 'Eintrag hinzufügen',
+  'fieldArray.minRows': '{count, plural, one {Mindestens # Eintrag erforderlich} other {Mindestens # Einträge erforderlich}}',
+  'fieldArray.maxRows': '{count, plural, one {Maximal # Eintrag erlaubt} other {Maximal # Einträge erlaubt}}',
+  'fieldArray.reorder': 'Eintrag {index} verschieben. Mit den Pfeiltasten bewegen.',
+  'fieldArray.remove': 'Eintrag {index} entfernen',
+
+  // Forms and wizard
+  'form.submit': 'Absenden',
+  'form.validating': 'Wird geprüft',
+  'wizard.back': 'Zurück',
+  'wizard.next': 'Weiter',
+  'wizard.skip': 'Überspringen',
+};
+
+export default de;
@@ -0,0 +1,120 @@
+// English messages, also the fallback for keys missing from other catalogs
+const en = {
+  // Validation
+  'validation.required': 'This field is required',
+  'validation.email': 'Please enter a valid email address',
+  'validation.minLength': '{min, plural, one {Must be at least # character long} other {Must be at least # characters long}}',
+  'validation.maxLength': '{max, plural, one {Must be no more than # character long} other {Must be no more than # characters long}}',
+  'validation.pattern': 'Invalid format',
+  'validation.number': 'Must be a valid number',
+  'validation.minValue': 'Must be at least {min, number}',
+  'validation.maxValue': 'Must be no more than {max, number}',
+  'validation.oneOf': 'Must be one of: {values}',
+  'validation.fileSize': 'File size must be less than {maxSize, number}MB',
+  'validation.fileType': 'Only {types} files are allowed',
+  'validation.invalidFileType': 'Invalid file type',
+  'validation.maxFiles': '{max, plural, one {Maximum # file allowed} other {Maximum # files allowed}}',
+  'validation.invalidDate': 'Invalid date',
+  'validation.minDate': 'Date must be after {date, date}',
+  'validation.maxDate': 'Date must be before {date, date}',
+  'validation.creditCard': 'Please enter a valid card number',
+  'validation.iban': 'Please enter a valid IBAN',
+  'validation.phone': 'Please enter a valid phone number',
+  'validation.equalsField': 'Must match {field}',
+  'validation.afterField': 'Must be after {field}',
+  'validation.beforeField': 'Must be before {field}',
+  'validation.oneOfRequired': 'Fill in this field or {fields}',
+  'validation.invalidValue': 'Invalid value',
+  'validation.checkFailed': 'Could not validate this value',
+
+  // File upload
+  'fileUpload.tooLarge': 'File "{name}" is too large. Maximum size is {maxSize}.',
+  'fileUpload.invalidType': 'File "{name}" has an invalid type. Accepted types: {accept}.',
+  'fileUpload.anyType': 'any',
+  'fileUpload.unreadable': 'File "{name}" could not be read.',
+  'fileUpload.contentMismatch': 'File "{name}" is a {type}, which does not match its file extension.',
+  'fileUpload.invalidContent': 'File "{name}" is not a valid {type}.',
+  'fileUpload.tooMany': 'Cannot add {count, plural, one {# file} other {# files}}. {max, plural, one {Maximum # file allowed} other {Maximum # files allowed}}. Currently have {current, plural, one {# file} other {# files}}.',
+  'fileUpload.duplicate': 'File "{name}" is already added.',
+  'fileUpload.totalSizeExceeded': 'File "{name}" would exceed the total size limit of {maxTotalSize}.',
+  'fileUpload.button': 'Upload Files',
+  'fileUpload.dropzone': 'Drag files here or click to browse',
+  'fileUpload.rejected': 'These files are not accepted',
+  'fileUpload.accepted': 'Accepted: {accept}',
+  'fileUpload.maxFiles': '{max, plural, one {Maximum # file allowed} other {Maximum # files allowed}}',
+  'fileUpload.remaining': '{count, plural, one {# more file allowed} other {# more files allowed}}',
+  'fileUpload.processing': 'Processing images...',
+  'fileUpload.checking': 'Checking files...',
+  'fileUpload.attached': 'Attached Files ({count})',
+  'fileUpload.totalUsed': '{used} of {max} used',
+  'fileUpload.remove': 'Remove {name}',
+  'fileUpload.cancel': 'Cancel upload of {name}',
+  'fileUpload.retry': 'Retry upload of {name}',
+  'fileUpload.progress': 'Upload progress of {name}',
+  'fileUpload.preview': 'Preview of {name}',
+  'fileUpload.queued': 'Queued',
+  'fileUpload.uploading': 'Uploading {progress}%',
+  'fileUpload.uploaded': 'Uploaded',
+  'fileUpload.failed': 'Upload failed',
+  'fileUpload.cancelled': 'Upload cancelled',
+  'fileUpload.pending': 'Wait until the uploads have finished',
+  'fileUpload.notSent': 'Upload the selected files before submitting',
+  'fileUpload.start': 'Upload {count, plural, one {# file} other {# files}}',
+  'fileUpload.notUploaded': 'Not uploaded',
+
+  // Image crop dialog
+  'cropDialog.title': 'Crop image',
+  'cropDialog.apply': 'Apply',
+  'cropDialog.cancel': 'Cancel',
+  'cropDialog.size': 'Crop size',
+  'cropDialog.area': 'Crop area, drag or use the arrow keys to move it',
+  'cropDialog.image': 'Image to crop: {name}',
+
+  // Selects
+  'select.placeholder': 'Select an option',
+  'select.multiPlaceholder': 'Select options',
+  'select.searchPlaceholder': 'Type to search...',
+  'select.nothingFound': 'No options found',
+  'select.loading': 'Loading...',
+  'select.loadingOptions': 'Loading options...',
+  'select.loadFailed': 'Failed to load options: {error}',
+  'select.loadFailedNotice': 'Failed to load options.',
+  'select.retry': 'Try again',
+  'select.searching': 'Searching...',
+  'select.searchFailed': 'Search failed',
+  'select.searchFailedWithError': 'Search failed: {error}',
+  'select.minSearchLength': '{count, plural, one {Type at least # character to search} other {Type at least # characters to search}}',
+  'select.selectAll': 'Select all',
+  'select.clearAll': 'Clear all',
+  'select.selectedCount': '{count}/{max} selected',
+  'yesNo.yes': 'Yes',
+  'yesNo.no': 'No',
+
+  // Date picker
+  'datePicker.placeholder': 'Select date',
+  'datePicker.rangePlaceholder': 'Select date range',
+  'datePicker.multiplePlaceholder': 'Select dates',
+
+  // Phone input
+  'phone.country': 'Country code',
+
+  // Checkbox group
+  'checkboxGroup.minChecked': '{count, plural, one {Select at least # option} other {Select at least # options}}',
+  'checkboxGroup.maxChecked': '{count, plural, one {Select no more than # option} other {Select no more than # options}}',
+
+  // Field array
+  'fieldArray.add': 'Add item',
+  'fieldArray.minRows': '{count, plural, one {Minimum # item required} other {Minimum # items required}}',
+  'fieldArray.maxRows': '{count, plural, one {Maximum # item allowed} other {Maximum # items allowed}}',
+  'fieldArray.reorder': 'Reorder item {index}. Use arrow keys to move.',
+  'fieldArray.remove': 'Remove item {index}',
+
+  // Forms and wizard
+  'form.submit': 'Submit',
+  'form.validating': 'Validating',
+  'wizard.back': 'Back',
+  'wizard.next': 'Next',
+  'wizard.skip': 'Skip',
+};
+
+export default en;
@@ -0,0 +1,120 @@
+// Spanish messages
+const es = {
+  // Validation
+  'validation.required': 'Este campo es obligatorio',
+  'validation.email': 'Introduce una dirección de correo electrónico válida',
+  'validation.minLength': '{min, plural, one {Debe tener al menos # carácter} other {Debe tener al menos # caracteres}}',
+  'validation.maxLength': '{max, plural, one {No debe superar # carácter} other {No debe superar # caracteres}}',
+  'validation.pattern': 'Formato no válido',
+  'validation.number': 'Debe ser un número válido',
+  'validation.minValue': 'Debe ser como mínimo {min, number}',
+  'validation.maxValue': 'Debe ser como máximo {max, number}',
+  'validation.oneOf': 'Debe ser uno de: {values}',
+  'validation.fileSize': 'El archivo debe pesar menos de {maxSize, number}MB',
+  'validation.fileType': 'Solo se permiten archivos {types}',
+  'validation.invalidFileType': 'Tipo de archivo no válido',
+  'validation.maxFiles': '{max, plural, one {Se permite como máximo # archivo} other {Se permiten como máximo # archivos}}',
+  'validation.invalidDate': 'Fecha no válida',
+  'validation.minDate': 'La fecha debe ser posterior a {date, date}',
+  'validation.maxDate': 'La fecha debe ser anterior a {date, date}',
+  'validation.creditCard': 'Introduce un número de tarjeta válido',
+  'validation.iban': 'Introduce un IBAN válido',
+  'validation.phone': 'Introduce un número de teléfono válido',
+  'validation.equalsField': 'Debe coincidir con {field}',
+  'validation.afterField': 'Debe ser posterior a {field}',
+  'validation.beforeField': 'Debe ser anterior a {field}',
+  'validation.oneOfRequired': 'Rellena este campo o {fields}',
+  'validation.invalidValue': 'Valor no válido',
+  'validation.checkFailed': 'No se ha podido validar este valor',
+
+  // File upload
+  'fileUpload.tooLarge': 'El archivo "{name}" es demasiado grande. El tamaño máximo es {maxSize}.',
+  'fileUpload.invalidType': 'El archivo "{name}" tiene un tipo no válido. Tipos aceptados: {accept}.',
+  'fileUpload.anyType': 'cualquiera',
+  'fileUpload.unreadable': 'No se ha podido leer el archivo "{name}".',
+  'fileUpload.contentMismatch': 'El archivo "{name}" es de tipo {type}, que no coincide con su extensión.',
+  'fileUpload.invalidContent': 'El archivo "{name}" no es de tipo {type} válido.',
+  'fileUpload.tooMany': 'No se {count, plural, one {puede añadir # archivo} other {pueden añadir # archivos}}. {max, plural, one {Se permite como máximo # archivo} other {Se permiten como máximo # archivos}}. Ya {current, plural, one {hay # archivo} other {hay # archivos}}.',
+  'fileUpload.duplicate': 'El archivo "{name}" ya se ha añadido.',
+  'fileUpload.totalSizeExceeded': 'El archivo "{name}" superaría el límite de tamaño total de {maxTotalSize}.',
+  'fileUpload.button': 'Subir archivos',
+  'fileUpload.dropzone': 'Arrastra archivos aquí o haz clic para buscarlos',
+  'fileUpload.rejected': 'Estos archivos no se aceptan',
+  'fileUpload.accepted': 'Aceptados: {accept}',
+  'fileUpload.maxFiles': '{max, plural, one {Se permite como máximo # archivo} other {Se permiten como máximo # archivos}}',
+  'fileUpload.remaining': '{count, plural, one {Se permite # archivo más} other {Se permiten # archivos más}}',
+  'fileUpload.processing': 'Procesando imágenes...',
+  'fileUpload.checking': 'Comprobando archivos...',
+  'fileUpload.attached': 'Archivos adjuntos ({count})',
+  'fileUpload.totalUsed': '{used} de {max} usados',
+  'fileUpload.remove': 'Quitar {name}',
+  'fileUpload.cancel': 'Cancelar la subida de {name}',
+  'fileUpload.retry': 'Reintentar la subida de {name}',
+  'fileUpload.progress': 'Progreso de subida de {name}',
+  'fileUpload.preview': 'Vista previa de {name}',
+  'fileUpload.queued': 'En cola',
+  'fileUpload.uploading': 'Subiendo {progress}%',
+  'fileUpload.uploaded': 'Subido',
+  'fileUpload.failed': 'Error al subir',
+  'fileUpload.cancelled': 'Subida cancelada',
+  'fileUpload.pending': 'Espera a que terminen de subirse los archivos',
+  'fileUpload.notSent': 'Sube los archivos seleccionados antes de enviar',
+  'fileUpload.start': 'Subir {count, plural, one {# archivo} other {# archivos}}',
+  'fileUpload.notUploaded': 'Sin subir',
+
+  // Image crop dialog
+  'cropDialog.title': 'Recortar imagen',
+  'cropDialog.apply': 'Aplicar',
+  'cropDialog.cancel': 'Cancelar',
+  'cropDialog.size': 'Tamaño del recorte',
+  'cropDialog.area': 'Área de recorte, arrástrala o usa las flechas para moverla',
+  'cropDialog.image': 'Imagen para recortar: {name}',
+
+  // Selects
+  'select.placeholder': 'Selecciona una opción',
+  'select.multiPlaceholder': 'Selecciona opciones',
+  'select.searchPlaceholder': 'Escribe para buscar...',
+  'select.nothingFound': 'No se han encontrado opciones',
+  'select.loading': 'Cargando...',
+  'select.loadingOptions': 'Cargando opciones...',
+  'select.loadFailed': 'No se han podido cargar las opciones: {error}',
+  'select.loadFailedNotice': 'No se han podido cargar las opciones.',
+  'select.retry': 'Reintentar',
+  'select.searching': 'Buscando...',
+  'select.searchFailed': 'Error en la búsqueda',
+  'select.searchFailedWithError': 'Error en la búsqueda: {error}',
+  'select.minSearchLength': '{count, plural, one {Escribe al menos # carácter para buscar} other {Escribe al menos # caracteres para buscar}}',
+  'select.selectAll': 'Seleccionar todo',
+  'select.clearAll': 'Borrar todo',
+  'select.selectedCount': '{count}/{max} seleccionadas',
+  'yesNo.yes': 'Sí',
+  'yesNo.no': 'No',
+
+  // Date picker
+  'datePicker.placeholder': 'Selecciona una fecha',
+  'datePicker.rangePlaceholder': 'Selecciona un intervalo de fechas',
+  'datePicker.multiplePlaceholder': 'Selecciona fechas',
+
+  // Phone input
+  'phone.country': 'Prefijo del país',
+
+  // Checkbox group
+  'checkboxGroup.minChecked': '{count, plural, one {Selecciona al menos # opción} other {Selecciona al menos # opciones}}',
+  'checkboxGroup.maxChecked': '{count, plural, one {Selecciona como máximo # opción} other {Selecciona como máximo # opciones}}',
+
+  // Field array
+  'fieldArray.add': 'Añadir elemento',
+  'fieldArray.minRows': '{count, plural, one {Se necesita al menos # elemento} other {Se necesitan al menos # elementos}}',
+  'fieldArray.maxRows': '{count, plural, one {Se permite como máximo # elemento} other {Se permiten como máximo # elementos}}',
+  'fieldArray.reorder': 'Reordenar el elemento {index}. Usa las flechas para moverlo.',
+  'fieldArray.remove': 'Quitar el elemento {index}',
+
+  // Forms and wizard
+  'form.submit': 'Enviar',
+  'form.validating': 'Validando',
+  'wizard.back': 'Atrás',
+  'wizard.next': 'Siguiente',
+  'wizard.skip': 'Omitir',
+};
+
+export default es;
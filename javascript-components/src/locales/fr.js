@@ -0,0 +1,120 @@
+// French messages
+const fr = {
+  // Validation
+  'validation.required': 'Ce champ est obligatoire',
+  'validation.email': 'Veuillez saisir une adresse e-mail valide',
+  'validation.minLength': '{min, plural, one {Doit contenir au moins # caractère} other {Doit contenir au moins # caractères}}',
+  'validation.maxLength': '{max, plural, one {Ne doit pas dépasser # caractère} other {Ne doit pas dépasser # caractères}}',
+  'validation.pattern': 'Format non valide',
+  'validation.number': 'Doit être un nombre valide',
+  'validation.minValue': 'Doit être au moins {min, number}',
+  'validation.maxValue': 'Doit être au plus {max, number}',
+  'validation.oneOf': 'Doit être l’une des valeurs : {values}',
+  'validation.fileSize': 'Le fichier doit faire moins de {maxSize, number} Mo',
+  'validation.fileType': 'Seuls les fichiers {types} sont autorisés',
+  'validation.invalidFileType': 'Type de fichier non valide',
+  'validation.maxFiles': '{max, plural, one {# fichier maximum autorisé} other {# fichiers maximum autorisés}}',
+  'validation.invalidDate': 'Date non valide',
+  'validation.minDate': 'La date doit être postérieure au {date, date}',
+  'validation.maxDate': 'La date doit être antérieure au {date, date}',
+  'validation.creditCard': 'Veuillez saisir un numéro de carte valide',
+  'validation.iban': 'Veuillez saisir un IBAN valide',
+  'validation.phone': 'Veuillez saisir un numéro de téléphone valide',
+  'validation.equalsField': 'Doit correspondre à {field}',
+  'validation.afterField': 'Doit être après {field}',
+  'validation.beforeField': 'Doit être avant {field}',
+  'validation.oneOfRequired': 'Remplissez ce champ ou {fields}',
+  'validation.invalidValue': 'Valeur non valide',
+  'validation.checkFailed': 'Impossible de valider cette valeur',
+
+  // File upload
+  'fileUpload.tooLarge': 'Le fichier « {name} » est trop volumineux. La taille maximale est de {maxSize}.',
+  'fileUpload.invalidType': 'Le fichier « {name} » a un type non valide. Types acceptés : {accept}.',
+  'fileUpload.anyType': 'tous',
+  'fileUpload.unreadable': 'Le fichier « {name} » n’a pas pu être lu.',
+  'fileUpload.contentMismatch': 'Le fichier « {name} » est de type {type}, ce qui ne correspond pas à son extension.',
+  'fileUpload.invalidContent': 'Le fichier « {name} » n’est pas de type {type} valide.',
+  'fileUpload.tooMany': 'Impossible d’ajouter {count, plural, one {# fichier} other {# fichiers}}. {max, plural, one {# fichier maximum autorisé} other {# fichiers maximum autorisés}}. Il y a déjà {current, plural, one {# fichier} other {# fichiers}}.',
+  'fileUpload.duplicate': 'Le fichier « {name} » a déjà été ajouté.',
+  'fileUpload.totalSizeExceeded': 'Le fichier « {name} » dépasserait la taille totale maximale de {maxTotalSize}.',
+  'fileUpload.button': 'Téléverser des fichiers',
+  'fileUpload.dropzone': 'Glissez des fichiers ici ou cliquez pour parcourir',
+  'fileUpload.rejected': 'Ces fichiers ne sont pas acceptés',
+  'fileUpload.accepted': 'Acceptés : {accept}',
+  'fileUpload.maxFiles': '{max, plural, one {# fichier maximum autorisé} other {# fichiers maximum autorisés}}',
+  'fileUpload.remaining': '{count, plural, one {Encore # fichier autorisé} other {Encore # fichiers autorisés}}',
+  'fileUpload.processing': 'Traitement des images...',
+  'fileUpload.checking': 'Vérification des fichiers...',
+  'fileUpload.attached': 'Fichiers joints ({count})',
+  'fileUpload.totalUsed': '{used} utilisés sur {max}',
+  'fileUpload.remove': 'Supprimer {name}',
+  'fileUpload.cancel': 'Annuler le téléversement de {name}',
+  'fileUpload.retry': 'Relancer le téléversement de {name}',
+  'fileUpload.progress': 'Progression du téléversement de {name}',
+  'fileUpload.preview': 'Aperçu de {name}',
+  'fileUpload.queued': 'En attente',
+  'fileUpload.uploading': 'Téléversement {progress} %',
+  'fileUpload.uploaded': 'Téléversé',
+  'fileUpload.failed': 'Échec du téléversement',
+  'fileUpload.cancelled': 'Téléversement annulé',
+  'fileUpload.pending': 'Veuillez attendre la fin du téléversement des fichiers',
+  'fileUpload.notSent': 'Veuillez téléverser les fichiers sélectionnés avant l’envoi',
+  'fileUpload.start': 'Téléverser {count, plural, one {# fichier} other {# fichiers}}',
+  'fileUpload.notUploaded': 'Non téléversé',
+
+  // Image crop dialog
+  'cropDialog.title': 'Recadrer l’image',
+  'cropDialog.apply': 'Appliquer',
+  'cropDialog.cancel': 'Annuler',
+  'cropDialog.size': 'Taille du recadrage',
+  'cropDialog.area': 'Zone de recadrage, faites-la glisser ou utilisez les flèches pour la déplacer',
+  'cropDialog.image': 'Image à recadrer : {name}',
+
+  // Selects
+  'select.placeholder': 'Sélectionnez une option',
+  'select.multiPlaceholder': 'Sélectionnez des options',
+  'select.searchPlaceholder': 'Tapez pour rechercher...',
+  'select.nothingFound': 'Aucune option trouvée',
+  'select.loading': 'Chargement...',
+  'select.loadingOptions': 'Chargement des options...',
+  'select.loadFailed': 'Impossible de charger les options : {error}',
+  'select.loadFailedNotice': 'Impossible de charger les options.',
+  'select.retry': 'Réessayer',
+  'select.searching': 'Recherche...',
+  'select.searchFailed': 'La recherche a échoué',
+  'select.searchFailedWithError': 'La recherche a échoué : {error}',
+  'select.minSearchLength': '{count, plural, one {Tapez au moins # caractère pour rechercher} other {Tapez au moins # caractères pour rechercher}}',
+  'select.selectAll': 'Tout sélectionner',
+  'select.clearAll': 'Tout effacer',
+  'select.selectedCount': '{count}/{max} sélectionnées',
+  'yesNo.yes': 'Oui',
+  'yesNo.no': 'Non',
+
+  // Date picker
+  'datePicker.placeholder': 'Sélectionnez une date',
+  'datePicker.rangePlaceholder': 'Sélectionnez une période',
+  'datePicker.multiplePlaceholder': 'Sélectionnez des dates',
+
+  // Phone input
+  'phone.country': 'Indicatif du pays',
+
+  // Checkbox group
+  'checkboxGroup.minChecked': '{count, plural, one {Sélectionnez au moins # option} other {Sélectionnez au moins # options}}',
+  'checkboxGroup.maxChecked': '{count, plural, one {Sélectionnez au plus # option} other {Sélectionnez au plus # options}}',
+
+  // Field array
+  'fieldArray.add': 'Ajouter un élément',
+  'fieldArray.minRows': '{count, plural, one {# élément minimum requis} other {# éléments minimum requis}}',
+  'fieldArray.maxRows': '{count, plural, one {# élément maximum autorisé} other {# éléments maximum autorisés}}',
+  'fieldArray.reorder': 'Réordonner l’élément {index}. Utilisez les flèches pour le déplacer.',
+  'fieldArray.remove': 'Supprimer l’élément {index}',
+
+  // Forms and wizard
+  'form.submit': 'Envoyer',
+  'form.validating': 'Validation en cours',
+  'wizard.back': 'Retour',
+  'wizard.next': 'Suivant',
+  'wizard.skip': 'Passer',
+};
+
+export default fr;
@@ -0,0 +1,9 @@
+import en from './en.js';
+import es from './es.js';
+import fr from './fr.js';
+import de from './de.js';
+
+// Bundled message catalogs by locale
+export const locales = { en, es, fr, de };
+
+export { en, es, fr, de };
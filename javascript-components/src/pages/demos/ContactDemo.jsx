@@ -4,6 +4,8 @@ import { IconMail, IconCode, IconEye, IconCheck, IconClock } from '@tabler/icons
 import { Formik, Form } from 'formik';
 import * as Yup from 'yup';
 import CodeBlock from '../../components/CodeBlock';
+import FormPhoneInput from '../../components/FormPhoneInput';
+import { isValidPhoneNumber } from '../../utils/phone';
 
 // Mock components for demo
 const FormTextInput = ({ name, label, placeholder, type = 'text', required, ...props }) => (
@@ -107,6 +109,7 @@ function ContactDemo() {
   const validationSchema = Yup.object({
     name: Yup.string().required('Name is required'),
     email: Yup.string().email('Invalid email').required('Email is required'),
+    phone: Yup.string().test('phone', 'Invalid phone number', value => !value || isValidPhoneNumber(value)),
     subject: Yup.string().required('Subject is required'),
     priority: Yup.string().required('Priority is required'),
     message: Yup.string()
@@ -145,12 +148,15 @@ import {
   FormTextInput,
   FormTextArea,
   FormStaticSelect,
-  FormFileUpload
+  FormFileUpload,
+  FormPhoneInput,
+  isValidPhoneNumber
 } from 'reusable-form-components-js';
 
 const validationSchema = Yup.object({
   name: Yup.string().required('Name is required'),
   email: Yup.string().email('Invalid email').required('Email is required'),
+  phone: Yup.string().test('phone', 'Invalid phone number', value => !value || isValidPhoneNumber(value)),
   subject: Yup.string().required('Subject is required'),
   priority: Yup.string().required('Priority is required'),
   message: Yup.string()
@@ -172,6 +178,7 @@ function ContactForm() {
       initialValues={{
         name: '',
         email: '',
+        phone: '',
         subject: '',
         priority: '',
         message: '',
@@ -197,6 +204,12 @@ function ContactForm() {
             required
           />
           
+          <FormPhoneInput
+            name="phone"
+            label="Phone (Optional)"
+            defaultCountry="US"
+          />
+          
           <FormTextInput
             name="subject"
             label="Subject"
@@ -268,6 +281,7 @@ function ContactForm() {
                   initialValues={{
                     name: '',
                     email: '',
+                    phone: '',
                     subject: '',
                     priority: '',
                     message: '',
@@ -294,6 +308,12 @@ function ContactForm() {
                           required
                         />
                         
+                        <FormPhoneInput
+                          name="phone"
+                          label="Phone (Optional)"
+                          defaultCountry="US"
+                        />
+                        
                         <FormTextInput
                           name="subject"
                           label="Subject"
@@ -363,6 +383,12 @@ function ContactForm() {
                       <Text size="sm" fw={500}>Email:</Text>
                       <Text size="sm" c="dimmed">{submittedData.email}</Text>
                     </Group>
+                    {submittedData.phone && (
+                      <Group justify="space-between">
+                        <Text size="sm" fw={500}>Phone:</Text>
+                        <Text size="sm" c="dimmed">{submittedData.phone}</Text>
+                      </Group>
+                    )}
                     <Group justify="space-between">
                       <Text size="sm" fw={500}>Subject:</Text>
                       <Text size="sm" c="dimmed">{submittedData.subject}</Text>
@@ -421,6 +447,7 @@ function ContactForm() {
             <Stack gap="xs" style={{ flex: 1 }}>
               <Text fw={500} size="sm">Form Components</Text>
               <Text size="xs" c="dimmed">• FormTextInput (multiple types)</Text>
+              <Text size="xs" c="dimmed">• FormPhoneInput (E.164 numbers)</Text>
               <Text size="xs" c="dimmed">• FormTextArea (large content)</Text>
               <Text size="xs" c="dimmed">• FormStaticSelect (priority)</Text>
               <Text size="xs" c="dimmed">• FormFileUpload (attachments)</Text>
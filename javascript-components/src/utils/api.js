@@ -1,54 +1,498 @@
 /**
  * API utilities for form components
- * This is a placeholder that will be implemented in task 2.2
+ *
+ * Every request goes through `sendRequest`, which applies the API configuration
+ * (base URL, default headers, interceptors) and hands the request to a transport.
+ * The default transport uses `fetch`, switching to XMLHttpRequest for uploads that
+ * report progress; apps can supply their own (e.g. axios) with
+ * `configureApi` or a FormComponentsProvider.
  */
 
-export const fetchData = async (url, options = {}) => {
+import { requestCache, getRequestKey } from './requestCache.js';
+
+const ABSOLUTE_URL_PATTERN = /^([a-z][a-z\d+\-.]*:)?\/\//i;
+
+/**
+ * Transport built on `fetch`.
+ *
+ * A transport receives `{ url, method, headers, body, signal, ...init }` and resolves
+ * to `{ data, status, headers }`, rejecting with an Error (carrying `status`) for
+ * unsuccessful responses. Responses without a body (204, HEAD, `Content-Length: 0`)
+ * resolve with `data: null`.
+ */
+export const fetchTransport = async ({ url, method, headers, body, signal, ...init }) => {
+  const response = await fetch(url, {
+    ...init,
+    method,
+    headers,
+    body,
+    signal,
+  });
+
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const hasBody = response.status !== 204
+    && method !== 'HEAD'
+    && (!response.headers || response.headers.get('Content-Length') !== '0');
+  const data = hasBody ? await response.json() : null;
+  return { data, status: response.status, headers: response.headers };
+};
+
+const parseXhrResponse = (xhr) => {
+  if (!xhr.responseText) return null;
   try {
-    const response = await fetch(url, {
+    return JSON.parse(xhr.responseText);
+  } catch {
+    return xhr.responseText;
+  }
+};
+
+/**
+ * Transport built on XMLHttpRequest, which (unlike `fetch`) reports upload progress.
+ * Calls `request.onUploadProgress({ loaded, total })` as the body is sent. The
+ * response `headers` object supports `get(name)` like fetch's Headers.
+ */
+export const xhrTransport = ({
+  url,
+  method = 'GET',
+  headers = {},
+  body,
+  signal,
+  onUploadProgress,
+  withCredentials,
+}) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open(method, url);
+
+  Object.entries(headers).forEach(([headerName, value]) => {
+    xhr.setRequestHeader(headerName, value);
+  });
+  if (withCredentials) {
+    xhr.withCredentials = true;
+  }
+
+  if (onUploadProgress && xhr.upload) {
+    xhr.upload.onprogress = (event) => {
+      onUploadProgress({
+        loaded: event.loaded,
+        total: event.lengthComputable ? event.total : undefined,
+      });
+    };
+  }
+
+  const abort = () => xhr.abort();
+
+  xhr.onload = () => {
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+
+    if (xhr.status < 200 || xhr.status >= 300) {
+      const error = new Error(`HTTP error! status: ${xhr.status}`);
+      error.status = xhr.status;
+      reject(error);
+      return;
+    }
+
+    resolve({
+      data: parseXhrResponse(xhr),
+      status: xhr.status,
+      headers: { get: (headerName) => xhr.getResponseHeader(headerName) },
+    });
+  };
+  xhr.onerror = () => reject(new Error('Network error'));
+  xhr.onabort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+
+  if (signal) {
+    if (signal.aborted) {
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+      return;
+    }
+    signal.addEventListener('abort', abort);
+  }
+
+  xhr.send(body ?? null);
+});
+
+/**
+ * Default transport: XMLHttpRequest when upload progress is requested, fetch otherwise.
+ */
+export const defaultTransport = (request) => (
+  request.onUploadProgress ? xhrTransport(request) : fetchTransport(request)
+);
+
+const defaultApiConfig = {
+  transport: defaultTransport,
+  baseURL: '',
+  headers: {},
+  interceptors: { request: [], response: [], error: [] },
+};
+
+let globalApiConfig = defaultApiConfig;
+
+/**
+ * Sets the API configuration used by every request outside a FormComponentsProvider
+ * (and as the base for requests inside one).
+ *
+ * @param {Object} config - API configuration
+ * @param {Function} config.transport - `(request) => Promise<{ data, status, headers }>`
+ * @param {string} config.baseURL - Prefixed to relative request URLs
+ * @param {Object|Function} config.headers - Default headers, or a function returning them per request
+ * @param {Object} config.interceptors - `{ request, response, error }` arrays of interceptor functions
+ * @returns {Object} The resulting configuration
+ *
+ * @example
+ * configureApi({
+ *   baseURL: 'https://api.example.com',
+ *   headers: () => ({ Authorization: `Bearer ${getToken()}` }),
+ *   interceptors: {
+ *     error: [async (error, request, retry) => {
+ *       if (error.status !== 401) throw error;
+ *       await refreshToken();
+ *       return retry({ ...request, headers: { ...request.headers, Authorization: `Bearer ${getToken()}` } });
+ *     }],
+ *   },
+ * });
+ */
+export const configureApi = (config = {}) => {
+  globalApiConfig = {
+    ...globalApiConfig,
+    ...config,
+    interceptors: {
+      ...globalApiConfig.interceptors,
+      ...config.interceptors,
+    },
+  };
+  return globalApiConfig;
+};
+
+/**
+ * Restores the default API configuration.
+ */
+export const resetApiConfig = () => {
+  globalApiConfig = defaultApiConfig;
+};
+
+/**
+ * Returns the global API configuration.
+ */
+export const getApiConfig = () => globalApiConfig;
+
+const resolveHeaders = (headers) => (typeof headers === 'function' ? headers() : headers) || {};
+
+// Combine the global configuration with a provider's; the provider's interceptors run after the global ones
+const resolveApiConfig = (apiConfig) => {
+  if (!apiConfig) return globalApiConfig;
+
+  const interceptors = apiConfig.interceptors || {};
+  return {
+    transport: apiConfig.transport || globalApiConfig.transport,
+    baseURL: apiConfig.baseURL ?? globalApiConfig.baseURL,
+    headers: () => ({
+      ...resolveHeaders(globalApiConfig.headers),
+      ...resolveHeaders(apiConfig.headers),
+    }),
+    interceptors: {
+      request: [...(globalApiConfig.interceptors.request || []), ...(interceptors.request || [])],
+      response: [...(globalApiConfig.interceptors.response || []), ...(interceptors.response || [])],
+      error: [...(globalApiConfig.interceptors.error || []), ...(interceptors.error || [])],
+    },
+  };
+};
+
+/**
+ * Prefixes a relative URL with the base URL. Absolute URLs are returned unchanged.
+ */
+export const resolveUrl = (url, baseURL) => {
+  if (!baseURL || ABSOLUTE_URL_PATTERN.test(url)) return url;
+  return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Resolves a request URL against the base URL of the global or provider configuration.
+ */
+export const getRequestUrl = (url, apiConfig) => resolveUrl(url, resolveApiConfig(apiConfig).baseURL);
+
+// Custom transports get a number in the cache key, so requests sent through
+// different transports are cached separately
+const transportIds = new WeakMap();
+let nextTransportId = 1;
+
+const getTransportId = (transport) => {
+  if (!transportIds.has(transport)) {
+    transportIds.set(transport, nextTransportId++);
+  }
+  return transportIds.get(transport);
+};
+
+/**
+ * Builds the request cache key of a GET request from its URL resolved against the
+ * configured base URL, so `fetchData` and `useApiData` agree on the key. Headers
+ * from `configureApi` or a FormComponentsProvider (e.g. `Authorization`) are part
+ * of the key, so providers with other credentials, or a refreshed token, do not
+ * share responses.
+ *
+ * @param {string} url - Request URL, relative URLs are resolved against the base URL
+ * @param {Object} headers - Request headers
+ * @param {Object} apiConfig - Configuration from a FormComponentsProvider
+ * @returns {string} Cache key
+ */
+export const getCacheKey = (url, headers, apiConfig) => {
+  const config = resolveApiConfig(apiConfig);
+  const key = getRequestKey(resolveUrl(url, config.baseURL), {
+    ...resolveHeaders(config.headers),
+    ...headers,
+  });
+  return config.transport === defaultTransport ? key : `${key} transport:${getTransportId(config.transport)}`;
+};
+
+/**
+ * Sends a request through the configured interceptors and transport.
+ *
+ * Request interceptors may return a modified request. Response interceptors receive
+ * `(response, request)` and may return a modified response. Error interceptors receive
+ * `(error, request, retry)` and may return a response to recover (e.g. from `retry`
+ * after refreshing a token) or throw; aborted requests skip them.
+ *
+ * @param {Object} request - `{ url, method, headers, body, signal, ...init }`
+ * @param {Object} apiConfig - Configuration from a FormComponentsProvider, merged over the global one
+ * @returns {Promise<Object>} The transport response `{ data, status, headers }`
+ */
+export const sendRequest = async (request, apiConfig) => {
+  const config = resolveApiConfig(apiConfig);
+  const interceptors = config.interceptors || {};
+
+  let preparedRequest = {
+    method: 'GET',
+    ...request,
+    url: resolveUrl(request.url, config.baseURL),
+    headers: {
+      ...resolveHeaders(config.headers),
+      ...request.headers,
+    },
+  };
+
+  for (const interceptor of interceptors.request || []) {
+    preparedRequest = (await interceptor(preparedRequest)) || preparedRequest;
+  }
+
+  const send = async (requestToSend) => {
+    let response = await config.transport(requestToSend);
+    for (const interceptor of interceptors.response || []) {
+      response = (await interceptor(response, requestToSend)) || response;
+    }
+    return response;
+  };
+
+  try {
+    return await send(preparedRequest);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+
+    let currentError = error;
+    for (const interceptor of interceptors.error || []) {
+      try {
+        const recovered = await interceptor(currentError, preparedRequest, send);
+        if (recovered !== undefined) {
+          return recovered;
+        }
+      } catch (interceptorError) {
+        currentError = interceptorError;
+      }
+    }
+    throw currentError;
+  }
+};
+
+const performRequest = async (url, options = {}, apiConfig) => {
+  try {
+    const response = await sendRequest({
+      ...options,
+      url,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
-    });
+    }, apiConfig);
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
+    return response.data;
   } catch (error) {
-    console.error('API fetch error:', error);
+    // Aborted requests were cancelled on purpose and are not worth logging
+    if (error.name !== 'AbortError') {
+      console.error('API fetch error:', error);
+    }
     throw error;
   }
 };
 
+/**
+ * Fetches JSON from an API endpoint.
+ *
+ * GET requests go through the shared request cache: concurrent requests for the same
+ * URL and headers share one network request, and responses younger than `staleTime`
+ * are served from the cache.
+ *
+ * @param {string} url - The API endpoint URL
+ * @param {Object} options - fetch options plus cache options
+ * @param {boolean} options.cache - Set to false to bypass the request cache (default: true)
+ * @param {number} options.staleTime - How long a cached response is served without a request, in ms (default: 0)
+ * @param {string} options.cacheKey - Overrides the cache key derived from URL and headers
+ * @param {Object} options.cacheStore - Store created with createRequestCache (default: shared store)
+ * @param {Object} options.apiConfig - Configuration from a FormComponentsProvider
+ */
+export const fetchData = async (url, options = {}) => {
+  const {
+    cache = true,
+    staleTime = 0,
+    cacheKey,
+    cacheStore = requestCache,
+    apiConfig,
+    ...requestOptions
+  } = options;
+  const method = (requestOptions.method || 'GET').toUpperCase();
+
+  if (!cache || method !== 'GET') {
+    return performRequest(url, requestOptions, apiConfig);
+  }
+
+  // The shared request gets its own signal; this caller's signal only stops its wait
+  const { signal, ...sharedOptions } = requestOptions;
+  const fullUrl = getRequestUrl(url, apiConfig);
+  const key = cacheKey || getCacheKey(url, requestOptions.headers, apiConfig);
+
+  return cacheStore.fetch(
+    key,
+    (sharedSignal) => performRequest(url, { ...sharedOptions, signal: sharedSignal }, apiConfig),
+    { staleTime, signal, url: [url, fullUrl] }
+  );
+};
+
 export const searchData = async (url, searchTerm, options = {}) => {
-  const searchUrl = new URL(url);
-  searchUrl.searchParams.append(options.searchParam || 'search', searchTerm);
-  
-  return fetchData(searchUrl.toString(), options);
+  const { searchParam = 'search', ...fetchOptions } = options;
+
+  return fetchData(buildUrl(url, { [searchParam]: searchTerm }), fetchOptions);
 };
 
+/**
+ * Uploads a file as multipart form data.
+ *
+ * @param {string} url - Upload endpoint URL
+ * @param {File} file - File to upload
+ * @param {Object} options - Request options
+ * @param {string} options.fieldName - Form field name for the file (default: 'file')
+ * @param {Object} options.headers - Additional headers for the request
+ * @param {AbortSignal} options.signal - Cancels the upload
+ * @param {Function} options.onUploadProgress - Called with `{ loaded, total }` as the file is sent
+ * @param {Object} options.apiConfig - Configuration from a FormComponentsProvider
+ */
 export const uploadFile = async (url, file, options = {}) => {
+  const { fieldName = 'file', apiConfig, ...requestOptions } = options;
   const formData = new FormData();
-  formData.append('file', file);
+  formData.append(fieldName, file);
 
   try {
-    const response = await fetch(url, {
+    const response = await sendRequest({
+      ...requestOptions,
+      url,
       method: 'POST',
       body: formData,
-      ...options,
-    });
+    }, apiConfig);
 
-    if (!response.ok) {
-      throw new Error(`Upload failed! status: ${response.status}`);
+    return response.data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
     }
 
-    return await response.json();
-  } catch (error) {
     console.error('File upload error:', error);
+    if (error.status) {
+      const uploadError = new Error(`Upload failed! status: ${error.status}`);
+      uploadError.status = error.status;
+      throw uploadError;
+    }
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Unwraps the record list from an API response.
+ * Accepts a bare array, a `{ data: [...] }` envelope or a single record.
+ */
+export const extractResponseData = (response) => {
+  let data = response;
+
+  // If response has a data property (common API pattern), use that
+  if (response && typeof response === 'object' && 'data' in response) {
+    data = response.data;
+  }
+
+  return Array.isArray(data) ? data : [data];
+};
+
+/**
+ * Maps API records to Mantine `{ value, label }` options using the configured keys,
+ * falling back to common id/name fields and to primitive values.
+ */
+export const mapToSelectOptions = (items, valueKey = 'value', labelKey = 'label') => {
+  if (!Array.isArray(items)) return [];
+
+  return items.map((item, index) => {
+    let value, label;
+
+    if (typeof item === 'object' && item !== null) {
+      value = item[valueKey];
+      label = item[labelKey];
+
+      if (value === undefined) {
+        value = item.id || item.value || index;
+      }
+      if (label === undefined) {
+        label = item.name || item.label || item.title || String(value);
+      }
+    } else {
+      value = item;
+      label = String(item);
+    }
+
+    return {
+      value: String(value),
+      label: String(label),
+    };
+  });
+};
+
+/**
+ * Appends query parameters to a URL, supporting relative URLs.
+ * Parameters with `undefined`, `null` or empty string values are skipped.
+ */
+export const buildUrl = (url, params = {}) => {
+  const [base, query = ''] = url.split('?');
+  const searchParams = new URLSearchParams(query);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      searchParams.set(key, value);
+    }
+  });
+
+  const queryString = searchParams.toString();
+  return queryString ? `${base}?${queryString}` : base;
+};
+
+/**
+ * Reads a value from an object using a dot-separated path (e.g. `meta.nextCursor`).
+ */
+export const getValueAtPath = (object, path) => {
+  if (!path) return object;
+
+  return path.split('.').reduce(
+    (current, key) => (current === null || current === undefined ? undefined : current[key]),
+    object
+  );
+};
@@ -0,0 +1,344 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  fetchData,
+  searchData,
+  uploadFile,
+  sendRequest,
+  configureApi,
+  resetApiConfig,
+  resolveUrl,
+  buildUrl,
+  getValueAtPath,
+  xhrTransport,
+  getCacheKey,
+} from './api';
+import { clearRequestCache } from './requestCache';
+
+const jsonResponse = (data, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(data),
+});
+
+// Minimal XMLHttpRequest stand-in; tests drive it through the instances list
+class MockXMLHttpRequest {
+  static instances = [];
+
+  constructor() {
+    this.upload = {};
+    this.requestHeaders = {};
+    this.responseHeaders = {};
+    this.status = 0;
+    this.responseText = '';
+    MockXMLHttpRequest.instances.push(this);
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+  }
+
+  setRequestHeader(headerName, value) {
+    this.requestHeaders[headerName] = value;
+  }
+
+  getResponseHeader(headerName) {
+    return this.responseHeaders[headerName] ?? null;
+  }
+
+  send(body) {
+    this.body = body;
+  }
+
+  abort() {
+    this.onabort();
+  }
+
+  respond(status, data, headers = {}) {
+    this.status = status;
+    this.responseText = data === undefined ? '' : JSON.stringify(data);
+    this.responseHeaders = headers;
+    this.onload();
+  }
+}
+
+describe('API utilities', () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    globalThis.fetch = vi.fn(() => jsonResponse({ ok: true }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    resetApiConfig();
+    vi.mocked(console.error).mockRestore();
+  });
+
+  describe('resolveUrl', () => {
+    it('prefixes relative URLs with the base URL', () => {
+      expect(resolveUrl('/users', 'https://api.example.com/')).toBe('https://api.example.com/users');
+      expect(resolveUrl('users', 'https://api.example.com')).toBe('https://api.example.com/users');
+    });
+
+    it('leaves absolute URLs and missing base URLs alone', () => {
+      expect(resolveUrl('https://other.test/users', 'https://api.example.com')).toBe('https://other.test/users');
+      expect(resolveUrl('/users', '')).toBe('/users');
+    });
+  });
+
+  describe('buildUrl and getValueAtPath', () => {
+    it('appends query parameters and skips empty values', () => {
+      expect(buildUrl('/items?sort=name', { limit: 10, cursor: null, q: '' })).toBe('/items?sort=name&limit=10');
+    });
+
+    it('reads nested values by dot path', () => {
+      expect(getValueAtPath({ meta: { total: 3 } }, 'meta.total')).toBe(3);
+      expect(getValueAtPath({ meta: null }, 'meta.total')).toBeUndefined();
+    });
+  });
+
+  describe('fetchData', () => {
+    it('uses fetch with JSON headers by default', async () => {
+      globalThis.fetch.mockImplementation(() => jsonResponse([1, 2]));
+
+      await expect(fetchData('/api/default', { cache: false })).resolves.toEqual([1, 2]);
+      expect(globalThis.fetch).toHaveBeenCalledWith('/api/default', expect.objectContaining({
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json' },
+      }));
+    });
+
+    it('rejects with the HTTP status for unsuccessful responses', async () => {
+      globalThis.fetch.mockImplementation(() => jsonResponse({}, 500));
+
+      await expect(fetchData('/api/broken', { cache: false })).rejects.toMatchObject({
+        message: 'HTTP error! status: 500',
+        status: 500,
+      });
+    });
+
+    it('applies the configured base URL and default headers', async () => {
+      configureApi({
+        baseURL: 'https://api.example.com',
+        headers: () => ({ Authorization: 'Bearer token' }),
+      });
+
+      await fetchData('/countries', { cache: false, headers: { 'X-Trace': '1' } });
+
+      expect(globalThis.fetch).toHaveBeenCalledWith('https://api.example.com/countries', expect.objectContaining({
+        headers: {
+          Authorization: 'Bearer token',
+          'Content-Type': 'application/json',
+          'X-Trace': '1',
+        },
+      }));
+    });
+
+    it('sends requests through a custom transport', async () => {
+      const transport = vi.fn(async () => ({ data: ['from transport'], status: 200 }));
+      configureApi({ transport });
+
+      await expect(fetchData('/api/custom', { cache: false })).resolves.toEqual(['from transport']);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+      expect(transport).toHaveBeenCalledWith(expect.objectContaining({ url: '/api/custom', method: 'GET' }));
+    });
+
+    it('prefers the apiConfig passed by a provider over the global configuration', async () => {
+      configureApi({ baseURL: 'https://global.example.com' });
+      const transport = vi.fn(async (request) => ({ data: request.url, status: 200 }));
+
+      await expect(fetchData('/items', {
+        cache: false,
+        apiConfig: { transport, baseURL: 'https://provider.example.com' },
+      })).resolves.toBe('https://provider.example.com/items');
+    });
+  });
+
+  describe('cache keys', () => {
+    afterEach(() => {
+      clearRequestCache();
+    });
+
+    it('includes configured headers so credentials do not share responses', async () => {
+      const transport = vi.fn(async (request) => ({ data: request.headers.Authorization, status: 200 }));
+      const alice = { transport, headers: { Authorization: 'Bearer alice' } };
+      const bob = { transport, headers: { Authorization: 'Bearer bob' } };
+
+      await expect(fetchData('/api/me', { apiConfig: alice, staleTime: 60000 })).resolves.toBe('Bearer alice');
+      await expect(fetchData('/api/me', { apiConfig: bob, staleTime: 60000 })).resolves.toBe('Bearer bob');
+      await expect(fetchData('/api/me', { apiConfig: alice, staleTime: 60000 })).resolves.toBe('Bearer alice');
+
+      expect(transport).toHaveBeenCalledTimes(2);
+    });
+
+    it('follows header functions, e.g. after a token refresh', () => {
+      let token = 'old';
+      configureApi({ headers: () => ({ Authorization: `Bearer ${token}` }) });
+
+      const before = getCacheKey('/api/me');
+      token = 'new';
+
+      expect(getCacheKey('/api/me')).not.toBe(before);
+    });
+
+    it('separates requests sent through different transports', () => {
+      const first = vi.fn();
+      const second = vi.fn();
+
+      expect(getCacheKey('/api/me', {}, { transport: first }))
+        .not.toBe(getCacheKey('/api/me', {}, { transport: second }));
+      expect(getCacheKey('/api/me', {}, { transport: first }))
+        .toBe(getCacheKey('/api/me', {}, { transport: first }));
+      expect(getCacheKey('/api/me')).toBe('/api/me');
+    });
+  });
+
+  describe('interceptors', () => {
+    it('runs request and response interceptors in order', async () => {
+      const transport = vi.fn(async (request) => ({ data: { headers: request.headers }, status: 200 }));
+
+      const response = await sendRequest({ url: '/api/intercepted' }, {
+        transport,
+        interceptors: {
+          request: [(request) => ({ ...request, headers: { ...request.headers, 'X-Request-Id': 'abc' } })],
+          response: [(res) => ({ ...res, data: { ...res.data, intercepted: true } })],
+        },
+      });
+
+      expect(response.data).toEqual({ headers: { 'X-Request-Id': 'abc' }, intercepted: true });
+    });
+
+    it('lets error interceptors retry the request', async () => {
+      const transport = vi.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { status: 401 }))
+        .mockImplementationOnce(async (request) => ({ data: request.headers.Authorization, status: 200 }));
+
+      configureApi({
+        transport,
+        interceptors: {
+          error: [async (error, request, retry) => {
+            if (error.status !== 401) throw error;
+            return retry({ ...request, headers: { ...request.headers, Authorization: 'Bearer fresh' } });
+          }],
+        },
+      });
+
+      await expect(fetchData('/api/secure', { cache: false })).resolves.toBe('Bearer fresh');
+      expect(transport).toHaveBeenCalledTimes(2);
+    });
+
+    it('rethrows when no error interceptor recovers', async () => {
+      const failure = new Error('Down');
+      const onError = vi.fn();
+      configureApi({
+        transport: vi.fn().mockRejectedValue(failure),
+        interceptors: { error: [onError] },
+      });
+
+      await expect(fetchData('/api/down', { cache: false })).rejects.toBe(failure);
+      expect(onError).toHaveBeenCalledWith(failure, expect.objectContaining({ url: '/api/down' }), expect.any(Function));
+    });
+  });
+
+  describe('searchData', () => {
+    it('adds the search parameter to relative URLs', async () => {
+      globalThis.fetch.mockImplementation(() => jsonResponse([]));
+
+      await searchData('/api/search?type=fruit', 'app', { searchParam: 'q', cache: false });
+
+      expect(globalThis.fetch).toHaveBeenCalledWith('/api/search?type=fruit&q=app', expect.any(Object));
+    });
+  });
+
+  describe('uploadFile', () => {
+    it('posts the file as form data through the transport', async () => {
+      const transport = vi.fn(async () => ({ data: { id: 'file-1' }, status: 201 }));
+      configureApi({ transport });
+      const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+
+      await expect(uploadFile('/api/upload', file, { fieldName: 'document' })).resolves.toEqual({ id: 'file-1' });
+
+      const request = transport.mock.calls[0][0];
+      expect(request.method).toBe('POST');
+      expect(request.body).toBeInstanceOf(FormData);
+      expect(request.body.get('document')).toBeInstanceOf(File);
+      expect(request.headers).not.toHaveProperty('Content-Type');
+    });
+
+    it('reports the HTTP status of failed uploads', async () => {
+      globalThis.fetch.mockImplementation(() => jsonResponse({}, 413));
+      const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+
+      await expect(uploadFile('/api/upload', file)).rejects.toThrow('Upload failed! status: 413');
+    });
+  });
+
+  describe('xhrTransport', () => {
+    const originalXMLHttpRequest = globalThis.XMLHttpRequest;
+
+    beforeEach(() => {
+      MockXMLHttpRequest.instances = [];
+      globalThis.XMLHttpRequest = MockXMLHttpRequest;
+    });
+
+    afterEach(() => {
+      globalThis.XMLHttpRequest = originalXMLHttpRequest;
+    });
+
+    it('reports upload progress and resolves with the parsed response', async () => {
+      const onUploadProgress = vi.fn();
+      const promise = xhrTransport({
+        url: '/api/upload',
+        method: 'POST',
+        headers: { 'X-Token': 'abc' },
+        body: 'payload',
+        onUploadProgress,
+      });
+      const xhr = MockXMLHttpRequest.instances[0];
+
+      xhr.upload.onprogress({ loaded: 50, total: 200, lengthComputable: true });
+      xhr.respond(201, { id: 'file-1' }, { Location: '/files/file-1' });
+
+      const response = await promise;
+      expect(xhr.method).toBe('POST');
+      expect(xhr.requestHeaders).toEqual({ 'X-Token': 'abc' });
+      expect(xhr.body).toBe('payload');
+      expect(onUploadProgress).toHaveBeenCalledWith({ loaded: 50, total: 200 });
+      expect(response.data).toEqual({ id: 'file-1' });
+      expect(response.status).toBe(201);
+      expect(response.headers.get('Location')).toBe('/files/file-1');
+    });
+
+    it('rejects with the status of unsuccessful responses', async () => {
+      const promise = xhrTransport({ url: '/api/upload', method: 'POST' });
+      MockXMLHttpRequest.instances[0].respond(500, { message: 'boom' });
+
+      await expect(promise).rejects.toMatchObject({ status: 500 });
+    });
+
+    it('aborts the request when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const promise = xhrTransport({ url: '/api/upload', method: 'POST', signal: controller.signal });
+
+      controller.abort();
+
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('is used by default for uploads that report progress', async () => {
+      const onUploadProgress = vi.fn();
+      const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+      const promise = uploadFile('/api/upload', file, { onUploadProgress });
+
+      await vi.waitFor(() => {
+        expect(MockXMLHttpRequest.instances).toHaveLength(1);
+      });
+      MockXMLHttpRequest.instances[0].respond(201, { id: 'file-1' });
+
+      await expect(promise).resolves.toEqual({ id: 'file-1' });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Cache utilities for form components
+ */
+
+/**
+ * Creates a size-bounded cache that evicts the least recently used entry.
+ * Reading an entry with `get` marks it as most recently used. Entries that
+ * `canEvict` rejects are skipped, so the cache may grow past `maxSize` while
+ * they are in use.
+ *
+ * @param {number} maxSize - Maximum number of entries kept (default: 50)
+ * @param {Object} options - Options
+ * @param {Function} options.canEvict - `(value, key) => boolean`, whether an entry may be evicted
+ * @returns {Object} Cache with get, set, has, delete, clear, forEach and size
+ *
+ * @example
+ * const cache = createLRUCache(2);
+ * cache.set('a', 1);
+ * cache.set('b', 2);
+ * cache.get('a');
+ * cache.set('c', 3); // evicts 'b'
+ */
+export const createLRUCache = (maxSize = 50, { canEvict = () => true } = {}) => {
+  const entries = new Map();
+
+  // Evict from the least recently used end, never the entry just set
+  const evict = (keptKey) => {
+    for (const [key, value] of entries) {
+      if (entries.size <= maxSize) return;
+      if (key !== keptKey && canEvict(value, key)) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+
+      // Re-insert so the entry moves to the most recently used position
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      if (maxSize <= 0) return;
+
+      entries.delete(key);
+      entries.set(key, value);
+
+      if (entries.size > maxSize) {
+        evict(key);
+      }
+    },
+
+    has(key) {
+      return entries.has(key);
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    // Visits entries from least to most recently used without changing their order;
+    // the callback may read or change the cache
+    forEach(callback) {
+      [...entries].forEach(([key, value]) => callback(value, key));
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+};
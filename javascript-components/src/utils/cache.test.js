@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createLRUCache } from './cache';
+
+describe('createLRUCache', () => {
+  it('stores and returns values', () => {
+    const cache = createLRUCache(2);
+    cache.set('a', 1);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.has('a')).toBe(true);
+    expect(cache.get('missing')).toBeUndefined();
+    expect(cache.size).toBe(1);
+  });
+
+  it('evicts the least recently used entry when full', () => {
+    const cache = createLRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.has('c')).toBe(true);
+  });
+
+  it('refreshes recency when an existing key is set again', () => {
+    const cache = createLRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 10);
+    cache.set('c', 3);
+
+    expect(cache.get('a')).toBe(10);
+    expect(cache.has('b')).toBe(false);
+  });
+
+  it('supports delete and clear', () => {
+    const cache = createLRUCache();
+    cache.set('a', 1);
+    cache.set('b', 2);
+
+    expect(cache.delete('a')).toBe(true);
+    expect(cache.has('a')).toBe(false);
+
+    cache.clear();
+    expect(cache.size).toBe(0);
+  });
+
+  it('skips entries that canEvict rejects', () => {
+    const cache = createLRUCache(2, { canEvict: value => !value.busy });
+    cache.set('a', { busy: true });
+    cache.set('b', { busy: false });
+    cache.set('c', { busy: false });
+
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.has('c')).toBe(true);
+
+    cache.set('d', { busy: true });
+    cache.set('e', { busy: true });
+
+    const keys = [];
+    cache.forEach((value, key) => keys.push(key));
+    expect(keys).toEqual(['a', 'd', 'e']);
+  });
+
+  it('stores nothing when maxSize is 0', () => {
+    const cache = createLRUCache(0);
+    cache.set('a', 1);
+
+    expect(cache.has('a')).toBe(false);
+  });
+});
@@ -0,0 +1,404 @@
+/**
+ * Chunked and resumable file uploads
+ *
+ * Large files are sent in slices so a dropped connection only costs the chunk in
+ * flight. Two protocols are supported:
+ *
+ * - 'chunked': an upload session API. A session is opened with a POST to
+ *   `endpoints.init`, each chunk is PUT to `endpoints.chunk`, `endpoints.status`
+ *   reports what the server already has, and a POST to `endpoints.commit` assembles
+ *   the file and returns its reference.
+ * - 'tus': the tus 1.0 resumable upload protocol with the creation extension.
+ *
+ * Sessions are remembered in `storage` (localStorage by default), so uploading the
+ * same file again, after a network drop or a page reload, continues where it stopped.
+ */
+
+import { sendRequest, getRequestUrl } from './api.js';
+
+export const TUS_VERSION = '1.0.0';
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const STORAGE_PREFIX = 'form-components-upload:';
+
+// Endpoint templates; `{url}` is the upload URL, `{uploadId}` and `{index}` are filled per request
+const defaultEndpoints = {
+  init: '{url}',
+  chunk: '{url}/{uploadId}/chunks/{index}',
+  status: '{url}/{uploadId}',
+  commit: '{url}/{uploadId}/complete',
+};
+
+const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const fillEndpoint = (template, params) => {
+  if (typeof template === 'function') return template(params);
+
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (params[key] === undefined) return match;
+    return key === 'url' ? params.url : encodeURIComponent(String(params[key]));
+  });
+};
+
+const encodeMetadataValue = (value) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(String(value))));
+
+const getDefaultStorage = () => {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null;
+  }
+};
+
+const readSession = (storage, key) => {
+  if (!storage) return null;
+  try {
+    const stored = storage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeSession = (storage, key, session) => {
+  if (!storage) return;
+  try {
+    storage.setItem(key, JSON.stringify(session));
+  } catch {
+    // Storage full or unavailable; the upload still works, it just cannot resume
+  }
+};
+
+const removeSession = (storage, key) => {
+  if (!storage) return;
+  try {
+    storage.removeItem(key);
+  } catch {
+    // Ignore storage errors
+  }
+};
+
+const wait = (delay, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    resolve();
+  }, delay);
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+});
+
+// Network failures (no status), timeouts, rate limiting and server errors are worth retrying
+const isRetryableError = (error) =>
+  !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+
+// The server no longer knows the session, so it has to start over
+const isSessionGone = (error) => error.status === 404 || error.status === 410;
+
+/**
+ * Builds the storage key identifying an upload of a file to an endpoint.
+ *
+ * @param {string} url - Upload endpoint URL
+ * @param {File} file - File being uploaded
+ * @param {string} protocol - 'chunked' or 'tus'
+ * @returns {string} Storage key
+ */
+export const getUploadFingerprint = (url, file, protocol = 'chunked') =>
+  `${STORAGE_PREFIX}${[protocol, url, file.name, file.size, file.type, file.lastModified].join(':')}`;
+
+const chunkedProtocol = {
+  async create({ url, file, chunkSize, endpoints, request }) {
+    const response = await request({
+      url: fillEndpoint(endpoints.init, { url }),
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        fileName: file.name,
+        fileSize: file.size,
+        fileType: file.type,
+        chunkSize,
+      }),
+    });
+
+    const uploadId = response.data && (response.data.uploadId ?? response.data.id);
+    if (uploadId === undefined || uploadId === null) {
+      throw new Error('Upload session response is missing an uploadId');
+    }
+    return { uploadId };
+  },
+
+  // Accepts `{ offset }` or `{ uploadedChunks: [indexes] }`; only chunks received in order count.
+  // Chunks are stored by index, so an offset inside a chunk resumes at that chunk's start.
+  async getOffset(session, { url, file, chunkSize, endpoints, request }) {
+    const response = await request({
+      url: fillEndpoint(endpoints.status, { url, uploadId: session.uploadId }),
+      method: 'GET',
+    });
+    const { offset, uploadedChunks } = response.data || {};
+
+    if (typeof offset === 'number') {
+      return offset >= file.size ? file.size : Math.floor(offset / chunkSize) * chunkSize;
+    }
+    if (!Array.isArray(uploadedChunks)) return 0;
+
+    const received = new Set(uploadedChunks.map(Number));
+    let count = 0;
+    while (received.has(count)) {
+      count += 1;
+    }
+    return Math.min(count * chunkSize, file.size);
+  },
+
+  async sendChunk(session, { offset, chunk, index, onUploadProgress }, { url, file, endpoints, request }) {
+    await request({
+      url: fillEndpoint(endpoints.chunk, { url, uploadId: session.uploadId, index }),
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Range': `bytes ${offset}-${offset + chunk.size - 1}/${file.size}`,
+      },
+      body: chunk,
+      onUploadProgress,
+    });
+    return offset + chunk.size;
+  },
+
+  async finish(session, { url, file, chunkSize, endpoints, request }) {
+    const response = await request({
+      url: fillEndpoint(endpoints.commit, { url, uploadId: session.uploadId }),
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        fileName: file.name,
+        fileSize: file.size,
+        totalChunks: Math.ceil(file.size / chunkSize),
+      }),
+    });
+    return response.data;
+  },
+};
+
+// Servers often answer a tus creation with a path such as `/files/abc`; resolve it
+// against the creation URL so the PATCH requests reach the same server. A relative
+// creation URL keeps the location relative, to be resolved against the page like it.
+const RELATIVE_BASE = 'http://relative.invalid';
+
+const resolveLocation = (location, endpoint) => {
+  const resolved = new URL(location, new URL(endpoint, RELATIVE_BASE));
+  return resolved.origin === RELATIVE_BASE
+    ? `${resolved.pathname}${resolved.search}${resolved.hash}`
+    : resolved.href;
+};
+
+const tusProtocol = {
+  async create({ url, endpoint, file, request }) {
+    const metadata = [
+      `filename ${encodeMetadataValue(file.name)}`,
+      file.type && `filetype ${encodeMetadataValue(file.type)}`,
+    ].filter(Boolean).join(',');
+
+    const response = await request({
+      url,
+      method: 'POST',
+      headers: {
+        'Tus-Resumable': TUS_VERSION,
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': metadata,
+      },
+    });
+
+    const location = response.headers && response.headers.get('Location');
+    if (!location) {
+      throw new Error('tus creation response is missing a Location header');
+    }
+    return { location: resolveLocation(location, endpoint) };
+  },
+
+  async getOffset(session, { request }) {
+    const response = await request({
+      url: session.location,
+      method: 'HEAD',
+      headers: { 'Tus-Resumable': TUS_VERSION },
+    });
+    return Number(response.headers.get('Upload-Offset')) || 0;
+  },
+
+  async sendChunk(session, { offset, chunk, onUploadProgress }, { request }) {
+    const response = await request({
+      url: session.location,
+      method: 'PATCH',
+      headers: {
+        'Tus-Resumable': TUS_VERSION,
+        'Upload-Offset': String(offset),
+        'Content-Type': 'application/offset+octet-stream',
+      },
+      body: chunk,
+      onUploadProgress,
+    });
+
+    const newOffset = Number(response.headers && response.headers.get('Upload-Offset'));
+    return Number.isFinite(newOffset) && newOffset > offset ? newOffset : offset + chunk.size;
+  },
+
+  // tus has no commit step; the upload URL is the file's reference
+  async finish(session) {
+    return { url: session.location };
+  },
+};
+
+const protocols = {
+  chunked: chunkedProtocol,
+  tus: tusProtocol,
+};
+
+/**
+ * Uploads a file in chunks, resuming a previous session for the same file when the
+ * server still has it. Failed chunks are retried with exponential backoff after
+ * asking the server how much it received.
+ *
+ * @param {string} url - Upload endpoint URL (the tus creation URL in tus mode)
+ * @param {File} file - File to upload
+ * @param {Object} options - Upload options
+ * @param {string} options.protocol - 'chunked' or 'tus' (default: 'chunked')
+ * @param {number} options.chunkSize - Chunk size in bytes (default: 5MB)
+ * @param {Object} options.endpoints - Overrides for the 'chunked' protocol's `init`, `chunk`,
+ *   `status` and `commit` endpoints; templates with `{url}`, `{uploadId}` and `{index}`
+ *   placeholders, or functions receiving those values
+ * @param {Object} options.headers - Additional headers for every request
+ * @param {number} options.retries - Retries per chunk before giving up (default: 3)
+ * @param {number} options.retryDelay - Delay before the first retry in ms, doubled for each retry (default: 1000)
+ * @param {boolean} options.resume - Whether to remember sessions and resume them (default: true)
+ * @param {Object} options.storage - Where sessions are remembered; `getItem`/`setItem`/`removeItem` (default: localStorage)
+ * @param {AbortSignal} options.signal - Cancels the upload; the session is kept for resuming
+ * @param {Function} options.onUploadProgress - Called with `{ loaded, total }` for the whole file
+ * @param {Object} options.apiConfig - Configuration from a FormComponentsProvider
+ * @returns {Promise<any>} The commit response, or `{ url }` of the tus upload
+ *
+ * @example
+ * const reference = await uploadFileInChunks('/api/uploads', file, {
+ *   chunkSize: 8 * 1024 * 1024,
+ *   onUploadProgress: ({ loaded, total }) => setProgress(loaded / total),
+ * });
+ *
+ * @example
+ * const { url } = await uploadFileInChunks('https://tus.example.com/files/', file, { protocol: 'tus' });
+ */
+export const uploadFileInChunks = async (url, file, options = {}) => {
+  const {
+    protocol = 'chunked',
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    endpoints = {},
+    headers = {},
+    retries = 3,
+    retryDelay = 1000,
+    resume = true,
+    storage = getDefaultStorage(),
+    signal,
+    onUploadProgress,
+    apiConfig,
+  } = options;
+
+  const adapter = protocols[protocol];
+  if (!adapter) {
+    throw new Error(`Unknown upload protocol "${protocol}". Use 'chunked' or 'tus'.`);
+  }
+
+  const context = {
+    url,
+    endpoint: getRequestUrl(url, apiConfig),
+    file,
+    chunkSize,
+    endpoints: { ...defaultEndpoints, ...endpoints },
+    request: (request) => sendRequest({
+      ...request,
+      headers: { ...headers, ...request.headers },
+      signal,
+    }, apiConfig),
+  };
+  const storageKey = getUploadFingerprint(url, file, protocol);
+
+  const reportProgress = (loaded) => {
+    if (onUploadProgress) {
+      onUploadProgress({ loaded: Math.min(loaded, file.size), total: file.size });
+    }
+  };
+
+  let session = resume ? readSession(storage, storageKey) : null;
+  let offset = 0;
+
+  // Ask the server how much of a remembered session it already has
+  if (session) {
+    try {
+      offset = await adapter.getOffset(session, context);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      removeSession(storage, storageKey);
+      session = null;
+    }
+  }
+
+  if (!session) {
+    session = await adapter.create(context);
+    offset = 0;
+    if (resume) {
+      writeSession(storage, storageKey, session);
+    }
+  }
+
+  reportProgress(offset);
+
+  let attempt = 0;
+  while (offset < file.size) {
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+
+    const chunkStart = offset;
+    const chunk = file.slice(chunkStart, chunkStart + chunkSize);
+
+    try {
+      offset = await adapter.sendChunk(session, {
+        offset: chunkStart,
+        chunk,
+        index: Math.floor(chunkStart / chunkSize),
+        onUploadProgress: ({ loaded }) => reportProgress(chunkStart + loaded),
+      }, context);
+      attempt = 0;
+      reportProgress(offset);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      if (isSessionGone(error)) {
+        removeSession(storage, storageKey);
+        throw error;
+      }
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+
+      attempt += 1;
+      await wait(retryDelay * 2 ** (attempt - 1), signal);
+
+      // Part of the chunk may have arrived before the connection dropped
+      try {
+        offset = await adapter.getOffset(session, context);
+      } catch (offsetError) {
+        if (offsetError.name === 'AbortError') throw offsetError;
+      }
+    }
+  }
+
+  const result = await adapter.finish(session, context);
+  removeSession(storage, storageKey);
+  return result;
+};
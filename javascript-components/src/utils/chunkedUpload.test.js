@@ -0,0 +1,586 @@
+import { Buffer } from 'node:buffer';
+import { createServer } from 'node:http';
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { uploadFileInChunks, getUploadFingerprint, TUS_VERSION } from './chunkedUpload';
+import { configureApi, resetApiConfig } from './api';
+
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
+});
+
+const httpError = (status) => Object.assign(new Error(`HTTP error! status: ${status}`), { status });
+
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+/**
+ * In-memory upload server speaking both protocols, used as the API transport.
+ * `dropRequests(count, after)` lets `after` chunk requests through, then fails the
+ * next `count` like a lost connection.
+ */
+const createMockUploadServer = () => {
+  const sessions = new Map();
+  const requests = [];
+  let nextId = 1;
+  let dropsRemaining = 0;
+  let dropAfter = 0;
+
+  const respond = (status, data = null, headers = {}) => ({ status, data, headers: new Headers(headers) });
+
+  const handle = async (request) => {
+    const { method, url, headers = {}, body } = request;
+    const { pathname: path } = new URL(url, 'http://localhost');
+    let match;
+
+    if ((method === 'PUT' || method === 'PATCH') && dropsRemaining > 0) {
+      if (dropAfter > 0) {
+        dropAfter -= 1;
+      } else {
+        dropsRemaining -= 1;
+        throw new TypeError('Failed to fetch');
+      }
+    }
+
+    // Session API
+    if (method === 'POST' && path === '/uploads') {
+      const id = `u${nextId++}`;
+      sessions.set(id, { ...JSON.parse(body), chunks: new Map() });
+      return respond(201, { uploadId: id });
+    }
+    if ((match = path.match(/^\/uploads\/(\w+)\/chunks\/(\d+)$/)) && method === 'PUT') {
+      const session = sessions.get(match[1]);
+      if (!session) throw httpError(404);
+      session.chunks.set(Number(match[2]), await readBlob(body));
+      return respond(204);
+    }
+    if ((match = path.match(/^\/uploads\/(\w+)$/)) && method === 'GET') {
+      const session = sessions.get(match[1]);
+      if (!session) throw httpError(404);
+      return respond(200, { uploadedChunks: [...session.chunks.keys()] });
+    }
+    if ((match = path.match(/^\/uploads\/(\w+)\/complete$/)) && method === 'POST') {
+      const session = sessions.get(match[1]);
+      if (!session) throw httpError(404);
+      const indexes = [...session.chunks.keys()].sort((a, b) => a - b);
+      session.content = indexes.map(index => session.chunks.get(index)).join('');
+      return respond(200, { id: match[1], name: session.fileName, size: session.content.length });
+    }
+
+    // tus
+    if (method === 'POST' && path === '/files') {
+      const id = `t${nextId++}`;
+      sessions.set(id, { length: Number(headers['Upload-Length']), metadata: headers['Upload-Metadata'], content: '' });
+      return respond(201, null, { Location: `/files/${id}`, 'Tus-Resumable': TUS_VERSION });
+    }
+    if ((match = path.match(/^\/files\/(\w+)$/))) {
+      const session = sessions.get(match[1]);
+      if (!session) throw httpError(404);
+      if (method === 'HEAD') {
+        return respond(200, null, { 'Upload-Offset': String(session.content.length) });
+      }
+      if (method === 'PATCH') {
+        if (Number(headers['Upload-Offset']) !== session.content.length) throw httpError(409);
+        session.content += await readBlob(body);
+        return respond(204, null, { 'Upload-Offset': String(session.content.length) });
+      }
+    }
+
+    throw httpError(404);
+  };
+
+  return {
+    sessions,
+    requests,
+    transport: vi.fn(async (request) => {
+      requests.push(request);
+      return handle(request);
+    }),
+    dropRequests: (count, after = 0) => {
+      dropsRemaining = count;
+      dropAfter = after;
+    },
+  };
+};
+
+describe('uploadFileInChunks', () => {
+  let server;
+  let storage;
+  const file = new File(['0123456789'], 'video.mp4', { type: 'video/mp4', lastModified: 1 });
+
+  beforeEach(() => {
+    server = createMockUploadServer();
+    storage = createMemoryStorage();
+    configureApi({ transport: server.transport });
+  });
+
+  afterEach(() => {
+    resetApiConfig();
+  });
+
+  describe('chunked protocol', () => {
+    it('opens a session, sends each chunk and commits the file', async () => {
+      const onUploadProgress = vi.fn();
+
+      const result = await uploadFileInChunks('/uploads', file, { chunkSize: 4, storage, onUploadProgress });
+
+      expect(result).toEqual({ id: 'u1', name: 'video.mp4', size: 10 });
+      expect(server.sessions.get('u1').content).toBe('0123456789');
+
+      const chunkRequests = server.requests.filter(request => request.method === 'PUT');
+      expect(chunkRequests.map(request => request.url)).toEqual([
+        '/uploads/u1/chunks/0',
+        '/uploads/u1/chunks/1',
+        '/uploads/u1/chunks/2',
+      ]);
+      expect(chunkRequests[2].headers['Content-Range']).toBe('bytes 8-9/10');
+      expect(onUploadProgress).toHaveBeenLastCalledWith({ loaded: 10, total: 10 });
+      expect(storage.items.size).toBe(0);
+    });
+
+    it('uses custom endpoints', async () => {
+      await uploadFileInChunks('/ignored', file, {
+        chunkSize: 5,
+        storage,
+        endpoints: {
+          init: '/uploads',
+          chunk: ({ uploadId, index }) => `/uploads/${uploadId}/chunks/${index}`,
+          status: '/uploads/{uploadId}',
+          commit: '/uploads/{uploadId}/complete',
+        },
+      });
+
+      expect(server.sessions.get('u1').content).toBe('0123456789');
+    });
+
+    it('retries a chunk after a network drop', async () => {
+      server.dropRequests(2);
+
+      const result = await uploadFileInChunks('/uploads', file, { chunkSize: 4, storage, retryDelay: 0 });
+
+      expect(result.size).toBe(10);
+      expect(server.requests.filter(request => request.method === 'GET')).toHaveLength(2);
+    });
+
+    it('gives up after the configured retries and keeps the session for resuming', async () => {
+      server.dropRequests(10);
+
+      await expect(uploadFileInChunks('/uploads', file, { chunkSize: 4, storage, retries: 1, retryDelay: 0 }))
+        .rejects.toThrow('Failed to fetch');
+
+      expect(JSON.parse(storage.getItem(getUploadFingerprint('/uploads', file, 'chunked')))).toEqual({ uploadId: 'u1' });
+    });
+
+    it('resumes a session left by an earlier attempt, e.g. before a page reload', async () => {
+      // The connection is lost for good after the first chunk
+      server.dropRequests(1, 1);
+      await expect(uploadFileInChunks('/uploads', file, { chunkSize: 4, storage, retries: 0 }))
+        .rejects.toThrow('Failed to fetch');
+
+      server.requests.length = 0;
+      const result = await uploadFileInChunks('/uploads', file, { chunkSize: 4, storage });
+
+      expect(result).toEqual({ id: 'u1', name: 'video.mp4', size: 10 });
+      expect(server.sessions.size).toBe(1);
+      expect(server.requests.map(request => `${request.method} ${request.url}`)).toEqual([
+        'GET /uploads/u1',
+        'PUT /uploads/u1/chunks/1',
+        'PUT /uploads/u1/chunks/2',
+        'POST /uploads/u1/complete',
+      ]);
+    });
+
+    it('resumes a byte offset inside a chunk from the start of that chunk', async () => {
+      storage.setItem(getUploadFingerprint('/uploads', file, 'chunked'), JSON.stringify({ uploadId: 'u7' }));
+      const transport = vi.fn(async ({ method }) => {
+        if (method === 'GET') return { status: 200, data: { offset: 6 }, headers: new Headers() };
+        return { status: method === 'PUT' ? 204 : 200, data: method === 'POST' ? { id: 'u7' } : null, headers: new Headers() };
+      });
+      configureApi({ transport });
+
+      await uploadFileInChunks('/uploads', file, { chunkSize: 4, storage });
+
+      const chunkRequests = transport.mock.calls.map(([request]) => request).filter(request => request.method === 'PUT');
+      expect(chunkRequests.map(request => [request.url, request.headers['Content-Range']])).toEqual([
+        ['/uploads/u7/chunks/1', 'bytes 4-7/10'],
+        ['/uploads/u7/chunks/2', 'bytes 8-9/10'],
+      ]);
+    });
+
+    it('starts a new session when the server no longer knows the stored one', async () => {
+      storage.setItem(getUploadFingerprint('/uploads', file, 'chunked'), JSON.stringify({ uploadId: 'expired' }));
+
+      const result = await uploadFileInChunks('/uploads', file, { chunkSize: 4, storage });
+
+      expect(result.id).toBe('u1');
+      expect(server.sessions.get('u1').content).toBe('0123456789');
+    });
+
+    it('does not remember sessions when resume is disabled', async () => {
+      server.dropRequests(1, 1);
+
+      await expect(uploadFileInChunks('/uploads', file, { chunkSize: 4, storage, retries: 0, resume: false }))
+        .rejects.toThrow();
+
+      expect(storage.items.size).toBe(0);
+    });
+
+    it('rejects unknown protocols', async () => {
+      await expect(uploadFileInChunks('/uploads', file, { protocol: 'ftp', storage }))
+        .rejects.toThrow('Unknown upload protocol "ftp"');
+    });
+  });
+
+  describe('tus protocol', () => {
+    it('creates the upload and patches each chunk at the server offset', async () => {
+      const result = await uploadFileInChunks('/files', file, { protocol: 'tus', chunkSize: 4, storage });
+
+      expect(result).toEqual({ url: '/files/t1' });
+      expect(server.sessions.get('t1').content).toBe('0123456789');
+
+      const [creation, ...patches] = server.requests;
+      expect(creation.headers).toMatchObject({
+        'Tus-Resumable': TUS_VERSION,
+        'Upload-Length': '10',
+        'Upload-Metadata': `filename ${btoa('video.mp4')},filetype ${btoa('video/mp4')}`,
+      });
+      expect(patches.map(request => request.headers['Upload-Offset'])).toEqual(['0', '4', '8']);
+      expect(patches[0].headers['Content-Type']).toBe('application/offset+octet-stream');
+    });
+
+    it('resolves a relative Location against the creation URL', async () => {
+      const result = await uploadFileInChunks('https://tus.example.com/files', file, { protocol: 'tus', chunkSize: 4, storage });
+
+      expect(result).toEqual({ url: 'https://tus.example.com/files/t1' });
+      const patches = server.requests.filter(request => request.method === 'PATCH');
+      expect(patches.map(request => request.url)).toEqual([
+        'https://tus.example.com/files/t1',
+        'https://tus.example.com/files/t1',
+        'https://tus.example.com/files/t1',
+      ]);
+    });
+
+    it('resolves the Location against the configured base URL', async () => {
+      configureApi({ transport: server.transport, baseURL: 'https://api.example.com' });
+
+      const result = await uploadFileInChunks('/files', file, { protocol: 'tus', chunkSize: 4, storage });
+
+      expect(result).toEqual({ url: 'https://api.example.com/files/t1' });
+      expect(server.sessions.get('t1').content).toBe('0123456789');
+    });
+
+    it('asks the server for its offset after a network drop', async () => {
+      server.dropRequests(1, 1);
+
+      const result = await uploadFileInChunks('/files', file, { protocol: 'tus', chunkSize: 4, storage, retryDelay: 0 });
+
+      expect(result).toEqual({ url: '/files/t1' });
+      expect(server.sessions.get('t1').content).toBe('0123456789');
+      expect(server.requests.filter(request => request.method === 'HEAD')).toHaveLength(1);
+    });
+
+    it('resumes a stored upload from the server offset', async () => {
+      server.dropRequests(1, 2);
+      await expect(uploadFileInChunks('/files', file, { protocol: 'tus', chunkSize: 4, storage, retries: 0 }))
+        .rejects.toThrow();
+
+      server.requests.length = 0;
+      await uploadFileInChunks('/files', file, { protocol: 'tus', chunkSize: 4, storage });
+
+      expect(server.requests.map(request => `${request.method} ${request.headers['Upload-Offset'] ?? ''}`.trim()))
+        .toEqual(['HEAD', 'PATCH 8']);
+      expect(server.sessions.get('t1').content).toBe('0123456789');
+    });
+  });
+
+  it('stops uploading when aborted', async () => {
+    const controller = new AbortController();
+    const onUploadProgress = vi.fn(({ loaded }) => {
+      if (loaded >= 4) controller.abort();
+    });
+
+    await expect(uploadFileInChunks('/uploads', file, {
+      chunkSize: 4,
+      storage,
+      signal: controller.signal,
+      onUploadProgress,
+    })).rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(server.requests.filter(request => request.method === 'PUT')).toHaveLength(1);
+  });
+});
+
+/**
+ * Upload server on a local port, so requests go through the default transport's real
+ * fetch and XMLHttpRequest (CORS preflights included). `dropRequests(count, { after,
+ * keep })` lets `after` chunk requests through, then closes the connection on the next
+ * `count` after storing their first `keep` bytes. `holdRequests()` leaves chunk
+ * requests unanswered.
+ */
+const createHttpUploadServer = () => {
+  const sessions = new Map();
+  const requests = [];
+  let nextId = 1;
+  let dropsRemaining = 0;
+  let dropAfter = 0;
+  let dropKeep = 0;
+  let holding = false;
+
+  const exposedHeaders = 'Location, Upload-Offset, Tus-Resumable';
+
+  const send = (res, status, data = null, headers = {}) => {
+    const body = data === null ? '' : JSON.stringify(data);
+    res.writeHead(status, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': exposedHeaders,
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      'Content-Length': String(Buffer.byteLength(body)),
+      ...headers,
+    });
+    res.end(body);
+  };
+
+  const handle = (req, res, body) => {
+    const { pathname: path } = new URL(req.url, 'http://localhost');
+    let match;
+
+    if (req.method === 'OPTIONS') {
+      send(res, 204, null, {
+        'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH',
+        'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '',
+      });
+      return;
+    }
+
+    requests.push({ method: req.method, path, headers: req.headers });
+
+    if (req.method === 'PUT' || req.method === 'PATCH') {
+      if (holding) return;
+      if (dropsRemaining > 0) {
+        if (dropAfter > 0) {
+          dropAfter -= 1;
+        } else {
+          dropsRemaining -= 1;
+          const session = sessions.get(path.split('/')[2]);
+          if (session && req.method === 'PATCH') {
+            session.content += body.subarray(0, dropKeep).toString();
+          }
+          req.socket.destroy();
+          return;
+        }
+      }
+    }
+
+    // Session API
+    if (req.method === 'POST' && path === '/uploads') {
+      const id = `u${nextId++}`;
+      sessions.set(id, { ...JSON.parse(body.toString()), chunks: new Map() });
+      send(res, 201, { uploadId: id });
+      return;
+    }
+    if ((match = path.match(/^\/uploads\/(\w+)\/chunks\/(\d+)$/)) && req.method === 'PUT') {
+      const session = sessions.get(match[1]);
+      if (!session) return send(res, 404);
+      session.chunks.set(Number(match[2]), body.toString());
+      send(res, 204);
+      return;
+    }
+    if ((match = path.match(/^\/uploads\/(\w+)$/)) && req.method === 'GET') {
+      const session = sessions.get(match[1]);
+      if (!session) return send(res, 404);
+      send(res, 200, { uploadedChunks: [...session.chunks.keys()] });
+      return;
+    }
+    if ((match = path.match(/^\/uploads\/(\w+)\/complete$/)) && req.method === 'POST') {
+      const session = sessions.get(match[1]);
+      if (!session) return send(res, 404);
+      const indexes = [...session.chunks.keys()].sort((a, b) => a - b);
+      session.content = indexes.map(index => session.chunks.get(index)).join('');
+      send(res, 200, { id: match[1], name: session.fileName, size: session.content.length });
+      return;
+    }
+
+    // tus
+    if (req.method === 'POST' && path === '/files') {
+      const id = `t${nextId++}`;
+      sessions.set(id, { length: Number(req.headers['upload-length']), content: '' });
+      send(res, 201, null, { Location: `/files/${id}`, 'Tus-Resumable': TUS_VERSION });
+      return;
+    }
+    if ((match = path.match(/^\/files\/(\w+)$/))) {
+      const session = sessions.get(match[1]);
+      if (!session) return send(res, 404);
+      if (req.method === 'HEAD') {
+        send(res, 200, null, { 'Upload-Offset': String(session.content.length), 'Cache-Control': 'no-store' });
+        return;
+      }
+      if (req.method === 'PATCH') {
+        if (Number(req.headers['upload-offset']) !== session.content.length) return send(res, 409);
+        session.content += body.toString();
+        send(res, 204, null, { 'Upload-Offset': String(session.content.length) });
+        return;
+      }
+    }
+
+    send(res, 404);
+  };
+
+  const server = createServer((req, res) => {
+    const parts = [];
+    req.on('data', part => parts.push(part));
+    req.on('end', () => handle(req, res, Buffer.concat(parts)));
+  });
+
+  return {
+    sessions,
+    requests,
+    listen: () => new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    }),
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+    reset: () => {
+      sessions.clear();
+      requests.length = 0;
+      nextId = 1;
+      dropsRemaining = 0;
+      holding = false;
+    },
+    dropRequests: (count, { after = 0, keep = 0 } = {}) => {
+      dropsRemaining = count;
+      dropAfter = after;
+      dropKeep = keep;
+    },
+    holdRequests: () => {
+      holding = true;
+    },
+  };
+};
+
+describe('uploadFileInChunks against a local HTTP server', () => {
+  const server = createHttpUploadServer();
+  const file = new File(['0123456789'], 'video.mp4', { type: 'video/mp4', lastModified: 1 });
+  let origin;
+  let storage;
+
+  beforeAll(async () => {
+    origin = await server.listen();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.reset();
+    storage = createMemoryStorage();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('uploads every chunk with its Content-Range and commits the file', async () => {
+    const onUploadProgress = vi.fn();
+
+    const result = await uploadFileInChunks(`${origin}/uploads`, file, {
+      chunkSize: 4,
+      storage,
+      onUploadProgress,
+      headers: { Authorization: 'Bearer token' },
+    });
+
+    expect(result).toEqual({ id: 'u1', name: 'video.mp4', size: 10 });
+    expect(server.sessions.get('u1').content).toBe('0123456789');
+
+    const chunkRequests = server.requests.filter(request => request.method === 'PUT');
+    expect(chunkRequests.map(request => request.headers['content-range'])).toEqual([
+      'bytes 0-3/10',
+      'bytes 4-7/10',
+      'bytes 8-9/10',
+    ]);
+    server.requests.forEach(request => expect(request.headers.authorization).toBe('Bearer token'));
+    expect(onUploadProgress).toHaveBeenLastCalledWith({ loaded: 10, total: 10 });
+    expect(storage.items.size).toBe(0);
+  });
+
+  it('resumes after the connection drops, skipping the chunks the server has', async () => {
+    // jsdom reports the dropped connection on the console
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    server.dropRequests(1, { after: 1 });
+
+    await expect(uploadFileInChunks(`${origin}/uploads`, file, { chunkSize: 4, storage, retries: 0 }))
+      .rejects.toThrow('Network error');
+    expect(storage.items.size).toBe(1);
+
+    server.requests.length = 0;
+    const result = await uploadFileInChunks(`${origin}/uploads`, file, { chunkSize: 4, storage });
+
+    expect(result).toEqual({ id: 'u1', name: 'video.mp4', size: 10 });
+    expect(server.sessions.get('u1').content).toBe('0123456789');
+    expect(server.requests.map(request => `${request.method} ${request.path}`)).toEqual([
+      'GET /uploads/u1',
+      'PUT /uploads/u1/chunks/1',
+      'PUT /uploads/u1/chunks/2',
+      'POST /uploads/u1/complete',
+    ]);
+  });
+
+  it('uploads with tus, patching the Location resolved against the server', async () => {
+    const result = await uploadFileInChunks(`${origin}/files`, file, { protocol: 'tus', chunkSize: 4, storage });
+
+    expect(result).toEqual({ url: `${origin}/files/t1` });
+    expect(server.sessions.get('t1').content).toBe('0123456789');
+    expect(server.requests.map(request => `${request.method} ${request.path} ${request.headers['upload-offset'] ?? ''}`.trim())).toEqual([
+      'POST /files',
+      'PATCH /files/t1 0',
+      'PATCH /files/t1 4',
+      'PATCH /files/t1 8',
+    ]);
+    server.requests.forEach(request => expect(request.headers['tus-resumable']).toBe(TUS_VERSION));
+  });
+
+  it('continues a tus upload from the offset the server reports after a drop', async () => {
+    // jsdom reports the dropped connection on the console
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    server.dropRequests(1, { after: 1, keep: 2 });
+
+    const result = await uploadFileInChunks(`${origin}/files`, file, {
+      protocol: 'tus',
+      chunkSize: 4,
+      storage,
+      retryDelay: 0,
+    });
+
+    expect(result).toEqual({ url: `${origin}/files/t1` });
+    expect(server.sessions.get('t1').content).toBe('0123456789');
+    expect(server.requests.map(request => `${request.method} ${request.headers['upload-offset'] ?? ''}`.trim())).toEqual([
+      'POST',
+      'PATCH 0',
+      'PATCH 4',
+      'HEAD',
+      'PATCH 6',
+    ]);
+  });
+
+  it('aborts a chunk in flight and keeps the session for resuming', async () => {
+    server.holdRequests();
+    const controller = new AbortController();
+
+    const upload = uploadFileInChunks(`${origin}/uploads`, file, { chunkSize: 4, storage, signal: controller.signal });
+    await vi.waitFor(() => expect(server.requests.some(request => request.method === 'PUT')).toBe(true));
+    controller.abort();
+
+    await expect(upload).rejects.toMatchObject({ name: 'AbortError' });
+    expect(storage.items.size).toBe(1);
+  });
+});
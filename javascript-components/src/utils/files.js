@@ -0,0 +1,306 @@
+/**
+ * File helpers for upload components
+ */
+
+import { formatNumber, DEFAULT_LOCALE } from './i18n.js';
+
+const parseAccept = (accept) => accept.split(',').map(type => type.trim()).filter(Boolean);
+
+/**
+ * Checks a file against an `accept` string as used by `<input type="file">`:
+ * MIME types (`application/pdf`), MIME wildcards (`image/*`) and extensions (`.pdf`).
+ *
+ * @param {File|Object} file - File, or any object with `name` and `type`
+ * @param {string} accept - Comma-separated accepted types; empty accepts everything
+ * @returns {boolean} Whether the file type is accepted
+ */
+export const isFileTypeAccepted = (file, accept) => {
+  if (!accept) return true;
+
+  return parseAccept(accept).some(acceptedType => {
+    // Handle MIME types (e.g., 'image/*', 'application/pdf')
+    if (acceptedType.includes('/')) {
+      if (acceptedType.endsWith('/*')) {
+        const baseType = acceptedType.split('/')[0];
+        return (file.type || '').startsWith(baseType + '/');
+      }
+      return file.type === acceptedType;
+    }
+
+    // Handle file extensions (e.g., '.pdf', '.jpg')
+    if (acceptedType.startsWith('.')) {
+      return (file.name || '').toLowerCase().endsWith(acceptedType.toLowerCase());
+    }
+
+    return false;
+  });
+};
+
+/**
+ * Checks whether the files being dragged look acceptable, to highlight a dropzone
+ * before the drop. Browsers only expose MIME types while dragging, so an `accept`
+ * with file extensions, or items without a type (e.g. folders), are let through
+ * and checked by name once dropped.
+ *
+ * @param {DataTransfer} dataTransfer - The drag event's dataTransfer
+ * @param {string} accept - Comma-separated accepted types
+ * @returns {boolean} Whether the drop would be accepted
+ */
+export const isDragAccepted = (dataTransfer, accept) => {
+  if (!accept || !dataTransfer || !dataTransfer.items) return true;
+  if (parseAccept(accept).some(acceptedType => acceptedType.startsWith('.'))) return true;
+
+  return Array.from(dataTransfer.items)
+    .filter(item => item.kind === 'file')
+    .every(item => !item.type || isFileTypeAccepted({ type: item.type, name: '' }, accept));
+};
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// readEntries returns directory contents in batches until it returns an empty one
+const readDirectoryEntries = async (directoryEntry) => {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    entries.push(...batch);
+  } while (batch.length > 0);
+  return entries;
+};
+
+const readEntry = async (entry) => {
+  if (entry.isFile) {
+    return [await readEntryFile(entry)];
+  }
+  if (entry.isDirectory) {
+    const children = await readDirectoryEntries(entry);
+    const nested = await Promise.all(children.map(readEntry));
+    return nested.flat();
+  }
+  return [];
+};
+
+/**
+ * Collects the files of a drop. Dropped folders are read recursively and their
+ * files flattened into the list.
+ *
+ * @param {DataTransfer} dataTransfer - The drop event's dataTransfer
+ * @returns {Promise<File[]>} Dropped files
+ */
+export const getFilesFromDataTransfer = async (dataTransfer) => {
+  if (!dataTransfer) return [];
+
+  // Entries must be taken synchronously; the browser empties the DataTransfer after the event
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return Array.from(dataTransfer.files || []);
+  }
+
+  const nested = await Promise.all(entries.map(readEntry));
+  return nested.flat();
+};
+
+/**
+ * Collects the files of a paste, e.g. a screenshot copied to the clipboard.
+ *
+ * @param {DataTransfer} clipboardData - The paste event's clipboardData
+ * @returns {File[]} Pasted files
+ */
+export const getFilesFromClipboard = (clipboardData) => {
+  if (!clipboardData) return [];
+
+  const files = Array.from(clipboardData.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.getAsFile())
+    .filter(Boolean);
+
+  return files.length > 0 ? files : Array.from(clipboardData.files || []);
+};
+
+/**
+ * Formats a byte count for display, e.g. `1.5 MB` (`1,5 MB` in German).
+ *
+ * @param {number} bytes - Size in bytes
+ * @param {string} locale - Locale for the number (default: 'en')
+ * @returns {string} Formatted size
+ */
+export const formatFileSize = (bytes, locale = DEFAULT_LOCALE) => {
+  if (bytes === 0) return `${formatNumber(0, locale)} Bytes`;
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  const size = formatNumber(bytes / Math.pow(k, i), locale, { maximumFractionDigits: 2, useGrouping: false });
+  return size + ' ' + sizes[i];
+};
+
+const OFFICE_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation',
+];
+
+const asciiBytes = (text) => Array.from(text, char => char.charCodeAt(0));
+
+const hasBytes = (header, expected, offset = 0) => expected.every((byte, index) => header[offset + index] === byte);
+
+// ISO base media files (MP4, MOV, HEIC, AVIF) start with an `ftyp` box whose major
+// brand, at byte 8, names the format
+const hasMajorBrand = (header, brands) => hasBytes(header, asciiBytes('ftyp'), 4)
+  && brands.some(brand => hasBytes(header, asciiBytes(brand), 8));
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// Formats recognised by their first bytes. ZIP covers Office documents, which are ZIP
+// containers, and MP4 covers the other ISO base media formats (MOV, M4A, 3GP) apart
+// from HEIF and AVIF images. `container` formats also hold formats they do not list
+// (e.g. JAR and EPUB are ZIP files), so other extensions are not a mismatch.
+const FILE_SIGNATURES = [
+  {
+    label: 'PNG image',
+    mimeTypes: ['image/png'],
+    extensions: ['png'],
+    matches: (header) => hasBytes(header, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    label: 'JPEG image',
+    mimeTypes: ['image/jpeg'],
+    extensions: ['jpg', 'jpeg', 'jpe', 'jfif'],
+    matches: (header) => hasBytes(header, [0xff, 0xd8, 0xff]),
+  },
+  {
+    label: 'GIF image',
+    mimeTypes: ['image/gif'],
+    extensions: ['gif'],
+    matches: (header) => hasBytes(header, asciiBytes('GIF87a')) || hasBytes(header, asciiBytes('GIF89a')),
+  },
+  {
+    label: 'PDF document',
+    mimeTypes: ['application/pdf'],
+    extensions: ['pdf'],
+    matches: (header) => hasBytes(header, asciiBytes('%PDF-')),
+  },
+  {
+    label: 'ZIP archive',
+    mimeTypes: ['application/zip', 'application/x-zip-compressed', ...OFFICE_MIME_TYPES],
+    extensions: ['zip', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp'],
+    container: true,
+    matches: (header) => hasBytes(header, [0x50, 0x4b])
+      && (hasBytes(header, [0x03, 0x04], 2) || hasBytes(header, [0x05, 0x06], 2) || hasBytes(header, [0x07, 0x08], 2)),
+  },
+  {
+    label: 'HEIF image',
+    mimeTypes: ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'],
+    extensions: ['heic', 'heif', 'hif'],
+    matches: (header) => hasMajorBrand(header, HEIF_BRANDS),
+  },
+  {
+    label: 'AVIF image',
+    mimeTypes: ['image/avif'],
+    extensions: ['avif'],
+    matches: (header) => hasMajorBrand(header, AVIF_BRANDS),
+  },
+  {
+    label: 'MP4 video',
+    mimeTypes: ['video/mp4', 'video/x-m4v', 'video/quicktime', 'video/3gpp', 'audio/mp4'],
+    extensions: ['mp4', 'm4v', 'mov', '3gp', 'm4a'],
+    container: true,
+    matches: (header) => hasBytes(header, asciiBytes('ftyp'), 4),
+  },
+];
+
+const HEADER_LENGTH = 16;
+
+const readFileHeader = (file) => {
+  const blob = file.slice(0, HEADER_LENGTH);
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer().then(buffer => new Uint8Array(buffer));
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+const getFileExtension = (fileName = '') => {
+  const index = fileName.lastIndexOf('.');
+  return index > 0 ? fileName.slice(index + 1).toLowerCase() : '';
+};
+
+const describeSignature = ({ label, mimeTypes, extensions }) => ({ label, mimeTypes, extensions });
+
+const findSignature = async (file) => {
+  const header = await readFileHeader(file);
+  return FILE_SIGNATURES.find(candidate => candidate.matches(header)) || null;
+};
+
+/**
+ * Detects a file's format from its first bytes (magic numbers), ignoring its name and
+ * declared MIME type. Recognises PNG, JPEG, GIF, PDF, HEIF (HEIC) and AVIF images, ZIP
+ * (including Office documents) and MP4 (including MOV and M4A).
+ *
+ * @param {File|Blob} file - File to inspect
+ * @returns {Promise<Object|null>} `{ label, mimeTypes, extensions }` of the format, or null when unknown
+ */
+export const detectFileType = async (file) => {
+  const signature = await findSignature(file);
+  return signature && describeSignature(signature);
+};
+
+/**
+ * Checks a file's actual content against its name and an `accept` string.
+ *
+ * - `accepted`: whether the detected format is accepted. Formats that cannot be detected
+ *   fall back to the name and declared type, unless they claim a detectable format.
+ *   So do container formats whose extension they do not list (e.g. a `.jar` or
+ *   `.epub` detected as ZIP).
+ * - `nameMatches`: false when the extension (or, without one, the declared MIME type)
+ *   claims a different format than the content, e.g. a PDF renamed to `.png`.
+ *
+ * @param {File} file - File to check
+ * @param {string} accept - Comma-separated accepted types; empty accepts everything
+ * @returns {Promise<{ detected: Object|null, claimed: Object|null, accepted: boolean, nameMatches: boolean }>}
+ */
+export const checkFileContent = async (file, accept) => {
+  const signature = await findSignature(file);
+  const extension = getFileExtension(file.name);
+  const isOtherContainerFormat = signature && signature.container
+    && extension && !signature.extensions.includes(extension);
+  const detected = signature && !isOtherContainerFormat ? describeSignature(signature) : null;
+  const claimed = FILE_SIGNATURES.find(signature => (extension
+    ? signature.extensions.includes(extension)
+    : signature.mimeTypes.includes(file.type))) || null;
+
+  let nameMatches;
+  if (detected) {
+    nameMatches = !extension || detected.extensions.includes(extension);
+  } else {
+    nameMatches = !claimed;
+  }
+
+  let accepted;
+  if (detected) {
+    accepted = !accept
+      || detected.mimeTypes.some(type => isFileTypeAccepted({ type, name: '' }, accept))
+      || detected.extensions.some(ext => isFileTypeAccepted({ type: '', name: `file.${ext}` }, accept));
+  } else {
+    accepted = !claimed && isFileTypeAccepted(file, accept);
+  }
+
+  return {
+    detected,
+    claimed: claimed && describeSignature(claimed),
+    accepted,
+    nameMatches,
+  };
+};
@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isFileTypeAccepted,
+  isDragAccepted,
+  getFilesFromDataTransfer,
+  getFilesFromClipboard,
+  formatFileSize,
+  detectFileType,
+  checkFileContent,
+} from './files';
+
+const createFile = (name, type = 'text/plain') => new File(['content'], name, { type });
+
+// Fake FileSystemEntry tree as returned by webkitGetAsEntry
+const fileEntry = (file) => ({
+  isFile: true,
+  isDirectory: false,
+  file: (resolve) => resolve(file),
+});
+
+const directoryEntry = (children, batchSize = 2) => ({
+  isFile: false,
+  isDirectory: true,
+  createReader: () => {
+    let position = 0;
+    return {
+      readEntries: (resolve) => {
+        const batch = children.slice(position, position + batchSize);
+        position += batch.length;
+        resolve(batch);
+      },
+    };
+  },
+});
+
+const dragItem = (type, entry) => ({
+  kind: 'file',
+  type,
+  webkitGetAsEntry: entry ? () => entry : undefined,
+});
+
+describe('file utilities', () => {
+  describe('isFileTypeAccepted', () => {
+    it('accepts everything without an accept string', () => {
+      expect(isFileTypeAccepted(createFile('notes.txt'), '')).toBe(true);
+    });
+
+    it('matches MIME types, MIME wildcards and extensions', () => {
+      expect(isFileTypeAccepted(createFile('photo.jpg', 'image/jpeg'), 'image/*')).toBe(true);
+      expect(isFileTypeAccepted(createFile('doc.pdf', 'application/pdf'), 'application/pdf')).toBe(true);
+      expect(isFileTypeAccepted(createFile('REPORT.PDF', ''), '.pdf')).toBe(true);
+      expect(isFileTypeAccepted(createFile('notes.txt'), 'image/*, .pdf')).toBe(false);
+    });
+  });
+
+  describe('isDragAccepted', () => {
+    it('rejects dragged files with a MIME type outside accept', () => {
+      const dataTransfer = { items: [dragItem('image/png'), dragItem('application/zip')] };
+
+      expect(isDragAccepted(dataTransfer, 'image/*')).toBe(false);
+      expect(isDragAccepted({ items: [dragItem('image/png')] }, 'image/*')).toBe(true);
+    });
+
+    it('lets drags through when only names could decide', () => {
+      expect(isDragAccepted({ items: [dragItem('application/zip')] }, '.pdf')).toBe(true);
+      expect(isDragAccepted({ items: [dragItem('')] }, 'image/*')).toBe(true);
+    });
+  });
+
+  describe('getFilesFromDataTransfer', () => {
+    it('returns the dropped files when entries are not available', async () => {
+      const files = [createFile('a.txt'), createFile('b.txt')];
+
+      await expect(getFilesFromDataTransfer({ items: [], files })).resolves.toEqual(files);
+    });
+
+    it('flattens the files of dropped folders', async () => {
+      const top = createFile('top.txt');
+      const first = createFile('first.txt');
+      const second = createFile('second.txt');
+      const third = createFile('third.txt');
+      const nested = createFile('nested.txt');
+      const folder = directoryEntry([
+        fileEntry(first),
+        fileEntry(second),
+        fileEntry(third),
+        directoryEntry([fileEntry(nested)]),
+      ]);
+
+      const files = await getFilesFromDataTransfer({
+        items: [dragItem('text/plain', fileEntry(top)), dragItem('', folder)],
+        files: [],
+      });
+
+      expect(files).toEqual([top, first, second, third, nested]);
+    });
+  });
+
+  describe('getFilesFromClipboard', () => {
+    it('returns pasted files and ignores text', () => {
+      const image = createFile('image.png', 'image/png');
+      const clipboardData = {
+        items: [
+          { kind: 'string', type: 'text/plain', getAsFile: () => null },
+          { kind: 'file', type: 'image/png', getAsFile: () => image },
+        ],
+      };
+
+      expect(getFilesFromClipboard(clipboardData)).toEqual([image]);
+      expect(getFilesFromClipboard({ items: [{ kind: 'string', type: 'text/plain' }], files: [] })).toEqual([]);
+    });
+  });
+
+  describe('formatFileSize', () => {
+    it('formats bytes with the largest fitting unit', () => {
+      expect(formatFileSize(0)).toBe('0 Bytes');
+      expect(formatFileSize(1536)).toBe('1.5 KB');
+      expect(formatFileSize(5 * 1024 * 1024)).toBe('5 MB');
+    });
+
+    it('formats the number for the locale', () => {
+      expect(formatFileSize(2.5 * 1024 * 1024, 'de')).toBe('2,5 MB');
+      expect(formatFileSize(2.5 * 1024 * 1024, 'ar-EG')).toBe('٢٫٥ MB');
+    });
+  });
+
+  describe('detectFileType', () => {
+    const bytesFile = (bytes, name = 'file') => new File([new Uint8Array(bytes)], name);
+    const textFile = (text, name = 'file') => new File([text], name);
+
+    it('recognises common formats by their first bytes', async () => {
+      const labelOf = async (file) => (await detectFileType(file))?.label;
+
+      await expect(labelOf(bytesFile([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).resolves.toBe('PNG image');
+      await expect(labelOf(bytesFile([0xff, 0xd8, 0xff, 0xe0]))).resolves.toBe('JPEG image');
+      await expect(labelOf(textFile('GIF89a'))).resolves.toBe('GIF image');
+      await expect(labelOf(textFile('%PDF-1.7'))).resolves.toBe('PDF document');
+      await expect(labelOf(bytesFile([0x50, 0x4b, 0x03, 0x04]))).resolves.toBe('ZIP archive');
+      await expect(labelOf(bytesFile([0x00, 0x00, 0x00, 0x18, 0x66, 0x74, 0x79, 0x70]))).resolves.toBe('MP4 video');
+      await expect(detectFileType(textFile('name,email'))).resolves.toBe(null);
+    });
+
+    it('tells HEIF and AVIF images apart from MP4 by the ftyp brand', async () => {
+      const labelOf = async (file) => (await detectFileType(file))?.label;
+
+      await expect(labelOf(textFile('\0\0\0\x18ftypheic'))).resolves.toBe('HEIF image');
+      await expect(labelOf(textFile('\0\0\0\x18ftypmif1'))).resolves.toBe('HEIF image');
+      await expect(labelOf(textFile('\0\0\0\x1cftypavif'))).resolves.toBe('AVIF image');
+      await expect(labelOf(textFile('\0\0\0\x18ftypisom'))).resolves.toBe('MP4 video');
+    });
+  });
+
+  describe('checkFileContent', () => {
+    const zipHeader = new Uint8Array([0x50, 0x4b, 0x03, 0x04]);
+
+    it('accepts Office documents as ZIP containers', async () => {
+      const docx = new File([zipHeader], 'report.docx', { type: '' });
+
+      await expect(checkFileContent(docx, '.docx')).resolves.toMatchObject({ accepted: true, nameMatches: true });
+      await expect(checkFileContent(docx, 'image/*')).resolves.toMatchObject({ accepted: false, nameMatches: true });
+    });
+
+    it('flags extensions that disagree with the content', async () => {
+      const renamed = new File(['%PDF-1.7'], 'photo.jpg', { type: 'image/jpeg' });
+
+      const result = await checkFileContent(renamed, 'image/*,application/pdf');
+
+      expect(result.detected.label).toBe('PDF document');
+      expect(result.claimed.label).toBe('JPEG image');
+      expect(result.nameMatches).toBe(false);
+    });
+
+    it('accepts iPhone photos as images', async () => {
+      const photo = new File(['\0\0\0\x18ftypheic'], 'IMG_0001.heic', { type: 'image/heic' });
+      const avif = new File(['\0\0\0\x1cftypavif'], 'cover.avif', { type: 'image/avif' });
+
+      await expect(checkFileContent(photo, 'image/*')).resolves.toMatchObject({ accepted: true, nameMatches: true });
+      await expect(checkFileContent(avif, 'image/*')).resolves.toMatchObject({ accepted: true, nameMatches: true });
+    });
+
+    it('treats container formats with unlisted extensions as undetected', async () => {
+      const jar = new File([zipHeader], 'app.jar', { type: 'application/java-archive' });
+      const epub = new File([zipHeader], 'book.epub', { type: 'application/epub+zip' });
+
+      await expect(checkFileContent(jar, '.jar')).resolves.toMatchObject({ detected: null, accepted: true, nameMatches: true });
+      await expect(checkFileContent(epub, '.epub')).resolves.toMatchObject({ detected: null, accepted: true, nameMatches: true });
+      await expect(checkFileContent(epub, 'image/*')).resolves.toMatchObject({ accepted: false });
+    });
+
+    it('still flags a container renamed to a detectable format', async () => {
+      const renamed = new File([zipHeader], 'photo.png', { type: 'image/png' });
+
+      await expect(checkFileContent(renamed, 'image/*')).resolves.toMatchObject({ nameMatches: false });
+    });
+
+    it('falls back to the declared type for formats it cannot detect', async () => {
+      const csv = new File(['name,email'], 'contacts.csv', { type: 'text/csv' });
+
+      await expect(checkFileContent(csv, '.csv')).resolves.toMatchObject({ detected: null, accepted: true, nameMatches: true });
+      await expect(checkFileContent(csv, '.pdf')).resolves.toMatchObject({ accepted: false });
+    });
+  });
+});
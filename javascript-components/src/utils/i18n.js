@@ -0,0 +1,265 @@
+/**
+ * Internationalization utilities for the built-in messages of the form components
+ *
+ * Messages are looked up by key in the catalog of the configured locale, falling back
+ * to the language without its region ('es-MX' -> 'es') and then to English. They use
+ * ICU-style syntax: `{name}` interpolation, `{count, plural, one {...} other {...}}`
+ * (with `#` for the count), `{value, select, ...}`, `{value, number}` and `{value, date}`
+ * (optionally `{value, date, long}`). Numbers and dates are formatted for the locale.
+ */
+
+import { locales } from '../locales/index.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const catalogs = { ...locales };
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+const findClosingBrace = (text, start) => {
+  let depth = 0;
+  for (let index = start; index < text.length; index += 1) {
+    if (text[index] === '{') depth += 1;
+    if (text[index] === '}') {
+      depth -= 1;
+      if (depth === 0) return index;
+    }
+  }
+  return -1;
+};
+
+// "one {# file} other {# files}" -> { one: '# file', other: '# files' }
+const parseOptions = (text) => {
+  const options = {};
+  let index = 0;
+  while (index < text.length) {
+    const open = text.indexOf('{', index);
+    const close = open === -1 ? -1 : findClosingBrace(text, open);
+    if (close === -1) break;
+
+    options[text.slice(index, open).trim()] = text.slice(open + 1, close);
+    index = close + 1;
+  }
+  return options;
+};
+
+// `count` is the value of the enclosing plural, printed for `#`
+const formatPattern = (pattern, values, locale, count) => {
+  let result = '';
+  let index = 0;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    const close = char === '{' ? findClosingBrace(pattern, index) : -1;
+
+    if (close !== -1) {
+      result += formatArgument(pattern.slice(index + 1, close), values, locale, count);
+      index = close + 1;
+    } else if (char === '#' && count !== undefined) {
+      result += formatNumber(count, locale);
+      index += 1;
+    } else {
+      result += char;
+      index += 1;
+    }
+  }
+
+  return result;
+};
+
+const formatArgument = (argument, values, locale, count) => {
+  const [name, type = '', ...rest] = argument.split(',');
+  const key = name.trim();
+  const value = values[key];
+
+  switch (type.trim()) {
+    case 'plural': {
+      const options = parseOptions(rest.join(','));
+      const number = Number(value);
+      const option = options[`=${number}`]
+        ?? options[new Intl.PluralRules(locale).select(number)]
+        ?? options.other
+        ?? '';
+      return formatPattern(option, values, locale, number);
+    }
+    case 'select': {
+      const options = parseOptions(rest.join(','));
+      return formatPattern(options[String(value)] ?? options.other ?? '', values, locale, count);
+    }
+    case 'number':
+      return value === undefined ? '' : formatNumber(value, locale);
+    case 'date': {
+      const style = rest.join(',').trim();
+      return value === undefined ? '' : formatDate(value, locale, style ? { dateStyle: style } : {});
+    }
+    default:
+      return value === undefined ? `{${key}}` : String(value);
+  }
+};
+
+/**
+ * Formats a number for a locale, e.g. 2.5 as '2.5' in English and '2,5' in German.
+ *
+ * @param {number} value - Number to format
+ * @param {string} locale - Locale (default: 'en')
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string} The formatted number
+ */
+export const formatNumber = (value, locale = DEFAULT_LOCALE, options = {}) => (
+  new Intl.NumberFormat(locale, options).format(value)
+);
+
+/**
+ * Formats a date (or date string) for a locale, e.g. '1/15/2030' in English and
+ * '15.1.2030' in German.
+ *
+ * @param {Date|string|number} value - Date to format
+ * @param {string} locale - Locale (default: 'en')
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} The formatted date
+ */
+export const formatDate = (value, locale = DEFAULT_LOCALE, options = {}) => (
+  new Intl.DateTimeFormat(locale, options).format(value instanceof Date ? value : new Date(value))
+);
+
+/**
+ * Returns the text direction of a locale: 'rtl' for Arabic, Hebrew, Persian, Urdu and
+ * other right-to-left scripts, 'ltr' otherwise.
+ *
+ * @param {string} locale - Locale such as 'ar-EG'
+ * @returns {'ltr'|'rtl'} The text direction
+ */
+export const getLocaleDirection = (locale = DEFAULT_LOCALE) => (
+  RTL_LANGUAGES.includes(locale.split('-')[0].toLowerCase()) ? 'rtl' : 'ltr'
+);
+
+/**
+ * Formats an ICU-style message.
+ *
+ * @param {string} message - Message pattern
+ * @param {Object} values - Values for the placeholders
+ * @param {string} locale - Locale for plural rules and numbers (default: 'en')
+ * @returns {string} The formatted message
+ *
+ * @example
+ * formatMessage('{count, plural, one {# file} other {# files}} selected', { count: 3 });
+ * // '3 files selected'
+ */
+export const formatMessage = (message, values = {}, locale = DEFAULT_LOCALE) => (
+  formatPattern(message, values, locale, undefined)
+);
+
+// Without a locale, messages are in English and components keep the page's direction
+const defaultI18nConfig = {
+  messages: {},
+};
+
+let globalI18nConfig = defaultI18nConfig;
+
+// Set by withI18nConfig while validators built for a locale are running
+let scopedI18nConfig = null;
+
+/**
+ * Sets the locale and message overrides used outside a FormComponentsProvider (and as
+ * the base for components inside one). Validators use it unless they were built with an
+ * i18n configuration (SchemaForm passes the provider's).
+ *
+ * @param {Object} config - I18n configuration
+ * @param {string} config.locale - Locale such as 'es' or 'de-AT'
+ * @param {string} config.dir - Text direction, 'ltr' or 'rtl' (default: from the locale)
+ * @param {Object} config.messages - Messages by key, replacing the bundled ones
+ * @returns {Object} The resulting configuration
+ *
+ * @example
+ * configureI18n({ locale: 'fr', messages: { 'validation.required': 'Champ obligatoire' } });
+ */
+export const configureI18n = (config = {}) => {
+  globalI18nConfig = {
+    ...globalI18nConfig,
+    ...config,
+    messages: {
+      ...globalI18nConfig.messages,
+      ...config.messages,
+    },
+  };
+  return globalI18nConfig;
+};
+
+/**
+ * Restores the default (English) configuration.
+ */
+export const resetI18nConfig = () => {
+  globalI18nConfig = defaultI18nConfig;
+};
+
+/**
+ * Returns the i18n configuration in effect: the one passed to withI18nConfig while its
+ * callback runs, the global one otherwise.
+ */
+export const getI18nConfig = () => scopedI18nConfig || globalI18nConfig;
+
+/**
+ * Runs a callback with a locale and messages layered over the global configuration, so
+ * `translate` calls without a config inside it (such as the built-in validation messages)
+ * use them. Without a config the callback runs as it is.
+ *
+ * @param {Object} config - `{ locale, messages }`, e.g. from `useTranslation().i18nConfig`
+ * @param {Function} callback - Synchronous function to run
+ * @returns {*} The callback's return value
+ *
+ * @example
+ * withI18nConfig({ locale: 'de' }, () => validateRequired('')); // 'Dieses Feld ist erforderlich'
+ */
+export const withI18nConfig = (config, callback) => {
+  if (!config) return callback();
+
+  const previous = scopedI18nConfig;
+  scopedI18nConfig = {
+    ...globalI18nConfig,
+    ...config,
+    messages: { ...globalI18nConfig.messages, ...config.messages },
+  };
+  try {
+    return callback();
+  } finally {
+    scopedI18nConfig = previous;
+  }
+};
+
+/**
+ * Adds a message catalog for a locale, or extends an existing one.
+ *
+ * @param {string} locale - Locale such as 'it' or 'pt-BR'
+ * @param {Object} messages - Messages by key; missing keys fall back to English
+ */
+export const registerLocale = (locale, messages) => {
+  catalogs[locale] = { ...catalogs[locale], ...messages };
+};
+
+const findMessage = (key, locale, messages = {}) => {
+  if (messages[key] !== undefined) return messages[key];
+
+  const language = locale.split('-')[0];
+  return catalogs[locale]?.[key] ?? catalogs[language]?.[key] ?? catalogs[DEFAULT_LOCALE][key];
+};
+
+/**
+ * Returns the message for a key in the configured locale, formatted with the values.
+ * Unknown keys are returned as they are.
+ *
+ * @param {string} key - Message key, e.g. 'validation.required'
+ * @param {Object} values - Values for the placeholders
+ * @param {Object} config - `{ locale, messages }` to use instead of the one in effect
+ * @returns {string} The translated message
+ *
+ * @example
+ * translate('validation.minLength', { min: 3 }); // 'Must be at least 3 characters long'
+ */
+export const translate = (key, values = {}, config = getI18nConfig()) => {
+  const locale = config.locale || DEFAULT_LOCALE;
+  const message = findMessage(key, locale, config.messages);
+
+  if (message === undefined) return key;
+  return typeof message === 'function' ? message(values, locale) : formatMessage(message, values, locale);
+};
@@ -0,0 +1,157 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  formatMessage,
+  formatNumber,
+  formatDate,
+  getLocaleDirection,
+  translate,
+  configureI18n,
+  resetI18nConfig,
+  registerLocale,
+  withI18nConfig,
+} from './i18n';
+import { createValidator, createFormValidator, validateRequired, validateMinLength, validateOneOfRequired, validateMinDate, validateFileSize } from './validation';
+import { VALIDATION_MESSAGES } from '../config';
+import { locales } from '../locales';
+
+describe('i18n utilities', () => {
+  afterEach(() => {
+    resetI18nConfig();
+  });
+
+  describe('formatMessage', () => {
+    it('interpolates values and leaves unknown placeholders', () => {
+      expect(formatMessage('Hello {name}', { name: 'Ana' })).toBe('Hello Ana');
+      expect(formatMessage('Hello {name}')).toBe('Hello {name}');
+    });
+
+    it('selects plural forms with exact matches and locale rules', () => {
+      const message = '{count, plural, =0 {No files} one {# file} other {# files}}';
+
+      expect(formatMessage(message, { count: 0 })).toBe('No files');
+      expect(formatMessage(message, { count: 1 })).toBe('1 file');
+      expect(formatMessage(message, { count: 1200 })).toBe('1,200 files');
+      expect(formatMessage(message, { count: 1200 }, 'de')).toBe('1.200 files');
+    });
+
+    it('supports select and nested arguments', () => {
+      const message = '{role, select, admin {{name} manages {count, plural, one {# team} other {# teams}}} other {{name}}}';
+
+      expect(formatMessage(message, { role: 'admin', name: 'Ana', count: 2 })).toBe('Ana manages 2 teams');
+      expect(formatMessage(message, { role: 'member', name: 'Ana' })).toBe('Ana');
+    });
+  });
+
+  describe('locale formatting', () => {
+    it('formats numbers and dates for the locale', () => {
+      const date = new Date(2030, 0, 15);
+
+      expect(formatNumber(1234.5, 'de')).toBe('1.234,5');
+      expect(formatNumber(1234.5, 'ar-EG')).toBe('١٬٢٣٤٫٥');
+      expect(formatDate(date, 'de')).toBe('15.1.2030');
+      expect(formatDate(date, 'ar-EG')).toBe(new Intl.DateTimeFormat('ar-EG').format(date));
+      expect(formatMessage('Ab {date, date, long}', { date }, 'de')).toBe('Ab 15. Januar 2030');
+    });
+
+    it('bundles every message in every locale', () => {
+      const keys = Object.keys(locales.en).sort();
+
+      Object.entries(locales).forEach(([locale, messages]) => {
+        expect(Object.keys(messages).sort(), locale).toEqual(keys);
+      });
+    });
+
+    it('knows which locales are written right to left', () => {
+      expect(getLocaleDirection('ar')).toBe('rtl');
+      expect(getLocaleDirection('he-IL')).toBe('rtl');
+      expect(getLocaleDirection('de')).toBe('ltr');
+      expect(getLocaleDirection('en-US')).toBe('ltr');
+    });
+  });
+
+  describe('translate', () => {
+    it('uses the bundled catalogs and falls back to English', () => {
+      expect(translate('validation.required', {}, { locale: 'es' })).toBe('Este campo es obligatorio');
+      expect(translate('select.minSearchLength', { count: 1 }, { locale: 'fr-CA' })).toBe('Tapez au moins 1 caractère pour rechercher');
+      expect(translate('yesNo.yes', {}, { locale: 'it' })).toBe('Yes');
+      expect(translate('unknown.key')).toBe('unknown.key');
+    });
+
+    it('prefers message overrides and registered locales', () => {
+      registerLocale('it', { 'yesNo.yes': 'Sì' });
+
+      expect(translate('yesNo.yes', {}, { locale: 'it' })).toBe('Sì');
+      expect(translate('yesNo.no', {}, { locale: 'it' })).toBe('No');
+      expect(translate('yesNo.yes', {}, { locale: 'it', messages: { 'yesNo.yes': 'Certo' } })).toBe('Certo');
+      expect(translate('validation.minValue', { min: 5 }, {
+        locale: 'en',
+        messages: { 'validation.minValue': ({ min }) => `At least ${min}, please` },
+      })).toBe('At least 5, please');
+    });
+  });
+
+  describe('configureI18n', () => {
+    it('translates validation messages', () => {
+      configureI18n({ locale: 'de' });
+
+      expect(validateRequired('')).toBe('Dieses Feld ist erforderlich');
+      expect(validateMinLength(3)('ab')).toBe('Muss mindestens 3 Zeichen lang sein');
+      expect(validateOneOfRequired(['phone', 'fax'])('', {})).toBe('Fülle dieses Feld oder Phone oder Fax aus');
+      expect(VALIDATION_MESSAGES.required).toBe('Dieses Feld ist erforderlich');
+      expect(validateRequired('', 'Custom')).toBe('Custom');
+      expect(validateMinDate(new Date(2030, 0, 15))(new Date(2029, 0, 1))).toBe('Das Datum muss nach dem 15.1.2030 liegen');
+      expect(validateFileSize(2.5 * 1024 * 1024)({ size: 3 * 1024 * 1024 })).toBe('Die Datei muss kleiner als 2,5 MB sein');
+    });
+
+    it('formats Arabic dates in validation messages', () => {
+      const minDate = new Date(2030, 0, 15);
+      configureI18n({ locale: 'ar-EG' });
+
+      expect(validateMinDate(minDate)(new Date(2029, 0, 1))).toBe(
+        `Date must be after ${new Intl.DateTimeFormat('ar-EG').format(minDate)}`
+      );
+    });
+
+    it('merges message overrides with earlier ones', () => {
+      configureI18n({ messages: { 'validation.required': 'Required!' } });
+      configureI18n({ messages: { 'validation.email': 'Bad email!' } });
+
+      expect(validateRequired('')).toBe('Required!');
+      expect(VALIDATION_MESSAGES.email).toBe('Bad email!');
+      expect(VALIDATION_MESSAGES.minLength(1)).toBe('Must be at least 1 character long');
+    });
+  });
+
+  describe('withI18nConfig', () => {
+    it('translates with the given config while the callback runs', () => {
+      configureI18n({ messages: { 'validation.email': 'Bad email!' } });
+
+      expect(withI18nConfig({ locale: 'de' }, () => validateRequired(''))).toBe('Dieses Feld ist erforderlich');
+      expect(withI18nConfig({ locale: 'de' }, () => translate('validation.email'))).toBe('Bad email!');
+      expect(validateRequired('')).toBe('This field is required');
+    });
+
+    it('restores the previous config when the callback throws', () => {
+      expect(() => withI18nConfig({ locale: 'de' }, () => {
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      expect(validateRequired('')).toBe('This field is required');
+    });
+
+    it('lets validators follow a locale other than the global one', async () => {
+      const validate = createValidator([{ type: 'required' }], { i18n: { locale: 'fr' } });
+      const validateForm = createFormValidator({
+        name: [{ type: 'required' }],
+        username: [{ type: 'async', validator: async () => false, debounce: 0 }],
+      }, { i18n: { locale: 'de' } });
+
+      expect(validate('')).toBe('Ce champ est obligatoire.');
+      expect(await validateForm({ name: '', username: 'ana' })).toEqual({
+        name: 'Dieses Feld ist erforderlich.',
+        username: 'Ungültiger Wert.',
+      });
+      expect(createValidator([{ type: 'required' }])('')).toBe('This field is required.');
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Image helpers for upload components: previews, client-side resizing and cropping
+ *
+ * Resizing and cropping draw the image onto a canvas and re-encode it, so large
+ * phone photos can be downscaled before they are added to a form.
+ */
+
+// Formats a canvas can encode; anything else (GIF, SVG, HEIC, ...) is left untouched
+const ENCODABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+/**
+ * Whether a file is an image (by MIME type).
+ */
+export const isImageFile = (file) => Boolean(file && file.type && file.type.startsWith('image/'));
+
+/**
+ * Whether a file is a PDF document.
+ */
+export const isPdfFile = (file) => Boolean(file && (
+  file.type === 'application/pdf' || (file.name || '').toLowerCase().endsWith('.pdf')
+));
+
+/**
+ * Whether a file is an image the browser can resize and re-encode.
+ */
+export const isResizableImage = (file) => Boolean(file && ENCODABLE_TYPES.includes(file.type));
+
+/**
+ * Scales dimensions down to fit within the maximums, keeping the aspect ratio.
+ * Images are never scaled up.
+ *
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Object} options - Limits
+ * @param {number} options.maxWidth - Maximum width in pixels
+ * @param {number} options.maxHeight - Maximum height in pixels
+ * @returns {{ width: number, height: number }} Target dimensions
+ */
+export const computeResizeDimensions = (width, height, { maxWidth, maxHeight } = {}) => {
+  const scale = Math.min(
+    1,
+    maxWidth ? maxWidth / width : 1,
+    maxHeight ? maxHeight / height : 1
+  );
+
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
+
+/**
+ * Returns the largest crop area with the given aspect ratio, centered in the image.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} aspectRatio - Width divided by height (e.g. 1 for square, 16 / 9)
+ * @param {number} scale - Fraction of the largest area to use (default: 1)
+ * @returns {{ x: number, y: number, width: number, height: number }} Crop area in image pixels
+ */
+export const getCenteredCropArea = (width, height, aspectRatio, scale = 1) => {
+  let cropWidth = width;
+  let cropHeight = width / aspectRatio;
+  if (cropHeight > height) {
+    cropHeight = height;
+    cropWidth = height * aspectRatio;
+  }
+
+  cropWidth *= scale;
+  cropHeight *= scale;
+
+  return {
+    x: (width - cropWidth) / 2,
+    y: (height - cropHeight) / 2,
+    width: cropWidth,
+    height: cropHeight,
+  };
+};
+
+const renameForType = (fileName, type) => {
+  const extension = EXTENSIONS[type];
+  if (!extension) return fileName;
+
+  const baseName = fileName.includes('.') ? fileName.slice(0, fileName.lastIndexOf('.')) : fileName;
+  return `${baseName}.${extension}`;
+};
+
+/**
+ * Decodes an image file into something `drawImage` accepts.
+ *
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image with width and height
+ */
+export const loadImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file);
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    return await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Could not load image "${file.name}"`));
+      image.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Draw a region of the image onto a canvas of the target size and encode it as a new File
+const renderImage = async (file, image, source, target, { format, quality = 0.85 } = {}) => {
+  const type = ENCODABLE_TYPES.includes(format) ? format : (isResizableImage(file) ? file.type : 'image/png');
+
+  const canvas = document.createElement('canvas');
+  canvas.width = target.width;
+  canvas.height = target.height;
+
+  const context = canvas.getContext('2d');
+  if (!context) {
+    throw new Error('Canvas is not supported in this browser');
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, source.x, source.y, source.width, source.height, 0, 0, target.width, target.height);
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error(`Could not encode image "${file.name}"`))),
+      type,
+      quality
+    );
+  });
+
+  return new File([blob], renameForType(file.name, type), {
+    type,
+    lastModified: file.lastModified,
+  });
+};
+
+const releaseImage = (image) => {
+  if (image && typeof image.close === 'function') {
+    image.close();
+  }
+};
+
+/**
+ * Downscales and/or re-encodes an image. Files that are not encodable images, or
+ * that already fit and need no format change, are returned unchanged.
+ *
+ * @param {File} file - Image file
+ * @param {Object} options - Resize options
+ * @param {number} options.maxWidth - Maximum width in pixels
+ * @param {number} options.maxHeight - Maximum height in pixels
+ * @param {number} options.quality - Encoder quality between 0 and 1 for JPEG/WebP (default: 0.85)
+ * @param {string} options.format - Output MIME type: 'image/jpeg', 'image/png' or 'image/webp'
+ *   (default: the file's own type)
+ * @returns {Promise<File>} The resized file
+ *
+ * @example
+ * const photo = await resizeImage(file, { maxWidth: 1600, maxHeight: 1600, format: 'image/webp' });
+ */
+export const resizeImage = async (file, options = {}) => {
+  if (!isResizableImage(file)) return file;
+
+  const image = await loadImage(file);
+  try {
+    const target = computeResizeDimensions(image.width, image.height, options);
+    const changesFormat = options.format && options.format !== file.type;
+    if (target.width === image.width && target.height === image.height && !changesFormat) {
+      return file;
+    }
+
+    return await renderImage(file, image, { x: 0, y: 0, width: image.width, height: image.height }, target, options);
+  } finally {
+    releaseImage(image);
+  }
+};
+
+/**
+ * Crops an image to an area, then applies the resize options to the result.
+ *
+ * @param {File} file - Image file
+ * @param {Object} area - `{ x, y, width, height }` in image pixels
+ * @param {Object} options - Same options as `resizeImage`
+ * @returns {Promise<File>} The cropped file
+ */
+export const cropImage = async (file, area, options = {}) => {
+  const image = await loadImage(file);
+  try {
+    const target = computeResizeDimensions(area.width, area.height, options);
+    return await renderImage(file, image, area, target, options);
+  } finally {
+    releaseImage(image);
+  }
+};
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  isImageFile,
+  isPdfFile,
+  isResizableImage,
+  computeResizeDimensions,
+  getCenteredCropArea,
+  resizeImage,
+  cropImage,
+} from './images';
+
+describe('image utilities', () => {
+  describe('file type helpers', () => {
+    it('recognises images, PDFs and encodable images', () => {
+      const photo = new File([''], 'photo.jpg', { type: 'image/jpeg' });
+      const animation = new File([''], 'cat.gif', { type: 'image/gif' });
+      const document = new File([''], 'scan.PDF', { type: '' });
+
+      expect(isImageFile(photo)).toBe(true);
+      expect(isImageFile(document)).toBe(false);
+      expect(isPdfFile(document)).toBe(true);
+      expect(isResizableImage(photo)).toBe(true);
+      expect(isResizableImage(animation)).toBe(false);
+    });
+  });
+
+  describe('computeResizeDimensions', () => {
+    it('fits within the limits keeping the aspect ratio', () => {
+      expect(computeResizeDimensions(4000, 3000, { maxWidth: 1600, maxHeight: 1600 })).toEqual({ width: 1600, height: 1200 });
+      expect(computeResizeDimensions(3000, 4000, { maxWidth: 1600, maxHeight: 1600 })).toEqual({ width: 1200, height: 1600 });
+      expect(computeResizeDimensions(4000, 3000, { maxHeight: 300 })).toEqual({ width: 400, height: 300 });
+    });
+
+    it('never scales up', () => {
+      expect(computeResizeDimensions(800, 600, { maxWidth: 1600 })).toEqual({ width: 800, height: 600 });
+      expect(computeResizeDimensions(800, 600)).toEqual({ width: 800, height: 600 });
+    });
+  });
+
+  describe('getCenteredCropArea', () => {
+    it('returns the largest centered area with the aspect ratio', () => {
+      expect(getCenteredCropArea(4000, 3000, 1)).toEqual({ x: 500, y: 0, width: 3000, height: 3000 });
+      expect(getCenteredCropArea(1000, 1000, 2)).toEqual({ x: 0, y: 250, width: 1000, height: 500 });
+    });
+
+    it('scales the area around the center', () => {
+      expect(getCenteredCropArea(1000, 1000, 1, 0.5)).toEqual({ x: 250, y: 250, width: 500, height: 500 });
+    });
+  });
+
+  describe('resizeImage and cropImage', () => {
+    const originalCreateImageBitmap = globalThis.createImageBitmap;
+    let context;
+    let getContextSpy;
+    let toBlobSpy;
+
+    beforeEach(() => {
+      globalThis.createImageBitmap = vi.fn(async () => ({ width: 4000, height: 3000, close: vi.fn() }));
+      context = { drawImage: vi.fn() };
+      getContextSpy = vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+      toBlobSpy = vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(function toBlob(callback, type) {
+        callback(new Blob(['encoded'], { type }));
+      });
+    });
+
+    afterEach(() => {
+      globalThis.createImageBitmap = originalCreateImageBitmap;
+      getContextSpy.mockRestore();
+      toBlobSpy.mockRestore();
+    });
+
+    it('downscales large photos', async () => {
+      const photo = new File(['raw'], 'IMG_0001.jpg', { type: 'image/jpeg', lastModified: 42 });
+
+      const resized = await resizeImage(photo, { maxWidth: 1600, maxHeight: 1600, quality: 0.7 });
+
+      expect(resized).not.toBe(photo);
+      expect(resized.name).toBe('IMG_0001.jpg');
+      expect(resized.type).toBe('image/jpeg');
+      expect(resized.lastModified).toBe(42);
+      expect(context.drawImage).toHaveBeenCalledWith(expect.any(Object), 0, 0, 4000, 3000, 0, 0, 1600, 1200);
+      expect(toBlobSpy).toHaveBeenCalledWith(expect.any(Function), 'image/jpeg', 0.7);
+    });
+
+    it('re-encodes to another format and renames the file', async () => {
+      const photo = new File(['raw'], 'scan.png', { type: 'image/png' });
+
+      const converted = await resizeImage(photo, { format: 'image/webp' });
+
+      expect(converted.name).toBe('scan.webp');
+      expect(converted.type).toBe('image/webp');
+    });
+
+    it('returns the file unchanged when nothing needs to change', async () => {
+      const photo = new File(['raw'], 'photo.jpg', { type: 'image/jpeg' });
+      const animation = new File(['raw'], 'cat.gif', { type: 'image/gif' });
+
+      await expect(resizeImage(photo, { maxWidth: 5000 })).resolves.toBe(photo);
+      await expect(resizeImage(animation, { maxWidth: 100 })).resolves.toBe(animation);
+      expect(context.drawImage).not.toHaveBeenCalled();
+    });
+
+    it('crops to the area and applies the resize limits', async () => {
+      const photo = new File(['raw'], 'avatar.jpg', { type: 'image/jpeg' });
+
+      const cropped = await cropImage(photo, { x: 500, y: 0, width: 3000, height: 3000 }, { maxWidth: 512 });
+
+      expect(cropped.type).toBe('image/jpeg');
+      expect(context.drawImage).toHaveBeenCalledWith(expect.any(Object), 500, 0, 3000, 3000, 0, 0, 512, 512);
+    });
+  });
+});
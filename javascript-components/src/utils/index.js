@@ -1,3 +1,13 @@
 // Utilities exports
 export * from './validation';
-export * from './api';
\ No newline at end of file
+export * from './api';
+export * from './cache';
+export * from './requestCache';
+export * from './chunkedUpload';
+export * from './files';
+export * from './images';
+export * from './schemaAdapters';
+export * from './i18n';
+export * from './numbers';
+export * from './masks';
+export * from './phone';
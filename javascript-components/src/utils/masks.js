@@ -0,0 +1,308 @@
+/**
+ * Input masks and checks for phone numbers, postal codes, payment cards and IBANs
+ *
+ * A mask is a string of tokens and literals: `9` is a digit, `a` a letter, `A` a letter
+ * turned upper case, `*` a letter or digit and `X` a letter or digit turned upper case.
+ * Every other character is a literal that is inserted while typing; a backslash makes a
+ * token character literal (`+4\\9 9999 9999999`). A mask can also be a function that
+ * receives the typed letters and digits and returns the mask to use, e.g. to switch
+ * card layouts by brand.
+ */
+
+const MASK_TOKENS = {
+  9: { pattern: /\d/ },
+  a: { pattern: /\p{L}/u },
+  A: { pattern: /\p{L}/u, transform: char => char.toUpperCase() },
+  '*': { pattern: /[\p{L}\d]/u },
+  X: { pattern: /[\p{L}\d]/u, transform: char => char.toUpperCase() },
+};
+
+// '(99) 9' -> [{ literal: '(' }, token, token, { literal: ')' }, { literal: ' ' }, token]
+const parseMask = (mask) => {
+  const slots = [];
+  for (let index = 0; index < mask.length; index += 1) {
+    const char = mask[index];
+    if (char === '\\' && index + 1 < mask.length) {
+      index += 1;
+      slots.push({ literal: mask[index] });
+    } else {
+      slots.push(MASK_TOKENS[char] ?? { literal: char });
+    }
+  }
+  return slots;
+};
+
+const stripLiterals = (value) => value.replace(/[^\p{L}\d]/gu, '');
+
+const resolveSlots = (mask, input) => parseMask(typeof mask === 'function' ? mask(stripLiterals(input)) : mask);
+
+// Walk the input and the mask together. Characters matching the next literals are skipped,
+// characters the next token accepts are kept and anything else is dropped.
+const extractRaw = (input, slots, caret) => {
+  let raw = '';
+  let rawCaret;
+  let slotIndex = 0;
+
+  for (let index = 0; index < input.length && slotIndex < slots.length; index += 1) {
+    if (index === caret) rawCaret = raw.length;
+
+    const char = input[index];
+    let next = slotIndex;
+    while (next < slots.length && slots[next].literal !== undefined && slots[next].literal !== char) {
+      next += 1;
+    }
+
+    const slot = slots[next];
+    if (slot?.literal !== undefined) {
+      slotIndex = next + 1;
+    } else if (slot?.pattern.test(char)) {
+      raw += slot.transform ? slot.transform(char) : char;
+      slotIndex = next + 1;
+    }
+  }
+
+  return { raw, rawCaret: rawCaret ?? raw.length };
+};
+
+/**
+ * Applies a mask to typed or pasted text.
+ *
+ * @param {string} input - Text to mask, either raw ('5551234567') or already formatted
+ * @param {string|Function} mask - Mask, or `(letters and digits) => mask`
+ * @param {number} caret - Caret position in `input` (default: end of the input)
+ * @returns {Object} `{ value, raw, caret, complete }`: the formatted value, the letters and
+ *   digits the tokens accepted, the caret position in `value` after the same characters,
+ *   and whether every token is filled
+ *
+ * @example
+ * applyMask('5551234567', '(999) 999-9999');
+ * // { value: '(555) 123-4567', raw: '5551234567', caret: 14, complete: true }
+ */
+export const applyMask = (input, mask, caret) => {
+  const text = input === null || input === undefined ? '' : String(input);
+  const slots = resolveSlots(mask, text);
+  const { raw, rawCaret } = extractRaw(text, slots, caret ?? text.length);
+
+  let value = '';
+  let rawIndex = 0;
+  // Before the first character, the caret sits after the leading literals
+  let caretPosition = rawCaret === 0 && raw ? slots.findIndex(slot => slot.literal === undefined) : 0;
+
+  for (const slot of slots) {
+    if (rawIndex >= raw.length) break;
+    if (slot.literal !== undefined) {
+      value += slot.literal;
+    } else {
+      value += raw[rawIndex];
+      rawIndex += 1;
+      if (rawIndex === rawCaret) caretPosition = value.length;
+    }
+  }
+
+  return {
+    value,
+    raw,
+    caret: caretPosition,
+    complete: raw.length === slots.filter(slot => slot.literal === undefined).length,
+  };
+};
+
+/**
+ * Removes the literals of a mask from a formatted value.
+ *
+ * @param {string} value - Formatted value, e.g. '(555) 123-4567'
+ * @param {string|Function} mask - Mask
+ * @returns {string} The letters and digits, e.g. '5551234567'
+ */
+export const unmaskValue = (value, mask) => applyMask(value, mask).raw;
+
+// National formats without the country code
+export const PHONE_MASKS = {
+  US: '(999) 999-9999',
+  CA: '(999) 999-9999',
+  GB: '99999 999999',
+  IE: '999 999 9999',
+  FR: '99 99 99 99 99',
+  DE: '99999 9999999',
+  ES: '999 99 99 99',
+  IT: '999 999 9999',
+  NL: '99 99999999',
+  BE: '9999 99 99 99',
+  CH: '999 999 99 99',
+  AT: '9999 9999999',
+  PT: '999 999 999',
+  SE: '99-999 99 99',
+  PL: '999 999 999',
+  IN: '99999 99999',
+  AU: '9999 999 999',
+  NZ: '999 999 9999',
+  BR: '(99) 99999-9999',
+  MX: '99 9999 9999',
+  AR: '99 9999-9999',
+  JP: '999-9999-9999',
+  CN: '999 9999 9999',
+  KR: '999-9999-9999',
+  ZA: '999 999 9999',
+};
+
+export const POSTAL_CODE_MASKS = {
+  US: '99999-9999',
+  CA: 'A9A 9A9',
+  NL: '9999 AA',
+  DE: '99999',
+  FR: '99999',
+  ES: '99999',
+  IT: '99999',
+  AT: '9999',
+  BE: '9999',
+  CH: '9999',
+  PL: '99-999',
+  PT: '9999-999',
+  SE: '999 99',
+  IN: '999999',
+  AU: '9999',
+  BR: '99999-999',
+  MX: '99999',
+  JP: '999-9999',
+};
+
+// `pattern` matches the leading digits; `lengths` are the valid card number lengths
+export const CARD_BRANDS = [
+  { type: 'amex', label: 'American Express', pattern: /^3[47]/, lengths: [15], mask: '9999 999999 99999' },
+  { type: 'diners', label: 'Diners Club', pattern: /^3(0[0-5]|[689])/, lengths: [14], mask: '9999 999999 9999' },
+  { type: 'jcb', label: 'JCB', pattern: /^35(2[89]|[3-8])/, lengths: [16, 17, 18, 19] },
+  { type: 'visa', label: 'Visa', pattern: /^4/, lengths: [13, 16, 19] },
+  { type: 'mastercard', label: 'Mastercard', pattern: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)/, lengths: [16] },
+  { type: 'discover', label: 'Discover', pattern: /^(6011|64[4-9]|65)/, lengths: [16, 19] },
+  { type: 'unionpay', label: 'UnionPay', pattern: /^62/, lengths: [16, 17, 18, 19] },
+  { type: 'maestro', label: 'Maestro', pattern: /^(5018|5020|5038|6304|6759|676[1-3])/, lengths: [12, 13, 14, 15, 16, 17, 18, 19] },
+];
+
+const DEFAULT_CARD_MASK = '9999 9999 9999 9999 999';
+
+/**
+ * Detects the brand of a (partial) card number from its leading digits.
+ *
+ * @param {string} number - Card number, with or without spaces
+ * @returns {Object|null} `{ type, label, lengths, mask }` from CARD_BRANDS, or null
+ */
+export const detectCardBrand = (number) => {
+  const digits = String(number ?? '').replace(/\D/g, '');
+  return (digits && CARD_BRANDS.find(brand => brand.pattern.test(digits))) || null;
+};
+
+/**
+ * Checks a number with the Luhn (mod 10) algorithm used by payment cards.
+ *
+ * @param {string} number - Digits, spaces and dashes are ignored
+ * @returns {boolean}
+ */
+export const isValidLuhn = (number) => {
+  const digits = String(number ?? '').replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Checks a card number: Luhn checksum and a length valid for its brand (12 to 19
+ * digits for unknown brands).
+ *
+ * @param {string} number - Card number, with or without spaces
+ * @returns {boolean}
+ */
+export const isValidCardNumber = (number) => {
+  const digits = String(number ?? '').replace(/[\s-]/g, '');
+  const lengths = detectCardBrand(digits)?.lengths;
+  const validLength = lengths ? lengths.includes(digits.length) : digits.length >= 12 && digits.length <= 19;
+  return validLength && isValidLuhn(digits);
+};
+
+/**
+ * Card number mask for the brand of the typed digits, e.g. 4-6-5 groups for American Express.
+ *
+ * @param {string} number - Card number typed so far
+ * @returns {string} Mask
+ */
+export const getCardMask = (number) => detectCardBrand(number)?.mask ?? DEFAULT_CARD_MASK;
+
+export const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AT: 20, BE: 16, BG: 22, BH: 22, BR: 29, CH: 21, CY: 28, CZ: 24,
+  DE: 22, DK: 18, EE: 20, ES: 24, FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21,
+  HU: 28, IE: 22, IL: 23, IS: 26, IT: 27, KW: 30, KZ: 20, LB: 28, LI: 21, LT: 20,
+  LU: 20, LV: 21, MC: 27, MT: 31, NL: 18, NO: 15, PL: 28, PT: 25, QA: 29, RO: 24,
+  SA: 24, SE: 24, SI: 19, SK: 24, SM: 27, TR: 26, UA: 29,
+};
+
+const MAX_IBAN_LENGTH = 34;
+
+/**
+ * IBAN mask in groups of four, as long as the IBANs of the typed country.
+ *
+ * @param {string} iban - IBAN typed so far
+ * @returns {string} Mask, e.g. 'AA99 XXXX XXXX XXXX XXXX XX' for 'DE'
+ */
+export const getIbanMask = (iban) => {
+  const country = String(iban ?? '').slice(0, 2).toUpperCase();
+  const length = IBAN_LENGTHS[country] ?? MAX_IBAN_LENGTH;
+  const tokens = `AA99${'X'.repeat(length - 4)}`;
+  return tokens.match(/.{1,4}/g).join(' ');
+};
+
+/**
+ * Checks an IBAN: country format, the length for known countries and the mod-97 check digits.
+ *
+ * @param {string} iban - IBAN, with or without spaces
+ * @returns {boolean}
+ */
+export const isValidIban = (iban) => {
+  const value = String(iban ?? '').replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z\d]+$/.test(value)) return false;
+
+  const expectedLength = IBAN_LENGTHS[value.slice(0, 2)];
+  if (expectedLength ? value.length !== expectedLength : value.length < 15 || value.length > MAX_IBAN_LENGTH) {
+    return false;
+  }
+
+  // Country code and check digits move to the end, letters become 10-35
+  const rearranged = value.slice(4) + value.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = String(parseInt(char, 36));
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+/**
+ * Returns the mask of a preset.
+ *
+ * @param {string} preset - 'phone', 'postalCode', 'creditCard' or 'iban'
+ * @param {string} country - ISO 3166 country code for phone and postal code masks (default: 'US')
+ * @returns {string|Function|undefined} The mask, or undefined for unknown presets or countries
+ */
+export const getMaskPreset = (preset, country = 'US') => {
+  switch (preset) {
+    case 'phone':
+      return PHONE_MASKS[country];
+    case 'postalCode':
+      return POSTAL_CODE_MASKS[country];
+    case 'creditCard':
+      return getCardMask;
+    case 'iban':
+      return getIbanMask;
+    default:
+      return undefined;
+  }
+};
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyMask,
+  unmaskValue,
+  detectCardBrand,
+  isValidLuhn,
+  isValidCardNumber,
+  getCardMask,
+  getIbanMask,
+  isValidIban,
+  getMaskPreset,
+} from './masks';
+
+describe('mask utilities', () => {
+  describe('applyMask', () => {
+    it('inserts literals between typed characters', () => {
+      expect(applyMask('5551234567', '(999) 999-9999')).toEqual({
+        value: '(555) 123-4567',
+        raw: '5551234567',
+        caret: 14,
+        complete: true,
+      });
+      expect(applyMask('555', '(999) 999-9999')).toMatchObject({ value: '(555', complete: false });
+      expect(applyMask('', '(999) 999-9999').value).toBe('');
+    });
+
+    it('drops characters the tokens do not accept and upper-cases A and X', () => {
+      expect(applyMask('sw1a 1aa', 'AA9A 9AA').value).toBe('SW1A 1AA');
+      expect(applyMask('ab-12-cd', '99-99').value).toBe('12');
+      expect(applyMask('k1a0b1', 'A9A 9A9').value).toBe('K1A 0B1');
+    });
+
+    it('skips literals already in the input, including escaped tokens', () => {
+      expect(applyMask('+1 (555) 123-4567', '+1 (999) 999-9999').raw).toBe('5551234567');
+      expect(applyMask('15551234567', '+1 (999) 999-9999').value).toBe('+1 (555) 123-4567');
+      expect(applyMask('+49 301234567', '+4\\9 99 9999999').value).toBe('+49 30 1234567');
+    });
+
+    it('moves the caret past inserted literals', () => {
+      // '9' typed after '(555) ' shifts the rest of the number
+      expect(applyMask('(555) 9123-4567', '(999) 999-9999', 7)).toMatchObject({
+        value: '(555) 912-3456',
+        caret: 7,
+      });
+      expect(applyMask('5551', '(999) 999-9999', 4).caret).toBe(7);
+    });
+
+    it('resolves function masks from the typed characters', () => {
+      const mask = (raw) => (raw.length > 5 ? '99999-9999' : '99999');
+
+      expect(applyMask('123456789', mask).value).toBe('12345-6789');
+      expect(unmaskValue('12345-6789', mask)).toBe('123456789');
+    });
+  });
+
+  describe('payment cards', () => {
+    it('detects brands from the leading digits', () => {
+      expect(detectCardBrand('4111 1111')?.type).toBe('visa');
+      expect(detectCardBrand('5555')?.type).toBe('mastercard');
+      expect(detectCardBrand('2221')?.type).toBe('mastercard');
+      expect(detectCardBrand('37')?.type).toBe('amex');
+      expect(detectCardBrand('6011')?.type).toBe('discover');
+      expect(detectCardBrand('3530')?.type).toBe('jcb');
+      expect(detectCardBrand('9999')).toBe(null);
+      expect(detectCardBrand('')).toBe(null);
+    });
+
+    it('checks the Luhn checksum and brand lengths', () => {
+      expect(isValidLuhn('4111 1111 1111 1111')).toBe(true);
+      expect(isValidLuhn('4111 1111 1111 1112')).toBe(false);
+      expect(isValidCardNumber('378282246310005')).toBe(true);
+      expect(isValidCardNumber('5555-5555-5555-4444')).toBe(true);
+      // Passes Luhn but is too short for Visa
+      expect(isValidCardNumber('4111111111111')).toBe(false);
+      expect(isValidCardNumber('abcd')).toBe(false);
+    });
+
+    it('groups digits by brand', () => {
+      expect(applyMask('378282246310005', getCardMask).value).toBe('3782 822463 10005');
+      expect(applyMask('4111111111111111', getCardMask).value).toBe('4111 1111 1111 1111');
+    });
+  });
+
+  describe('IBAN', () => {
+    it('validates the check digits and country length', () => {
+      expect(isValidIban('GB82 WEST 1234 5698 7654 32')).toBe(true);
+      expect(isValidIban('de89370400440532013000')).toBe(true);
+      expect(isValidIban('DE89 3704 0044 0532 0130 01')).toBe(false);
+      expect(isValidIban('DE89 3704 0044 0532 0130')).toBe(false);
+      expect(isValidIban('1234')).toBe(false);
+    });
+
+    it('sizes the mask for the country', () => {
+      expect(getIbanMask('DE')).toBe('AA99 XXXX XXXX XXXX XXXX XX');
+      expect(applyMask('gb82west12345698765432', getIbanMask).value).toBe('GB82 WEST 1234 5698 7654 32');
+    });
+  });
+
+  describe('getMaskPreset', () => {
+    it('returns phone and postal code masks per country', () => {
+      expect(getMaskPreset('phone')).toBe('(999) 999-9999');
+      expect(getMaskPreset('phone', 'FR')).toBe('99 99 99 99 99');
+      expect(getMaskPreset('postalCode', 'CA')).toBe('A9A 9A9');
+      expect(getMaskPreset('creditCard')).toBe(getCardMask);
+      expect(getMaskPreset('phone', 'XX')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Number and currency helpers for numeric inputs
+ *
+ * Money is stored in minor units (cents for USD, yen for JPY) as integers, so amounts
+ * never go through floating-point arithmetic. Conversions work on the decimal digits
+ * rather than multiplying floats.
+ */
+
+import { DEFAULT_LOCALE } from './i18n.js';
+
+const getParts = (locale, options) => new Intl.NumberFormat(locale, options).formatToParts(12345.6);
+
+const findPart = (parts, type) => parts.find(part => part.type === type)?.value;
+
+/**
+ * Returns the decimal and thousand separators of a locale.
+ *
+ * @param {string} locale - Locale (default: 'en')
+ * @returns {Object} `{ decimalSeparator, thousandSeparator }`, e.g. `{ ',', '.' }` for German
+ */
+export const getNumberSeparators = (locale = DEFAULT_LOCALE) => {
+  const parts = getParts(locale);
+  return {
+    decimalSeparator: findPart(parts, 'decimal') || '.',
+    thousandSeparator: findPart(parts, 'group') || ',',
+  };
+};
+
+/**
+ * Returns the number of minor-unit digits of a currency: 2 for USD and EUR, 0 for JPY,
+ * 3 for KWD.
+ *
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Fraction digits
+ */
+export const getCurrencyDigits = (currency) => (
+  new Intl.NumberFormat(DEFAULT_LOCALE, { style: 'currency', currency }).resolvedOptions().maximumFractionDigits
+);
+
+/**
+ * Describes how a locale writes amounts of a currency, in the shape of Mantine
+ * NumberInput props.
+ *
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} locale - Locale (default: 'en')
+ * @returns {Object} `{ prefix, suffix, decimalSeparator, thousandSeparator, decimalScale }`
+ *
+ * @example
+ * getCurrencyFormat('EUR', 'de');
+ * // { prefix: undefined, suffix: ' €', decimalSeparator: ',', thousandSeparator: '.', decimalScale: 2 }
+ */
+export const getCurrencyFormat = (currency, locale = DEFAULT_LOCALE) => {
+  const parts = getParts(locale, { style: 'currency', currency });
+  const currencyIndex = parts.findIndex(part => part.type === 'currency');
+  const numberIndex = parts.findIndex(part => part.type === 'integer');
+  const symbol = parts[currencyIndex].value;
+  const isPrefix = currencyIndex < numberIndex;
+  // Space between the symbol and the number, e.g. '12.345,60 €'
+  const spacing = parts[isPrefix ? currencyIndex + 1 : currencyIndex - 1];
+  const literal = spacing?.type === 'literal' ? spacing.value : '';
+
+  return {
+    prefix: isPrefix ? symbol + literal : undefined,
+    suffix: isPrefix ? undefined : literal + symbol,
+    ...getNumberSeparators(locale),
+    decimalScale: getCurrencyDigits(currency),
+  };
+};
+
+/**
+ * Converts an amount in major units (e.g. 19.99 dollars) to an integer of minor units
+ * (1999 cents). Extra fraction digits are rounded half away from zero.
+ *
+ * @param {number|string} amount - Amount, as a number or a plain numeric string
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number|null} Minor units, or null when the amount is empty or not a number
+ */
+export const toMinorUnits = (amount, currency) => {
+  if (amount === null || amount === undefined || amount === '') return null;
+
+  // Shortest decimal form of numbers (1.005, not 1.00499...), except for exponents
+  const text = typeof amount === 'number' && /e/.test(String(amount)) ? amount.toFixed(20) : String(amount).trim();
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) return null;
+
+  const [, sign, integer, fraction = ''] = match;
+  const digits = getCurrencyDigits(currency);
+  let minor = Number(`${integer || '0'}${fraction.padEnd(digits, '0').slice(0, digits)}`);
+  if (Number(fraction[digits] || 0) >= 5) minor += 1;
+
+  return sign && minor !== 0 ? -minor : minor;
+};
+
+/**
+ * Converts an integer of minor units back to major units for display.
+ *
+ * @param {number} minor - Minor units, e.g. 1999
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number|null} Major units, e.g. 19.99, or null for empty values
+ */
+export const fromMinorUnits = (minor, currency) => {
+  if (minor === null || minor === undefined || minor === '' || Number.isNaN(Number(minor))) return null;
+  return Number(minor) / 10 ** getCurrencyDigits(currency);
+};
+
+/**
+ * Formats minor units as a currency amount for a locale.
+ *
+ * @param {number} minor - Minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @param {string} locale - Locale (default: 'en')
+ * @returns {string} The formatted amount, e.g. '$1,234.50' or '1.234,50 €'
+ */
+export const formatCurrency = (minor, currency, locale = DEFAULT_LOCALE) => {
+  const amount = fromMinorUnits(minor, currency);
+  return amount === null ? '' : new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getNumberSeparators,
+  getCurrencyDigits,
+  getCurrencyFormat,
+  toMinorUnits,
+  fromMinorUnits,
+  formatCurrency,
+} from './numbers';
+
+describe('number utilities', () => {
+  describe('getNumberSeparators', () => {
+    it('returns the separators of the locale', () => {
+      expect(getNumberSeparators('en')).toEqual({ decimalSeparator: '.', thousandSeparator: ',' });
+      expect(getNumberSeparators('de')).toEqual({ decimalSeparator: ',', thousandSeparator: '.' });
+    });
+  });
+
+  describe('getCurrencyFormat', () => {
+    it('places the symbol where the locale writes it', () => {
+      expect(getCurrencyFormat('USD', 'en')).toMatchObject({ prefix: '$', suffix: undefined, decimalScale: 2 });
+      expect(getCurrencyFormat('EUR', 'de')).toMatchObject({ prefix: undefined, suffix: '\u00a0€', decimalSeparator: ',' });
+      expect(getCurrencyDigits('JPY')).toBe(0);
+      expect(getCurrencyDigits('KWD')).toBe(3);
+    });
+  });
+
+  describe('toMinorUnits', () => {
+    it('converts amounts on their digits', () => {
+      expect(toMinorUnits(19.99, 'USD')).toBe(1999);
+      expect(toMinorUnits(0.1 + 0.2, 'USD')).toBe(30);
+      expect(toMinorUnits('1.005', 'USD')).toBe(101);
+      expect(toMinorUnits('-0.5', 'USD')).toBe(-50);
+      expect(toMinorUnits('.25', 'USD')).toBe(25);
+      expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+      expect(toMinorUnits('1.2345', 'KWD')).toBe(1235);
+    });
+
+    it('returns null for empty or partial values', () => {
+      expect(toMinorUnits('', 'USD')).toBeNull();
+      expect(toMinorUnits(null, 'USD')).toBeNull();
+      expect(toMinorUnits('-', 'USD')).toBeNull();
+      expect(toMinorUnits('abc', 'USD')).toBeNull();
+    });
+  });
+
+  describe('fromMinorUnits and formatCurrency', () => {
+    it('converts minor units back for display', () => {
+      expect(fromMinorUnits(1999, 'USD')).toBe(19.99);
+      expect(fromMinorUnits(null, 'USD')).toBeNull();
+      expect(formatCurrency(123450, 'USD', 'en')).toBe('$1,234.50');
+      expect(formatCurrency(123450, 'EUR', 'de')).toBe('1.234,50\u00a0€');
+      expect(formatCurrency(null, 'EUR')).toBe('');
+    });
+  });
+});
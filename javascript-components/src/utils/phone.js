@@ -0,0 +1,193 @@
+/**
+ * Phone number parsing, validation and E.164 normalization
+ *
+ * Numbers are checked against bundled numbering metadata, so nothing is fetched at
+ * runtime. Each country lists its calling code, its trunk prefix (the '0' dialled before
+ * national numbers in most of Europe, dropped in international format), a pattern for
+ * valid national significant numbers and how to group them for display.
+ *
+ * International numbers whose calling code has no bundled metadata (e.g. +7) cannot be
+ * checked that closely: they are accepted when they have the E.164 shape, a calling
+ * code and 7 to 15 digits in all, and are neither grouped nor assigned a country.
+ */
+
+import { applyMask } from './masks.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// `pattern` matches the national significant number, without trunk prefix; `format` has a
+// slot for every digit of the longest number the pattern accepts
+export const PHONE_COUNTRIES = [
+  { code: 'US', dialCode: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, format: '(999) 999-9999' },
+  { code: 'CA', dialCode: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, format: '(999) 999-9999' },
+  { code: 'GB', dialCode: '44', trunkPrefix: '0', pattern: /^[1-9]\d{8,9}$/, format: '9999 999999' },
+  { code: 'IE', dialCode: '353', trunkPrefix: '0', pattern: /^[1-9]\d{6,8}$/, format: '99 999 9999' },
+  { code: 'FR', dialCode: '33', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, format: '9 99 99 99 99' },
+  { code: 'DE', dialCode: '49', trunkPrefix: '0', pattern: /^[1-9]\d{5,11}$/, format: '9999 99999999' },
+  { code: 'ES', dialCode: '34', pattern: /^[5-9]\d{8}$/, format: '999 99 99 99' },
+  { code: 'IT', dialCode: '39', pattern: /^(0\d{5,10}|3\d{8,9})$/, format: '999 9999 9999' },
+  { code: 'NL', dialCode: '31', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, format: '9 99999999' },
+  { code: 'BE', dialCode: '32', trunkPrefix: '0', pattern: /^[1-9]\d{7,8}$/, format: '999 99 99 99' },
+  { code: 'CH', dialCode: '41', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, format: '99 999 99 99' },
+  { code: 'AT', dialCode: '43', trunkPrefix: '0', pattern: /^[1-9]\d{3,12}$/, format: '9999 999999999' },
+  { code: 'PT', dialCode: '351', pattern: /^[29]\d{8}$/, format: '999 999 999' },
+  { code: 'SE', dialCode: '46', trunkPrefix: '0', pattern: /^[1-9]\d{6,9}$/, format: '99 999 99 999' },
+  { code: 'PL', dialCode: '48', pattern: /^[1-9]\d{8}$/, format: '999 999 999' },
+  { code: 'IN', dialCode: '91', trunkPrefix: '0', pattern: /^[1-9]\d{9}$/, format: '99999 99999' },
+  { code: 'AU', dialCode: '61', trunkPrefix: '0', pattern: /^[2-478]\d{8}$/, format: '999 999 999' },
+  { code: 'NZ', dialCode: '64', trunkPrefix: '0', pattern: /^[2-9]\d{7,9}$/, format: '99 999 99999' },
+  { code: 'BR', dialCode: '55', trunkPrefix: '0', pattern: /^[1-9]{2}9?\d{8}$/, format: '99 99999-9999' },
+  { code: 'MX', dialCode: '52', pattern: /^[1-9]\d{9}$/, format: '99 9999 9999' },
+  { code: 'JP', dialCode: '81', trunkPrefix: '0', pattern: /^[1-9]\d{8,9}$/, format: '99 9999 9999' },
+  { code: 'CN', dialCode: '86', trunkPrefix: '0', pattern: /^(1[3-9]\d{9}|[2-9]\d{8,10})$/, format: '999 9999 9999' },
+  { code: 'KR', dialCode: '82', trunkPrefix: '0', pattern: /^[1-9]\d{7,9}$/, format: '99 9999 9999' },
+  { code: 'ZA', dialCode: '27', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, format: '99 999 9999' },
+];
+
+/**
+ * Returns the numbering metadata of a country.
+ *
+ * @param {string} code - ISO 3166 country code, e.g. 'GB'
+ * @returns {Object|undefined} `{ code, dialCode, trunkPrefix, pattern, format }`
+ */
+export const getPhoneCountry = (code) => PHONE_COUNTRIES.find(country => country.code === code?.toUpperCase());
+
+/**
+ * Returns the name of a country in a locale, e.g. 'Germany' or 'Allemagne'.
+ *
+ * @param {string} code - ISO 3166 country code
+ * @param {string} locale - Locale (default: 'en')
+ * @returns {string} The country name, or the code when the runtime has no name for it
+ */
+export const getCountryName = (code, locale = DEFAULT_LOCALE) => {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'region' }).of(code) ?? code;
+  } catch {
+    return code;
+  }
+};
+
+// Countries sharing a calling code (+1) resolve to the preferred one when it matches
+const findCountryByNumber = (digits, preferred) => {
+  for (let length = 3; length >= 1; length -= 1) {
+    const dialCode = digits.slice(0, length);
+    const matches = PHONE_COUNTRIES.filter(country => country.dialCode === dialCode);
+    if (matches.length > 0) {
+      return matches.find(country => country.code === preferred?.code) ?? matches[0];
+    }
+  }
+  return undefined;
+};
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+// International numbers of calling codes without bundled metadata, in E.164 when well-formed
+const toUnlistedE164 = (value) => {
+  const text = String(value ?? '').trim();
+  if (!/^(\+|00)/.test(text)) return null;
+
+  const digits = text.replace(/\D/g, '').slice(text.startsWith('00') ? 2 : 0);
+  return !findCountryByNumber(digits) && E164_PATTERN.test(`+${digits}`) ? `+${digits}` : null;
+};
+
+// '07911 123456' -> '7911123456'; the number is kept when it is valid with its leading digit
+const removeTrunkPrefix = (digits, country) => (
+  country.trunkPrefix && digits.startsWith(country.trunkPrefix) && !country.pattern.test(digits)
+    ? digits.slice(country.trunkPrefix.length)
+    : digits
+);
+
+/**
+ * Parses a phone number in international ('+44 7911 123456', '0044 7911 123456') or,
+ * with a default country, national format ('07911 123456').
+ *
+ * @param {string} value - Phone number
+ * @param {string} defaultCountry - Country of national numbers, and the preferred country
+ *   for shared calling codes such as +1
+ * @returns {Object|null} `{ country, dialCode, nationalNumber, e164, valid }`, or null when
+ *   the country cannot be determined or there are no digits
+ *
+ * @example
+ * parsePhoneNumber('07911 123456', 'GB');
+ * // { country: 'GB', dialCode: '44', nationalNumber: '7911123456', e164: '+447911123456', valid: true }
+ */
+export const parsePhoneNumber = (value, defaultCountry) => {
+  const text = String(value ?? '').trim();
+  const international = /^(\+|00)/.test(text);
+  const digits = text.replace(/\D/g, '').slice(text.startsWith('00') ? 2 : 0);
+  const preferred = getPhoneCountry(defaultCountry);
+  const country = international ? findCountryByNumber(digits, preferred) : preferred;
+
+  if (!country || !digits) return null;
+
+  const nationalNumber = removeTrunkPrefix(international ? digits.slice(country.dialCode.length) : digits, country);
+  return {
+    country: country.code,
+    dialCode: country.dialCode,
+    nationalNumber,
+    e164: `+${country.dialCode}${nationalNumber}`,
+    valid: country.pattern.test(nationalNumber),
+  };
+};
+
+/**
+ * Whether a phone number is valid for its country. International numbers of calling
+ * codes without bundled metadata only need to be well-formed E.164.
+ *
+ * @param {string} value - Phone number, in E.164 or international format, or national
+ *   format with `defaultCountry`
+ * @param {string} defaultCountry - Country of national numbers
+ * @returns {boolean}
+ */
+export const isValidPhoneNumber = (value, defaultCountry) => {
+  const parsed = parsePhoneNumber(value, defaultCountry);
+  return parsed ? parsed.valid : toUnlistedE164(value) !== null;
+};
+
+/**
+ * Normalizes a phone number to E.164, e.g. '+447911123456'.
+ *
+ * @param {string} value - Phone number
+ * @param {string} defaultCountry - Country of national numbers
+ * @returns {string|null} The E.164 number, or null when the number is not valid
+ */
+export const toE164 = (value, defaultCountry) => {
+  const parsed = parsePhoneNumber(value, defaultCountry);
+  if (!parsed) return toUnlistedE164(value);
+  return parsed.valid ? parsed.e164 : null;
+};
+
+/**
+ * Groups the digits of a national significant number the way its country writes them.
+ *
+ * @param {string} nationalNumber - Digits without calling code and trunk prefix
+ * @param {string} country - ISO 3166 country code
+ * @returns {string} The grouped number, e.g. '7911 123456'
+ */
+export const formatNationalNumber = (nationalNumber, country) => {
+  const format = getPhoneCountry(country)?.format;
+  return format ? applyMask(nationalNumber, format).value : nationalNumber;
+};
+
+/**
+ * Formats a phone number for display.
+ *
+ * @param {string} value - Phone number, usually in E.164
+ * @param {string} format - 'international' ('+44 7911 123456'), 'national' ('07911 123456')
+ *   or 'e164' ('+447911123456') (default: 'international')
+ * @param {string} defaultCountry - Country of national numbers
+ * @returns {string} The formatted number, or the value unchanged when it cannot be parsed
+ */
+export const formatPhoneNumber = (value, format = 'international', defaultCountry) => {
+  const parsed = parsePhoneNumber(value, defaultCountry);
+  if (!parsed) return value ?? '';
+
+  const grouped = formatNationalNumber(parsed.nationalNumber, parsed.country);
+  switch (format) {
+    case 'e164':
+      return parsed.e164;
+    case 'national':
+      return `${getPhoneCountry(parsed.country).trunkPrefix ?? ''}${grouped}`;
+    default:
+      return `+${parsed.dialCode} ${grouped}`;
+  }
+};
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parsePhoneNumber,
+  isValidPhoneNumber,
+  toE164,
+  formatPhoneNumber,
+  formatNationalNumber,
+  getCountryName,
+  PHONE_COUNTRIES,
+} from './phone';
+
+// Longest number a country's pattern accepts, tried with every three-digit prefix
+const longestValidNumber = ({ pattern }) => {
+  for (let length = 15; length > 3; length -= 1) {
+    for (let prefix = 0; prefix < 1000; prefix += 1) {
+      const digits = `${String(prefix).padStart(3, '0')}${'5'.repeat(length - 3)}`;
+      if (pattern.test(digits)) return digits;
+    }
+  }
+  return undefined;
+};
+
+describe('phone utilities', () => {
+  describe('parsePhoneNumber', () => {
+    it('parses national numbers and drops the trunk prefix', () => {
+      expect(parsePhoneNumber('07911 123456', 'GB')).toEqual({
+        country: 'GB',
+        dialCode: '44',
+        nationalNumber: '7911123456',
+        e164: '+447911123456',
+        valid: true,
+      });
+      // Italian numbers keep their leading 0
+      expect(parsePhoneNumber('06 1234 5678', 'IT').e164).toBe('+390612345678');
+    });
+
+    it('finds the country of international numbers', () => {
+      expect(parsePhoneNumber('+33 6 12 34 56 78')).toMatchObject({ country: 'FR', nationalNumber: '612345678' });
+      expect(parsePhoneNumber('0049 30 1234567')).toMatchObject({ country: 'DE', e164: '+49301234567' });
+      expect(parsePhoneNumber('+44 (0)20 7946 0958').e164).toBe('+442079460958');
+    });
+
+    it('prefers the default country for shared calling codes', () => {
+      expect(parsePhoneNumber('+1 416 555 0123').country).toBe('US');
+      expect(parsePhoneNumber('+1 416 555 0123', 'CA').country).toBe('CA');
+    });
+
+    it('returns null without digits or a known country', () => {
+      expect(parsePhoneNumber('', 'US')).toBe(null);
+      expect(parsePhoneNumber('555 0123')).toBe(null);
+      expect(parsePhoneNumber('+999 123')).toBe(null);
+    });
+  });
+
+  it('validates numbers against the country metadata', () => {
+    expect(isValidPhoneNumber('+14155550123')).toBe(true);
+    expect(isValidPhoneNumber('+1415555012')).toBe(false);
+    expect(isValidPhoneNumber('+11155550123')).toBe(false);
+    expect(isValidPhoneNumber('0612345678', 'FR')).toBe(true);
+    expect(isValidPhoneNumber('0612345678')).toBe(false);
+  });
+
+  it('normalizes valid numbers to E.164', () => {
+    expect(toE164('(415) 555-0123', 'US')).toBe('+14155550123');
+    expect(toE164('555', 'US')).toBe(null);
+  });
+
+  it('formats numbers for display', () => {
+    expect(formatPhoneNumber('+33612345678')).toBe('+33 6 12 34 56 78');
+    expect(formatPhoneNumber('+33612345678', 'national')).toBe('06 12 34 56 78');
+    expect(formatPhoneNumber('+14155550123', 'national')).toBe('(415) 555-0123');
+    expect(formatPhoneNumber('07911 123456', 'e164', 'GB')).toBe('+447911123456');
+    expect(formatPhoneNumber('not a number')).toBe('not a number');
+  });
+
+  it('accepts well-formed E.164 numbers of calling codes without bundled metadata', () => {
+    expect(isValidPhoneNumber('+74951234567')).toBe(true);
+    expect(isValidPhoneNumber('00 7 495 123-45-67')).toBe(true);
+    expect(toE164('+7 495 123-45-67')).toBe('+74951234567');
+    expect(isValidPhoneNumber('+74951')).toBe(false);
+    expect(isValidPhoneNumber('+7495123456789012')).toBe(false);
+    expect(formatPhoneNumber('+74951234567')).toBe('+74951234567');
+    // Bundled calling codes are still checked against their country
+    expect(isValidPhoneNumber('+1415555012')).toBe(false);
+  });
+
+  it('formats the longest valid number of every country without dropping digits', () => {
+    PHONE_COUNTRIES.forEach((country) => {
+      const digits = longestValidNumber(country);
+      expect(digits, country.code).toBeDefined();
+      expect(formatNationalNumber(digits, country.code).replace(/\D/g, ''), country.code).toBe(digits);
+    });
+    expect(formatNationalNumber('06123456789', 'IT')).toBe('061 2345 6789');
+  });
+
+  it('names countries in the locale', () => {
+    expect(getCountryName('DE')).toBe('Germany');
+    expect(getCountryName('DE', 'fr')).toBe('Allemagne');
+  });
+});
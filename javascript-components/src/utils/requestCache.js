@@ -0,0 +1,310 @@
+/**
+ * Shared request cache for form components
+ *
+ * A module-level store that every `fetchData` call goes through. Concurrent GET
+ * requests for the same key share one network request, responses are kept so they
+ * can be served while fresh (`staleTime`) or shown while revalidating, and entries
+ * can be invalidated by key so mounted consumers refetch. The store keeps a bounded
+ * number of entries and evicts the least recently used ones that are neither loading
+ * nor subscribed to.
+ */
+
+import { createLRUCache } from './cache.js';
+
+const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+/**
+ * Builds the cache key for a request. Requests to the same URL with different
+ * headers (e.g. another Authorization token) are cached separately.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers
+ * @returns {string} Cache key
+ */
+export const getRequestKey = (url, headers = {}) => {
+  const headerNames = Object.keys(headers || {}).sort();
+  if (headerNames.length === 0) return url;
+
+  const sortedHeaders = headerNames.reduce((acc, headerName) => ({
+    ...acc,
+    [headerName]: headers[headerName],
+  }), {});
+  return `${url} ${JSON.stringify(sortedHeaders)}`;
+};
+
+/**
+ * Creates a request cache store.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.maxEntries - Entries kept before idle ones are evicted (default: 100)
+ * @returns {Object} Store with fetch, get, set, isFresh, invalidate, subscribe, remove and clear
+ *
+ * @example
+ * const store = createRequestCache();
+ * const countries = await store.fetch('/api/countries', (signal) => loadCountries(signal), {
+ *   staleTime: 60000,
+ * });
+ * store.invalidate('/api/countries');
+ */
+export const createRequestCache = ({ maxEntries = 100 } = {}) => {
+  const listeners = new Map();
+  // Entries still loading or shown by a mounted consumer are kept
+  const entries = createLRUCache(maxEntries, {
+    canEvict: (entry, key) => !entry.promise && !listeners.has(key),
+  });
+
+  const getEntry = (key, url) => {
+    if (!entries.has(key)) {
+      entries.set(key, {
+        urls: new Set(),
+        data: undefined,
+        hasData: false,
+        error: null,
+        updatedAt: 0,
+        promise: null,
+        controller: null,
+        consumers: 0,
+      });
+    }
+    const entry = entries.get(key);
+    [].concat(url || []).forEach(entryUrl => entry.urls.add(entryUrl));
+    return entry;
+  };
+
+  const notify = (key, event) => {
+    const keyListeners = listeners.get(key);
+    if (keyListeners) {
+      [...keyListeners].forEach(listener => listener(event));
+    }
+  };
+
+  // Attach one consumer to the shared request; the request is aborted only when
+  // every consumer has aborted
+  const consume = (entry, shared, signal) => new Promise((resolve, reject) => {
+    let settled = false;
+
+    const settle = () => {
+      settled = true;
+      entry.consumers -= 1;
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    function onAbort() {
+      if (settled) return;
+      settle();
+      if (entry.consumers === 0 && entry.promise === shared) {
+        entry.controller.abort();
+        entry.promise = null;
+        entry.controller = null;
+      }
+      reject(createAbortError());
+    }
+
+    entry.consumers += 1;
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+
+    shared.then(
+      (data) => {
+        if (settled) return;
+        settle();
+        resolve(data);
+      },
+      (error) => {
+        if (settled) return;
+        settle();
+        reject(error);
+      }
+    );
+  });
+
+  const isFresh = (key, staleTime = 0) => {
+    const entry = entries.get(key);
+    return Boolean(entry && entry.hasData && Date.now() - entry.updatedAt < staleTime);
+  };
+
+  return {
+    /**
+     * Returns cached data when fresh, joins an in-flight request for the key, or
+     * starts a new one with `fetcher(signal)`.
+     *
+     * @param {string} key - Cache key
+     * @param {Function} fetcher - Called with an AbortSignal, returns a promise of the data
+     * @param {Object} options - Request options
+     * @param {number} options.staleTime - How long cached data is served without a request, in ms (default: 0)
+     * @param {AbortSignal} options.signal - Aborts this consumer's wait
+     * @param {string|string[]} options.url - Request URL, or the URLs the request is known by
+     *   (e.g. as requested and resolved against the base URL), used by `invalidate`
+     * @returns {Promise<any>} The response data
+     */
+    fetch(key, fetcher, { staleTime = 0, signal, url } = {}) {
+      const entry = getEntry(key, url);
+
+      if (isFresh(key, staleTime)) {
+        return Promise.resolve(entry.data);
+      }
+
+      if (!entry.promise) {
+        const controller = new AbortController();
+        const shared = Promise.resolve()
+          .then(() => fetcher(controller.signal))
+          .then(
+            (data) => {
+              if (entry.promise === shared) {
+                entry.promise = null;
+                entry.controller = null;
+              }
+              entry.data = data;
+              entry.hasData = true;
+              entry.error = null;
+              entry.updatedAt = Date.now();
+              notify(key, { type: 'update', data });
+              return data;
+            },
+            (error) => {
+              if (entry.promise === shared) {
+                entry.promise = null;
+                entry.controller = null;
+              }
+              if (error.name !== 'AbortError') {
+                entry.error = error;
+                notify(key, { type: 'error', error });
+              }
+              throw error;
+            }
+          );
+
+        // Consumers handle rejections; keep the shared promise from reporting them as unhandled
+        shared.catch(() => {});
+
+        entry.promise = shared;
+        entry.controller = controller;
+        entry.consumers = 0;
+      }
+
+      return consume(entry, entry.promise, signal);
+    },
+
+    /**
+     * Returns a snapshot of the cache entry for a key, or undefined.
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      return {
+        data: entry.data,
+        hasData: entry.hasData,
+        error: entry.error,
+        updatedAt: entry.updatedAt,
+        isFetching: Boolean(entry.promise),
+      };
+    },
+
+    /**
+     * Stores data for a key (e.g. after a mutation) and notifies subscribers.
+     */
+    set(key, data) {
+      const entry = getEntry(key);
+      entry.data = data;
+      entry.hasData = true;
+      entry.error = null;
+      entry.updatedAt = Date.now();
+      notify(key, { type: 'update', data });
+    },
+
+    isFresh,
+
+    /**
+     * Marks matching entries as stale so the next request refetches, and tells
+     * mounted subscribers to revalidate.
+     *
+     * @param {string|RegExp|Function} match - Key or URL, pattern tested against keys,
+     *   or predicate `(key) => boolean`; omit to invalidate everything
+     * @returns {number} Number of invalidated entries
+     */
+    invalidate(match) {
+      let count = 0;
+
+      entries.forEach((entry, key) => {
+        let matches;
+        if (match === undefined) {
+          matches = true;
+        } else if (typeof match === 'function') {
+          matches = match(key);
+        } else if (match instanceof RegExp) {
+          matches = match.test(key);
+        } else {
+          matches = key === match || entry.urls.has(match);
+        }
+
+        if (matches) {
+          entry.updatedAt = 0;
+          count += 1;
+          notify(key, { type: 'invalidate' });
+        }
+      });
+
+      return count;
+    },
+
+    /**
+     * Subscribes to `update`, `error` and `invalidate` events for a key.
+     *
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(key, listener) {
+      if (!listeners.has(key)) {
+        listeners.set(key, new Set());
+      }
+      listeners.get(key).add(listener);
+
+      return () => {
+        const keyListeners = listeners.get(key);
+        if (keyListeners) {
+          keyListeners.delete(listener);
+          if (keyListeners.size === 0) {
+            listeners.delete(key);
+          }
+        }
+      };
+    },
+
+    remove(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.forEach(entry => {
+        if (entry.controller) {
+          entry.controller.abort();
+        }
+      });
+      entries.clear();
+    },
+  };
+};
+
+// Module-level store shared by fetchData, useApiData and every component using them
+export const requestCache = createRequestCache();
+
+/**
+ * Invalidates entries in the shared request cache.
+ *
+ * @param {string|RegExp|Function} match - Key or URL, key pattern or predicate
+ * @returns {number} Number of invalidated entries
+ */
+export const invalidateRequests = (match) => requestCache.invalidate(match);
+
+/**
+ * Removes every entry from the shared request cache.
+ */
+export const clearRequestCache = () => requestCache.clear();
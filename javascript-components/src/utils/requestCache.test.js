@@ -0,0 +1,171 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequestCache, getRequestKey } from './requestCache';
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe('getRequestKey', () => {
+  it('uses the URL when there are no headers', () => {
+    expect(getRequestKey('/api/countries')).toBe('/api/countries');
+    expect(getRequestKey('/api/countries', {})).toBe('/api/countries');
+  });
+
+  it('includes headers independent of their order', () => {
+    const a = getRequestKey('/api/countries', { Authorization: 'x', Accept: 'json' });
+    const b = getRequestKey('/api/countries', { Accept: 'json', Authorization: 'x' });
+
+    expect(a).toBe(b);
+    expect(a).not.toBe(getRequestKey('/api/countries', { Authorization: 'y', Accept: 'json' }));
+  });
+});
+
+describe('createRequestCache', () => {
+  it('deduplicates concurrent requests for the same key', async () => {
+    const store = createRequestCache();
+    const fetcher = vi.fn().mockResolvedValue(['US']);
+
+    const [first, second] = await Promise.all([
+      store.fetch('countries', fetcher),
+      store.fetch('countries', fetcher),
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(first).toEqual(['US']);
+    expect(second).toEqual(['US']);
+  });
+
+  it('serves cached data within staleTime and refetches afterwards', async () => {
+    vi.useFakeTimers();
+    const store = createRequestCache();
+    const fetcher = vi.fn()
+      .mockResolvedValueOnce(['US'])
+      .mockResolvedValueOnce(['US', 'CA']);
+
+    await store.fetch('countries', fetcher, { staleTime: 1000 });
+    expect(await store.fetch('countries', fetcher, { staleTime: 1000 })).toEqual(['US']);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(1500);
+    expect(await store.fetch('countries', fetcher, { staleTime: 1000 })).toEqual(['US', 'CA']);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    vi.useRealTimers();
+  });
+
+  it('keeps the shared request alive while another consumer waits', async () => {
+    const store = createRequestCache();
+    const request = deferred();
+    let sharedSignal;
+    const fetcher = vi.fn((signal) => {
+      sharedSignal = signal;
+      return request.promise;
+    });
+    const controller = new AbortController();
+
+    const aborted = store.fetch('countries', fetcher, { signal: controller.signal });
+    const waiting = store.fetch('countries', fetcher);
+    await Promise.resolve();
+
+    controller.abort();
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+    expect(sharedSignal.aborted).toBe(false);
+
+    request.resolve(['US']);
+    expect(await waiting).toEqual(['US']);
+  });
+
+  it('aborts the shared request when every consumer aborts', async () => {
+    const store = createRequestCache();
+    let sharedSignal;
+    const fetcher = vi.fn((signal) => {
+      sharedSignal = signal;
+      return new Promise(() => {});
+    });
+    const controller = new AbortController();
+
+    const pending = store.fetch('countries', fetcher, { signal: controller.signal });
+    await Promise.resolve();
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(sharedSignal.aborted).toBe(true);
+    expect(store.get('countries').isFetching).toBe(false);
+  });
+
+  it('notifies subscribers of updates and errors', async () => {
+    const store = createRequestCache();
+    const listener = vi.fn();
+    const unsubscribe = store.subscribe('countries', listener);
+    const failure = new Error('Down');
+
+    await store.fetch('countries', () => Promise.resolve(['US']));
+    await expect(store.fetch('countries', () => Promise.reject(failure))).rejects.toBe(failure);
+
+    expect(listener).toHaveBeenCalledWith({ type: 'update', data: ['US'] });
+    expect(listener).toHaveBeenCalledWith({ type: 'error', error: failure });
+    expect(store.get('countries').data).toEqual(['US']);
+
+    unsubscribe();
+    store.set('countries', ['CA']);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('invalidates entries by key, URL, pattern or predicate', async () => {
+    const store = createRequestCache();
+    const listener = vi.fn();
+    store.subscribe('countries-key', listener);
+
+    await store.fetch('countries-key', () => Promise.resolve(['US']), { url: '/api/countries' });
+    await store.fetch('/api/states', () => Promise.resolve(['CA']));
+
+    expect(store.isFresh('countries-key', 60000)).toBe(true);
+    expect(store.invalidate('/api/countries')).toBe(1);
+    expect(store.isFresh('countries-key', 60000)).toBe(false);
+    expect(listener).toHaveBeenCalledWith({ type: 'invalidate' });
+
+    expect(store.invalidate(/states/)).toBe(1);
+    expect(store.invalidate((key) => key.startsWith('/api'))).toBe(1);
+    expect(store.invalidate()).toBe(2);
+  });
+
+  it('evicts the least recently used idle entries beyond maxEntries', async () => {
+    const store = createRequestCache({ maxEntries: 2 });
+    const pending = deferred();
+    store.subscribe('countries', vi.fn());
+
+    await store.fetch('countries', () => Promise.resolve(['US']));
+    const loading = store.fetch('states', () => pending.promise);
+    await store.fetch('search?q=a', () => Promise.resolve(['a']));
+    await store.fetch('search?q=ab', () => Promise.resolve(['ab']));
+    await store.fetch('search?q=abc', () => Promise.resolve(['abc']));
+
+    expect(store.get('countries')).toBeDefined();
+    expect(store.get('states').isFetching).toBe(true);
+    expect(store.get('search?q=a')).toBeUndefined();
+    expect(store.get('search?q=ab')).toBeUndefined();
+    expect(store.get('search?q=abc').data).toEqual(['abc']);
+
+    pending.resolve(['CA']);
+    await loading;
+    await store.fetch('search?q=abcd', () => Promise.resolve(['abcd']));
+
+    expect(store.get('countries')).toBeDefined();
+    expect(store.get('states')).toBeUndefined();
+    expect(store.get('search?q=abc')).toBeUndefined();
+  });
+
+  it('removes all entries on clear', async () => {
+    const store = createRequestCache();
+    await store.fetch('countries', () => Promise.resolve(['US']));
+
+    store.clear();
+
+    expect(store.get('countries')).toBeUndefined();
+  });
+});
@@ -0,0 +1,588 @@
+/**
+ * Schema adapters between validation rule lists and Yup/Zod schemas
+ *
+ * Rule lists (as used by `createValidator`, `createFormValidator` and SchemaForm) can be
+ * turned into Yup or Zod schemas, and existing Yup/Zod object schemas can be turned back
+ * into rule lists so components can read constraints such as `required` or `maxLength`.
+ * Neither library is imported here: pass your own `yup` or `z` namespace.
+ */
+
+import { getIn, setIn } from 'formik';
+import { createValidator, formatValidationError } from './validation';
+
+const NUMBER_RULES = ['number', 'minValue', 'maxValue'];
+const DATE_RULES = ['minDate', 'maxDate', 'afterField', 'beforeField'];
+const FILE_RULES = ['fileSize', 'fileType', 'maxFiles'];
+
+// Rules that read other fields; Zod can only check them on the whole object
+const CROSS_FIELD_RULES = ['equalsField', 'requiredIf', 'afterField', 'beforeField', 'oneOfRequired'];
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+// Pick the value type for a field from its rules
+const inferValueType = (rules) => {
+  if (rules.some(rule => FILE_RULES.includes(rule.type))) return 'mixed';
+  if (rules.some(rule => DATE_RULES.includes(rule.type))) return 'date';
+  if (rules.some(rule => NUMBER_RULES.includes(rule.type))) return 'number';
+  return 'string';
+};
+
+// Expand path keys ('address.city') into nested objects of rule lists
+const nestRuleSchema = (schema) => Object.entries(schema).reduce((nested, [key, rules]) => {
+  if (Array.isArray(rules)) {
+    return setIn(nested, key, rules);
+  }
+  const existing = getIn(nested, key);
+  return setIn(nested, key, nestRuleSchema({ ...existing, ...rules }));
+}, {});
+
+const withMessage = (rule, message) => (message ? { ...rule, message } : rule);
+
+// Rules for the items of an array field, left out when the items have none
+const withItemRules = (rules, itemRules) => (
+  Array.isArray(itemRules) && itemRules.length === 0 ? rules : [...rules, { type: 'items', value: itemRules }]
+);
+
+// Yup
+
+const createYupBase = (yup, type) => {
+  switch (type) {
+    case 'number':
+      return yup.number();
+    case 'date':
+      return yup.date();
+    case 'mixed':
+      return yup.mixed();
+    default:
+      return yup.string();
+  }
+};
+
+// Native Yup checks report the same message the rule gives through createValidator
+const createYupMessage = (rule) => {
+  const validate = createValidator([rule]);
+  const message = ({ value, originalValue }) => (
+    validate(originalValue ?? value) || formatValidationError(rule.message || 'Invalid value')
+  );
+  message.ruleMessage = rule.message;
+  return message;
+};
+
+// Rules without a native Yup equivalent run through createValidator as a named test.
+// The rule is kept in the test params, so yupToRules can read it back.
+const createYupTest = (rule) => {
+  const validate = createValidator([rule]);
+  return {
+    name: rule.type,
+    params: { rule },
+    test(value) {
+      const values = this.from ? this.from[this.from.length - 1].value : this.parent;
+      const toResult = (error) => (error ? this.createError({ message: error }) : true);
+      const error = validate(this.originalValue ?? value, values || {});
+      return error && typeof error.then === 'function' ? error.then(toResult) : toResult(error);
+    },
+  };
+};
+
+/**
+ * Converts a rule list into a Yup schema.
+ *
+ * Rules with a Yup equivalent (`required`, `email`, `minLength`, `maxLength`, `pattern`,
+ * `number`, `minValue`, `maxValue`, `minDate`, `maxDate`) use it; every other rule,
+ * including cross-field, `custom`, `async` and registered rules, runs as a Yup test that
+ * gets the root form values. Error messages match `createValidator`.
+ *
+ * @param {Array} rules - Validation rules
+ * @param {Object} yup - The Yup namespace (`import * as yup from 'yup'`)
+ * @param {Object} options - Options
+ * @param {string} options.type - Base schema: 'string', 'number', 'date' or 'mixed'
+ *   (default: inferred from the rules)
+ * @returns {Object} Yup schema
+ *
+ * @example
+ * const username = rulesToYup([{ type: 'required' }, { type: 'maxLength', value: 20 }], yup);
+ */
+export const rulesToYup = (rules, yup, { type } = {}) => {
+  const baseType = type || inferValueType(rules);
+
+  return rules.reduce((schema, rule) => {
+    const message = createYupMessage(rule);
+
+    switch (rule.type) {
+      case 'required':
+        return baseType === 'mixed'
+          ? schema.required(message).test(createYupTest(rule))
+          : schema.required(message);
+      case 'email':
+        return baseType === 'string' ? schema.email(message) : schema.test(createYupTest(rule));
+      case 'minLength':
+        return baseType === 'string' ? schema.min(rule.value, message) : schema.test(createYupTest(rule));
+      case 'maxLength':
+        return baseType === 'string' ? schema.max(rule.value, message) : schema.test(createYupTest(rule));
+      case 'pattern':
+        return baseType === 'string'
+          ? schema.matches(rule.value, { message, excludeEmptyString: true })
+          : schema.test(createYupTest(rule));
+      case 'number':
+        return baseType === 'number' ? schema.typeError(message) : schema.test(createYupTest(rule));
+      case 'minValue':
+        return baseType === 'number' ? schema.min(rule.value, message) : schema.test(createYupTest(rule));
+      case 'maxValue':
+        return baseType === 'number' ? schema.max(rule.value, message) : schema.test(createYupTest(rule));
+      case 'minDate':
+        return baseType === 'date' ? schema.min(toDate(rule.value), message) : schema.test(createYupTest(rule));
+      case 'maxDate':
+        return baseType === 'date' ? schema.max(toDate(rule.value), message) : schema.test(createYupTest(rule));
+      default:
+        return schema.test(createYupTest(rule));
+    }
+  }, createYupBase(yup, baseType).nullable().transform((value, originalValue) => (
+    originalValue === '' ? undefined : value
+  )));
+};
+
+/**
+ * Converts a form rule schema (the shape `createFormValidator` takes) into a Yup
+ * object schema, e.g. for Formik's `validationSchema` prop.
+ *
+ * @param {Object} schema - Field names (or nested objects) mapped to rule lists
+ * @param {Object} yup - The Yup namespace
+ * @returns {Object} Yup object schema
+ *
+ * @example
+ * const validationSchema = formRulesToYup({
+ *   password: [{ type: 'required' }, { type: 'minLength', value: 8 }],
+ *   confirmPassword: [{ type: 'equalsField', field: 'password' }],
+ * }, yup);
+ */
+export const formRulesToYup = (schema, yup) => yup.object(Object.fromEntries(
+  Object.entries(nestRuleSchema(schema)).map(([key, rules]) => [
+    key,
+    Array.isArray(rules) ? rulesToYup(rules, yup) : formRulesToYup(rules, yup),
+  ])
+));
+
+// Yup's default messages are templates such as '${path} is a required field'; only keep custom ones
+const getYupMessage = (test) => {
+  const message = test?.OPTIONS?.message;
+  if (typeof message === 'function') return message.ruleMessage;
+  return typeof message === 'string' && !message.includes('${') ? message : undefined;
+};
+
+const isYupRef = (value) => Boolean(value && typeof value === 'object' && 'isSibling' in value && 'key' in value);
+
+const yupTestToRules = (schema, test) => {
+  const { name, params = {} } = test.OPTIONS;
+  const message = getYupMessage(test);
+
+  if (params.rule) return [params.rule];
+
+  switch (`${schema.type}.${name}`) {
+    case 'string.min':
+      return [withMessage({ type: 'minLength', value: params.min }, message)];
+    case 'string.max':
+      return [withMessage({ type: 'maxLength', value: params.max }, message)];
+    case 'string.length':
+      return [
+        withMessage({ type: 'minLength', value: params.length }, message),
+        withMessage({ type: 'maxLength', value: params.length }, message),
+      ];
+    case 'string.email':
+      return [withMessage({ type: 'email' }, message)];
+    case 'string.matches':
+      return [withMessage({ type: 'pattern', value: params.regex }, message)];
+    case 'number.min':
+      return [withMessage({ type: 'minValue', value: params.min }, message)];
+    case 'number.max':
+      return [withMessage({ type: 'maxValue', value: params.max }, message)];
+    case 'date.min':
+      return isYupRef(params.min) ? [] : [withMessage({ type: 'minDate', value: toDate(params.min) }, message)];
+    case 'date.max':
+      return isYupRef(params.max) ? [] : [withMessage({ type: 'maxDate', value: toDate(params.max) }, message)];
+    case 'array.max':
+      return [withMessage({ type: 'maxFiles', value: params.max }, message)];
+    default:
+      return [];
+  }
+};
+
+const yupFieldToRules = (schema, parentPath) => {
+  const rules = [];
+  const { internalTests = {} } = schema;
+
+  if (schema.spec?.optional === false) {
+    rules.push(withMessage({ type: 'required' }, getYupMessage(internalTests.optionality)));
+  }
+  if (schema.type === 'number') {
+    rules.push(withMessage({ type: 'number' }, getYupMessage(internalTests.typeError)));
+  }
+
+  const allowed = schema._whitelist ? [...schema._whitelist] : [];
+  const allowedValues = allowed.filter(value => !isYupRef(value) && value !== undefined && value !== null && value !== '');
+  const whitelistMessage = getYupMessage(internalTests.whiteList);
+  if (allowedValues.length > 0) {
+    rules.push(withMessage({ type: 'oneOf', value: allowedValues }, whitelistMessage));
+  }
+  allowed.filter(value => isYupRef(value) && value.isSibling).forEach((ref) => {
+    const field = parentPath ? `${parentPath}.${ref.path}` : ref.path;
+    rules.push(withMessage({ type: 'equalsField', field }, whitelistMessage));
+  });
+
+  (schema.tests || [])
+    .filter(test => test.OPTIONS?.name !== 'required')
+    .forEach((test) => {
+      rules.push(...yupTestToRules(schema, test));
+    });
+
+  return schema.type === 'array' && schema.innerType ? withItemRules(rules, yupToRules(schema.innerType)) : rules;
+};
+
+/**
+ * Converts a Yup schema into validation rules. An object schema gives an object of
+ * rule lists keyed by field (nested objects stay nested); any other schema gives a
+ * rule list. The rules of an array's items (`array().of(...)`) go into an
+ * `{ type: 'items', value }` rule on the array. Custom messages are kept; Yup's default
+ * messages are dropped so the rules' own defaults apply. Conditional (`when`) and custom tests cannot be read and
+ * are left out, except tests created by `rulesToYup`.
+ *
+ * @param {Object} schema - Yup schema
+ * @param {string} path - Path of the schema inside its form (used for `ref`s)
+ * @returns {Object|Array} Rule schema or rule list
+ *
+ * @example
+ * const rules = yupToRules(Yup.object({ bio: Yup.string().max(500) }));
+ * // { bio: [{ type: 'maxLength', value: 500 }] }
+ */
+export const yupToRules = (schema, path = '') => {
+  if (schema.type === 'object' && schema.fields) {
+    return Object.fromEntries(Object.entries(schema.fields).map(([key, fieldSchema]) => [
+      key,
+      yupToRules(fieldSchema, path ? `${path}.${key}` : key),
+    ]));
+  }
+
+  const parentPath = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '';
+  return yupFieldToRules(schema, parentPath);
+};
+
+// Zod
+
+const createZodBase = (z, type, rules) => {
+  const numberRule = rules.find(rule => rule.type === 'number');
+  switch (type) {
+    case 'number':
+      return numberRule?.message ? z.number({ message: formatValidationError(numberRule.message) }) : z.number();
+    case 'date':
+      return z.date();
+    case 'mixed':
+      return z.any();
+    default:
+      return z.string();
+  }
+};
+
+// Runs rules through createValidator and reports the error as a Zod issue
+const refineWithRules = (rules) => {
+  const validate = createValidator(rules);
+  return (value, ctx) => {
+    const addIssue = (error) => {
+      if (error) ctx.addIssue({ code: 'custom', message: error });
+    };
+    const error = validate(value, {});
+    return error && typeof error.then === 'function' ? error.then(addIssue) : addIssue(error);
+  };
+};
+
+// Builds the Zod schema for the rules it supports natively and returns the rest
+const buildZodField = (rules, z, type) => {
+  const baseType = type || inferValueType(rules);
+  const requiredRule = rules.find(rule => rule.type === 'required');
+  const remaining = [];
+  let schema = createZodBase(z, baseType, rules);
+
+  const nativeMessage = (rule) => (rule.message ? formatValidationError(rule.message) : undefined);
+
+  rules.forEach((rule) => {
+    const message = nativeMessage(rule);
+    const kind = `${baseType}.${rule.type}`;
+
+    if (kind === 'string.required') {
+      schema = schema.min(1, formatValidationError(rule.message || 'This field is required'));
+    } else if (kind === 'string.email') {
+      schema = schema.email(message);
+    } else if (kind === 'string.minLength' || kind === 'number.minValue') {
+      schema = schema.min(rule.value, message);
+    } else if (kind === 'string.maxLength' || kind === 'number.maxValue') {
+      schema = schema.max(rule.value, message);
+    } else if (kind === 'string.pattern') {
+      schema = schema.regex(rule.value, message);
+    } else if (kind === 'date.minDate') {
+      schema = schema.min(toDate(rule.value), message);
+    } else if (kind === 'date.maxDate') {
+      schema = schema.max(toDate(rule.value), message);
+    } else if (rule.type !== 'number' && !(rule.type === 'required' && baseType !== 'mixed')) {
+      remaining.push(rule);
+    }
+  });
+
+  if (!requiredRule) {
+    // Optional form fields may be left empty, which forms report as ''
+    schema = (baseType === 'string' ? schema.or(z.literal('')) : schema).optional().nullable();
+  }
+
+  return { schema, remaining };
+};
+
+/**
+ * Converts a rule list into a Zod schema for a single value.
+ *
+ * Zod validates typed values, as in API contracts: `number` rules expect numbers and
+ * date rules expect Date objects. Rules without a Zod equivalent run through
+ * `createValidator` in a refinement; parse with `parseAsync` when there are `async`
+ * rules. Cross-field rules are ignored here; use `formRulesToZod` for them. Without a
+ * rule message, Zod's default message is used for native checks.
+ *
+ * @param {Array} rules - Validation rules
+ * @param {Object} z - The Zod namespace (`import { z } from 'zod'`)
+ * @param {Object} options - Options
+ * @param {string} options.type - Base schema: 'string', 'number', 'date' or 'mixed'
+ *   (default: inferred from the rules)
+ * @returns {Object} Zod schema
+ */
+export const rulesToZod = (rules, z, { type } = {}) => {
+  const { schema, remaining } = buildZodField(rules, z, type);
+  const fieldRules = remaining.filter(rule => !CROSS_FIELD_RULES.includes(rule.type));
+  return fieldRules.length > 0 ? schema.superRefine(refineWithRules(fieldRules)) : schema;
+};
+
+const collectZodShape = (schema, z, prefix, checks) => z.object(Object.fromEntries(
+  Object.entries(schema).map(([key, rules]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!Array.isArray(rules)) {
+      return [key, collectZodShape(rules, z, path, checks)];
+    }
+
+    const { schema: fieldSchema, remaining } = buildZodField(rules, z);
+    if (remaining.length > 0) {
+      checks.push({ path, validator: createValidator(remaining) });
+    }
+    return [key, fieldSchema];
+  })
+));
+
+/**
+ * Converts a form rule schema (the shape `createFormValidator` takes) into a Zod object
+ * schema. Rules without a Zod equivalent, including cross-field rules, are checked on
+ * the whole object and reported on their field's path.
+ *
+ * @param {Object} schema - Field names (or nested objects) mapped to rule lists
+ * @param {Object} z - The Zod namespace
+ * @returns {Object} Zod object schema
+ *
+ * @example
+ * const Signup = formRulesToZod({
+ *   email: [{ type: 'required' }, { type: 'email' }],
+ *   confirmEmail: [{ type: 'equalsField', field: 'email' }],
+ * }, z);
+ */
+export const formRulesToZod = (schema, z) => {
+  const checks = [];
+  const objectSchema = collectZodShape(nestRuleSchema(schema), z, '', checks);
+  if (checks.length === 0) return objectSchema;
+
+  return objectSchema.superRefine((values, ctx) => {
+    const addIssue = (path, error) => {
+      if (error) ctx.addIssue({ code: 'custom', message: error, path: path.split('.') });
+    };
+
+    const pending = [];
+    checks.forEach(({ path, validator }) => {
+      const value = path.split('.').reduce((current, key) => current?.[key], values);
+      const error = validator(value, values);
+      if (error && typeof error.then === 'function') {
+        pending.push(error.then(asyncError => addIssue(path, asyncError)));
+      } else {
+        addIssue(path, error);
+      }
+    });
+
+    return pending.length > 0 ? Promise.all(pending).then(() => undefined) : undefined;
+  });
+};
+
+// Zod 3 keeps a schema's definition on `_def` (typeName 'ZodString'), Zod 4 on `_zod.def` (type 'string')
+const getZodDef = (schema) => schema?._zod?.def || schema?._def || {};
+
+const getZodType = (def) => (def.typeName ? def.typeName.replace(/^Zod/, '').toLowerCase() : def.type);
+
+const getZodMessage = (check) => {
+  if (typeof check.message === 'string') return check.message;
+  if (typeof check.error !== 'function') return undefined;
+
+  try {
+    const result = check.error({});
+    return typeof result === 'string' ? result : result?.message;
+  } catch {
+    return undefined;
+  }
+};
+
+const isEmptyLiteral = (schema) => {
+  const def = getZodDef(schema);
+  return getZodType(def) === 'literal' && (def.values ? def.values.includes('') : def.value === '');
+};
+
+// Strip optional/nullable/default wrappers, effects and pipes down to the value's schema
+const unwrapZod = (schema) => {
+  let current = schema;
+  let optional = false;
+
+  for (;;) {
+    const def = getZodDef(current);
+    const type = getZodType(def);
+
+    if (['optional', 'nullable', 'default', 'prefault', 'catch'].includes(type)) {
+      optional = true;
+      current = def.innerType;
+    } else if (type === 'readonly') {
+      current = def.innerType;
+    } else if (type === 'effects') {
+      current = def.schema;
+    } else if (type === 'pipeline' || type === 'pipe') {
+      current = def.in;
+    } else if (type === 'union' && def.options.some(isEmptyLiteral)) {
+      const options = def.options.filter(option => !isEmptyLiteral(option));
+      optional = true;
+      if (options.length !== 1) return { def, type, optional };
+      [current] = options;
+    } else {
+      return { def, type, optional };
+    }
+  }
+};
+
+// Normalize Zod 3 and Zod 4 checks to `{ kind, value, regex, message }`
+const getZodChecks = (def) => {
+  const checks = (def.checks || []).map((check) => {
+    const checkDef = check._zod?.def;
+    if (!checkDef) {
+      return { ...check, value: check.inclusive === false ? undefined : check.value, message: getZodMessage(check) };
+    }
+
+    const message = getZodMessage(checkDef);
+    switch (checkDef.check) {
+      case 'min_length':
+        return { kind: 'min', value: checkDef.minimum, message };
+      case 'max_length':
+        return { kind: 'max', value: checkDef.maximum, message };
+      case 'length_equals':
+        return { kind: 'length', value: checkDef.length, message };
+      case 'greater_than':
+        return { kind: 'min', value: checkDef.inclusive ? checkDef.value : undefined, message };
+      case 'less_than':
+        return { kind: 'max', value: checkDef.inclusive ? checkDef.value : undefined, message };
+      case 'string_format':
+        return checkDef.format === 'regex'
+          ? { kind: 'regex', regex: checkDef.pattern, message }
+          : { kind: checkDef.format, message };
+      default:
+        return { kind: checkDef.check, message };
+    }
+  });
+
+  // Zod 3 keeps array length limits on the definition instead of in checks
+  if (def.minLength) checks.push({ kind: 'min', value: def.minLength.value, message: def.minLength.message });
+  if (def.maxLength) checks.push({ kind: 'max', value: def.maxLength.value, message: def.maxLength.message });
+
+  return checks.filter(check => check.value !== undefined || !['min', 'max'].includes(check.kind));
+};
+
+const zodFieldToRules = (schema) => {
+  const { def, type, optional } = unwrapZod(schema);
+  const checks = getZodChecks(def);
+  const rules = [];
+
+  // A required string is written as `.min(1)`; that check carries the required message
+  const requiredCheck = type === 'string' && !optional && checks.find(check => check.kind === 'min' && check.value === 1);
+  // `any` and `unknown` also accept undefined
+  if (!optional && type !== 'any' && type !== 'unknown') {
+    rules.push(withMessage({ type: 'required' }, requiredCheck?.message));
+  }
+
+  const ruleTypes = {
+    string: { min: 'minLength', max: 'maxLength' },
+    number: { min: 'minValue', max: 'maxValue' },
+    date: { min: 'minDate', max: 'maxDate' },
+    array: { max: 'maxFiles' },
+  }[type] || {};
+
+  if (type === 'number') {
+    rules.push({ type: 'number' });
+  }
+
+  checks.filter(check => check !== requiredCheck).forEach((check) => {
+    const value = type === 'date' ? toDate(check.value) : check.value;
+    if (ruleTypes[check.kind]) {
+      rules.push(withMessage({ type: ruleTypes[check.kind], value }, check.message));
+    } else if (type === 'string' && check.kind === 'length') {
+      rules.push(withMessage({ type: 'minLength', value }, check.message));
+      rules.push(withMessage({ type: 'maxLength', value }, check.message));
+    } else if (type === 'string' && check.kind === 'email') {
+      rules.push(withMessage({ type: 'email' }, check.message));
+    } else if (type === 'string' && check.kind === 'regex') {
+      rules.push(withMessage({ type: 'pattern', value: check.regex }, check.message));
+    }
+  });
+
+  if (type === 'enum' || type === 'nativeenum') {
+    const values = Array.isArray(def.values) ? def.values : Object.values(def.entries || def.values || {});
+    rules.push({ type: 'oneOf', value: values });
+  } else if (type === 'literal') {
+    rules.push({ type: 'oneOf', value: def.values ? [...def.values] : [def.value] });
+  }
+
+  // Zod 4 keeps the item schema on `element`, Zod 3 on `type`
+  const itemSchema = type === 'array' && (def.element || def.type);
+  return itemSchema && typeof itemSchema === 'object' ? withItemRules(rules, zodToRules(itemSchema)) : rules;
+};
+
+/**
+ * Converts a Zod schema (Zod 3 or 4) into validation rules. An object schema gives an
+ * object of rule lists keyed by field (nested objects stay nested); any other schema
+ * gives a rule list. Fields that are not optional, nullable or defaulted are
+ * `required`, and an array's item rules go into an `{ type: 'items', value }` rule. Refinements cannot be read and are left out.
+ *
+ * @param {Object} schema - Zod schema
+ * @returns {Object|Array} Rule schema or rule list
+ *
+ * @example
+ * const rules = zodToRules(z.object({ name: z.string().min(1).max(80) }));
+ * // { name: [{ type: 'required' }, { type: 'maxLength', value: 80 }] }
+ */
+export const zodToRules = (schema) => {
+  const { def, type } = unwrapZod(schema);
+
+  if (type === 'object') {
+    const shape = typeof def.shape === 'function' ? def.shape() : def.shape;
+    return Object.fromEntries(Object.entries(shape).map(([key, fieldSchema]) => [
+      key,
+      unwrapZod(fieldSchema).type === 'object' ? zodToRules(fieldSchema) : zodFieldToRules(fieldSchema),
+    ]));
+  }
+
+  return zodFieldToRules(schema);
+};
+
+/**
+ * Converts a Yup schema, a Zod schema or a rule schema into a rule schema. Rule schemas
+ * (the shape `createFormValidator` takes) are returned as they are.
+ *
+ * @param {Object} schema - Yup schema, Zod schema or rule schema
+ * @returns {Object} Rule schema
+ */
+export const schemaToRules = (schema) => {
+  if (!schema) return {};
+  if (schema.__isYupSchema__) return yupToRules(schema);
+  if (schema._zod || schema._def) return zodToRules(schema);
+  return schema;
+};
@@ -0,0 +1,323 @@
+import { describe, it, expect } from 'vitest';
+import * as yup from 'yup';
+import { z } from 'zod';
+import { z as z3 } from 'zod/v3';
+import { rulesToYup, formRulesToYup, yupToRules, rulesToZod, formRulesToZod, zodToRules } from './schemaAdapters';
+
+// Resolve with the first error message, or undefined when the value is valid
+const yupError = (schema, value) => schema.validate(value).then(() => undefined, error => error.message);
+
+// Messages of the issues Zod reports, or [] when the value is valid
+const zodErrors = async (schema, value) => {
+  const result = await schema.safeParseAsync(value);
+  return result.success ? [] : result.error.issues.map(issue => issue.message);
+};
+
+// Field paths and messages of the issues Zod reports for an object
+const zodIssues = async (schema, value) => {
+  const result = await schema.safeParseAsync(value);
+  return result.success ? [] : result.error.issues.map(issue => [issue.path.join('.'), issue.message]);
+};
+
+describe('schema adapters', () => {
+  describe('rulesToYup', () => {
+    it('uses native Yup checks with the rule messages', async () => {
+      const schema = rulesToYup([
+        { type: 'required' },
+        { type: 'minLength', value: 3 },
+        { type: 'maxLength', value: 5, message: 'too long' },
+      ], yup);
+
+      await expect(yupError(schema, '')).resolves.toBe('This field is required.');
+      await expect(yupError(schema, 'ab')).resolves.toBe('Must be at least 3 characters long.');
+      await expect(yupError(schema, 'abcdef')).resolves.toBe('Too long.');
+      await expect(yupError(schema, 'abcd')).resolves.toBeUndefined();
+      expect(schema.describe().tests.map(test => test.name)).toEqual(['required', 'min', 'max']);
+    });
+
+    it('infers number and date schemas from the rules', async () => {
+      const age = rulesToYup([{ type: 'number' }, { type: 'minValue', value: 18 }], yup);
+      const start = rulesToYup([{ type: 'minDate', value: '2030-01-01', message: 'Too early' }], yup);
+
+      expect(age.type).toBe('number');
+      await expect(yupError(age, 'abc')).resolves.toBe('Must be a valid number.');
+      await expect(yupError(age, '16')).resolves.toBe('Must be at least 18.');
+      await expect(yupError(age, '')).resolves.toBeUndefined();
+      expect(start.type).toBe('date');
+      await expect(yupError(start, new Date(2029, 0, 1))).resolves.toBe('Too early.');
+    });
+
+    it('runs other rules as tests', async () => {
+      const color = rulesToYup([
+        { type: 'oneOf', value: ['red', 'green'] },
+        { type: 'custom', validator: value => (value === 'green' ? 'Green is sold out' : undefined) },
+      ], yup);
+
+      await expect(yupError(color, 'blue')).resolves.toBe('Must be one of: red, green.');
+      await expect(yupError(color, 'green')).resolves.toBe('Green is sold out.');
+      await expect(yupError(color, 'red')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('formRulesToYup', () => {
+    it('builds an object schema with working cross-field rules', async () => {
+      const schema = formRulesToYup({
+        password: [{ type: 'required' }],
+        confirmPassword: [{ type: 'equalsField', field: 'password', message: 'Passwords do not match' }],
+        'trip.start': [{ type: 'required' }],
+        trip: {
+          end: [{ type: 'afterField', field: 'trip.start' }],
+        },
+      }, yup);
+
+      const errors = await schema
+        .validate({
+          password: 'secret',
+          confirmPassword: 'secrets',
+          trip: { start: '2030-05-10', end: '2030-05-01' },
+        }, { abortEarly: false })
+        .catch(error => error.errors);
+
+      expect(Object.keys(schema.fields.trip.fields)).toEqual(['start', 'end']);
+      expect(errors).toEqual(['Passwords do not match.', 'Must be after Start.']);
+    });
+  });
+
+  describe('yupToRules', () => {
+    it('reads rules from a Yup object schema', () => {
+      const rules = yupToRules(yup.object({
+        email: yup.string().email('Invalid email').required('Email is required'),
+        bio: yup.string().max(500, 'Bio must be less than 500 characters'),
+        code: yup.string().length(6).matches(/^\d+$/),
+        age: yup.number().min(18),
+        birthDate: yup.date().max(new Date(2010, 0, 1)).required(),
+        country: yup.string().oneOf(['US', 'CA'], 'Pick a country'),
+        address: yup.object({
+          street: yup.string().required(),
+          confirmStreet: yup.string().oneOf([yup.ref('street')], 'Streets do not match'),
+        }),
+        attachments: yup.array().max(3),
+      }));
+
+      expect(rules).toEqual({
+        email: [
+          { type: 'required', message: 'Email is required' },
+          { type: 'email', message: 'Invalid email' },
+        ],
+        bio: [{ type: 'maxLength', value: 500, message: 'Bio must be less than 500 characters' }],
+        code: [
+          { type: 'minLength', value: 6 },
+          { type: 'maxLength', value: 6 },
+          { type: 'pattern', value: /^\d+$/ },
+        ],
+        age: [{ type: 'number' }, { type: 'minValue', value: 18 }],
+        birthDate: [{ type: 'required' }, { type: 'maxDate', value: new Date(2010, 0, 1) }],
+        country: [{ type: 'oneOf', value: ['US', 'CA'], message: 'Pick a country' }],
+        address: {
+          street: [{ type: 'required' }],
+          confirmStreet: [{ type: 'equalsField', field: 'address.street', message: 'Streets do not match' }],
+        },
+        attachments: [{ type: 'maxFiles', value: 3 }],
+      });
+    });
+
+    it('reads the item rules of arrays', () => {
+      const rules = yupToRules(yup.object({
+        contacts: yup.array().of(yup.object({
+          email: yup.string().required().max(40),
+        })).max(5),
+        tags: yup.array().of(yup.string().max(10)),
+        files: yup.array().of(yup.mixed()),
+      }));
+
+      expect(rules).toEqual({
+        contacts: [
+          { type: 'maxFiles', value: 5 },
+          { type: 'items', value: { email: [{ type: 'required' }, { type: 'maxLength', value: 40 }] } },
+        ],
+        tags: [{ type: 'items', value: [{ type: 'maxLength', value: 10 }] }],
+        files: [],
+      });
+    });
+
+    it('round-trips rules through rulesToYup', () => {
+      const isEven = value => (Number(value) % 2 === 0 ? undefined : 'Must be even');
+      const rules = {
+        username: [{ type: 'required', message: 'Pick a username' }, { type: 'maxLength', value: 20 }],
+        quantity: [{ type: 'number' }, { type: 'maxValue', value: 10 }, { type: 'custom', validator: isEven }],
+        files: [{ type: 'fileSize', value: 1024 }, { type: 'maxFiles', value: 2 }],
+      };
+
+      expect(yupToRules(formRulesToYup(rules, yup))).toEqual(rules);
+    });
+  });
+
+  describe.each([
+    ['Zod 4', z],
+    ['Zod 3', z3],
+  ])('with %s', (_, zod) => {
+    describe('rulesToZod', () => {
+      it('uses native Zod checks with the rule messages', async () => {
+        const schema = rulesToZod([
+          { type: 'required' },
+          { type: 'minLength', value: 3, message: 'too short' },
+          { type: 'maxLength', value: 6, message: 'too long' },
+          { type: 'email', message: 'not an email' },
+        ], zod);
+
+        expect(await zodErrors(schema, '')).toContain('This field is required.');
+        expect(await zodErrors(schema, 'ab')).toEqual(['Too short.', 'Not an email.']);
+        expect(await zodErrors(schema, 'abc@de.fr')).toEqual(['Too long.']);
+        expect(await zodErrors(schema, 'a@b.co')).toEqual([]);
+        expect(await zodErrors(schema, undefined)).toHaveLength(1);
+      });
+
+      it('accepts empty, null and missing values for optional fields', async () => {
+        const schema = rulesToZod([{ type: 'email', message: 'not an email' }], zod);
+
+        expect(await zodErrors(schema, '')).toEqual([]);
+        expect(await zodErrors(schema, null)).toEqual([]);
+        expect(await zodErrors(schema, undefined)).toEqual([]);
+        expect(await zodErrors(schema, 'nope')).toEqual(['Not an email.']);
+      });
+
+      it('infers number and date schemas from the rules', async () => {
+        const age = rulesToZod([{ type: 'required' }, { type: 'number', message: 'numbers only' }, { type: 'minValue', value: 18, message: 'too young' }], zod);
+        const start = rulesToZod([{ type: 'minDate', value: '2030-01-01', message: 'Too early' }], zod);
+
+        expect(await zodErrors(age, 'abc')).toEqual(['Numbers only.']);
+        expect(await zodErrors(age, 16)).toEqual(['Too young.']);
+        expect(await zodErrors(age, 18)).toEqual([]);
+        expect(await zodErrors(start, new Date(2029, 0, 1))).toEqual(['Too early.']);
+        expect(await zodErrors(start, new Date(2030, 0, 2))).toEqual([]);
+        expect(await zodErrors(start, null)).toEqual([]);
+      });
+
+      it('runs other rules, including async ones, as refinements', async () => {
+        const color = rulesToZod([
+          { type: 'required' },
+          { type: 'oneOf', value: ['red', 'green'] },
+          { type: 'async', validator: async value => (value === 'green' ? 'Green is sold out' : undefined), debounce: 0 },
+        ], zod);
+
+        expect(await zodErrors(color, 'blue')).toEqual(['Must be one of: red, green.']);
+        expect(await zodErrors(color, 'green')).toEqual(['Green is sold out.']);
+        expect(await zodErrors(color, 'red')).toEqual([]);
+      });
+    });
+
+    describe('formRulesToZod', () => {
+      it('builds an object schema with working cross-field rules', async () => {
+        const schema = formRulesToZod({
+          password: [{ type: 'required' }],
+          confirmPassword: [{ type: 'equalsField', field: 'password', message: 'Passwords do not match' }],
+          'trip.start': [{ type: 'required' }, { type: 'minDate', value: '2000-01-01' }],
+          trip: {
+            end: [{ type: 'afterField', field: 'trip.start' }],
+          },
+          state: [{ type: 'requiredIf', field: 'country', value: 'US' }],
+          country: [],
+        }, zod);
+
+        expect(await zodIssues(schema, {
+          password: 'secret',
+          confirmPassword: 'secrets',
+          trip: { start: new Date(2030, 4, 10), end: new Date(2030, 4, 1) },
+          state: '',
+          country: 'US',
+        })).toEqual([
+          ['confirmPassword', 'Passwords do not match.'],
+          ['trip.end', 'Must be after Start.'],
+          ['state', 'This field is required.'],
+        ]);
+        expect(await zodIssues(schema, {
+          password: 'secret',
+          confirmPassword: 'secret',
+          trip: { start: new Date(2030, 4, 1), end: new Date(2030, 4, 10) },
+          country: 'CA',
+        })).toEqual([]);
+      });
+    });
+
+    describe('zodToRules', () => {
+      it('reads rules from a Zod object schema', () => {
+        const rules = zodToRules(zod.object({
+          email: zod.string().min(1, 'Email is required').email('Invalid email'),
+          bio: zod.string().max(500, 'Bio is too long').optional(),
+          code: zod.string().length(6).regex(/^\d+$/).nullable(),
+          website: zod.string().url().or(zod.literal('')),
+          age: zod.number().min(18),
+          birthDate: zod.date().max(new Date(2010, 0, 1)),
+          plan: zod.enum(['free', 'pro']).default('free'),
+          terms: zod.literal(true),
+          address: zod.object({
+            street: zod.string().min(1),
+            city: zod.string().nullish(),
+          }),
+          attachments: zod.array(zod.any()).max(3).optional(),
+        }));
+
+        expect(rules).toEqual({
+          email: [
+            { type: 'required', message: 'Email is required' },
+            { type: 'email', message: 'Invalid email' },
+          ],
+          bio: [{ type: 'maxLength', value: 500, message: 'Bio is too long' }],
+          code: [
+            { type: 'minLength', value: 6 },
+            { type: 'maxLength', value: 6 },
+            { type: 'pattern', value: /^\d+$/ },
+          ],
+          website: [],
+          age: [{ type: 'required' }, { type: 'number' }, { type: 'minValue', value: 18 }],
+          birthDate: [{ type: 'required' }, { type: 'maxDate', value: new Date(2010, 0, 1) }],
+          plan: [{ type: 'oneOf', value: ['free', 'pro'] }],
+          terms: [{ type: 'required' }, { type: 'oneOf', value: [true] }],
+          address: {
+            street: [{ type: 'required' }],
+            city: [],
+          },
+          attachments: [{ type: 'maxFiles', value: 3 }],
+        });
+      });
+
+      it('reads the item rules of arrays', () => {
+        expect(zodToRules(zod.object({
+          contacts: zod.array(zod.object({ email: zod.string().max(40) })),
+          tags: zod.array(zod.string().max(10)).optional(),
+        }))).toEqual({
+          contacts: [
+            { type: 'required' },
+            { type: 'items', value: { email: [{ type: 'required' }, { type: 'maxLength', value: 40 }] } },
+          ],
+          tags: [{ type: 'items', value: [{ type: 'required' }, { type: 'maxLength', value: 10 }] }],
+        });
+      });
+
+      it('reads a single field schema through refinements and pipes', () => {
+        expect(zodToRules(zod.string().max(20).refine(value => value !== 'admin'))).toEqual([
+          { type: 'required' },
+          { type: 'maxLength', value: 20 },
+        ]);
+        expect(zodToRules(zod.number().max(10).optional())).toEqual([
+          { type: 'number' },
+          { type: 'maxValue', value: 10 },
+        ]);
+      });
+
+      it('round-trips rules through formRulesToZod', () => {
+        // Native checks get the formatted message, so only formatted messages come back unchanged
+        const rules = {
+          username: [{ type: 'required', message: 'Pick a username.' }, { type: 'maxLength', value: 20, message: 'Too long.' }],
+          email: [{ type: 'email' }],
+          quantity: [{ type: 'required' }, { type: 'number' }, { type: 'minValue', value: 1 }, { type: 'maxValue', value: 10 }],
+          trip: {
+            start: [{ type: 'minDate', value: new Date(2030, 0, 1) }],
+          },
+        };
+
+        expect(zodToRules(formRulesToZod(rules, zod))).toEqual(rules);
+      });
+    });
+  });
+});
@@ -3,6 +3,12 @@
  * Provides comprehensive validation functions and error formatting
  */
 
+import { getIn, setIn } from 'formik';
+import { DEFAULT_DEBOUNCE_MS } from '../config/index.js';
+import { translate, getI18nConfig, withI18nConfig, DEFAULT_LOCALE } from './i18n.js';
+import { isValidCardNumber, isValidIban } from './masks.js';
+import { isValidPhoneNumber } from './phone.js';
+
 // Error formatting utilities
 export const formatValidationError = (error, fieldName) => {
   if (!error) return '';
@@ -23,8 +29,10 @@ export const formatFieldName = (fieldName) => {
     .replace(/\b\w/g, c => c.toUpperCase());
 };
 
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
 // Basic validation functions
-export const validateRequired = (value, message = 'This field is required') => {
+export const validateRequired = (value, message = translate('validation.required')) => {
   if (value === null || value === undefined || value === '') {
     return message;
   }
@@ -40,7 +48,7 @@ export const validateRequired = (value, message = 'This field is required') => {
   return undefined;
 };
 
-export const validateEmail = (value, message = 'Please enter a valid email address') => {
+export const validateEmail = (value, message = translate('validation.email')) => {
   if (!value) return undefined;
   
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -54,7 +62,7 @@ export const validateMinLength = (min, message) => (value) => {
   if (!value) return undefined;
   
   if (value.length < min) {
-    return message || `Must be at least ${min} characters long`;
+    return message || translate('validation.minLength', { min });
   }
   return undefined;
 };
@@ -63,7 +71,7 @@ export const validateMaxLength = (max, message) => (value) => {
   if (!value) return undefined;
   
   if (value.length > max) {
-    return message || `Must be no more than ${max} characters long`;
+    return message || translate('validation.maxLength', { max });
   }
   return undefined;
 };
@@ -72,13 +80,13 @@ export const validatePattern = (pattern, message) => (value) => {
   if (!value) return undefined;
   
   if (!pattern.test(value)) {
-    return message || 'Invalid format';
+    return message || translate('validation.pattern');
   }
   return undefined;
 };
 
-export const validateNumber = (value, message = 'Must be a valid number') => {
-  if (!value) return undefined;
+export const validateNumber = (value, message = translate('validation.number')) => {
+  if (isEmptyValue(value)) return undefined;
   
   const num = Number(value);
   if (isNaN(num)) {
@@ -88,21 +96,21 @@ export const validateNumber = (value, message = 'Must be a valid number') => {
 };
 
 export const validateMinValue = (min, message) => (value) => {
-  if (!value) return undefined;
+  if (isEmptyValue(value)) return undefined;
   
   const num = Number(value);
   if (isNaN(num) || num < min) {
-    return message || `Must be at least ${min}`;
+    return message || translate('validation.minValue', { min });
   }
   return undefined;
 };
 
 export const validateMaxValue = (max, message) => (value) => {
-  if (!value) return undefined;
+  if (isEmptyValue(value)) return undefined;
   
   const num = Number(value);
   if (isNaN(num) || num > max) {
-    return message || `Must be no more than ${max}`;
+    return message || translate('validation.maxValue', { max });
   }
   return undefined;
 };
@@ -113,7 +121,7 @@ export const validateFileSize = (maxSize, message) => (file) => {
   
   if (file.size > maxSize) {
     const maxSizeMB = Math.round(maxSize / 1024 / 1024 * 100) / 100;
-    return message || `File size must be less than ${maxSizeMB}MB`;
+    return message || translate('validation.fileSize', { maxSize: maxSizeMB });
   }
   return undefined;
 };
@@ -123,7 +131,7 @@ export const validateFileType = (allowedTypes, message) => (file) => {
   
   if (!allowedTypes.includes(file.type)) {
     const typeList = allowedTypes.map(type => type.split('/')[1]).join(', ');
-    return message || `Only ${typeList} files are allowed`;
+    return message || translate('validation.fileType', { types: typeList });
   }
   return undefined;
 };
@@ -132,7 +140,16 @@ export const validateMaxFiles = (maxFiles, message) => (files) => {
   if (!files || !Array.isArray(files)) return undefined;
   
   if (files.length > maxFiles) {
-    return message || `Maximum ${maxFiles} files allowed`;
+    return message || translate('validation.maxFiles', { max: maxFiles });
+  }
+  return undefined;
+};
+
+export const validateOneOf = (allowedValues, message) => (value) => {
+  if (isEmptyValue(value)) return undefined;
+  
+  if (!allowedValues.includes(value)) {
+    return message || translate('validation.oneOf', { values: allowedValues.join(', ') });
   }
   return undefined;
 };
@@ -143,11 +160,11 @@ export const validateMinDate = (minDate, message) => (value) => {
   
   const date = value instanceof Date ? value : new Date(value);
   if (isNaN(date.getTime())) {
-    return 'Invalid date';
+    return translate('validation.invalidDate');
   }
   
   if (date < minDate) {
-    return message || `Date must be after ${minDate.toLocaleDateString()}`;
+    return message || translate('validation.minDate', { date: minDate });
   }
   return undefined;
 };
@@ -157,56 +174,520 @@ export const validateMaxDate = (maxDate, message) => (value) => {
   
   const date = value instanceof Date ? value : new Date(value);
   if (isNaN(date.getTime())) {
-    return 'Invalid date';
+    return translate('validation.invalidDate');
   }
   
   if (date > maxDate) {
-    return message || `Date must be before ${maxDate.toLocaleDateString()}`;
+    return message || translate('validation.maxDate', { date: maxDate });
   }
   return undefined;
 };
 
-// Composite validation functions
-export const createValidator = (rules) => {
-  return (value) => {
-    for (const rule of rules) {
-      let result;
-      
-      switch (rule.type) {
-        case 'required':
-          result = validateRequired(value, rule.message);
-          break;
-        case 'email':
-          result = validateEmail(value, rule.message);
-          break;
-        case 'minLength':
-          result = validateMinLength(rule.value, rule.message)(value);
-          break;
-        case 'maxLength':
-          result = validateMaxLength(rule.value, rule.message)(value);
-          break;
-        case 'pattern':
-          result = validatePattern(rule.value, rule.message)(value);
-          break;
-        case 'fileSize':
-          result = validateFileSize(rule.value, rule.message)(value);
-          break;
-        case 'fileType':
-          result = validateFileType(rule.value, rule.message)(value);
-          break;
-        case 'custom':
-          result = rule.validator ? rule.validator(value) : undefined;
-          break;
-        default:
-          result = undefined;
+// Phone numbers in E.164 or international format; national numbers need `defaultCountry`
+export const validatePhone = (value, message = translate('validation.phone'), defaultCountry) => {
+  if (isEmptyValue(value)) return undefined;
+
+  if (!isValidPhoneNumber(value, defaultCountry)) {
+    return message;
+  }
+  return undefined;
+};
+
+// Payment validation functions
+export const validateCreditCard = (value, message = translate('validation.creditCard')) => {
+  if (isEmptyValue(value)) return undefined;
+
+  if (!isValidCardNumber(value)) {
+    return message;
+  }
+  return undefined;
+};
+
+export const validateIban = (value, message = translate('validation.iban')) => {
+  if (isEmptyValue(value)) return undefined;
+
+  if (!isValidIban(value)) {
+    return message;
+  }
+  return undefined;
+};
+
+// Cross-field validation functions
+// These receive the full form values as a second argument; `field` is a path such as
+// 'password' or 'address.country'.
+
+const getFieldLabel = (field) => formatFieldName(field.split('.').pop());
+
+const isBlank = (value) => validateRequired(value) !== undefined;
+
+// Dates, date strings and numbers as comparable numbers (NaN when not comparable)
+const toComparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') {
+    return /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : Date.parse(value);
+  }
+  return NaN;
+};
+
+export const validateEqualsField = (field, message) => (value, values = {}) => {
+  if (!value) return undefined;
+
+  if (value !== getIn(values, field)) {
+    return message || translate('validation.equalsField', { field: getFieldLabel(field) });
+  }
+  return undefined;
+};
+
+/**
+ * Requires the value when another field matches a condition: `condition` may be a value
+ * (or an array of values) the other field must equal, a predicate
+ * `(otherValue, values) => boolean`, or omitted to require it whenever the other field is filled in.
+ */
+export const validateRequiredIf = (field, condition, message) => (value, values = {}) => {
+  const otherValue = getIn(values, field);
+
+  let applies;
+  if (typeof condition === 'function') {
+    applies = condition(otherValue, values);
+  } else if (condition === undefined) {
+    applies = !isBlank(otherValue);
+  } else if (Array.isArray(condition)) {
+    applies = condition.includes(otherValue);
+  } else {
+    applies = otherValue === condition;
+  }
+
+  return applies ? validateRequired(value, message) : undefined;
+};
+
+export const validateAfterField = (field, message) => (value, values = {}) => {
+  const current = toComparable(value);
+  const other = toComparable(getIn(values, field));
+  if (isNaN(current) || isNaN(other)) return undefined;
+
+  if (current <= other) {
+    return message || translate('validation.afterField', { field: getFieldLabel(field) });
+  }
+  return undefined;
+};
+
+export const validateBeforeField = (field, message) => (value, values = {}) => {
+  const current = toComparable(value);
+  const other = toComparable(getIn(values, field));
+  if (isNaN(current) || isNaN(other)) return undefined;
+
+  if (current >= other) {
+    return message || translate('validation.beforeField', { field: getFieldLabel(field) });
+  }
+  return undefined;
+};
+
+/**
+ * Requires the value unless one of the other fields is filled in,
+ * e.g. an email or a phone number.
+ */
+export const validateOneOfRequired = (fields, message) => (value, values = {}) => {
+  if (!isBlank(value) || fields.some(field => !isBlank(getIn(values, field)))) {
+    return undefined;
+  }
+  const locale = getI18nConfig().locale || DEFAULT_LOCALE;
+  const labels = new Intl.ListFormat(locale, { type: 'disjunction' }).format(fields.map(getFieldLabel));
+  return message || translate('validation.oneOfRequired', { fields: labels });
+};
+
+// Async validation functions
+/**
+ * Wraps an async check (e.g. "is this username taken?") so it can run on every change:
+ * checks are debounced, a newer value aborts the check still running for an older one,
+ * and the result for the last value is reused on blur and submit.
+ *
+ * The check receives `(value, { signal })` and resolves with an error message, `false`
+ * (use `message`) or nothing when the value is valid. Calls that are superseded resolve
+ * with the result of the check that replaced them. Empty values are not checked.
+ *
+ * The returned function also has `isPending()`, `subscribe(listener)` for pending
+ * changes and `cancel(result)` to drop the pending check.
+ *
+ * @param {Function} validator - Async check
+ * @param {Object} options - Options
+ * @param {number} options.debounce - Delay in milliseconds before checking (default: the useDebounce delay)
+ * @param {string} options.message - Error message when the check resolves with `false`
+ * @param {Object} options.i18n - `{ locale, messages }` for the built-in messages (default: the global configuration)
+ * @returns {Function} `(value) => Promise<string|undefined>`
+ *
+ * @example
+ * const validateUsername = createAsyncValidator(async (username, { signal }) => {
+ *   const { available } = await fetchData(`/api/usernames/${username}`, { signal });
+ *   return available || 'This username is taken';
+ * });
+ */
+export const createAsyncValidator = (validator, { debounce = DEFAULT_DEBOUNCE_MS, message, i18n } = {}) => {
+  // Checks settle after any withI18nConfig call has returned, so the config is applied here
+  const t = (key) => withI18nConfig(i18n, () => translate(key));
+  const listeners = new Set();
+  let waiting = [];
+  let timer = null;
+  let controller = null;
+  let pending = false;
+  let pendingValue;
+  let checked = null;
+
+  const setPending = (next) => {
+    if (pending === next) return;
+    pending = next;
+    listeners.forEach(listener => listener(next));
+  };
+
+  const settle = (result) => {
+    const resolvers = waiting;
+    waiting = [];
+    setPending(false);
+    resolvers.forEach(resolve => resolve(result));
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (controller) {
+      controller.abort();
+      controller = null;
+    }
+  };
+
+  const run = async (value) => {
+    const current = new AbortController();
+    controller = current;
+
+    let result;
+    try {
+      const outcome = await validator(value, { signal: current.signal });
+      if (outcome === false) {
+        result = message || t('validation.invalidValue');
+      } else {
+        result = typeof outcome === 'string' && outcome ? outcome : undefined;
       }
-      
+    } catch {
+      // A failed check must not let an unchecked value through
+      result = t('validation.checkFailed');
+    }
+
+    // A newer value took over while this check was running
+    if (current.signal.aborted) return;
+
+    controller = null;
+    checked = { value, result };
+    settle(result);
+  };
+
+  const validate = (value) => {
+    if (isEmptyValue(value)) {
+      validate.cancel(undefined);
+      return Promise.resolve(undefined);
+    }
+
+    const wait = new Promise(resolve => waiting.push(resolve));
+
+    if (pending && Object.is(value, pendingValue)) {
+      return wait;
+    }
+
+    if (checked && Object.is(value, checked.value)) {
+      stop();
+      settle(checked.result);
+      return wait;
+    }
+
+    stop();
+    pendingValue = value;
+    setPending(true);
+    timer = setTimeout(() => {
+      timer = null;
+      run(value);
+    }, debounce);
+    return wait;
+  };
+
+  validate.isPending = () => pending;
+
+  validate.subscribe = (listener) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  validate.cancel = (result) => {
+    stop();
+    pendingValue = undefined;
+    settle(result);
+  };
+
+  return validate;
+};
+
+// Rule registry
+// Rule type -> factory `(rule) => (value, values) => error`. Built-in types are registered
+// below; `async` rules are handled by createValidator itself.
+const ruleRegistry = new Map();
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+// `process.env.NODE_ENV` is written out in full so the app's bundler replaces it
+const isProduction = () =>
+  // eslint-disable-next-line no-undef
+  typeof process !== 'undefined' && process.env.NODE_ENV === 'production';
+
+/**
+ * Registers a named rule type for `createValidator`, `createFormValidator` and SchemaForm.
+ * The factory receives the rule object and returns a validator `(value, values) => error`.
+ * Built-in types can only be replaced with `{ override: true }`.
+ *
+ * @param {string} type - Rule type name
+ * @param {Function} factory - `(rule) => (value, values) => string|undefined`
+ * @param {Object} options - Options
+ * @param {boolean} options.override - Replace an existing rule type (default: false)
+ *
+ * @example
+ * registerValidator('postalCode', (rule) => (value) => (
+ *   !value || /^\d{5}(-\d{4})?$/.test(value) ? undefined : rule.message || 'Invalid ZIP code'
+ * ));
+ *
+ * createValidator([{ type: 'required' }, { type: 'postalCode' }]);
+ */
+export const registerValidator = (type, factory, { override = false } = {}) => {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`Validator factory for rule type "${type}" must be a function`);
+  }
+  if (type === 'async' || (ruleRegistry.has(type) && !override)) {
+    throw new Error(`Validation rule type "${type}" is already registered`);
+  }
+  ruleRegistry.set(type, factory);
+};
+
+/**
+ * Removes a registered rule type.
+ *
+ * @param {string} type - Rule type name
+ */
+export const unregisterValidator = (type) => {
+  ruleRegistry.delete(type);
+};
+
+/**
+ * Whether a rule type is registered (`async` is always available).
+ *
+ * @param {string} type - Rule type name
+ * @returns {boolean}
+ */
+export const hasValidator = (type) => type === 'async' || ruleRegistry.has(type);
+
+registerValidator('required', (rule) => (value) => validateRequired(value, rule.message));
+registerValidator('email', (rule) => (value) => validateEmail(value, rule.message));
+registerValidator('minLength', (rule) => validateMinLength(rule.value, rule.message));
+registerValidator('maxLength', (rule) => validateMaxLength(rule.value, rule.message));
+registerValidator('pattern', (rule) => validatePattern(rule.value, rule.message));
+registerValidator('number', (rule) => (value) => validateNumber(value, rule.message));
+registerValidator('minValue', (rule) => validateMinValue(rule.value, rule.message));
+registerValidator('maxValue', (rule) => validateMaxValue(rule.value, rule.message));
+registerValidator('oneOf', (rule) => validateOneOf(rule.value, rule.message));
+registerValidator('fileSize', (rule) => validateFileSize(rule.value, rule.message));
+registerValidator('fileType', (rule) => validateFileType(rule.value, rule.message));
+registerValidator('maxFiles', (rule) => validateMaxFiles(rule.value, rule.message));
+registerValidator('minDate', (rule) => validateMinDate(toDate(rule.value), rule.message));
+registerValidator('maxDate', (rule) => validateMaxDate(toDate(rule.value), rule.message));
+registerValidator('phone', (rule) => (value) => validatePhone(value, rule.message, rule.country));
+registerValidator('creditCard', (rule) => (value) => validateCreditCard(value, rule.message));
+registerValidator('iban', (rule) => (value) => validateIban(value, rule.message));
+registerValidator('equalsField', (rule) => validateEqualsField(rule.field, rule.message));
+registerValidator('requiredIf', (rule) => validateRequiredIf(rule.field, rule.value, rule.message));
+registerValidator('afterField', (rule) => validateAfterField(rule.field, rule.message));
+registerValidator('beforeField', (rule) => validateBeforeField(rule.field, rule.message));
+registerValidator('oneOfRequired', (rule) => validateOneOfRequired(rule.fields, rule.message));
+registerValidator('custom', (rule) => rule.validator || (() => undefined));
+// `{ type: 'items', value }` describes the rows of an array field (from yupToRules and
+// zodToRules) for useFieldConstraints; the Yup or Zod schema checks the rows themselves
+registerValidator('items', () => () => undefined);
+
+// Look up the validator for a rule; unknown types throw outside production and are skipped in it
+const compileRule = (rule) => {
+  const factory = ruleRegistry.get(rule.type);
+  if (factory) {
+    return factory(rule);
+  }
+
+  if (!isProduction()) {
+    throw new Error(`Unknown validation rule type "${rule.type}". Register it with registerValidator().`);
+  }
+  return null;
+};
+
+// Composite validation functions
+
+/**
+ * Builds a validator from a list of rules, checked in order until one fails.
+ * The validator is called as `(value, values)`; cross-field rules (`equalsField`,
+ * `requiredIf`, `afterField`, `beforeField`, `oneOfRequired`) read other fields from
+ * `values`, so use them through `createFormValidator` or SchemaForm.
+ *
+ * Rule types come from the registry: every built-in validator is available (`required`,
+ * `email`, `minLength`, `maxLength`, `pattern`, `number`, `minValue`, `maxValue`, `oneOf`,
+ * `fileSize`, `fileType`, `maxFiles`, `minDate`, `maxDate`, the cross-field rules and
+ * `custom`), and more can be added with `registerValidator`. Unknown types throw
+ * outside production.
+ *
+ * Rules of type `async` (`{ type: 'async', validator, debounce, message }`) are checked
+ * with `createAsyncValidator` after every other rule passes; the validator then returns
+ * a promise, which Formik waits for before submitting. It also exposes `isPending()` and
+ * `subscribe(listener)`, used by FormTextInput to show a spinner. Create the validator
+ * once per field (not on every render) so pending checks can be cancelled.
+ *
+ * Built-in messages follow the global configuration from `configureI18n`; pass
+ * `options.i18n` (e.g. `useTranslation().i18nConfig`) to follow a FormComponentsProvider.
+ *
+ * @param {Array} rules - Rules to check
+ * @param {Object} options - Options
+ * @param {Object} options.i18n - `{ locale, messages }` for the built-in messages
+ * @returns {Function} `(value, values) => error`, or a promise of it with `async` rules
+ *
+ * @example
+ * const validateUsername = createValidator([
+ *   { type: 'required' },
+ *   { type: 'minLength', value: 3 },
+ *   { type: 'async', validator: async (username) => (await isUsernameFree(username)) || 'Username is taken' },
+ * ]);
+ *
+ * @example
+ * const validateConfirmPassword = createValidator([
+ *   { type: 'required' },
+ *   { type: 'equalsField', field: 'password', message: 'Passwords do not match' },
+ * ]);
+ * validateConfirmPassword(values.confirmPassword, values);
+ */
+export const createValidator = (rules, { i18n } = {}) => {
+  const asyncValidators = rules
+    .filter(rule => rule.type === 'async' && rule.validator)
+    .map(rule => createAsyncValidator(rule.validator, { debounce: rule.debounce, message: rule.message, i18n }));
+  let latestCall = 0;
+  let latestResult;
+
+  const syncValidators = rules
+    .filter(rule => rule.type !== 'async')
+    .map(compileRule)
+    .filter(Boolean);
+
+  const validateSync = (value, values) => withI18nConfig(i18n, () => {
+    for (const validateRule of syncValidators) {
+      const result = validateRule(value, values);
       if (result) {
         return formatValidationError(result);
       }
     }
     
     return undefined;
+  });
+
+  // Superseded calls resolve with the newest result, so Formik never applies a stale error
+  const validateAsync = async (value, call) => {
+    for (const asyncValidator of asyncValidators) {
+      const result = await asyncValidator(value);
+      if (call !== latestCall) return latestResult;
+      if (result) {
+        return formatValidationError(result);
+      }
+    }
+    return undefined;
+  };
+
+  const validator = (value, values = {}) => {
+    latestCall += 1;
+    const call = latestCall;
+
+    const error = validateSync(value, values);
+    if (asyncValidators.length === 0) {
+      return error;
+    }
+
+    if (error || isEmptyValue(value)) {
+      latestResult = Promise.resolve(error);
+      asyncValidators.forEach(asyncValidator => asyncValidator.cancel(undefined));
+      return error;
+    }
+
+    latestResult = validateAsync(value, call);
+    return latestResult;
+  };
+
+  validator.isPending = () => asyncValidators.some(asyncValidator => asyncValidator.isPending());
+
+  validator.subscribe = (listener) => {
+    const unsubscribers = asyncValidators.map(asyncValidator => asyncValidator.subscribe(() => {
+      listener(validator.isPending());
+    }));
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  };
+
+  return validator;
+};
+
+const flattenRuleSchema = (schema, options, prefix = '') => Object.entries(schema).flatMap(([key, rules]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  if (Array.isArray(rules)) {
+    return [{ name: path, validator: createValidator(rules, options) }];
+  }
+  return rules && typeof rules === 'object' ? flattenRuleSchema(rules, options, path) : [];
+});
+
+/**
+ * Builds a Formik `validate` function from rule lists keyed by field name. Keys may be
+ * paths (`'address.city'`) or nested objects of rule lists; errors come back nested the
+ * same way as the values. Each field's rules receive the full form values, so
+ * cross-field rules work. With `async` rules it returns a promise.
+ *
+ * @param {Object} schema - Field names (or nested objects) mapped to rule lists
+ * @param {Object} options - Options passed to `createValidator`, such as `i18n`
+ * @returns {Function} `(values) => errors` for Formik's `validate` prop
+ *
+ * @example
+ * const validate = createFormValidator({
+ *   password: [{ type: 'required' }, { type: 'minLength', value: 8 }],
+ *   confirmPassword: [{ type: 'equalsField', field: 'password', message: 'Passwords do not match' }],
+ *   trip: {
+ *     start: [{ type: 'required' }],
+ *     end: [{ type: 'required' }, { type: 'afterField', field: 'trip.start' }],
+ *   },
+ *   state: [{ type: 'requiredIf', field: 'country', value: 'US' }],
+ *   email: [{ type: 'oneOfRequired', fields: ['phone'] }],
+ * });
+ *
+ * <Formik initialValues={initialValues} validate={validate} onSubmit={save}>...</Formik>
+ */
+export const createFormValidator = (schema, options = {}) => {
+  const fieldValidators = flattenRuleSchema(schema, options);
+
+  return (values) => {
+    let errors = {};
+    const asyncChecks = [];
+
+    fieldValidators.forEach(({ name, validator }) => {
+      const error = validator(getIn(values, name), values);
+      if (error && typeof error.then === 'function') {
+        asyncChecks.push(error.then(asyncError => ({ name, error: asyncError })));
+      } else if (error) {
+        errors = setIn(errors, name, error);
+      }
+    });
+
+    if (asyncChecks.length === 0) {
+      return errors;
+    }
+
+    return Promise.all(asyncChecks).then(results => results.reduce(
+      (allErrors, { name, error }) => (error ? setIn(allErrors, name, error) : allErrors),
+      errors
+    ));
   };
 };
 
@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import {
   validateRequired,
   validateEmail,
@@ -8,15 +8,29 @@ import {
   validateNumber,
   validateMinValue,
   validateMaxValue,
+  validateOneOf,
   validateFileSize,
   validateFileType,
   validateMaxFiles,
   validateMinDate,
   validateMaxDate,
+  validatePhone,
+  validateCreditCard,
+  validateIban,
   formatValidationError,
   formatFieldName,
   createValidator,
+  createAsyncValidator,
+  createFormValidator,
   combineValidators,
+  validateEqualsField,
+  validateRequiredIf,
+  validateAfterField,
+  validateBeforeField,
+  validateOneOfRequired,
+  registerValidator,
+  unregisterValidator,
+  hasValidator,
 } from './validation';
 
 describe('Validation Utilities', () => {
@@ -131,6 +145,13 @@ describe('Validation Utilities', () => {
       expect(validator(9)).toBe('Must be at least 10');
     });
 
+    it('should check zero and skip empty values', () => {
+      expect(validateMinValue(1)(0)).toBe('Must be at least 1');
+      expect(validateMaxValue(-1)(0)).toBe('Must be no more than -1');
+      expect(validator(null)).toBeUndefined();
+      expect(validator('')).toBeUndefined();
+    });
+
     it('should return undefined for valid values', () => {
       expect(validator('10')).toBeUndefined();
       expect(validator(15)).toBeUndefined();
@@ -153,6 +174,21 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validateOneOf', () => {
+    const validator = validateOneOf(['US', 'CA']);
+
+    it('should return error for values outside the list', () => {
+      expect(validator('MX')).toBe('Must be one of: US, CA');
+      expect(validateOneOf(['US'], 'Unsupported country')('MX')).toBe('Unsupported country');
+    });
+
+    it('should return undefined for listed and empty values', () => {
+      expect(validator('CA')).toBeUndefined();
+      expect(validator('')).toBeUndefined();
+      expect(validator(null)).toBeUndefined();
+    });
+  });
+
   describe('validateFileSize', () => {
     const validator = validateFileSize(1024 * 1024); // 1MB
 
@@ -233,6 +269,37 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validatePhone', () => {
+    it('should check numbers against the country metadata', () => {
+      expect(validatePhone('+1415555012')).toBe('Please enter a valid phone number');
+      expect(validatePhone('+14155550123')).toBeUndefined();
+      expect(validatePhone('+74951234567')).toBeUndefined();
+      expect(validatePhone('')).toBeUndefined();
+    });
+
+    it('should accept national numbers of the default country', () => {
+      expect(validatePhone('07911 123456', undefined, 'GB')).toBeUndefined();
+      expect(createValidator([{ type: 'phone', country: 'FR' }])('06 12 34 56 78')).toBeUndefined();
+      expect(createValidator([{ type: 'phone' }])('06 12 34 56 78')).toBe('Please enter a valid phone number.');
+    });
+  });
+
+  describe('validateCreditCard', () => {
+    it('should check the Luhn checksum and length', () => {
+      expect(validateCreditCard('4111 1111 1111 1112')).toBe('Please enter a valid card number');
+      expect(validateCreditCard('4111 1111 1111 1111')).toBeUndefined();
+      expect(validateCreditCard('')).toBeUndefined();
+    });
+  });
+
+  describe('validateIban', () => {
+    it('should check the IBAN check digits', () => {
+      expect(validateIban('GB82 WEST 1234 5698 7654 33', 'Invalid IBAN')).toBe('Invalid IBAN');
+      expect(validateIban('GB82 WEST 1234 5698 7654 32')).toBeUndefined();
+      expect(validateIban(null)).toBeUndefined();
+    });
+  });
+
   describe('formatValidationError', () => {
     it('should capitalize and add period', () => {
       expect(formatValidationError('test error')).toBe('Test error.');
@@ -275,6 +342,301 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validator registry', () => {
+    afterEach(() => {
+      unregisterValidator('postalCode');
+    });
+
+    it('should support every built-in validator in createValidator', () => {
+      const validateAge = createValidator([
+        { type: 'number' },
+        { type: 'minValue', value: 18 },
+        { type: 'maxValue', value: 120 },
+      ]);
+      const validateDate = createValidator([
+        { type: 'minDate', value: '2024-01-01' },
+        { type: 'maxDate', value: new Date('2024-12-31') },
+      ]);
+      const validateFiles = createValidator([{ type: 'maxFiles', value: 1, message: 'Only one file' }]);
+
+      expect(validateAge('abc')).toBe('Must be a valid number.');
+      expect(validateAge('12')).toBe('Must be at least 18.');
+      expect(validateAge('130')).toBe('Must be no more than 120.');
+      expect(validateAge('42')).toBeUndefined();
+      expect(validateDate(new Date('2023-06-01'))).toMatch(/^Date must be after/);
+      expect(validateDate(new Date('2025-06-01'))).toMatch(/^Date must be before/);
+      expect(validateDate(new Date('2024-06-01'))).toBeUndefined();
+      expect(validateFiles([{}, {}])).toBe('Only one file.');
+    });
+
+    it('should throw for unknown rule types outside production', () => {
+      expect(() => createValidator([{ type: 'postalCode' }])).toThrow(
+        'Unknown validation rule type "postalCode". Register it with registerValidator().'
+      );
+    });
+
+    it('should skip unknown rule types in production', () => {
+      vi.stubEnv('NODE_ENV', 'production');
+      try {
+        const validator = createValidator([{ type: 'postalCode' }, { type: 'required' }]);
+        expect(validator('')).toBe('This field is required.');
+      } finally {
+        vi.unstubAllEnvs();
+      }
+    });
+
+    it('should use registered rule types', () => {
+      registerValidator('postalCode', (rule) => (value) => (
+        !value || /^\d{5}$/.test(value) ? undefined : rule.message || 'Invalid postal code'
+      ));
+      const validator = createValidator([{ type: 'required' }, { type: 'postalCode' }]);
+
+      expect(hasValidator('postalCode')).toBe(true);
+      expect(validator('1234')).toBe('Invalid postal code.');
+      expect(validator('12345')).toBeUndefined();
+    });
+
+    it('should not replace existing rule types unless asked to', () => {
+      const factory = () => () => 'Never valid';
+
+      expect(() => registerValidator('email', factory)).toThrow('Validation rule type "email" is already registered');
+      expect(() => registerValidator('postalCode', 'not a function')).toThrow(TypeError);
+
+      registerValidator('postalCode', () => () => undefined);
+      registerValidator('postalCode', factory, { override: true });
+      expect(createValidator([{ type: 'postalCode' }])('12345')).toBe('Never valid.');
+    });
+  });
+
+  describe('cross-field validators', () => {
+    it('validateEqualsField should compare with another field', () => {
+      const validator = validateEqualsField('password');
+
+      expect(validator('secret1', { password: 'secret2' })).toBe('Must match Password');
+      expect(validator('secret1', { password: 'secret1' })).toBeUndefined();
+      expect(validator('', { password: 'secret1' })).toBeUndefined();
+    });
+
+    it('validateRequiredIf should require the value when the condition holds', () => {
+      expect(validateRequiredIf('country', 'US')('', { country: 'US' })).toBe('This field is required');
+      expect(validateRequiredIf('country', 'US')('', { country: 'FR' })).toBeUndefined();
+      expect(validateRequiredIf('country', ['US', 'CA'], 'State is required')('', { country: 'CA' })).toBe('State is required');
+      expect(validateRequiredIf('company')('', { company: 'Acme' })).toBe('This field is required');
+      expect(validateRequiredIf('age', (age) => age < 18)('', { age: 16 })).toBe('This field is required');
+      expect(validateRequiredIf('address.country', 'US')('CA', { address: { country: 'US' } })).toBeUndefined();
+    });
+
+    it('validateAfterField and validateBeforeField should compare dates and numbers', () => {
+      const values = { trip: { start: new Date('2024-05-10') }, minPrice: '10' };
+
+      expect(validateAfterField('trip.start')(new Date('2024-05-09'), values)).toBe('Must be after Start');
+      expect(validateAfterField('trip.start')('2024-05-11', values)).toBeUndefined();
+      expect(validateBeforeField('trip.start')(new Date('2024-05-10'), values)).toBe('Must be before Start');
+      expect(validateAfterField('minPrice', 'Must exceed the minimum')('5', values)).toBe('Must exceed the minimum');
+      expect(validateAfterField('trip.start')(null, values)).toBeUndefined();
+    });
+
+    it('validateOneOfRequired should pass when any of the fields is filled in', () => {
+      const validator = validateOneOfRequired(['phoneNumber']);
+
+      expect(validator('', { phoneNumber: '' })).toBe('Fill in this field or Phone Number');
+      expect(validator('', { phoneNumber: '555-0100' })).toBeUndefined();
+      expect(validator('jane@example.com', { phoneNumber: '' })).toBeUndefined();
+    });
+
+    it('createValidator should pass the form values to cross-field rules', () => {
+      const validator = createValidator([
+        { type: 'required' },
+        { type: 'equalsField', field: 'password', message: 'Passwords do not match' },
+      ]);
+
+      expect(validator('', { password: 'secret' })).toBe('This field is required.');
+      expect(validator('secre', { password: 'secret' })).toBe('Passwords do not match.');
+      expect(validator('secret', { password: 'secret' })).toBeUndefined();
+    });
+  });
+
+  describe('createFormValidator', () => {
+    const validate = createFormValidator({
+      password: [{ type: 'required' }, { type: 'minLength', value: 8 }],
+      confirmPassword: [{ type: 'equalsField', field: 'password', message: 'Passwords do not match' }],
+      trip: {
+        start: [{ type: 'required' }],
+        end: [{ type: 'afterField', field: 'trip.start' }],
+      },
+      'address.state': [{ type: 'requiredIf', field: 'address.country', value: 'US' }],
+      email: [{ type: 'oneOfRequired', fields: ['phone'] }],
+    });
+
+    it('should return nested errors for every failing field', () => {
+      const errors = validate({
+        password: 'longenough',
+        confirmPassword: 'different',
+        trip: { start: '2024-05-10', end: '2024-05-01' },
+        address: { country: 'US', state: '' },
+        email: '',
+        phone: '',
+      });
+
+      expect(errors).toEqual({
+        confirmPassword: 'Passwords do not match.',
+        trip: { end: 'Must be after Start.' },
+        address: { state: 'This field is required.' },
+        email: 'Fill in this field or Phone.',
+      });
+    });
+
+    it('should return no errors for valid values', () => {
+      expect(validate({
+        password: 'longenough',
+        confirmPassword: 'longenough',
+        trip: { start: '2024-05-10', end: '2024-05-12' },
+        address: { country: 'FR' },
+        phone: '555-0100',
+      })).toEqual({});
+    });
+
+    it('should resolve async rules into the errors object', async () => {
+      const validateAsync = createFormValidator({
+        username: [{ type: 'async', validator: async () => false, message: 'Username is taken', debounce: 0 }],
+        email: [{ type: 'required' }],
+      });
+
+      await expect(validateAsync({ username: 'admin', email: '' })).resolves.toEqual({
+        username: 'Username is taken.',
+        email: 'This field is required.',
+      });
+    });
+  });
+
+  describe('createAsyncValidator', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should debounce checks and only check the latest value', async () => {
+      const check = vi.fn(async (value) => (value === 'taken' ? 'Username is taken' : undefined));
+      const validator = createAsyncValidator(check);
+
+      const first = validator('tak');
+      const second = validator('taken');
+      expect(validator.isPending()).toBe(true);
+
+      await vi.advanceTimersByTimeAsync(300);
+
+      expect(check).toHaveBeenCalledTimes(1);
+      expect(check).toHaveBeenCalledWith('taken', { signal: expect.any(AbortSignal) });
+      await expect(first).resolves.toBe('Username is taken');
+      await expect(second).resolves.toBe('Username is taken');
+      expect(validator.isPending()).toBe(false);
+    });
+
+    it('should abort a running check when the value changes', async () => {
+      const signals = [];
+      const check = vi.fn((value, { signal }) => {
+        signals.push(signal);
+        return new Promise(resolve => setTimeout(() => resolve(value === 'ok' ? undefined : 'Bad value'), 1000));
+      });
+      const validator = createAsyncValidator(check, { debounce: 100 });
+
+      const stale = validator('bad');
+      await vi.advanceTimersByTimeAsync(100);
+      const latest = validator('ok');
+
+      expect(signals[0].aborted).toBe(true);
+      await vi.advanceTimersByTimeAsync(1100);
+
+      await expect(stale).resolves.toBeUndefined();
+      await expect(latest).resolves.toBeUndefined();
+      expect(check).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reuse the result for a value that was already checked', async () => {
+      const check = vi.fn(async () => false);
+      const validator = createAsyncValidator(check, { debounce: 50, message: 'Not available' });
+
+      const first = validator('alice');
+      await vi.advanceTimersByTimeAsync(50);
+      await expect(first).resolves.toBe('Not available');
+
+      await expect(validator('alice')).resolves.toBe('Not available');
+      expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report failed checks and skip empty values', async () => {
+      const check = vi.fn(async () => {
+        throw new Error('Network down');
+      });
+      const validator = createAsyncValidator(check, { debounce: 0 });
+
+      await expect(validator('')).resolves.toBeUndefined();
+      const result = validator('alice');
+      await vi.advanceTimersByTimeAsync(0);
+
+      await expect(result).resolves.toBe('Could not validate this value');
+      expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    it('should notify subscribers when the pending state changes', async () => {
+      const listener = vi.fn();
+      const validator = createAsyncValidator(async () => undefined, { debounce: 10 });
+      const unsubscribe = validator.subscribe(listener);
+
+      validator('alice');
+      await vi.advanceTimersByTimeAsync(10);
+      unsubscribe();
+      validator('bob');
+
+      expect(listener.mock.calls).toEqual([[true], [false]]);
+    });
+  });
+
+  describe('createValidator with async rules', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should run async rules after the synchronous rules pass', async () => {
+      const isAvailable = vi.fn(async (username) => username !== 'admin');
+      const validator = createValidator([
+        { type: 'required', message: 'Username is required' },
+        { type: 'minLength', value: 3 },
+        { type: 'async', validator: isAvailable, message: 'Username is taken', debounce: 200 },
+      ]);
+
+      expect(validator('')).toBe('Username is required.');
+      expect(validator('ad')).toBe('Must be at least 3 characters long.');
+
+      const result = validator('admin');
+      expect(validator.isPending()).toBe(true);
+      await vi.advanceTimersByTimeAsync(200);
+
+      await expect(result).resolves.toBe('Username is taken.');
+      expect(isAvailable).toHaveBeenCalledTimes(1);
+    });
+
+    it('should resolve superseded checks with the newest result', async () => {
+      const validator = createValidator([
+        { type: 'minLength', value: 3 },
+        { type: 'async', validator: async () => 'Taken' },
+      ]);
+
+      const stale = validator('alice');
+      expect(validator('al')).toBe('Must be at least 3 characters long.');
+      expect(validator.isPending()).toBe(false);
+
+      await expect(stale).resolves.toBe('Must be at least 3 characters long.');
+    });
+  });
+
   describe('combineValidators', () => {
     it('should combine multiple validator functions', () => {
       const validator = combineValidators(